@@ -0,0 +1,86 @@
+-- ============================================================
+-- Migración 001: Pedidos con múltiples materiales
+-- Un pedido puede tener varias líneas (material, cantidad,
+-- precio unitario congelado al momento del pedido y subtotal).
+-- pedidos.cantidad pasa a ser el volumen total del pedido y
+-- pedidos.material_id el material de la primera línea.
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS pedido_detalles (
+    id SERIAL PRIMARY KEY,
+    pedido_id INTEGER NOT NULL REFERENCES pedidos(id) ON DELETE CASCADE,
+    material_id INTEGER NOT NULL REFERENCES materiales(id),
+    cantidad DECIMAL(10,2) NOT NULL CHECK (cantidad > 0),
+    precio_unitario DECIMAL(10,2) NOT NULL CHECK (precio_unitario >= 0),
+    subtotal DECIMAL(12,2) NOT NULL CHECK (subtotal >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT pedido_detalles_material_unico UNIQUE (pedido_id, material_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pedido_detalles_pedido
+    ON pedido_detalles(pedido_id);
+
+CREATE INDEX IF NOT EXISTS idx_pedido_detalles_material
+    ON pedido_detalles(material_id);
+
+-- Pedidos existentes: una línea por pedido con el precio implícito
+INSERT INTO pedido_detalles (pedido_id, material_id, cantidad, precio_unitario, subtotal)
+SELECT p.id,
+       p.material_id,
+       p.cantidad,
+       CASE WHEN p.cantidad > 0 THEN ROUND(p.precio_total / p.cantidad, 2) ELSE 0 END,
+       p.precio_total
+FROM pedidos p
+WHERE p.material_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM pedido_detalles d WHERE d.pedido_id = p.id);
+
+-- Vista completa de pedidos con sus líneas en formato JSON
+DROP VIEW IF EXISTS vista_pedidos_completa;
+
+CREATE VIEW vista_pedidos_completa AS
+SELECT
+    p.id,
+    p.codigo_seguimiento,
+    p.cliente_id,
+    p.material_id,
+    p.cantidad,
+    p.precio_total,
+    p.estado,
+    p.direccion_entrega,
+    p.direccion_lat,
+    p.direccion_lng,
+    p.telefono_contacto,
+    p.fecha_pedido,
+    p.fecha_entrega_solicitada,
+    p.observaciones,
+    p.created_at,
+    p.updated_at,
+    m.nombre AS material_nombre,
+    m.unidad_medida,
+    CONCAT(u.nombre, ' ', u.apellido) AS cliente_nombre,
+    c.empresa AS cliente_empresa,
+    u.email AS cliente_email,
+    u.telefono AS cliente_telefono,
+    COALESCE(
+        (SELECT json_agg(json_build_object(
+                    'id', d.id,
+                    'material_id', d.material_id,
+                    'material_nombre', dm.nombre,
+                    'unidad_medida', dm.unidad_medida,
+                    'cantidad', d.cantidad,
+                    'precio_unitario', d.precio_unitario,
+                    'subtotal', d.subtotal
+                ) ORDER BY d.id)
+         FROM pedido_detalles d
+         JOIN materiales dm ON d.material_id = dm.id
+         WHERE d.pedido_id = p.id),
+        '[]'::json
+    ) AS detalles
+FROM pedidos p
+JOIN clientes c ON p.cliente_id = c.id
+JOIN usuarios u ON c.usuario_id = u.id
+LEFT JOIN materiales m ON p.material_id = m.id;
+
+COMMIT;
@@ -0,0 +1,92 @@
+-- ============================================================
+-- Migración 002: API de conductores
+-- Cada conductor queda vinculado a un vehículo, cada pedido
+-- asignado guarda el vehículo que lo transporta y las entregas
+-- registran su comprobante.
+-- ============================================================
+
+BEGIN;
+
+-- Conductor vinculado al vehículo (un conductor por vehículo)
+ALTER TABLE vehiculos
+    ADD COLUMN IF NOT EXISTS conductor_id INTEGER REFERENCES usuarios(id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehiculos_conductor_unico
+    ON vehiculos(conductor_id)
+    WHERE conductor_id IS NOT NULL;
+
+-- Vehículo asignado al pedido y momento de carga en planta
+ALTER TABLE pedidos
+    ADD COLUMN IF NOT EXISTS vehiculo_id INTEGER REFERENCES vehiculos(id),
+    ADD COLUMN IF NOT EXISTS fecha_carga TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_pedidos_vehiculo
+    ON pedidos(vehiculo_id)
+    WHERE vehiculo_id IS NOT NULL;
+
+-- Comprobante de entrega reportado por el conductor
+CREATE TABLE IF NOT EXISTS pedido_entregas (
+    id SERIAL PRIMARY KEY,
+    pedido_id INTEGER NOT NULL UNIQUE REFERENCES pedidos(id) ON DELETE CASCADE,
+    conductor_id INTEGER NOT NULL REFERENCES usuarios(id),
+    vehiculo_id INTEGER NOT NULL REFERENCES vehiculos(id),
+    receptor_nombre VARCHAR(100) NOT NULL,
+    receptor_documento VARCHAR(20),
+    evidencia_url VARCHAR(500),
+    observaciones TEXT,
+    entrega_lat DECIMAL(10,8),
+    entrega_lng DECIMAL(11,8),
+    entregado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Vista completa de pedidos: se agregan datos del vehículo asignado
+CREATE OR REPLACE VIEW vista_pedidos_completa AS
+SELECT
+    p.id,
+    p.codigo_seguimiento,
+    p.cliente_id,
+    p.material_id,
+    p.cantidad,
+    p.precio_total,
+    p.estado,
+    p.direccion_entrega,
+    p.direccion_lat,
+    p.direccion_lng,
+    p.telefono_contacto,
+    p.fecha_pedido,
+    p.fecha_entrega_solicitada,
+    p.observaciones,
+    p.created_at,
+    p.updated_at,
+    m.nombre AS material_nombre,
+    m.unidad_medida,
+    CONCAT(u.nombre, ' ', u.apellido) AS cliente_nombre,
+    c.empresa AS cliente_empresa,
+    u.email AS cliente_email,
+    u.telefono AS cliente_telefono,
+    COALESCE(
+        (SELECT json_agg(json_build_object(
+                    'id', d.id,
+                    'material_id', d.material_id,
+                    'material_nombre', dm.nombre,
+                    'unidad_medida', dm.unidad_medida,
+                    'cantidad', d.cantidad,
+                    'precio_unitario', d.precio_unitario,
+                    'subtotal', d.subtotal
+                ) ORDER BY d.id)
+         FROM pedido_detalles d
+         JOIN materiales dm ON d.material_id = dm.id
+         WHERE d.pedido_id = p.id),
+        '[]'::json
+    ) AS detalles,
+    p.vehiculo_id,
+    v.placa AS vehiculo_placa,
+    v.conductor_id,
+    p.fecha_carga
+FROM pedidos p
+JOIN clientes c ON p.cliente_id = c.id
+JOIN usuarios u ON c.usuario_id = u.id
+LEFT JOIN materiales m ON p.material_id = m.id
+LEFT JOIN vehiculos v ON p.vehiculo_id = v.id;
+
+COMMIT;
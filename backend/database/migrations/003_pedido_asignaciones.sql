@@ -0,0 +1,40 @@
+-- ============================================================
+-- Migración 003: Registro de asignaciones pedido ↔ vehículo
+-- Cada asignación guarda vehículo, conductor, quién asignó y
+-- cuándo se liberó el vehículo (entrega o cancelación).
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS pedido_asignaciones (
+    id SERIAL PRIMARY KEY,
+    pedido_id INTEGER NOT NULL REFERENCES pedidos(id) ON DELETE CASCADE,
+    vehiculo_id INTEGER NOT NULL REFERENCES vehiculos(id),
+    conductor_id INTEGER REFERENCES usuarios(id),
+    asignado_por INTEGER REFERENCES usuarios(id),
+    asignado_en TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    liberado_en TIMESTAMP,
+    motivo_liberacion VARCHAR(50),
+    CONSTRAINT pedido_asignaciones_fechas CHECK (liberado_en IS NULL OR liberado_en >= asignado_en)
+);
+
+-- Un pedido solo puede tener una asignación activa
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pedido_asignaciones_activa
+    ON pedido_asignaciones(pedido_id)
+    WHERE liberado_en IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_pedido_asignaciones_vehiculo
+    ON pedido_asignaciones(vehiculo_id, liberado_en);
+
+-- Pedidos actualmente asignados antes de esta migración
+INSERT INTO pedido_asignaciones (pedido_id, vehiculo_id, conductor_id, asignado_en)
+SELECT p.id, p.vehiculo_id, v.conductor_id, p.updated_at
+FROM pedidos p
+JOIN vehiculos v ON p.vehiculo_id = v.id
+WHERE p.estado IN ('asignado', 'en_transito')
+  AND NOT EXISTS (
+      SELECT 1 FROM pedido_asignaciones a
+      WHERE a.pedido_id = p.id AND a.liberado_en IS NULL
+  );
+
+COMMIT;
@@ -0,0 +1,20 @@
+-- ============================================================
+-- Migración 004: Puntuación del sistema experto en asignaciones
+-- Cada asignación guarda si fue manual o automática, la
+-- puntuación obtenida y el desglose de reglas aplicadas.
+-- ============================================================
+
+BEGIN;
+
+ALTER TABLE pedido_asignaciones
+    ADD COLUMN IF NOT EXISTS modo VARCHAR(20) NOT NULL DEFAULT 'manual',
+    ADD COLUMN IF NOT EXISTS puntuacion DECIMAL(6,2),
+    ADD COLUMN IF NOT EXISTS reglas_aplicadas JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE pedido_asignaciones
+    DROP CONSTRAINT IF EXISTS pedido_asignaciones_modo;
+
+ALTER TABLE pedido_asignaciones
+    ADD CONSTRAINT pedido_asignaciones_modo CHECK (modo IN ('manual', 'automatico'));
+
+COMMIT;
@@ -0,0 +1,46 @@
+-- ============================================================
+-- Migración 005: Reglas configurables del sistema experto
+-- Cada regla de asignación tiene un peso (multiplicador de sus
+-- puntos), puede desactivarse y guarda sus umbrales en JSONB.
+-- Los valores iniciales replican las reglas fijas anteriores.
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS reglas_asignacion (
+    codigo VARCHAR(50) PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL,
+    descripcion TEXT,
+    activa BOOLEAN NOT NULL DEFAULT true,
+    peso DECIMAL(5,2) NOT NULL DEFAULT 1 CHECK (peso >= 0 AND peso <= 10),
+    parametros JSONB NOT NULL DEFAULT '{}'::jsonb,
+    updated_by INTEGER REFERENCES usuarios(id),
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO reglas_asignacion (codigo, nombre, descripcion, activa, peso, parametros) VALUES
+    ('capacidad_optima', 'Capacidad óptima',
+     'Puntos según el porcentaje de la capacidad del vehículo que ocupa el pedido',
+     true, 1,
+     '{"optimo_min": 0.7, "optimo_max": 0.95, "aceptable_min": 0.5, "bajo_min": 0.3,
+       "puntos_optimo": 10, "puntos_aceptable": 7, "puntos_bajo": 4, "puntos_sobredimensionado": 1}'),
+    ('menor_capacidad', 'Menor capacidad',
+     'Puntos para el vehículo más pequeño que cubre el volumen',
+     true, 1,
+     '{"puntos": 5}'),
+    ('proximidad_geografica', 'Proximidad geográfica',
+     'Puntos según la distancia entre el vehículo y el destino',
+     true, 1,
+     '{"cerca_km": 5, "medio_km": 15, "puntos_cerca": 8, "puntos_medio": 5, "puntos_lejos": 2}'),
+    ('disponibilidad', 'Ubicación reciente',
+     'Puntos para vehículos que reportaron GPS recientemente',
+     true, 1,
+     '{"reciente_minutos": 30, "aceptable_minutos": 120, "puntos_reciente": 3, "puntos_aceptable": 1}'),
+    ('balance_uso', 'Balance de uso',
+     'Puntos para vehículos con menos viajes y km en los últimos días',
+     true, 1,
+     '{"dias": 7, "puntos_max": 6, "factor_viajes": 0.5, "factor_km": 0.5,
+       "planta_lat": -17.3935, "planta_lng": -66.1570}')
+ON CONFLICT (codigo) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,44 @@
+-- ============================================================
+-- Migración 006: Historial de estados de pedidos
+-- Cada cambio de estado queda registrado con el estado
+-- anterior, el usuario, el motivo y el ID de la petición HTTP.
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS pedido_eventos (
+    id SERIAL PRIMARY KEY,
+    pedido_id INTEGER NOT NULL REFERENCES pedidos(id) ON DELETE CASCADE,
+    estado_anterior VARCHAR(20),
+    estado_nuevo VARCHAR(20) NOT NULL,
+    usuario_id INTEGER REFERENCES usuarios(id),
+    motivo TEXT,
+    request_id VARCHAR(64),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pedido_eventos_pedido
+    ON pedido_eventos(pedido_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_pedido_eventos_estado
+    ON pedido_eventos(estado_nuevo, created_at);
+
+-- Historial mínimo para pedidos existentes: creación y estado actual
+INSERT INTO pedido_eventos (pedido_id, estado_anterior, estado_nuevo, motivo, created_at)
+SELECT p.id, NULL, 'pendiente', 'Pedido creado', p.created_at
+FROM pedidos p
+WHERE NOT EXISTS (SELECT 1 FROM pedido_eventos e WHERE e.pedido_id = p.id);
+
+INSERT INTO pedido_eventos (pedido_id, estado_anterior, estado_nuevo, motivo, created_at)
+SELECT p.id, 'pendiente', p.estado::text,
+       'Registrado al migrar (estados intermedios no disponibles)',
+       COALESCE(pe.entregado_en, p.updated_at)
+FROM pedidos p
+LEFT JOIN pedido_entregas pe ON pe.pedido_id = p.id
+WHERE p.estado::text <> 'pendiente'
+  AND NOT EXISTS (
+      SELECT 1 FROM pedido_eventos e
+      WHERE e.pedido_id = p.id AND e.estado_nuevo = p.estado::text
+  );
+
+COMMIT;
@@ -0,0 +1,34 @@
+-- ============================================================
+-- Migración 007: Reservas de stock
+-- Al crear un pedido se reserva el material por un tiempo
+-- limitado; al confirmar la reserva se consume (descuento real)
+-- y al cancelar o vencer se libera. Los pedidos pendientes
+-- anteriores no tienen reserva: al confirmarse se verifican
+-- contra el stock libre.
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS stock_reservas (
+    id SERIAL PRIMARY KEY,
+    pedido_id INTEGER NOT NULL REFERENCES pedidos(id) ON DELETE CASCADE,
+    material_id INTEGER NOT NULL REFERENCES materiales(id),
+    cantidad DECIMAL(10,2) NOT NULL CHECK (cantidad > 0),
+    estado VARCHAR(20) NOT NULL DEFAULT 'activa'
+        CHECK (estado IN ('activa', 'consumida', 'liberada', 'expirada')),
+    expira_en TIMESTAMP NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    cerrada_en TIMESTAMP
+);
+
+-- Una sola reserva activa por pedido y material
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_reservas_activa
+    ON stock_reservas(pedido_id, material_id)
+    WHERE estado = 'activa';
+
+-- Suma de reservado por material
+CREATE INDEX IF NOT EXISTS idx_stock_reservas_material
+    ON stock_reservas(material_id, expira_en)
+    WHERE estado = 'activa';
+
+COMMIT;
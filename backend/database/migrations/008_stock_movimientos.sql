@@ -0,0 +1,39 @@
+-- ============================================================
+-- Migración 008: Kardex de movimientos de stock
+-- Cada cambio de cantidad_disponible queda registrado (solo
+-- inserción) con su tipo, cantidad con signo, saldo resultante,
+-- usuario, pedido de referencia y nota.
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS stock_movimientos (
+    id SERIAL PRIMARY KEY,
+    material_id INTEGER NOT NULL REFERENCES materiales(id),
+    tipo VARCHAR(20) NOT NULL
+        CHECK (tipo IN ('entrada', 'salida_pedido', 'ajuste', 'merma', 'devolucion')),
+    cantidad DECIMAL(10,2) NOT NULL,
+    saldo DECIMAL(10,2) NOT NULL CHECK (saldo >= 0),
+    usuario_id INTEGER REFERENCES usuarios(id),
+    pedido_id INTEGER REFERENCES pedidos(id) ON DELETE SET NULL,
+    nota TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movimientos_material
+    ON stock_movimientos(material_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movimientos_pedido
+    ON stock_movimientos(pedido_id)
+    WHERE pedido_id IS NOT NULL;
+
+-- Saldo de apertura para el stock existente
+INSERT INTO stock_movimientos (material_id, tipo, cantidad, saldo, usuario_id, nota)
+SELECT s.material_id, 'ajuste', s.cantidad_disponible, s.cantidad_disponible,
+       s.actualizado_por, 'Saldo inicial'
+FROM stock s
+WHERE NOT EXISTS (
+    SELECT 1 FROM stock_movimientos m WHERE m.material_id = s.material_id
+);
+
+COMMIT;
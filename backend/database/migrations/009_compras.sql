@@ -0,0 +1,79 @@
+-- ============================================================
+-- Migración 009: Proveedores y órdenes de compra
+-- Las recepciones (parciales o completas) ingresan stock con su
+-- costo puesto en planta: costo del material más el flete
+-- prorrateado por m³. El stock guarda el costo promedio
+-- ponderado para valorizar el inventario.
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS proveedores (
+    id SERIAL PRIMARY KEY,
+    nombre VARCHAR(150) NOT NULL,
+    tipo VARCHAR(20) NOT NULL DEFAULT 'cantera'
+        CHECK (tipo IN ('cantera', 'transporte', 'otro')),
+    nit VARCHAR(20),
+    telefono VARCHAR(20),
+    email VARCHAR(150),
+    direccion TEXT,
+    activo BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_proveedores_nit
+    ON proveedores(nit)
+    WHERE nit IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS ordenes_compra (
+    id SERIAL PRIMARY KEY,
+    codigo VARCHAR(20) NOT NULL UNIQUE,
+    proveedor_id INTEGER NOT NULL REFERENCES proveedores(id),
+    transportista_id INTEGER REFERENCES proveedores(id),
+    estado VARCHAR(20) NOT NULL DEFAULT 'pendiente'
+        CHECK (estado IN ('pendiente', 'parcial', 'recibida', 'cancelada')),
+    costo_flete DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (costo_flete >= 0),
+    fecha_esperada DATE,
+    observaciones TEXT,
+    creado_por INTEGER REFERENCES usuarios(id),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ordenes_compra_estado
+    ON ordenes_compra(estado, created_at);
+
+CREATE TABLE IF NOT EXISTS orden_compra_detalles (
+    id SERIAL PRIMARY KEY,
+    orden_id INTEGER NOT NULL REFERENCES ordenes_compra(id) ON DELETE CASCADE,
+    material_id INTEGER NOT NULL REFERENCES materiales(id),
+    cantidad DECIMAL(10,2) NOT NULL CHECK (cantidad > 0),
+    cantidad_recibida DECIMAL(10,2) NOT NULL DEFAULT 0,
+    costo_unitario DECIMAL(10,2) NOT NULL CHECK (costo_unitario >= 0),
+    CONSTRAINT orden_compra_detalles_material_unico UNIQUE (orden_id, material_id),
+    CONSTRAINT orden_compra_detalles_recibido CHECK (
+        cantidad_recibida >= 0 AND cantidad_recibida <= cantidad
+    )
+);
+
+CREATE TABLE IF NOT EXISTS recepciones_compra (
+    id SERIAL PRIMARY KEY,
+    orden_id INTEGER NOT NULL REFERENCES ordenes_compra(id),
+    detalle_id INTEGER NOT NULL REFERENCES orden_compra_detalles(id),
+    material_id INTEGER NOT NULL REFERENCES materiales(id),
+    cantidad DECIMAL(10,2) NOT NULL CHECK (cantidad > 0),
+    costo_puesto DECIMAL(10,2) NOT NULL CHECK (costo_puesto >= 0),
+    movimiento_id INTEGER REFERENCES stock_movimientos(id),
+    recibido_por INTEGER REFERENCES usuarios(id),
+    nota TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recepciones_compra_orden
+    ON recepciones_compra(orden_id);
+
+-- Costo promedio ponderado por m³ (NULL hasta la primera recepción)
+ALTER TABLE stock ADD COLUMN IF NOT EXISTS costo_promedio DECIMAL(10,2);
+
+COMMIT;
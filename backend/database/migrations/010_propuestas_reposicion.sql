@@ -0,0 +1,44 @@
+-- ============================================================
+-- Migración 010: Propuestas de reposición de stock
+-- Cuando el stock libre de un material cruza su mínimo se genera
+-- una propuesta con la cantidad a reponer (nivel objetivo, días de
+-- reposición y consumo pronosticado). Solo puede haber una propuesta
+-- abierta (pendiente o aprobada) por material.
+-- ============================================================
+
+BEGIN;
+
+-- Parámetros de reposición por material (NULL = valores por defecto)
+ALTER TABLE stock ADD COLUMN IF NOT EXISTS nivel_objetivo DECIMAL(10,2)
+    CHECK (nivel_objetivo IS NULL OR nivel_objetivo > 0);
+ALTER TABLE stock ADD COLUMN IF NOT EXISTS dias_reposicion INTEGER
+    CHECK (dias_reposicion IS NULL OR dias_reposicion > 0);
+
+CREATE TABLE IF NOT EXISTS propuestas_reposicion (
+    id SERIAL PRIMARY KEY,
+    material_id INTEGER NOT NULL REFERENCES materiales(id),
+    estado VARCHAR(20) NOT NULL DEFAULT 'pendiente'
+        CHECK (estado IN ('pendiente', 'aprobada', 'rechazada', 'atendida')),
+    cantidad_sugerida DECIMAL(10,2) NOT NULL CHECK (cantidad_sugerida > 0),
+    cantidad_aprobada DECIMAL(10,2) CHECK (cantidad_aprobada > 0),
+    -- Datos con los que se calculó la propuesta
+    cantidad_libre DECIMAL(10,2) NOT NULL,
+    cantidad_minima DECIMAL(10,2) NOT NULL,
+    cantidad_en_camino DECIMAL(10,2) NOT NULL DEFAULT 0,
+    nivel_objetivo DECIMAL(10,2) NOT NULL,
+    dias_reposicion INTEGER NOT NULL,
+    consumo_promedio_diario DECIMAL(10,2) NOT NULL DEFAULT 0,
+    nota TEXT,
+    resuelta_por INTEGER REFERENCES usuarios(id),
+    resuelta_en TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_propuestas_reposicion_abierta
+    ON propuestas_reposicion(material_id)
+    WHERE estado IN ('pendiente', 'aprobada');
+
+CREATE INDEX IF NOT EXISTS idx_propuestas_reposicion_estado
+    ON propuestas_reposicion(estado, created_at);
+
+COMMIT;
@@ -0,0 +1,106 @@
+-- ============================================================
+-- Migración 011: Patios (puntos de extracción / acopio)
+-- stock sigue siendo el total por material; stock_patios guarda
+-- cuánto hay de cada material en cada patio (la suma coincide con
+-- el total). Los pedidos salen de un patio, las reservas apartan
+-- material de ese patio y las transferencias entre patios quedan
+-- en el kardex como dos movimientos (salida y entrada).
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS patios (
+    id SERIAL PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL UNIQUE,
+    direccion TEXT,
+    lat DECIMAL(10,8) NOT NULL,
+    lng DECIMAL(11,8) NOT NULL,
+    principal BOOLEAN NOT NULL DEFAULT false,
+    activo BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Un solo patio principal (destino por defecto de entradas y ajustes)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patios_principal
+    ON patios(principal)
+    WHERE principal;
+
+INSERT INTO patios (nombre, direccion, lat, lng, principal)
+SELECT 'Planta principal', 'Cochabamba', -17.3935, -66.1570, true
+WHERE NOT EXISTS (SELECT 1 FROM patios);
+
+CREATE TABLE IF NOT EXISTS stock_patios (
+    patio_id INTEGER NOT NULL REFERENCES patios(id),
+    material_id INTEGER NOT NULL REFERENCES materiales(id),
+    cantidad_disponible DECIMAL(10,2) NOT NULL DEFAULT 0
+        CHECK (cantidad_disponible >= 0),
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (patio_id, material_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_patios_material
+    ON stock_patios(material_id);
+
+-- Todo el stock existente queda en el patio principal
+INSERT INTO stock_patios (patio_id, material_id, cantidad_disponible)
+SELECT p.id, s.material_id, s.cantidad_disponible
+FROM stock s
+CROSS JOIN patios p
+WHERE p.principal
+ON CONFLICT (patio_id, material_id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS transferencias_stock (
+    id SERIAL PRIMARY KEY,
+    material_id INTEGER NOT NULL REFERENCES materiales(id),
+    origen_patio_id INTEGER NOT NULL REFERENCES patios(id),
+    destino_patio_id INTEGER NOT NULL REFERENCES patios(id),
+    cantidad DECIMAL(10,2) NOT NULL CHECK (cantidad > 0),
+    usuario_id INTEGER REFERENCES usuarios(id),
+    nota TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT transferencias_stock_patios_distintos
+        CHECK (origen_patio_id <> destino_patio_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transferencias_stock_material
+    ON transferencias_stock(material_id, created_at);
+
+-- Kardex por patio: saldo sigue siendo el total del material
+ALTER TABLE stock_movimientos
+    ADD COLUMN IF NOT EXISTS patio_id INTEGER REFERENCES patios(id),
+    ADD COLUMN IF NOT EXISTS saldo_patio DECIMAL(10,2)
+        CHECK (saldo_patio IS NULL OR saldo_patio >= 0),
+    ADD COLUMN IF NOT EXISTS transferencia_id INTEGER
+        REFERENCES transferencias_stock(id);
+
+UPDATE stock_movimientos
+SET patio_id = (SELECT id FROM patios WHERE principal)
+WHERE patio_id IS NULL;
+
+ALTER TABLE stock_movimientos
+    DROP CONSTRAINT IF EXISTS stock_movimientos_tipo_check;
+
+ALTER TABLE stock_movimientos
+    ADD CONSTRAINT stock_movimientos_tipo_check CHECK (
+        tipo IN ('entrada', 'salida_pedido', 'ajuste', 'merma', 'devolucion', 'transferencia')
+    );
+
+-- Patio de origen de cada pedido y de sus reservas
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS patio_id INTEGER REFERENCES patios(id);
+ALTER TABLE stock_reservas ADD COLUMN IF NOT EXISTS patio_id INTEGER REFERENCES patios(id);
+ALTER TABLE recepciones_compra ADD COLUMN IF NOT EXISTS patio_id INTEGER REFERENCES patios(id);
+
+UPDATE pedidos SET patio_id = (SELECT id FROM patios WHERE principal)
+WHERE patio_id IS NULL;
+UPDATE stock_reservas SET patio_id = (SELECT id FROM patios WHERE principal)
+WHERE patio_id IS NULL;
+UPDATE recepciones_compra SET patio_id = (SELECT id FROM patios WHERE principal)
+WHERE patio_id IS NULL;
+
+-- La proximidad ahora mide la ruta vehículo → patio → destino
+UPDATE reglas_asignacion
+SET descripcion = 'Puntos según la distancia del vehículo al patio de carga y del patio al destino'
+WHERE codigo = 'proximidad_geografica';
+
+COMMIT;
@@ -0,0 +1,96 @@
+-- ============================================================
+-- Migración 012: Historial de precios y listas de precios
+-- Los precios ya no se sobrescriben: cada cambio es una versión con
+-- fecha de vigencia dentro de una lista. La lista general (sin tipo
+-- de cliente) es la base; las listas por tipo_cliente la reemplazan
+-- para los materiales que tengan precio propio. Cada lista puede
+-- tener descuentos por volumen. El pedido guarda la lista aplicada
+-- y cada línea el precio de lista y el descuento usados.
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS listas_precios (
+    id SERIAL PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL UNIQUE,
+    -- NULL = lista general (base para todos los clientes)
+    tipo_cliente VARCHAR(30),
+    descripcion TEXT,
+    activa BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Una sola lista general y una lista por tipo de cliente
+CREATE UNIQUE INDEX IF NOT EXISTS idx_listas_precios_general
+    ON listas_precios((tipo_cliente IS NULL))
+    WHERE tipo_cliente IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_listas_precios_tipo
+    ON listas_precios(tipo_cliente)
+    WHERE tipo_cliente IS NOT NULL;
+
+INSERT INTO listas_precios (nombre, descripcion)
+SELECT 'General', 'Precios base para todos los clientes'
+WHERE NOT EXISTS (SELECT 1 FROM listas_precios WHERE tipo_cliente IS NULL);
+
+-- Versiones de precio: la vigente es la última con vigente_desde <= ahora
+CREATE TABLE IF NOT EXISTS material_precios (
+    id SERIAL PRIMARY KEY,
+    lista_id INTEGER NOT NULL REFERENCES listas_precios(id),
+    material_id INTEGER NOT NULL REFERENCES materiales(id),
+    precio DECIMAL(10,2) NOT NULL CHECK (precio > 0),
+    vigente_desde TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    usuario_id INTEGER REFERENCES usuarios(id),
+    motivo TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (lista_id, material_id, vigente_desde)
+);
+
+CREATE INDEX IF NOT EXISTS idx_material_precios_vigencia
+    ON material_precios(material_id, lista_id, vigente_desde DESC);
+
+-- El precio actual de cada material pasa a ser su primera versión
+INSERT INTO material_precios (lista_id, material_id, precio, vigente_desde, motivo)
+SELECT l.id, m.id, m.precio_por_unidad, COALESCE(m.created_at, CURRENT_TIMESTAMP),
+       'Precio inicial'
+FROM materiales m
+CROSS JOIN listas_precios l
+WHERE l.tipo_cliente IS NULL
+  AND m.precio_por_unidad > 0
+ON CONFLICT (lista_id, material_id, vigente_desde) DO NOTHING;
+
+-- Descuentos por volumen (material_id NULL = todos los materiales)
+CREATE TABLE IF NOT EXISTS descuentos_volumen (
+    id SERIAL PRIMARY KEY,
+    lista_id INTEGER NOT NULL REFERENCES listas_precios(id),
+    material_id INTEGER REFERENCES materiales(id),
+    cantidad_minima DECIMAL(10,2) NOT NULL CHECK (cantidad_minima > 0),
+    porcentaje DECIMAL(5,2) NOT NULL CHECK (porcentaje > 0 AND porcentaje < 100),
+    activo BOOLEAN NOT NULL DEFAULT true,
+    usuario_id INTEGER REFERENCES usuarios(id),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_descuentos_volumen_lista
+    ON descuentos_volumen(lista_id)
+    WHERE activo;
+
+-- Lista aplicada al pedido y precio usado en cada línea
+ALTER TABLE pedidos
+    ADD COLUMN IF NOT EXISTS lista_precio_id INTEGER REFERENCES listas_precios(id);
+
+ALTER TABLE pedido_detalles
+    ADD COLUMN IF NOT EXISTS lista_precio_id INTEGER REFERENCES listas_precios(id),
+    ADD COLUMN IF NOT EXISTS precio_lista DECIMAL(10,2),
+    ADD COLUMN IF NOT EXISTS descuento_porcentaje DECIMAL(5,2) NOT NULL DEFAULT 0;
+
+UPDATE pedidos
+SET lista_precio_id = (SELECT id FROM listas_precios WHERE tipo_cliente IS NULL)
+WHERE lista_precio_id IS NULL;
+
+UPDATE pedido_detalles
+SET lista_precio_id = (SELECT id FROM listas_precios WHERE tipo_cliente IS NULL),
+    precio_lista = precio_unitario
+WHERE lista_precio_id IS NULL;
+
+COMMIT;
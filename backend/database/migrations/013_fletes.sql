@@ -0,0 +1,62 @@
+-- ============================================================
+-- Migración 013: Flete por distancia y zona
+-- El flete se cobra cuando el pedido tiene coordenadas de entrega:
+-- km del patio de origen al destino por la tarifa del tamaño de
+-- vehículo que necesita el volumen (con cargo mínimo por viaje),
+-- más el recargo fijo de la zona del destino. Las zonas se
+-- reconocen por polígono (lista de [lat, lng]) o, si no lo tienen,
+-- por nombre de distrito en la dirección.
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS zonas_flete (
+    id SERIAL PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL UNIQUE,
+    poligono JSONB,
+    palabras_clave TEXT[],
+    recargo_fijo DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (recargo_fijo >= 0),
+    -- Si un punto cae en varias zonas gana la de mayor prioridad
+    prioridad INTEGER NOT NULL DEFAULT 0,
+    activa BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT zonas_flete_criterio CHECK (
+        poligono IS NOT NULL OR palabras_clave IS NOT NULL
+    )
+);
+
+INSERT INTO zonas_flete (nombre, palabras_clave, recargo_fijo, prioridad)
+VALUES
+    ('Cercado', ARRAY['cercado', 'centro'], 0, 0),
+    ('Sacaba', ARRAY['sacaba'], 30, 10),
+    ('Quillacollo', ARRAY['quillacollo'], 30, 10)
+ON CONFLICT (nombre) DO NOTHING;
+
+-- Tarifa por km según el tamaño de vehículo (capacidad máxima en m³)
+CREATE TABLE IF NOT EXISTS tarifas_flete (
+    id SERIAL PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL UNIQUE,
+    capacidad_m3 DECIMAL(10,2) NOT NULL UNIQUE CHECK (capacidad_m3 > 0),
+    tarifa_km DECIMAL(10,2) NOT NULL CHECK (tarifa_km > 0),
+    cargo_minimo DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (cargo_minimo >= 0),
+    activa BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO tarifas_flete (nombre, capacidad_m3, tarifa_km, cargo_minimo)
+VALUES
+    ('Volqueta pequeña', 10, 8, 80),
+    ('Volqueta mediana', 20, 12, 120),
+    ('Volqueta grande', 30, 16, 160)
+ON CONFLICT (nombre) DO NOTHING;
+
+-- Flete cobrado en el pedido (precio_total ya lo incluye)
+ALTER TABLE pedidos
+    ADD COLUMN IF NOT EXISTS costo_flete DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS distancia_flete_km DECIMAL(10,2),
+    ADD COLUMN IF NOT EXISTS zona_flete_id INTEGER REFERENCES zonas_flete(id),
+    ADD COLUMN IF NOT EXISTS tarifa_flete_id INTEGER REFERENCES tarifas_flete(id);
+
+COMMIT;
@@ -0,0 +1,70 @@
+-- ============================================================
+-- Migración 014: Cotizaciones
+-- El cliente pide precio antes de comprometerse: la cotización
+-- guarda líneas con precio de lista y descuento, el flete y el
+-- total, con numeración propia y fecha de vencimiento. No toca
+-- stock ni cuenta en estadísticas de pedidos. Al aceptarla se
+-- crea el pedido con esos mismos precios.
+-- Estados guardados: vigente, aceptada, rechazada. "vencida" se
+-- deriva de vigente_hasta al consultar.
+-- ============================================================
+
+BEGIN;
+
+CREATE SEQUENCE IF NOT EXISTS cotizaciones_numero_seq;
+
+CREATE TABLE IF NOT EXISTS cotizaciones (
+    id SERIAL PRIMARY KEY,
+    numero VARCHAR(20) NOT NULL UNIQUE,
+    cliente_id INTEGER NOT NULL REFERENCES clientes(id),
+    estado VARCHAR(20) NOT NULL DEFAULT 'vigente'
+        CHECK (estado IN ('vigente', 'aceptada', 'rechazada')),
+    lista_precio_id INTEGER REFERENCES listas_precios(id),
+    -- Patio pedido por el cliente (NULL = el más cercano con stock)
+    patio_id INTEGER REFERENCES patios(id),
+    -- Patio desde el que se calculó el flete
+    patio_origen_id INTEGER REFERENCES patios(id),
+    direccion_entrega TEXT NOT NULL,
+    direccion_lat DECIMAL(10,8),
+    direccion_lng DECIMAL(11,8),
+    telefono_contacto VARCHAR(20),
+    fecha_entrega_solicitada DATE,
+    observaciones TEXT,
+    subtotal_materiales DECIMAL(12,2) NOT NULL,
+    costo_flete DECIMAL(10,2) NOT NULL DEFAULT 0,
+    distancia_flete_km DECIMAL(10,2),
+    zona_flete_id INTEGER REFERENCES zonas_flete(id),
+    tarifa_flete_id INTEGER REFERENCES tarifas_flete(id),
+    precio_total DECIMAL(12,2) NOT NULL,
+    vigente_hasta TIMESTAMP NOT NULL,
+    pedido_id INTEGER REFERENCES pedidos(id),
+    creado_por INTEGER REFERENCES usuarios(id),
+    respondido_por INTEGER REFERENCES usuarios(id),
+    respondido_en TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_cotizaciones_cliente
+    ON cotizaciones(cliente_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS cotizacion_detalles (
+    id SERIAL PRIMARY KEY,
+    cotizacion_id INTEGER NOT NULL REFERENCES cotizaciones(id) ON DELETE CASCADE,
+    material_id INTEGER NOT NULL REFERENCES materiales(id),
+    cantidad DECIMAL(10,2) NOT NULL CHECK (cantidad > 0),
+    lista_precio_id INTEGER REFERENCES listas_precios(id),
+    precio_lista DECIMAL(10,2) NOT NULL,
+    descuento_porcentaje DECIMAL(5,2) NOT NULL DEFAULT 0,
+    precio_unitario DECIMAL(10,2) NOT NULL,
+    subtotal DECIMAL(12,2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_cotizacion_detalles_cotizacion
+    ON cotizacion_detalles(cotizacion_id);
+
+-- Pedido originado en una cotización
+ALTER TABLE pedidos
+    ADD COLUMN IF NOT EXISTS cotizacion_id INTEGER REFERENCES cotizaciones(id);
+
+COMMIT;
@@ -0,0 +1,64 @@
+-- ============================================================
+-- Migración 015: Facturación y cobranza
+-- Los pedidos entregados se facturan solos o agrupados por cliente.
+-- Los pagos (efectivo, transferencia, QR) pueden ser parciales; la
+-- factura guarda lo pagado y su estado sigue al saldo. El saldo
+-- vencido se mide contra fecha_vencimiento (antigüedad de cartera).
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS facturas (
+    id SERIAL PRIMARY KEY,
+    codigo VARCHAR(20) NOT NULL UNIQUE,
+    cliente_id INTEGER NOT NULL REFERENCES clientes(id),
+    estado VARCHAR(20) NOT NULL DEFAULT 'pendiente'
+        CHECK (estado IN ('pendiente', 'parcial', 'pagada', 'anulada')),
+    total DECIMAL(12,2) NOT NULL CHECK (total > 0),
+    monto_pagado DECIMAL(12,2) NOT NULL DEFAULT 0,
+    fecha_emision DATE NOT NULL DEFAULT CURRENT_DATE,
+    fecha_vencimiento DATE NOT NULL,
+    observaciones TEXT,
+    creado_por INTEGER REFERENCES usuarios(id),
+    motivo_anulacion TEXT,
+    anulada_por INTEGER REFERENCES usuarios(id),
+    anulada_en TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT facturas_pagado CHECK (
+        monto_pagado >= 0 AND monto_pagado <= total
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_facturas_cliente
+    ON facturas(cliente_id, fecha_emision DESC);
+
+-- Pedidos incluidos en cada factura (se conservan al anularla)
+CREATE TABLE IF NOT EXISTS factura_pedidos (
+    factura_id INTEGER NOT NULL REFERENCES facturas(id) ON DELETE CASCADE,
+    pedido_id INTEGER NOT NULL REFERENCES pedidos(id),
+    monto DECIMAL(12,2) NOT NULL,
+    PRIMARY KEY (factura_id, pedido_id)
+);
+
+-- Factura vigente del pedido (NULL = por facturar o factura anulada)
+ALTER TABLE pedidos
+    ADD COLUMN IF NOT EXISTS factura_id INTEGER REFERENCES facturas(id);
+
+CREATE TABLE IF NOT EXISTS pagos (
+    id SERIAL PRIMARY KEY,
+    factura_id INTEGER NOT NULL REFERENCES facturas(id),
+    monto DECIMAL(12,2) NOT NULL CHECK (monto > 0),
+    metodo VARCHAR(20) NOT NULL
+        CHECK (metodo IN ('efectivo', 'transferencia', 'qr')),
+    referencia VARCHAR(100),
+    fecha_pago DATE NOT NULL DEFAULT CURRENT_DATE,
+    observaciones TEXT,
+    registrado_por INTEGER REFERENCES usuarios(id),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pagos_factura ON pagos(factura_id);
+CREATE INDEX IF NOT EXISTS idx_pagos_fecha ON pagos(fecha_pago);
+
+COMMIT;
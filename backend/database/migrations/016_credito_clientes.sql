@@ -0,0 +1,42 @@
+-- ============================================================
+-- Migración 016: Crédito de clientes
+-- Cada cliente puede tener límite de crédito y plazo de pago. La
+-- exposición es lo facturado sin pagar más los pedidos activos o
+-- entregados aún sin factura. Un pedido que la lleva sobre el
+-- límite se bloquea o solo se marca, según el cliente; un
+-- administrador puede autorizarlo y la autorización queda
+-- registrada.
+-- ============================================================
+
+BEGIN;
+
+ALTER TABLE clientes
+    -- NULL = sin control de crédito
+    ADD COLUMN IF NOT EXISTS limite_credito DECIMAL(12,2)
+        CHECK (limite_credito >= 0),
+    -- NULL = plazo por defecto de facturación
+    ADD COLUMN IF NOT EXISTS plazo_pago_dias INTEGER
+        CHECK (plazo_pago_dias BETWEEN 0 AND 180),
+    ADD COLUMN IF NOT EXISTS exceso_credito VARCHAR(20) NOT NULL DEFAULT 'bloquear'
+        CHECK (exceso_credito IN ('bloquear', 'marcar'));
+
+ALTER TABLE pedidos
+    ADD COLUMN IF NOT EXISTS excede_credito BOOLEAN NOT NULL DEFAULT false;
+
+-- Pedidos aceptados sobre el límite por decisión de un administrador
+CREATE TABLE IF NOT EXISTS credito_autorizaciones (
+    id SERIAL PRIMARY KEY,
+    pedido_id INTEGER NOT NULL REFERENCES pedidos(id),
+    cliente_id INTEGER NOT NULL REFERENCES clientes(id),
+    usuario_id INTEGER NOT NULL REFERENCES usuarios(id),
+    limite_credito DECIMAL(12,2) NOT NULL,
+    exposicion DECIMAL(12,2) NOT NULL,
+    monto_pedido DECIMAL(12,2) NOT NULL,
+    motivo TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_credito_autorizaciones_cliente
+    ON credito_autorizaciones(cliente_id, created_at DESC);
+
+COMMIT;
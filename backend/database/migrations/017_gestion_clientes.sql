@@ -0,0 +1,24 @@
+-- ============================================================
+-- Migración 017: Gestión de clientes por el personal
+-- NIT para buscar y facturar, y desactivación: un cliente
+-- desactivado no inicia sesión ni recibe pedidos nuevos, pero
+-- conserva su historial y sus facturas.
+-- ============================================================
+
+BEGIN;
+
+ALTER TABLE clientes
+    ADD COLUMN IF NOT EXISTS nit VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS activo BOOLEAN NOT NULL DEFAULT true,
+    ADD COLUMN IF NOT EXISTS desactivado_en TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS desactivado_por INTEGER REFERENCES usuarios(id),
+    ADD COLUMN IF NOT EXISTS motivo_desactivacion TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clientes_nit
+    ON clientes(nit)
+    WHERE nit IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_clientes_activo
+    ON clientes(activo);
+
+COMMIT;
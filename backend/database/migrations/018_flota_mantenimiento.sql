@@ -0,0 +1,47 @@
+-- ============================================================
+-- Migración 018: Alta y baja de vehículos y mantenimientos
+-- Los vehículos retirados no se borran (conservan asignaciones e
+-- historial), solo dejan de contar en la flota. Un servicio
+-- programado pone el vehículo en mantenimiento al llegar su fecha
+-- (o apenas quede libre si estaba en uso) y lo saca de los
+-- disponibles hasta que se completa.
+-- ============================================================
+
+BEGIN;
+
+ALTER TABLE vehiculos
+    ADD COLUMN IF NOT EXISTS activo BOOLEAN NOT NULL DEFAULT true,
+    ADD COLUMN IF NOT EXISTS retirado_en TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS motivo_retiro TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehiculos_placa
+    ON vehiculos(placa);
+
+CREATE TABLE IF NOT EXISTS vehiculo_mantenimientos (
+    id SERIAL PRIMARY KEY,
+    vehiculo_id INTEGER NOT NULL REFERENCES vehiculos(id),
+    tipo_servicio VARCHAR(100) NOT NULL,
+    estado VARCHAR(20) NOT NULL DEFAULT 'programado'
+        CHECK (estado IN ('programado', 'en_curso', 'completado', 'cancelado')),
+    fecha_programada DATE NOT NULL,
+    fecha_realizada DATE,
+    odometro_km INTEGER CHECK (odometro_km >= 0),
+    costo DECIMAL(10,2) CHECK (costo >= 0),
+    -- Fecha del siguiente servicio; al completar se programa solo
+    proxima_fecha DATE,
+    observaciones TEXT,
+    iniciado_en TIMESTAMP,
+    registrado_por INTEGER REFERENCES usuarios(id),
+    completado_por INTEGER REFERENCES usuarios(id),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehiculo_mantenimientos_vehiculo
+    ON vehiculo_mantenimientos(vehiculo_id, fecha_programada DESC);
+
+CREATE INDEX IF NOT EXISTS idx_vehiculo_mantenimientos_programados
+    ON vehiculo_mantenimientos(fecha_programada)
+    WHERE estado = 'programado';
+
+COMMIT;
@@ -0,0 +1,31 @@
+-- ============================================================
+-- Migración 019: Historial de estados de vehículos
+-- Cada cambio de estado (manual, por asignación, entrega o
+-- mantenimiento) queda registrado con quién y por qué. Las
+-- transiciones permitidas se controlan en Vehiculo.FLUJO_ESTADOS.
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS vehiculo_eventos (
+    id SERIAL PRIMARY KEY,
+    vehiculo_id INTEGER NOT NULL REFERENCES vehiculos(id) ON DELETE CASCADE,
+    estado_anterior VARCHAR(20),
+    estado_nuevo VARCHAR(20) NOT NULL,
+    usuario_id INTEGER REFERENCES usuarios(id),
+    -- Pedido que provocó el cambio (asignación, entrega o avería)
+    pedido_id INTEGER REFERENCES pedidos(id) ON DELETE SET NULL,
+    motivo TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehiculo_eventos_vehiculo
+    ON vehiculo_eventos(vehiculo_id, created_at);
+
+-- Punto de partida del historial: estado actual de cada vehículo
+INSERT INTO vehiculo_eventos (vehiculo_id, estado_anterior, estado_nuevo, motivo)
+SELECT v.id, NULL, v.estado::text, 'Registrado al migrar'
+FROM vehiculos v
+WHERE NOT EXISTS (SELECT 1 FROM vehiculo_eventos e WHERE e.vehiculo_id = v.id);
+
+COMMIT;
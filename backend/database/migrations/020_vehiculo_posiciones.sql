@@ -0,0 +1,33 @@
+-- ============================================================
+-- Migración 020: Historial de posiciones GPS
+-- Cada reporte de ubicación se guarda con su hora de registro en
+-- el dispositivo, velocidad y rumbo; la ubicación actual del
+-- vehículo sigue en vehiculos y solo avanza con puntos más nuevos.
+-- Los dispositivos que acumulan puntos sin señal los envían en
+-- lote (reintentar un lote no duplica puntos). Pasados unos días
+-- los puntos se resumen a uno por intervalo y, al vencer la
+-- retención, se borran (ver PosicionVehiculo).
+-- ============================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS vehiculo_posiciones (
+    id BIGSERIAL PRIMARY KEY,
+    vehiculo_id INTEGER NOT NULL REFERENCES vehiculos(id) ON DELETE CASCADE,
+    lat DECIMAL(10,7) NOT NULL CHECK (lat BETWEEN -90 AND 90),
+    lng DECIMAL(10,7) NOT NULL CHECK (lng BETWEEN -180 AND 180),
+    velocidad_kmh DECIMAL(6,2) CHECK (velocidad_kmh >= 0),
+    rumbo DECIMAL(5,2) CHECK (rumbo >= 0 AND rumbo < 360),
+    registrado_en TIMESTAMP NOT NULL,
+    recibido_en TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    reportado_por INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+    -- Ya pasó por el resumen de puntos antiguos
+    resumido BOOLEAN NOT NULL DEFAULT false,
+    CONSTRAINT vehiculo_posiciones_unica UNIQUE (vehiculo_id, registrado_en)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehiculo_posiciones_registro
+    ON vehiculo_posiciones(registrado_en)
+    WHERE resumido = false;
+
+COMMIT;
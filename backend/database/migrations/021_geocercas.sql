@@ -0,0 +1,57 @@
+-- ============================================================
+-- Migración 021: Geocercas de patios y destinos
+-- Con cada posición GPS se detecta la llegada y la salida de los
+-- vehículos en los patios y en la dirección de entrega de sus
+-- pedidos. Cada visita guarda la hora de entrada, de salida y la
+-- permanencia en el sitio. El radio se configura por patio y por
+-- cliente (sus obras); sin valor se usa el radio por defecto de
+-- Geocerca. Las reglas para avanzar el pedido están en Geocerca.
+-- ============================================================
+
+BEGIN;
+
+ALTER TABLE patios
+    ADD COLUMN IF NOT EXISTS radio_geocerca_m INTEGER
+        CHECK (radio_geocerca_m BETWEEN 20 AND 5000);
+
+ALTER TABLE clientes
+    ADD COLUMN IF NOT EXISTS radio_geocerca_m INTEGER
+        CHECK (radio_geocerca_m BETWEEN 20 AND 5000);
+
+-- Hora del último punto evaluado: los puntos atrasados o reenviados
+-- no vuelven a generar llegadas ni salidas
+ALTER TABLE vehiculos
+    ADD COLUMN IF NOT EXISTS geocerca_evaluada_hasta TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS vehiculo_visitas (
+    id SERIAL PRIMARY KEY,
+    vehiculo_id INTEGER NOT NULL REFERENCES vehiculos(id) ON DELETE CASCADE,
+    -- Un patio o el destino de un pedido
+    patio_id INTEGER REFERENCES patios(id) ON DELETE CASCADE,
+    pedido_id INTEGER REFERENCES pedidos(id) ON DELETE CASCADE,
+    radio_m INTEGER NOT NULL,
+    entrada_en TIMESTAMP NOT NULL,
+    salida_en TIMESTAMP,
+    permanencia_segundos INTEGER,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((patio_id IS NULL) <> (pedido_id IS NULL)),
+    CHECK (salida_en IS NULL OR salida_en >= entrada_en)
+);
+
+-- Una sola visita abierta por vehículo y sitio
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehiculo_visitas_abierta_patio
+    ON vehiculo_visitas(vehiculo_id, patio_id)
+    WHERE salida_en IS NULL AND patio_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehiculo_visitas_abierta_pedido
+    ON vehiculo_visitas(vehiculo_id, pedido_id)
+    WHERE salida_en IS NULL AND pedido_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_vehiculo_visitas_vehiculo
+    ON vehiculo_visitas(vehiculo_id, entrada_en);
+
+CREATE INDEX IF NOT EXISTS idx_vehiculo_visitas_pedido
+    ON vehiculo_visitas(pedido_id)
+    WHERE pedido_id IS NOT NULL;
+
+COMMIT;
@@ -3,6 +3,7 @@ const express = require("express");
 const cors = require("cors");
 const { connectDB, pool } = require("./config/database");
 const logger = require("./utils/logger");
+const MantenimientoVehiculo = require("./models/MantenimientoVehiculo");
 
 // Middlewares de manejo de errores
 const {
@@ -48,18 +49,50 @@ app.use("/api/auth", authRoutes);
 const materialesRoutes = require("./routes/materiales");
 app.use("/api/materiales", materialesRoutes);
 
+// Precios
+const preciosRoutes = require("./routes/precios");
+app.use("/api/precios", preciosRoutes);
+
+// Fletes
+const fletesRoutes = require("./routes/fletes");
+app.use("/api/fletes", fletesRoutes);
+
 // Stock (Fase 4)
 const stockRoutes = require("./routes/stock");
 app.use("/api/stock", stockRoutes);
 
+// Compras
+const comprasRoutes = require("./routes/compras");
+app.use("/api/compras", comprasRoutes);
+
+// Patios
+const patiosRoutes = require("./routes/patios");
+app.use("/api/patios", patiosRoutes);
+
 // Pedidos (Fase 5)
 const pedidosRoutes = require("./routes/pedidos");
 app.use("/api/pedidos", pedidosRoutes);
 
+// Cotizaciones
+const cotizacionesRoutes = require("./routes/cotizaciones");
+app.use("/api/cotizaciones", cotizacionesRoutes);
+
+// Facturación y cobranza
+const facturasRoutes = require("./routes/facturas");
+app.use("/api/facturas", facturasRoutes);
+
+// Clientes (gestión y crédito)
+const clientesRoutes = require("./routes/clientes");
+app.use("/api/clientes", clientesRoutes);
+
 // Vehículos (Fase 6)
 const vehiculosRoutes = require("./routes/vehiculos");
 app.use("/api/vehiculos", vehiculosRoutes);
 
+// Conductores
+const conductorRoutes = require("./routes/conductor");
+app.use("/api/conductor", conductorRoutes);
+
 // DASHBOARD (Fase 7)
 const dashboardRoutes = require("./routes/dashboard");
 app.use("/api/dashboard", dashboardRoutes);
@@ -118,6 +151,9 @@ const startServer = async () => {
       logger.info(`Servidor iniciado en puerto ${PORT}`);
       logger.info(`Entorno: ${process.env.NODE_ENV}`);
 
+      // Servicios programados que llegan a su fecha
+      MantenimientoVehiculo.iniciarRevisionPeriodica();
+
       // Info mínima solo en desarrollo
       if (process.env.NODE_ENV === "development") {
         console.log(`\nServidor: http://localhost:${PORT}/api`);
@@ -133,6 +169,7 @@ const gracefulShutdown = async (signal) => {
   logger.info(`Cerrando servidor (${signal})`);
 
   try {
+    MantenimientoVehiculo.detenerRevisionPeriodica();
     await pool.end();
     logger.info("Servidor cerrado correctamente");
     process.exit(0);
@@ -40,16 +40,40 @@ const USUARIOS_QUERIES = {
 
 const MATERIALES_QUERIES = {
   LIST_ACTIVE: `
-        SELECT id, nombre, descripcion, unidad_medida, precio_por_unidad, created_at
-        FROM materiales 
-        WHERE activo = true
-        ORDER BY nombre
+        SELECT m.id, m.nombre, m.descripcion, m.unidad_medida,
+               COALESCE(pv.precio, m.precio_por_unidad) as precio_por_unidad,
+               m.created_at
+        FROM materiales m
+        LEFT JOIN LATERAL (
+            SELECT mp.precio
+            FROM material_precios mp
+            JOIN listas_precios l ON mp.lista_id = l.id
+            WHERE mp.material_id = m.id
+              AND l.tipo_cliente IS NULL
+              AND mp.vigente_desde <= CURRENT_TIMESTAMP
+            ORDER BY mp.vigente_desde DESC
+            LIMIT 1
+        ) pv ON true
+        WHERE m.activo = true
+        ORDER BY m.nombre
     `,
 
   FIND_BY_ID: `
-        SELECT id, nombre, descripcion, unidad_medida, precio_por_unidad, activo, created_at
-        FROM materiales 
-        WHERE id = $1
+        SELECT m.id, m.nombre, m.descripcion, m.unidad_medida,
+               COALESCE(pv.precio, m.precio_por_unidad) as precio_por_unidad,
+               m.activo, m.created_at
+        FROM materiales m
+        LEFT JOIN LATERAL (
+            SELECT mp.precio
+            FROM material_precios mp
+            JOIN listas_precios l ON mp.lista_id = l.id
+            WHERE mp.material_id = m.id
+              AND l.tipo_cliente IS NULL
+              AND mp.vigente_desde <= CURRENT_TIMESTAMP
+            ORDER BY mp.vigente_desde DESC
+            LIMIT 1
+        ) pv ON true
+        WHERE m.id = $1
     `,
 
   CREATE: `
@@ -73,6 +97,177 @@ const MATERIALES_QUERIES = {
     `,
 };
 
+const PRECIOS_QUERIES = {
+  LIST_LISTAS: `
+        SELECT l.id, l.nombre, l.tipo_cliente, l.descripcion, l.activa, l.created_at,
+               (SELECT COUNT(*) FROM descuentos_volumen d
+                WHERE d.lista_id = l.id AND d.activo) as descuentos_activos
+        FROM listas_precios l
+        WHERE ($1::boolean IS NULL OR l.activa = $1)
+        ORDER BY l.tipo_cliente NULLS FIRST, l.nombre
+    `,
+
+  FIND_LISTA_BY_ID: `
+        SELECT id, nombre, tipo_cliente, descripcion, activa, created_at, updated_at
+        FROM listas_precios
+        WHERE id = $1
+    `,
+
+  FIND_LISTA_GENERAL: `
+        SELECT id, nombre, tipo_cliente, descripcion, activa
+        FROM listas_precios
+        WHERE tipo_cliente IS NULL
+    `,
+
+  FIND_LISTA_BY_TIPO: `
+        SELECT id, nombre, tipo_cliente, descripcion, activa
+        FROM listas_precios
+        WHERE tipo_cliente = $1 AND activa = true
+    `,
+
+  CREATE_LISTA: `
+        INSERT INTO listas_precios (nombre, tipo_cliente, descripcion)
+        VALUES ($1, $2, $3)
+        RETURNING id, nombre, tipo_cliente, descripcion, activa, created_at
+    `,
+
+  UPDATE_LISTA: `
+        UPDATE listas_precios
+        SET nombre = $2, descripcion = $3, activa = $4, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, nombre, tipo_cliente, descripcion, activa, updated_at
+    `,
+
+  CREATE_VERSION: `
+        INSERT INTO material_precios (lista_id, material_id, precio, vigente_desde,
+                                      usuario_id, motivo)
+        VALUES ($1, $2, $3, COALESCE($4::timestamp, CURRENT_TIMESTAMP), $5, $6)
+        RETURNING id, lista_id, material_id, precio, vigente_desde, usuario_id,
+                  motivo, created_at
+    `,
+
+  HISTORIAL: `
+        SELECT mp.id, mp.lista_id, l.nombre as lista_nombre, l.tipo_cliente,
+               mp.precio, mp.vigente_desde,
+               LEAD(mp.vigente_desde) OVER (
+                   PARTITION BY mp.lista_id ORDER BY mp.vigente_desde
+               ) as vigente_hasta,
+               mp.motivo, mp.created_at,
+               u.nombre as usuario_nombre, u.apellido as usuario_apellido
+        FROM material_precios mp
+        JOIN listas_precios l ON mp.lista_id = l.id
+        LEFT JOIN usuarios u ON mp.usuario_id = u.id
+        WHERE mp.material_id = $1
+          AND ($2::int IS NULL OR mp.lista_id = $2)
+        ORDER BY mp.vigente_desde DESC, mp.id DESC
+    `,
+
+  VIGENTES_BY_MATERIALES: `
+        SELECT DISTINCT ON (mp.lista_id, mp.material_id)
+               mp.lista_id, mp.material_id, mp.precio, mp.vigente_desde
+        FROM material_precios mp
+        WHERE mp.material_id = ANY($1::int[])
+          AND mp.lista_id = ANY($2::int[])
+          AND mp.vigente_desde <= COALESCE($3::timestamp, CURRENT_TIMESTAMP)
+        ORDER BY mp.lista_id, mp.material_id, mp.vigente_desde DESC
+    `,
+
+  LIST_DESCUENTOS: `
+        SELECT d.id, d.lista_id, d.material_id, m.nombre as material_nombre,
+               d.cantidad_minima, d.porcentaje, d.activo, d.created_at
+        FROM descuentos_volumen d
+        LEFT JOIN materiales m ON d.material_id = m.id
+        WHERE d.lista_id = $1
+          AND ($2::boolean IS NULL OR d.activo = $2)
+        ORDER BY d.material_id NULLS FIRST, d.cantidad_minima
+    `,
+
+  DESCUENTOS_APLICABLES: `
+        SELECT id, lista_id, material_id, cantidad_minima, porcentaje
+        FROM descuentos_volumen
+        WHERE lista_id = ANY($1::int[])
+          AND activo = true
+          AND (material_id IS NULL OR material_id = ANY($2::int[]))
+        ORDER BY cantidad_minima
+    `,
+
+  CREATE_DESCUENTO: `
+        INSERT INTO descuentos_volumen (lista_id, material_id, cantidad_minima,
+                                        porcentaje, usuario_id)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, lista_id, material_id, cantidad_minima, porcentaje, activo,
+                  created_at
+    `,
+
+  DEACTIVATE_DESCUENTO: `
+        UPDATE descuentos_volumen
+        SET activo = false
+        WHERE id = $1 AND activo = true
+        RETURNING id, lista_id, material_id, cantidad_minima, porcentaje, activo
+    `,
+};
+
+const FLETES_QUERIES = {
+  LIST_ZONAS: `
+        SELECT id, nombre, poligono, palabras_clave, recargo_fijo, prioridad, activa,
+               created_at
+        FROM zonas_flete
+        WHERE ($1::boolean IS NULL OR activa = $1)
+        ORDER BY prioridad DESC, nombre
+    `,
+
+  FIND_ZONA_BY_ID: `
+        SELECT id, nombre, poligono, palabras_clave, recargo_fijo, prioridad, activa,
+               created_at, updated_at
+        FROM zonas_flete
+        WHERE id = $1
+    `,
+
+  CREATE_ZONA: `
+        INSERT INTO zonas_flete (nombre, poligono, palabras_clave, recargo_fijo, prioridad)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, nombre, poligono, palabras_clave, recargo_fijo, prioridad, activa,
+                  created_at
+    `,
+
+  UPDATE_ZONA: `
+        UPDATE zonas_flete
+        SET nombre = $2, poligono = $3, palabras_clave = $4, recargo_fijo = $5,
+            prioridad = $6, activa = $7, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, nombre, poligono, palabras_clave, recargo_fijo, prioridad, activa,
+                  updated_at
+    `,
+
+  LIST_TARIFAS: `
+        SELECT id, nombre, capacidad_m3, tarifa_km, cargo_minimo, activa, created_at
+        FROM tarifas_flete
+        WHERE ($1::boolean IS NULL OR activa = $1)
+        ORDER BY capacidad_m3
+    `,
+
+  FIND_TARIFA_BY_ID: `
+        SELECT id, nombre, capacidad_m3, tarifa_km, cargo_minimo, activa,
+               created_at, updated_at
+        FROM tarifas_flete
+        WHERE id = $1
+    `,
+
+  CREATE_TARIFA: `
+        INSERT INTO tarifas_flete (nombre, capacidad_m3, tarifa_km, cargo_minimo)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, nombre, capacidad_m3, tarifa_km, cargo_minimo, activa, created_at
+    `,
+
+  UPDATE_TARIFA: `
+        UPDATE tarifas_flete
+        SET nombre = $2, capacidad_m3 = $3, tarifa_km = $4, cargo_minimo = $5,
+            activa = $6, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, nombre, capacidad_m3, tarifa_km, cargo_minimo, activa, updated_at
+    `,
+};
+
 const STOCK_QUERIES = {
   LIST_WITH_ALERTS: `
         SELECT * FROM vista_inventario_alertas
@@ -92,6 +287,21 @@ const STOCK_QUERIES = {
         WHERE s.material_id = $1
     `,
 
+  LOCK_BY_MATERIAL: `
+        SELECT material_id, cantidad_disponible, cantidad_minima
+        FROM stock
+        WHERE material_id = $1
+        FOR UPDATE
+    `,
+
+  LOCK_BY_MATERIALES: `
+        SELECT material_id, cantidad_disponible, cantidad_minima
+        FROM stock
+        WHERE material_id = ANY($1::int[])
+        ORDER BY material_id
+        FOR UPDATE
+    `,
+
   UPDATE_QUANTITY: `
         UPDATE stock 
         SET cantidad_disponible = $2, actualizado_por = $3, ultima_actualizacion = CURRENT_TIMESTAMP
@@ -99,10 +309,6 @@ const STOCK_QUERIES = {
         RETURNING material_id, cantidad_disponible, cantidad_minima
     `,
 
-  CHECK_AVAILABILITY: `
-        SELECT verificar_stock_disponible($1, $2) as disponible
-    `,
-
   CRITICAL_STOCK: `
         SELECT * FROM vista_inventario_alertas
         WHERE nivel_stock = 'CRÍTICO'
@@ -117,25 +323,581 @@ const STOCK_QUERIES = {
         WHERE material_id = $1 AND cantidad_disponible >= $2
         RETURNING material_id, cantidad_disponible
     `,
+
+  // Salidas del kardex por día en que se descontaron; las de pedidos
+  // cancelados volvieron al stock y no cuentan como consumo
+  CONSUMO_DIARIO: `
+        SELECT m.material_id,
+               (CURRENT_DATE - m.created_at::date) as dias_atras,
+               SUM(-m.cantidad) as cantidad
+        FROM stock_movimientos m
+        LEFT JOIN pedidos p ON m.pedido_id = p.id
+        WHERE m.tipo = 'salida_pedido'
+          AND (p.id IS NULL OR p.estado::text <> 'cancelado')
+          AND m.created_at >= CURRENT_DATE - $1::int
+          AND m.created_at < CURRENT_DATE
+          AND m.material_id = ANY($2::int[])
+        GROUP BY m.material_id, dias_atras
+    `,
+
+  UPDATE_COSTO_PROMEDIO: `
+        UPDATE stock
+        SET costo_promedio = CASE
+                WHEN costo_promedio IS NULL OR cantidad_disponible <= 0 THEN $3::numeric
+                ELSE ROUND(((cantidad_disponible - $2::numeric) * costo_promedio
+                            + $2::numeric * $3::numeric) / cantidad_disponible, 2)
+            END
+        WHERE material_id = $1
+        RETURNING material_id, cantidad_disponible, costo_promedio
+    `,
+
+  LIST_COSTOS: `
+        SELECT material_id, costo_promedio
+        FROM stock
+    `,
+
+  RESTORE_STOCK: `
+        UPDATE stock 
+        SET cantidad_disponible = cantidad_disponible + $2,
+            actualizado_por = $3,
+            ultima_actualizacion = CURRENT_TIMESTAMP
+        WHERE material_id = $1
+        RETURNING material_id, cantidad_disponible
+    `,
+};
+
+const PROVEEDORES_QUERIES = {
+  LIST: `
+        SELECT id, nombre, tipo, nit, telefono, email, direccion, activo, created_at
+        FROM proveedores
+        WHERE ($1::boolean IS NULL OR activo = $1)
+          AND ($2::text IS NULL OR tipo = $2)
+        ORDER BY nombre
+    `,
+
+  FIND_BY_ID: `
+        SELECT id, nombre, tipo, nit, telefono, email, direccion, activo,
+               created_at, updated_at
+        FROM proveedores
+        WHERE id = $1
+    `,
+
+  CREATE: `
+        INSERT INTO proveedores (nombre, tipo, nit, telefono, email, direccion)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, nombre, tipo, nit, telefono, email, direccion, activo, created_at
+    `,
+
+  UPDATE: `
+        UPDATE proveedores
+        SET nombre = $2, tipo = $3, nit = $4, telefono = $5, email = $6,
+            direccion = $7, activo = $8, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, nombre, tipo, nit, telefono, email, direccion, activo, updated_at
+    `,
+};
+
+const ORDENES_COMPRA_QUERIES = {
+  CREATE: `
+        INSERT INTO ordenes_compra (id, codigo, proveedor_id, transportista_id,
+                                    costo_flete, fecha_esperada, observaciones, creado_por)
+        SELECT n, 'OC-' || LPAD(n::text, 6, '0'), $1, $2, $3, $4, $5, $6
+        FROM (SELECT nextval(pg_get_serial_sequence('ordenes_compra', 'id')) as n) s
+        RETURNING id, codigo, proveedor_id, transportista_id, estado, costo_flete,
+                  fecha_esperada, observaciones, creado_por, created_at
+    `,
+
+  CREATE_DETALLE: `
+        INSERT INTO orden_compra_detalles (orden_id, material_id, cantidad, costo_unitario)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, orden_id, material_id, cantidad, cantidad_recibida, costo_unitario
+    `,
+
+  LIST: `
+        SELECT o.id, o.codigo, o.proveedor_id, pr.nombre as proveedor_nombre,
+               o.transportista_id, o.estado, o.costo_flete, o.fecha_esperada,
+               o.created_at,
+               COALESCE(SUM(d.cantidad * d.costo_unitario), 0) as costo_material,
+               COALESCE(SUM(d.cantidad), 0) as cantidad_total,
+               COALESCE(SUM(d.cantidad_recibida), 0) as cantidad_recibida
+        FROM ordenes_compra o
+        JOIN proveedores pr ON o.proveedor_id = pr.id
+        LEFT JOIN orden_compra_detalles d ON d.orden_id = o.id
+        WHERE ($1::text IS NULL OR o.estado = $1)
+          AND ($2::int IS NULL OR o.proveedor_id = $2)
+        GROUP BY o.id, pr.nombre
+        ORDER BY o.created_at DESC
+    `,
+
+  FIND_BY_ID: `
+        SELECT o.id, o.codigo, o.proveedor_id, pr.nombre as proveedor_nombre,
+               o.transportista_id, t.nombre as transportista_nombre,
+               o.estado, o.costo_flete, o.fecha_esperada, o.observaciones,
+               o.creado_por, o.created_at, o.updated_at
+        FROM ordenes_compra o
+        JOIN proveedores pr ON o.proveedor_id = pr.id
+        LEFT JOIN proveedores t ON o.transportista_id = t.id
+        WHERE o.id = $1
+    `,
+
+  GET_DETALLES: `
+        SELECT d.id, d.orden_id, d.material_id, m.nombre as material_nombre,
+               m.unidad_medida, d.cantidad, d.cantidad_recibida, d.costo_unitario
+        FROM orden_compra_detalles d
+        JOIN materiales m ON d.material_id = m.id
+        WHERE d.orden_id = $1
+        ORDER BY d.material_id
+    `,
+
+  LOCK_BY_ID: `
+        SELECT id, codigo, estado, costo_flete
+        FROM ordenes_compra
+        WHERE id = $1
+        FOR UPDATE
+    `,
+
+  LOCK_DETALLES: `
+        SELECT id, material_id, cantidad, cantidad_recibida, costo_unitario
+        FROM orden_compra_detalles
+        WHERE orden_id = $1
+        ORDER BY material_id
+        FOR UPDATE
+    `,
+
+  ADD_RECIBIDO: `
+        UPDATE orden_compra_detalles
+        SET cantidad_recibida = cantidad_recibida + $2
+        WHERE id = $1
+        RETURNING id, material_id, cantidad, cantidad_recibida
+    `,
+
+  UPDATE_ESTADO: `
+        UPDATE ordenes_compra
+        SET estado = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, codigo, estado, updated_at
+    `,
+
+  CREATE_RECEPCION: `
+        INSERT INTO recepciones_compra (orden_id, detalle_id, material_id, cantidad,
+                                        costo_puesto, movimiento_id, recibido_por, nota,
+                                        patio_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id, orden_id, detalle_id, material_id, patio_id, cantidad, costo_puesto,
+                  movimiento_id, recibido_por, nota, created_at
+    `,
+
+  LIST_RECEPCIONES: `
+        SELECT r.id, r.material_id, m.nombre as material_nombre, r.cantidad,
+               r.costo_puesto, r.movimiento_id, r.nota, r.created_at,
+               r.patio_id, pa.nombre as patio_nombre,
+               u.nombre as recibido_por_nombre, u.apellido as recibido_por_apellido
+        FROM recepciones_compra r
+        JOIN materiales m ON r.material_id = m.id
+        LEFT JOIN patios pa ON r.patio_id = pa.id
+        LEFT JOIN usuarios u ON r.recibido_por = u.id
+        WHERE r.orden_id = $1
+        ORDER BY r.created_at, r.id
+    `,
+};
+
+const REPOSICIONES_QUERIES = {
+  PARAMETROS: `
+        SELECT material_id, nivel_objetivo, dias_reposicion
+        FROM stock
+        WHERE material_id = ANY($1::int[])
+    `,
+
+  UPDATE_PARAMETROS: `
+        UPDATE stock
+        SET nivel_objetivo = $2, dias_reposicion = $3
+        WHERE material_id = $1
+        RETURNING material_id, cantidad_minima, nivel_objetivo, dias_reposicion
+    `,
+
+  EN_CAMINO: `
+        SELECT d.material_id, SUM(d.cantidad - d.cantidad_recibida) as cantidad
+        FROM orden_compra_detalles d
+        JOIN ordenes_compra o ON d.orden_id = o.id
+        WHERE o.estado IN ('pendiente', 'parcial')
+          AND d.material_id = ANY($1::int[])
+        GROUP BY d.material_id
+    `,
+
+  CREATE: `
+        INSERT INTO propuestas_reposicion (material_id, cantidad_sugerida, cantidad_libre,
+                                           cantidad_minima, cantidad_en_camino, nivel_objetivo,
+                                           dias_reposicion, consumo_promedio_diario)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (material_id) WHERE estado IN ('pendiente', 'aprobada') DO NOTHING
+        RETURNING id, material_id, estado, cantidad_sugerida, cantidad_libre,
+                  cantidad_minima, cantidad_en_camino, nivel_objetivo,
+                  dias_reposicion, consumo_promedio_diario, created_at
+    `,
+
+  LIST: `
+        SELECT r.id, r.material_id, m.nombre as material_nombre, m.unidad_medida,
+               r.estado, r.cantidad_sugerida, r.cantidad_aprobada, r.cantidad_libre,
+               r.cantidad_minima, r.cantidad_en_camino, r.nivel_objetivo,
+               r.dias_reposicion, r.consumo_promedio_diario, r.nota,
+               r.resuelta_por, r.resuelta_en, r.created_at
+        FROM propuestas_reposicion r
+        JOIN materiales m ON r.material_id = m.id
+        WHERE ($1::text IS NULL OR r.estado = $1)
+        ORDER BY r.created_at DESC
+        LIMIT $2
+    `,
+
+  LIST_ABIERTAS: `
+        SELECT id, material_id, estado, cantidad_sugerida, cantidad_aprobada, created_at
+        FROM propuestas_reposicion
+        WHERE estado IN ('pendiente', 'aprobada')
+    `,
+
+  COUNT_PENDIENTES: `
+        SELECT COUNT(*) as pendientes
+        FROM propuestas_reposicion
+        WHERE estado = 'pendiente'
+    `,
+
+  LOCK_BY_ID: `
+        SELECT id, material_id, estado, cantidad_sugerida
+        FROM propuestas_reposicion
+        WHERE id = $1
+        FOR UPDATE
+    `,
+
+  RESOLVER: `
+        UPDATE propuestas_reposicion
+        SET estado = $2, cantidad_aprobada = $3, nota = $4,
+            resuelta_por = $5, resuelta_en = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, material_id, estado, cantidad_sugerida, cantidad_aprobada,
+                  nota, resuelta_por, resuelta_en
+    `,
+
+  CERRAR_ATENDIDAS: `
+        UPDATE propuestas_reposicion
+        SET estado = 'atendida', resuelta_en = CURRENT_TIMESTAMP
+        WHERE estado = 'aprobada' AND material_id = ANY($1::int[])
+        RETURNING id, material_id
+    `,
+};
+
+const MOVIMIENTOS_QUERIES = {
+  CREATE: `
+        INSERT INTO stock_movimientos (material_id, tipo, cantidad, saldo,
+                                       usuario_id, pedido_id, nota, patio_id,
+                                       saldo_patio, transferencia_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id, material_id, tipo, cantidad, saldo, usuario_id, pedido_id,
+                  nota, patio_id, saldo_patio, transferencia_id, created_at
+    `,
+
+  LIST_BY_MATERIAL: `
+        SELECT m.id, m.material_id, m.tipo, m.cantidad, m.saldo, m.usuario_id,
+               m.pedido_id, m.nota, m.created_at, m.patio_id, m.saldo_patio,
+               m.transferencia_id, pa.nombre as patio_nombre,
+               u.nombre as usuario_nombre, u.apellido as usuario_apellido,
+               p.codigo_seguimiento
+        FROM stock_movimientos m
+        LEFT JOIN patios pa ON m.patio_id = pa.id
+        LEFT JOIN usuarios u ON m.usuario_id = u.id
+        LEFT JOIN pedidos p ON m.pedido_id = p.id
+        WHERE m.material_id = $1
+          AND ($2::date IS NULL OR m.created_at >= $2::date)
+          AND ($3::date IS NULL OR m.created_at < $3::date + 1)
+          AND ($4::text IS NULL OR m.tipo = $4)
+        ORDER BY m.created_at DESC, m.id DESC
+        LIMIT $5
+    `,
+
+  SUMMARY_BY_MATERIAL: `
+        SELECT tipo, COUNT(*) as movimientos, SUM(cantidad) as cantidad
+        FROM stock_movimientos
+        WHERE material_id = $1
+          AND ($2::date IS NULL OR created_at >= $2::date)
+          AND ($3::date IS NULL OR created_at < $3::date + 1)
+        GROUP BY tipo
+    `,
+};
+
+const PATIOS_QUERIES = {
+  LIST: `
+        SELECT id, nombre, direccion, lat, lng, radio_geocerca_m, principal, activo,
+               created_at
+        FROM patios
+        WHERE ($1::boolean IS NULL OR activo = $1)
+        ORDER BY principal DESC, nombre
+    `,
+
+  FIND_BY_ID: `
+        SELECT id, nombre, direccion, lat, lng, radio_geocerca_m, principal, activo,
+               created_at, updated_at
+        FROM patios
+        WHERE id = $1
+    `,
+
+  FIND_PRINCIPAL: `
+        SELECT id, nombre, direccion, lat, lng, principal, activo
+        FROM patios
+        WHERE principal
+    `,
+
+  FIND_BY_PEDIDO: `
+        SELECT pa.id, pa.nombre, pa.direccion, pa.lat, pa.lng
+        FROM pedidos p
+        JOIN patios pa ON p.patio_id = pa.id
+        WHERE p.id = $1
+    `,
+
+  CREATE: `
+        INSERT INTO patios (nombre, direccion, lat, lng, radio_geocerca_m)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, nombre, direccion, lat, lng, radio_geocerca_m, principal, activo,
+                  created_at
+    `,
+
+  UPDATE: `
+        UPDATE patios
+        SET nombre = $2, direccion = $3, lat = $4, lng = $5, activo = $6,
+            radio_geocerca_m = $7, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, nombre, direccion, lat, lng, radio_geocerca_m, principal, activo,
+                  updated_at
+    `,
+
+  STOCK_BY_PATIO: `
+        SELECT sp.material_id, m.nombre as material, m.unidad_medida,
+               sp.cantidad_disponible,
+               COALESCE(r.cantidad_reservada, 0) as cantidad_reservada
+        FROM stock_patios sp
+        JOIN materiales m ON sp.material_id = m.id
+        LEFT JOIN (
+            SELECT material_id, SUM(cantidad) as cantidad_reservada
+            FROM stock_reservas
+            WHERE patio_id = $1 AND estado = 'activa' AND expira_en > CURRENT_TIMESTAMP
+            GROUP BY material_id
+        ) r ON r.material_id = sp.material_id
+        WHERE sp.patio_id = $1
+        ORDER BY m.nombre
+    `,
+
+  STOCK_BY_MATERIALES: `
+        SELECT sp.patio_id, pa.nombre as patio, pa.lat, pa.lng, pa.activo,
+               sp.material_id, sp.cantidad_disponible,
+               COALESCE(r.cantidad_reservada, 0) as cantidad_reservada
+        FROM stock_patios sp
+        JOIN patios pa ON sp.patio_id = pa.id
+        LEFT JOIN (
+            SELECT patio_id, material_id, SUM(cantidad) as cantidad_reservada
+            FROM stock_reservas
+            WHERE material_id = ANY($1::int[])
+              AND estado = 'activa'
+              AND expira_en > CURRENT_TIMESTAMP
+              AND ($2::int IS NULL OR pedido_id <> $2)
+            GROUP BY patio_id, material_id
+        ) r ON r.patio_id = sp.patio_id AND r.material_id = sp.material_id
+        WHERE sp.material_id = ANY($1::int[])
+        ORDER BY sp.patio_id, sp.material_id
+    `,
+
+  GET_STOCK: `
+        SELECT cantidad_disponible
+        FROM stock_patios
+        WHERE patio_id = $1 AND material_id = $2
+    `,
+
+  ADD_STOCK: `
+        INSERT INTO stock_patios (patio_id, material_id, cantidad_disponible)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (patio_id, material_id) DO UPDATE
+        SET cantidad_disponible = stock_patios.cantidad_disponible + EXCLUDED.cantidad_disponible,
+            updated_at = CURRENT_TIMESTAMP
+        RETURNING patio_id, material_id, cantidad_disponible
+    `,
+
+  SUBTRACT_STOCK: `
+        UPDATE stock_patios
+        SET cantidad_disponible = cantidad_disponible - $3,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE patio_id = $1 AND material_id = $2 AND cantidad_disponible >= $3
+        RETURNING patio_id, material_id, cantidad_disponible
+    `,
+};
+
+const TRANSFERENCIAS_QUERIES = {
+  CREATE: `
+        INSERT INTO transferencias_stock (material_id, origen_patio_id, destino_patio_id,
+                                          cantidad, usuario_id, nota)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, material_id, origen_patio_id, destino_patio_id, cantidad,
+                  usuario_id, nota, created_at
+    `,
+
+  LIST: `
+        SELECT t.id, t.material_id, m.nombre as material_nombre,
+               t.origen_patio_id, po.nombre as origen_patio,
+               t.destino_patio_id, pd.nombre as destino_patio,
+               t.cantidad, t.nota, t.created_at,
+               u.nombre as usuario_nombre, u.apellido as usuario_apellido
+        FROM transferencias_stock t
+        JOIN materiales m ON t.material_id = m.id
+        JOIN patios po ON t.origen_patio_id = po.id
+        JOIN patios pd ON t.destino_patio_id = pd.id
+        LEFT JOIN usuarios u ON t.usuario_id = u.id
+        WHERE ($1::int IS NULL OR t.material_id = $1)
+          AND ($2::int IS NULL OR $2 IN (t.origen_patio_id, t.destino_patio_id))
+        ORDER BY t.created_at DESC, t.id DESC
+        LIMIT $3
+    `,
+};
+
+const RESERVAS_QUERIES = {
+  CREATE: `
+        INSERT INTO stock_reservas (pedido_id, material_id, cantidad, expira_en, patio_id)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4), $5)
+        RETURNING id, pedido_id, material_id, patio_id, cantidad, estado, expira_en,
+                  created_at
+    `,
+
+  EXPIRE_BY_MATERIALES: `
+        UPDATE stock_reservas
+        SET estado = 'expirada', cerrada_en = CURRENT_TIMESTAMP
+        WHERE material_id = ANY($1::int[])
+          AND estado = 'activa'
+          AND expira_en <= CURRENT_TIMESTAMP
+    `,
+
+  TOTALS: `
+        SELECT material_id, SUM(cantidad) as cantidad_reservada
+        FROM stock_reservas
+        WHERE estado = 'activa' AND expira_en > CURRENT_TIMESTAMP
+        GROUP BY material_id
+    `,
+
+  TOTALS_BY_MATERIALES: `
+        SELECT material_id, SUM(cantidad) as cantidad_reservada
+        FROM stock_reservas
+        WHERE material_id = ANY($1::int[])
+          AND estado = 'activa'
+          AND expira_en > CURRENT_TIMESTAMP
+          AND ($2::int IS NULL OR pedido_id <> $2)
+        GROUP BY material_id
+    `,
+
+  LIST_ACTIVE_BY_PEDIDO: `
+        SELECT id, material_id, cantidad, expira_en
+        FROM stock_reservas
+        WHERE pedido_id = $1 AND estado = 'activa' AND expira_en > CURRENT_TIMESTAMP
+    `,
+
+  CLOSE_BY_PEDIDO: `
+        UPDATE stock_reservas
+        SET estado = $2, cerrada_en = CURRENT_TIMESTAMP
+        WHERE pedido_id = $1 AND estado = 'activa'
+        RETURNING id, material_id, cantidad, estado
+    `,
 };
 
 const VEHICULOS_QUERIES = {
   LIST_ALL: `
-        SELECT id, placa, marca, modelo, capacidad_m3, estado, 
-               ubicacion_actual_lat, ubicacion_actual_lng, ultima_ubicacion, created_at
-        FROM vehiculos
-        ORDER BY placa
+        SELECT v.id, v.placa, v.marca, v.modelo, v.capacidad_m3, v.estado, v.conductor_id,
+               v.ubicacion_actual_lat, v.ubicacion_actual_lng, v.ultima_ubicacion, v.created_at,
+               (SELECT MIN(m.fecha_programada) FROM vehiculo_mantenimientos m
+                WHERE m.vehiculo_id = v.id AND m.estado = 'programado') as proximo_mantenimiento
+        FROM vehiculos v
+        WHERE v.activo = true
+        ORDER BY v.placa
     `,
 
   GET_AVAILABLE_BY_CAPACITY: `
-        SELECT * FROM obtener_vehiculos_disponibles($1)
+        SELECT v.id as vehiculo_id, v.placa, v.marca, v.modelo,
+               v.capacidad_m3 as capacidad, v.estado
+        FROM vehiculos v
+        WHERE v.activo = true
+          AND v.estado = 'disponible'
+          AND v.capacidad_m3 >= $1
+          AND NOT EXISTS (
+              SELECT 1 FROM vehiculo_mantenimientos m
+              WHERE m.vehiculo_id = v.id
+                AND (m.estado = 'en_curso'
+                     OR (m.estado = 'programado' AND m.fecha_programada <= CURRENT_DATE))
+          )
+        ORDER BY v.capacidad_m3, v.placa
+    `,
+
+  CREATE: `
+        INSERT INTO vehiculos (placa, marca, modelo, capacidad_m3, estado)
+        VALUES ($1, $2, $3, $4, 'disponible')
+        RETURNING id, placa, marca, modelo, capacidad_m3, estado, conductor_id, created_at
+    `,
+
+  UPDATE: `
+        UPDATE vehiculos
+        SET placa = $2, marca = $3, modelo = $4, capacidad_m3 = $5,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND activo = true
+        RETURNING id, placa, marca, modelo, capacidad_m3, estado, conductor_id
+    `,
+
+  LOCK_BY_ID: `
+        SELECT id, placa, estado, activo, capacidad_m3
+        FROM vehiculos
+        WHERE id = $1
+        FOR UPDATE
+    `,
+
+  COUNT_ACTIVE_ASSIGNMENTS: `
+        SELECT COUNT(*) as activas
+        FROM pedido_asignaciones
+        WHERE vehiculo_id = $1 AND liberado_en IS NULL
+    `,
+
+  RETIRE: `
+        UPDATE vehiculos
+        SET activo = false, conductor_id = NULL, retirado_en = CURRENT_TIMESTAMP,
+            motivo_retiro = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND activo = true
+        RETURNING id, placa, activo, retirado_en, motivo_retiro
+    `,
+
+  GET_RECENT_TRIPS: `
+        SELECT a.vehiculo_id, a.pedido_id, p.direccion_lat, p.direccion_lng,
+               pa.lat as patio_lat, pa.lng as patio_lng
+        FROM pedido_asignaciones a
+        JOIN pedidos p ON a.pedido_id = p.id
+        LEFT JOIN patios pa ON p.patio_id = pa.id
+        WHERE a.vehiculo_id = ANY($1::int[])
+          AND a.asignado_en >= CURRENT_TIMESTAMP - make_interval(days => $2)
+          AND (a.motivo_liberacion IS NULL OR a.motivo_liberacion <> 'cancelado')
+    `,
+
+  LIST_LOCATIONS_BY_IDS: `
+        SELECT id, conductor_id, ubicacion_actual_lat, ubicacion_actual_lng, ultima_ubicacion
+        FROM vehiculos
+        WHERE id = ANY($1::int[])
     `,
 
   FIND_BY_ID: `
-        SELECT id, placa, marca, modelo, capacidad_m3, estado, 
+        SELECT id, placa, marca, modelo, capacidad_m3, estado, conductor_id,
+               ubicacion_actual_lat, ubicacion_actual_lng, ultima_ubicacion, activo
+        FROM vehiculos 
+        WHERE id = $1
+    `,
+
+  FIND_BY_CONDUCTOR: `
+        SELECT id, placa, marca, modelo, capacidad_m3, estado, conductor_id,
                ubicacion_actual_lat, ubicacion_actual_lng, ultima_ubicacion
         FROM vehiculos 
+        WHERE conductor_id = $1
+    `,
+
+  ASSIGN_CONDUCTOR: `
+        UPDATE vehiculos 
+        SET conductor_id = $2, updated_at = CURRENT_TIMESTAMP
         WHERE id = $1
+        RETURNING id, placa, conductor_id
     `,
 
   UPDATE_STATUS: `
@@ -145,12 +907,54 @@ const VEHICULOS_QUERIES = {
         RETURNING id, placa, estado
     `,
 
+  CREATE_EVENTO: `
+        INSERT INTO vehiculo_eventos (vehiculo_id, estado_anterior, estado_nuevo,
+                                      usuario_id, pedido_id, motivo)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, vehiculo_id, estado_anterior, estado_nuevo, usuario_id,
+                  pedido_id, motivo, created_at
+    `,
+
+  LIST_EVENTOS: `
+        SELECT e.id, e.vehiculo_id, e.estado_anterior, e.estado_nuevo, e.usuario_id,
+               e.pedido_id, e.motivo, e.created_at,
+               u.nombre as usuario_nombre, u.apellido as usuario_apellido,
+               u.rol as usuario_rol,
+               p.codigo_seguimiento as pedido_codigo
+        FROM vehiculo_eventos e
+        LEFT JOIN usuarios u ON e.usuario_id = u.id
+        LEFT JOIN pedidos p ON e.pedido_id = p.id
+        WHERE e.vehiculo_id = $1
+        ORDER BY e.created_at DESC, e.id DESC
+        LIMIT $2
+    `,
+
   UPDATE_LOCATION: `
         UPDATE vehiculos 
         SET ubicacion_actual_lat = $2, ubicacion_actual_lng = $3, 
-            ultima_ubicacion = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            ultima_ubicacion = $4::timestamptz, updated_at = CURRENT_TIMESTAMP
         WHERE id = $1
-        RETURNING id, placa, ubicacion_actual_lat, ubicacion_actual_lng
+          AND (ultima_ubicacion IS NULL OR ultima_ubicacion <= $4::timestamptz)
+        RETURNING id, placa, ubicacion_actual_lat, ubicacion_actual_lng, ultima_ubicacion
+    `,
+
+  MARK_IN_USE: `
+        UPDATE vehiculos 
+        SET estado = 'en_uso', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND estado = 'disponible'
+        RETURNING id, placa, estado, capacidad_m3
+    `,
+
+  RELEASE_IF_IDLE: `
+        UPDATE vehiculos 
+        SET estado = 'disponible', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 
+          AND estado = 'en_uso'
+          AND NOT EXISTS (
+              SELECT 1 FROM pedido_asignaciones a
+              WHERE a.vehiculo_id = $1 AND a.liberado_en IS NULL
+          )
+        RETURNING id, placa, estado
     `,
 
   GET_FLEET_STATS: `
@@ -160,6 +964,257 @@ const VEHICULOS_QUERIES = {
             COUNT(*) FILTER (WHERE estado = 'en_uso') as en_uso,
             COUNT(*) FILTER (WHERE estado = 'mantenimiento') as mantenimiento
         FROM vehiculos
+        WHERE activo = true
+    `,
+};
+
+const MANTENIMIENTOS_QUERIES = {
+  LIST_BY_VEHICULO: `
+        SELECT m.*, u.nombre || ' ' || u.apellido as registrado_por_nombre
+        FROM vehiculo_mantenimientos m
+        LEFT JOIN usuarios u ON m.registrado_por = u.id
+        WHERE m.vehiculo_id = $1
+          AND ($2::text IS NULL OR m.estado = $2)
+        ORDER BY m.fecha_programada DESC, m.id DESC
+        LIMIT $3
+    `,
+
+  FIND_BY_ID: `
+        SELECT m.*, v.placa
+        FROM vehiculo_mantenimientos m
+        JOIN vehiculos v ON m.vehiculo_id = v.id
+        WHERE m.id = $1 AND m.vehiculo_id = $2
+    `,
+
+  LOCK_BY_ID: `
+        SELECT *
+        FROM vehiculo_mantenimientos
+        WHERE id = $1 AND vehiculo_id = $2
+        FOR UPDATE
+    `,
+
+  CREATE: `
+        INSERT INTO vehiculo_mantenimientos (
+            vehiculo_id, tipo_servicio, estado, fecha_programada, fecha_realizada,
+            odometro_km, costo, proxima_fecha, observaciones, registrado_por,
+            completado_por
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+    `,
+
+  INICIAR_VENCIDOS: `
+        WITH iniciados AS (
+            UPDATE vehiculos v
+            SET estado = 'mantenimiento', updated_at = CURRENT_TIMESTAMP
+            WHERE v.activo = true
+              AND v.estado = 'disponible'
+              AND EXISTS (
+                  SELECT 1 FROM vehiculo_mantenimientos m
+                  WHERE m.vehiculo_id = v.id
+                    AND m.estado = 'programado'
+                    AND m.fecha_programada <= CURRENT_DATE
+              )
+            RETURNING v.id, v.placa
+        ),
+        eventos AS (
+            INSERT INTO vehiculo_eventos (vehiculo_id, estado_anterior, estado_nuevo, motivo)
+            SELECT i.id, 'disponible', 'mantenimiento', 'Inicio de mantenimiento programado'
+            FROM iniciados i
+        )
+        UPDATE vehiculo_mantenimientos m
+        SET estado = 'en_curso', iniciado_en = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        FROM iniciados i
+        WHERE m.vehiculo_id = i.id
+          AND m.estado = 'programado'
+          AND m.fecha_programada <= CURRENT_DATE
+        RETURNING m.id, m.vehiculo_id, m.tipo_servicio, i.placa
+    `,
+
+  COMPLETE: `
+        UPDATE vehiculo_mantenimientos
+        SET estado = 'completado', fecha_realizada = $2, odometro_km = $3,
+            costo = $4, proxima_fecha = $5,
+            observaciones = COALESCE($6, observaciones),
+            completado_por = $7, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+    `,
+
+  CANCEL: `
+        UPDATE vehiculo_mantenimientos
+        SET estado = 'cancelado', observaciones = COALESCE($2, observaciones),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+    `,
+
+  CANCEL_BY_VEHICULO: `
+        UPDATE vehiculo_mantenimientos
+        SET estado = 'cancelado', updated_at = CURRENT_TIMESTAMP
+        WHERE vehiculo_id = $1 AND estado IN ('programado', 'en_curso')
+    `,
+
+  FIND_EN_CURSO_BY_VEHICULO: `
+        SELECT id, tipo_servicio, iniciado_en
+        FROM vehiculo_mantenimientos
+        WHERE vehiculo_id = $1 AND estado = 'en_curso'
+        ORDER BY iniciado_en ASC
+        LIMIT 1
+    `,
+
+  RELEASE_VEHICULO: `
+        UPDATE vehiculos
+        SET estado = 'disponible', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+          AND estado = 'mantenimiento'
+          AND NOT EXISTS (
+              SELECT 1 FROM vehiculo_mantenimientos m
+              WHERE m.vehiculo_id = $1 AND m.estado = 'en_curso'
+          )
+        RETURNING id, placa, estado
+    `,
+};
+
+const POSICIONES_QUERIES = {
+  CREATE: `
+        INSERT INTO vehiculo_posiciones (vehiculo_id, lat, lng, velocidad_kmh, rumbo,
+                                         registrado_en, reportado_por)
+        VALUES ($1, $2, $3, $4, $5, $6::timestamptz, $7)
+        ON CONFLICT (vehiculo_id, registrado_en) DO NOTHING
+        RETURNING id
+    `,
+
+  LIST_RECORRIDO: `
+        SELECT lat, lng, velocidad_kmh, rumbo, registrado_en
+        FROM vehiculo_posiciones
+        WHERE vehiculo_id = $1
+          AND registrado_en >= $2::timestamptz
+          AND registrado_en <= $3::timestamptz
+        ORDER BY registrado_en ASC
+        LIMIT $4
+    `,
+
+  DELETE_VENCIDAS: `
+        DELETE FROM vehiculo_posiciones
+        WHERE registrado_en < CURRENT_TIMESTAMP - make_interval(days => $1)
+    `,
+
+  RESUMIR_ANTIGUAS: `
+        WITH candidatas AS (
+            SELECT id,
+                   ROW_NUMBER() OVER (
+                       PARTITION BY vehiculo_id,
+                                    FLOOR(EXTRACT(EPOCH FROM registrado_en) / $2)
+                       ORDER BY registrado_en, id
+                   ) as orden
+            FROM vehiculo_posiciones
+            WHERE resumido = false
+              AND registrado_en < CURRENT_TIMESTAMP - make_interval(days => $1)
+        ),
+        borradas AS (
+            DELETE FROM vehiculo_posiciones p
+            USING candidatas c
+            WHERE p.id = c.id AND c.orden > 1
+            RETURNING p.id
+        ),
+        conservadas AS (
+            UPDATE vehiculo_posiciones p
+            SET resumido = true
+            FROM candidatas c
+            WHERE p.id = c.id AND c.orden = 1
+            RETURNING p.id
+        )
+        SELECT (SELECT COUNT(*) FROM borradas) as borradas,
+               (SELECT COUNT(*) FROM conservadas) as conservadas
+    `,
+};
+
+const GEOCERCAS_QUERIES = {
+  LOCK_PEDIDOS: `
+        SELECT id
+        FROM pedidos
+        WHERE id = ANY($1::int[])
+        ORDER BY id
+        FOR UPDATE
+    `,
+
+  LOCK_VEHICULO: `
+        SELECT id, placa, geocerca_evaluada_hasta
+        FROM vehiculos
+        WHERE id = $1
+        FOR UPDATE
+    `,
+
+  UPDATE_EVALUADA_HASTA: `
+        UPDATE vehiculos
+        SET geocerca_evaluada_hasta = $2::timestamptz
+        WHERE id = $1
+    `,
+
+  // Patios activos y los que tienen una visita abierta del vehículo
+  LIST_PATIOS: `
+        SELECT pa.id, pa.nombre, pa.lat, pa.lng, pa.radio_geocerca_m
+        FROM patios pa
+        WHERE pa.activo
+           OR EXISTS (
+               SELECT 1 FROM vehiculo_visitas vv
+               WHERE vv.patio_id = pa.id AND vv.vehiculo_id = $1
+                 AND vv.salida_en IS NULL
+           )
+    `,
+
+  // Destinos de los pedidos que lleva el vehículo y de los que aún no salió
+  LIST_DESTINOS: `
+        SELECT p.id, p.codigo_seguimiento, p.estado, p.patio_id, p.fecha_carga,
+               p.direccion_lat as lat, p.direccion_lng as lng,
+               c.radio_geocerca_m
+        FROM pedidos p
+        JOIN clientes c ON p.cliente_id = c.id
+        WHERE p.direccion_lat IS NOT NULL
+          AND p.direccion_lng IS NOT NULL
+          AND (
+              (p.vehiculo_id = $1 AND p.estado IN ('asignado', 'en_transito'))
+              OR EXISTS (
+                  SELECT 1 FROM vehiculo_visitas vv
+                  WHERE vv.pedido_id = p.id AND vv.vehiculo_id = $1
+                    AND vv.salida_en IS NULL
+              )
+          )
+    `,
+
+  LIST_ABIERTAS: `
+        SELECT id, patio_id, pedido_id, radio_m, entrada_en
+        FROM vehiculo_visitas
+        WHERE vehiculo_id = $1 AND salida_en IS NULL
+    `,
+
+  ABRIR_VISITA: `
+        INSERT INTO vehiculo_visitas (vehiculo_id, patio_id, pedido_id, radio_m, entrada_en)
+        VALUES ($1, $2, $3, $4, $5::timestamptz)
+        RETURNING id, patio_id, pedido_id, radio_m, entrada_en
+    `,
+
+  CERRAR_VISITA: `
+        UPDATE vehiculo_visitas
+        SET salida_en = $2::timestamptz,
+            permanencia_segundos = EXTRACT(EPOCH FROM ($2::timestamptz - entrada_en))::int
+        WHERE id = $1 AND salida_en IS NULL
+        RETURNING id, patio_id, pedido_id, radio_m, entrada_en, salida_en,
+                  permanencia_segundos
+    `,
+
+  LIST_BY_VEHICULO: `
+        SELECT vv.id, vv.patio_id, pa.nombre as patio,
+               vv.pedido_id, p.codigo_seguimiento, p.direccion_entrega,
+               vv.radio_m, vv.entrada_en, vv.salida_en, vv.permanencia_segundos
+        FROM vehiculo_visitas vv
+        LEFT JOIN patios pa ON vv.patio_id = pa.id
+        LEFT JOIN pedidos p ON vv.pedido_id = p.id
+        WHERE vv.vehiculo_id = $1
+        ORDER BY vv.entrada_en DESC, vv.id DESC
+        LIMIT $2
     `,
 };
 
@@ -184,19 +1239,118 @@ const CLIENTES_QUERIES = {
         WHERE c.id = $1
     `,
 
-  LIST_ALL: `
-        SELECT c.id, c.empresa, c.tipo_cliente, c.ciudad, c.created_at,
-               u.nombre, u.apellido, u.email, u.telefono
+  UPDATE: `
+        UPDATE clientes 
+        SET empresa = $2, direccion = $3, ciudad = $4, tipo_cliente = $5, nit = $6,
+            radio_geocerca_m = $7
+        WHERE id = $1
+        RETURNING id, empresa, direccion, ciudad, tipo_cliente, nit, radio_geocerca_m
+    `,
+
+  SEARCH: `
+        SELECT c.id, c.empresa, c.nit, c.tipo_cliente, c.ciudad, c.activo,
+               c.created_at, u.nombre, u.apellido, u.email, u.telefono,
+               COUNT(*) OVER() as total
         FROM clientes c
         JOIN usuarios u ON c.usuario_id = u.id
-        ORDER BY c.created_at DESC
+        WHERE ($1::text IS NULL
+               OR u.nombre || ' ' || u.apellido ILIKE '%' || $1 || '%'
+               OR c.empresa ILIKE '%' || $1 || '%'
+               OR c.nit ILIKE '%' || $1 || '%'
+               OR u.telefono ILIKE '%' || $1 || '%')
+          AND ($2::text IS NULL OR c.tipo_cliente = $2)
+          AND ($3::boolean IS NULL OR c.activo = $3)
+        ORDER BY c.activo DESC, COALESCE(c.empresa, u.nombre || ' ' || u.apellido), c.id
+        LIMIT $4 OFFSET $5
     `,
 
-  UPDATE: `
-        UPDATE clientes 
-        SET empresa = $2, direccion = $3, ciudad = $4, tipo_cliente = $5
+  RESUMEN_PEDIDOS: `
+        SELECT
+            COUNT(*) as total_pedidos,
+            COUNT(*) FILTER (WHERE estado IN ('pendiente', 'confirmado', 'asignado', 'en_transito')) as pedidos_activos,
+            COUNT(*) FILTER (WHERE estado = 'entregado') as pedidos_entregados,
+            COUNT(*) FILTER (WHERE estado = 'cancelado') as pedidos_cancelados,
+            COALESCE(SUM(precio_total) FILTER (WHERE estado <> 'cancelado'), 0) as valor_total,
+            COALESCE(SUM(precio_total) FILTER (WHERE estado = 'entregado'), 0) as valor_entregado,
+            MIN(fecha_pedido) as primer_pedido,
+            MAX(fecha_pedido) as ultimo_pedido
+        FROM pedidos
+        WHERE cliente_id = $1
+    `,
+
+  HISTORIAL_PEDIDOS: `
+        SELECT id, codigo_seguimiento, estado, cantidad, precio_total,
+               material_nombre, detalles, fecha_pedido, fecha_entrega_solicitada
+        FROM vista_pedidos_completa
+        WHERE cliente_id = $1
+        ORDER BY fecha_pedido DESC
+        LIMIT $2 OFFSET $3
+    `,
+
+  COUNT_PEDIDOS_ACTIVOS: `
+        SELECT COUNT(*) as activos
+        FROM pedidos
+        WHERE cliente_id = $1
+          AND estado IN ('pendiente', 'confirmado', 'asignado', 'en_transito')
+    `,
+
+  DEACTIVATE: `
+        UPDATE clientes
+        SET activo = false, desactivado_en = CURRENT_TIMESTAMP,
+            desactivado_por = $2, motivo_desactivacion = $3
+        WHERE id = $1 AND activo = true
+        RETURNING id, usuario_id, activo, desactivado_en, motivo_desactivacion
+    `,
+
+  DEACTIVATE_USUARIO: `
+        UPDATE usuarios
+        SET activo = false, updated_at = CURRENT_TIMESTAMP
         WHERE id = $1
-        RETURNING id, empresa, direccion, tipo_cliente
+    `,
+
+  LOCK_CREDITO: `
+        SELECT id, activo, limite_credito, plazo_pago_dias, exceso_credito
+        FROM clientes
+        WHERE id = $1
+        FOR UPDATE
+    `,
+
+  EXPOSICION_CREDITO: `
+        SELECT
+            (SELECT COALESCE(SUM(total - monto_pagado), 0) FROM facturas
+             WHERE cliente_id = $1 AND estado IN ('pendiente', 'parcial')) as saldo_facturas,
+            (SELECT COALESCE(SUM(precio_total), 0) FROM pedidos
+             WHERE cliente_id = $1 AND factura_id IS NULL
+               AND estado IN ('pendiente', 'confirmado', 'asignado', 'en_transito', 'entregado')
+            ) as pedidos_sin_facturar
+    `,
+
+  UPDATE_CREDITO: `
+        UPDATE clientes
+        SET limite_credito = $2, plazo_pago_dias = $3, exceso_credito = $4
+        WHERE id = $1
+        RETURNING id, limite_credito, plazo_pago_dias, exceso_credito
+    `,
+
+  CREATE_AUTORIZACION_CREDITO: `
+        INSERT INTO credito_autorizaciones (
+            pedido_id, cliente_id, usuario_id, limite_credito, exposicion,
+            monto_pedido, motivo
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id, pedido_id, created_at
+    `,
+
+  LIST_AUTORIZACIONES_CREDITO: `
+        SELECT a.id, a.pedido_id, p.codigo_seguimiento, a.limite_credito,
+               a.exposicion, a.monto_pedido, a.motivo, a.created_at,
+               a.usuario_id, u.nombre || ' ' || u.apellido as autorizado_por
+        FROM credito_autorizaciones a
+        JOIN pedidos p ON a.pedido_id = p.id
+        JOIN usuarios u ON a.usuario_id = u.id
+        WHERE a.cliente_id = $1
+        ORDER BY a.created_at DESC
+        LIMIT $2
     `,
 };
 
@@ -232,11 +1386,36 @@ const PEDIDOS_QUERIES = {
             codigo_seguimiento,
             cliente_id, material_id, cantidad, precio_total,
             direccion_entrega, direccion_lat, direccion_lng,
-            telefono_contacto, fecha_entrega_solicitada, observaciones
+            telefono_contacto, fecha_entrega_solicitada, observaciones, patio_id,
+            lista_precio_id, costo_flete, distancia_flete_km, zona_flete_id,
+            tarifa_flete_id, cotizacion_id, excede_credito
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+                $14, $15, $16, $17, $18, $19)
         RETURNING id, codigo_seguimiento, cliente_id, material_id, cantidad, 
-                  precio_total, estado, created_at
+                  precio_total, costo_flete, estado, patio_id, lista_precio_id,
+                  cotizacion_id, excede_credito, created_at
+    `,
+
+  CREATE_DETALLE: `
+        INSERT INTO pedido_detalles (
+            pedido_id, material_id, cantidad, precio_unitario, subtotal,
+            lista_precio_id, precio_lista, descuento_porcentaje
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id, pedido_id, material_id, cantidad, precio_unitario, subtotal,
+                  lista_precio_id, precio_lista, descuento_porcentaje
+    `,
+
+  GET_DETALLES: `
+        SELECT d.id, d.pedido_id, d.material_id, d.cantidad,
+               d.precio_unitario, d.subtotal,
+               d.lista_precio_id, d.precio_lista, d.descuento_porcentaje,
+               m.nombre as material_nombre, m.unidad_medida
+        FROM pedido_detalles d
+        JOIN materiales m ON d.material_id = m.id
+        WHERE d.pedido_id = $1
+        ORDER BY d.id
     `,
 
   FIND_BY_TRACKING_CODE: `
@@ -256,6 +1435,66 @@ const PEDIDOS_QUERIES = {
         RETURNING id, codigo_seguimiento, estado, updated_at
     `,
 
+  LOCK_BY_ID: `
+        SELECT id, codigo_seguimiento, estado, vehiculo_id, patio_id, fecha_carga
+        FROM pedidos
+        WHERE id = $1
+        FOR UPDATE
+    `,
+
+  CANCEL: `
+        UPDATE pedidos 
+        SET estado = 'cancelado', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND estado::text = $2
+        RETURNING id, codigo_seguimiento, estado, updated_at
+    `,
+
+  ASSIGN_VEHICLE: `
+        UPDATE pedidos 
+        SET vehiculo_id = $2, estado = 'asignado', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, codigo_seguimiento, estado, vehiculo_id, updated_at
+    `,
+
+  UNASSIGN_VEHICLE: `
+        UPDATE pedidos 
+        SET vehiculo_id = NULL, estado = 'confirmado', fecha_carga = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND estado IN ('asignado', 'en_transito')
+        RETURNING id, codigo_seguimiento, estado, updated_at
+    `,
+
+  TRANSFER_VEHICLE: `
+        UPDATE pedidos
+        SET vehiculo_id = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND estado IN ('asignado', 'en_transito')
+        RETURNING id, codigo_seguimiento, estado, vehiculo_id, fecha_carga, updated_at
+    `,
+
+  LIST_BY_VEHICULO: `
+        SELECT * FROM vista_pedidos_completa
+        WHERE vehiculo_id = $1 AND estado::text = ANY($2::text[])
+        ORDER BY fecha_pedido ASC
+    `,
+
+  MARK_LOADED: `
+        UPDATE pedidos 
+        SET fecha_carga = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND estado = 'asignado' AND fecha_carga IS NULL
+        RETURNING id, codigo_seguimiento, estado, fecha_carga
+    `,
+
+  CREATE_ENTREGA: `
+        INSERT INTO pedido_entregas (
+            pedido_id, conductor_id, vehiculo_id,
+            receptor_nombre, receptor_documento, evidencia_url,
+            observaciones, entrega_lat, entrega_lng
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id, pedido_id, receptor_nombre, receptor_documento,
+                  evidencia_url, entrega_lat, entrega_lng, entregado_en
+    `,
+
   GET_PENDING_ASSIGNMENT: `
         SELECT * FROM vista_pedidos_completa
         WHERE estado IN ('pendiente', 'confirmado')
@@ -274,6 +1513,434 @@ const PEDIDOS_QUERIES = {
     `,
 };
 
+const COTIZACIONES_QUERIES = {
+  LIST: `
+        SELECT c.id, c.numero, c.cliente_id, c.lista_precio_id, c.patio_id, c.patio_origen_id,
+               c.direccion_entrega, c.direccion_lat, c.direccion_lng,
+               c.telefono_contacto, c.fecha_entrega_solicitada, c.observaciones,
+               c.subtotal_materiales, c.costo_flete, c.distancia_flete_km,
+               c.zona_flete_id, c.tarifa_flete_id, c.precio_total, c.vigente_hasta,
+               c.pedido_id, c.creado_por, c.respondido_por, c.respondido_en,
+               c.created_at,
+               CASE WHEN c.estado = 'vigente' AND c.vigente_hasta < NOW()
+                    THEN 'vencida' ELSE c.estado END as estado,
+               u.nombre || ' ' || u.apellido as cliente_nombre, cl.empresa,
+               l.nombre as lista_nombre, po.nombre as patio_origen,
+               z.nombre as zona_flete, t.nombre as tarifa_flete,
+               p.codigo_seguimiento as pedido_codigo
+        FROM cotizaciones c
+        JOIN clientes cl ON c.cliente_id = cl.id
+        JOIN usuarios u ON cl.usuario_id = u.id
+        LEFT JOIN listas_precios l ON c.lista_precio_id = l.id
+        LEFT JOIN patios po ON c.patio_origen_id = po.id
+        LEFT JOIN zonas_flete z ON c.zona_flete_id = z.id
+        LEFT JOIN tarifas_flete t ON c.tarifa_flete_id = t.id
+        LEFT JOIN pedidos p ON c.pedido_id = p.id
+        WHERE ($1::int IS NULL OR c.cliente_id = $1)
+          AND ($2::text IS NULL
+               OR CASE WHEN c.estado = 'vigente' AND c.vigente_hasta < NOW()
+                       THEN 'vencida' ELSE c.estado END = $2)
+        ORDER BY c.created_at DESC
+        LIMIT $3 OFFSET $4
+    `,
+
+  FIND_BY_ID: `
+        SELECT c.id, c.numero, c.cliente_id, c.lista_precio_id, c.patio_id, c.patio_origen_id,
+               c.direccion_entrega, c.direccion_lat, c.direccion_lng,
+               c.telefono_contacto, c.fecha_entrega_solicitada, c.observaciones,
+               c.subtotal_materiales, c.costo_flete, c.distancia_flete_km,
+               c.zona_flete_id, c.tarifa_flete_id, c.precio_total, c.vigente_hasta,
+               c.pedido_id, c.creado_por, c.respondido_por, c.respondido_en,
+               c.created_at,
+               CASE WHEN c.estado = 'vigente' AND c.vigente_hasta < NOW()
+                    THEN 'vencida' ELSE c.estado END as estado,
+               u.nombre || ' ' || u.apellido as cliente_nombre, cl.empresa,
+               l.nombre as lista_nombre, po.nombre as patio_origen,
+               z.nombre as zona_flete, t.nombre as tarifa_flete,
+               p.codigo_seguimiento as pedido_codigo
+        FROM cotizaciones c
+        JOIN clientes cl ON c.cliente_id = cl.id
+        JOIN usuarios u ON cl.usuario_id = u.id
+        LEFT JOIN listas_precios l ON c.lista_precio_id = l.id
+        LEFT JOIN patios po ON c.patio_origen_id = po.id
+        LEFT JOIN zonas_flete z ON c.zona_flete_id = z.id
+        LEFT JOIN tarifas_flete t ON c.tarifa_flete_id = t.id
+        LEFT JOIN pedidos p ON c.pedido_id = p.id
+        WHERE c.id = $1
+    `,
+
+  CREATE: `
+        INSERT INTO cotizaciones (
+            numero, cliente_id, lista_precio_id, patio_id, patio_origen_id,
+            direccion_entrega, direccion_lat, direccion_lng, telefono_contacto,
+            fecha_entrega_solicitada, observaciones, subtotal_materiales,
+            costo_flete, distancia_flete_km, zona_flete_id, tarifa_flete_id,
+            precio_total, vigente_hasta, creado_por
+        )
+        VALUES (
+            'COT-' || TO_CHAR(CURRENT_DATE, 'YYYY') || '-' ||
+                LPAD(nextval('cotizaciones_numero_seq')::text, 6, '0'),
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+            CURRENT_TIMESTAMP + make_interval(days => $17::int), $18
+        )
+        RETURNING id, numero, estado, precio_total, vigente_hasta, created_at
+    `,
+
+  CREATE_DETALLE: `
+        INSERT INTO cotizacion_detalles (
+            cotizacion_id, material_id, cantidad, lista_precio_id, precio_lista,
+            descuento_porcentaje, precio_unitario, subtotal
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `,
+
+  GET_DETALLES: `
+        SELECT d.id, d.material_id, d.cantidad, d.lista_precio_id, d.precio_lista,
+               d.descuento_porcentaje, d.precio_unitario, d.subtotal,
+               m.nombre as material_nombre, m.unidad_medida
+        FROM cotizacion_detalles d
+        JOIN materiales m ON d.material_id = m.id
+        WHERE d.cotizacion_id = $1
+        ORDER BY d.id
+    `,
+
+  LOCK_BY_ID: `
+        SELECT id, numero, cliente_id, vigente_hasta,
+               CASE WHEN estado = 'vigente' AND vigente_hasta < NOW()
+                    THEN 'vencida' ELSE estado END as estado
+        FROM cotizaciones
+        WHERE id = $1
+        FOR UPDATE
+    `,
+
+  MARK_ACCEPTED: `
+        UPDATE cotizaciones
+        SET estado = 'aceptada', pedido_id = $2, respondido_por = $3,
+            respondido_en = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND estado = 'vigente'
+        RETURNING id, numero, estado, pedido_id, respondido_en
+    `,
+
+  REJECT: `
+        UPDATE cotizaciones
+        SET estado = 'rechazada', respondido_por = $2,
+            respondido_en = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND estado = 'vigente' AND vigente_hasta >= NOW()
+        RETURNING id, numero, estado, respondido_en
+    `,
+
+  RECENT_BY_CLIENT: `
+        SELECT c.id, c.numero, c.precio_total, c.costo_flete, c.vigente_hasta,
+               c.created_at,
+               CASE WHEN c.estado = 'vigente' AND c.vigente_hasta < NOW()
+                    THEN 'vencida' ELSE c.estado END as estado,
+               p.codigo_seguimiento as pedido_codigo,
+               (SELECT string_agg(m.nombre, ', ' ORDER BY d.id)
+                FROM cotizacion_detalles d
+                JOIN materiales m ON d.material_id = m.id
+                WHERE d.cotizacion_id = c.id) as materiales
+        FROM cotizaciones c
+        LEFT JOIN pedidos p ON c.pedido_id = p.id
+        WHERE c.cliente_id = $1
+        ORDER BY c.created_at DESC
+        LIMIT $2
+    `,
+};
+
+const FACTURAS_QUERIES = {
+  PEDIDOS_POR_FACTURAR: `
+        SELECT p.id, p.codigo_seguimiento, p.cliente_id,
+               u.nombre || ' ' || u.apellido as cliente_nombre, c.empresa,
+               p.precio_total, p.costo_flete, p.fecha_pedido,
+               COALESCE(pe.entregado_en, (
+                   SELECT MAX(e.created_at) FROM pedido_eventos e
+                   WHERE e.pedido_id = p.id AND e.estado_nuevo = 'entregado'
+               )) as entregado_en
+        FROM pedidos p
+        JOIN clientes c ON p.cliente_id = c.id
+        JOIN usuarios u ON c.usuario_id = u.id
+        LEFT JOIN pedido_entregas pe ON pe.pedido_id = p.id
+        WHERE p.estado = 'entregado' AND p.factura_id IS NULL
+          AND ($1::int IS NULL OR p.cliente_id = $1)
+        ORDER BY p.cliente_id, p.fecha_pedido
+    `,
+
+  LOCK_PEDIDOS: `
+        SELECT id, codigo_seguimiento, cliente_id, estado, precio_total, factura_id
+        FROM pedidos
+        WHERE id = ANY($1::int[])
+        ORDER BY id
+        FOR UPDATE
+    `,
+
+  LOCK_PEDIDOS_CLIENTE: `
+        SELECT id, codigo_seguimiento, cliente_id, estado, precio_total, factura_id
+        FROM pedidos
+        WHERE cliente_id = $1 AND estado = 'entregado' AND factura_id IS NULL
+        ORDER BY id
+        FOR UPDATE
+    `,
+
+  CREATE: `
+        INSERT INTO facturas (id, codigo, cliente_id, total, fecha_vencimiento,
+                              observaciones, creado_por)
+        SELECT n, 'FAC-' || LPAD(n::text, 6, '0'), $1, $2, CURRENT_DATE + $3::int, $4, $5
+        FROM (SELECT nextval(pg_get_serial_sequence('facturas', 'id')) as n) s
+        RETURNING id, codigo, cliente_id, estado, total, monto_pagado,
+                  fecha_emision, fecha_vencimiento, created_at
+    `,
+
+  ADD_PEDIDO: `
+        INSERT INTO factura_pedidos (factura_id, pedido_id, monto)
+        VALUES ($1, $2, $3)
+    `,
+
+  LINK_PEDIDOS: `
+        UPDATE pedidos
+        SET factura_id = $2
+        WHERE id = ANY($1::int[])
+    `,
+
+  LIST: `
+        SELECT f.id, f.codigo, f.cliente_id,
+               u.nombre || ' ' || u.apellido as cliente_nombre, c.empresa,
+               f.estado, f.total, f.monto_pagado, f.total - f.monto_pagado as saldo,
+               f.fecha_emision, f.fecha_vencimiento,
+               (f.estado IN ('pendiente', 'parcial')
+                AND f.fecha_vencimiento < CURRENT_DATE) as vencida,
+               f.created_at
+        FROM facturas f
+        JOIN clientes c ON f.cliente_id = c.id
+        JOIN usuarios u ON c.usuario_id = u.id
+        WHERE ($1::int IS NULL OR f.cliente_id = $1)
+          AND ($2::text IS NULL OR f.estado = $2)
+          AND ($3::boolean IS NULL
+               OR (f.estado IN ('pendiente', 'parcial')
+                   AND f.fecha_vencimiento < CURRENT_DATE) = $3)
+        ORDER BY f.fecha_emision DESC, f.id DESC
+        LIMIT $4 OFFSET $5
+    `,
+
+  FIND_BY_ID: `
+        SELECT f.id, f.codigo, f.cliente_id,
+               u.nombre || ' ' || u.apellido as cliente_nombre, c.empresa,
+               c.direccion as cliente_direccion,
+               f.estado, f.total, f.monto_pagado, f.total - f.monto_pagado as saldo,
+               f.fecha_emision, f.fecha_vencimiento,
+               (f.estado IN ('pendiente', 'parcial')
+                AND f.fecha_vencimiento < CURRENT_DATE) as vencida,
+               f.observaciones, f.creado_por, f.motivo_anulacion, f.anulada_por,
+               f.anulada_en, f.created_at, f.updated_at
+        FROM facturas f
+        JOIN clientes c ON f.cliente_id = c.id
+        JOIN usuarios u ON c.usuario_id = u.id
+        WHERE f.id = $1
+    `,
+
+  GET_PEDIDOS: `
+        SELECT fp.pedido_id, p.codigo_seguimiento, fp.monto, p.costo_flete,
+               p.fecha_pedido, p.direccion_entrega
+        FROM factura_pedidos fp
+        JOIN pedidos p ON fp.pedido_id = p.id
+        WHERE fp.factura_id = $1
+        ORDER BY p.fecha_pedido
+    `,
+
+  GET_PAGOS: `
+        SELECT pg.id, pg.monto, pg.metodo, pg.referencia, pg.fecha_pago,
+               pg.observaciones, pg.registrado_por, pg.created_at,
+               u.nombre || ' ' || u.apellido as registrado_por_nombre
+        FROM pagos pg
+        LEFT JOIN usuarios u ON pg.registrado_por = u.id
+        WHERE pg.factura_id = $1
+        ORDER BY pg.fecha_pago, pg.id
+    `,
+
+  LOCK_BY_ID: `
+        SELECT id, codigo, estado, total, monto_pagado
+        FROM facturas
+        WHERE id = $1
+        FOR UPDATE
+    `,
+
+  CREATE_PAGO: `
+        INSERT INTO pagos (factura_id, monto, metodo, referencia, fecha_pago,
+                           observaciones, registrado_por)
+        VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE), $6, $7)
+        RETURNING id, factura_id, monto, metodo, referencia, fecha_pago,
+                  observaciones, registrado_por, created_at
+    `,
+
+  APPLY_PAGO: `
+        UPDATE facturas
+        SET monto_pagado = monto_pagado + $2,
+            estado = CASE WHEN monto_pagado + $2 >= total THEN 'pagada' ELSE 'parcial' END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, codigo, estado, total, monto_pagado, total - monto_pagado as saldo
+    `,
+
+  ANULAR: `
+        UPDATE facturas
+        SET estado = 'anulada', motivo_anulacion = $2, anulada_por = $3,
+            anulada_en = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, codigo, estado, motivo_anulacion, anulada_en
+    `,
+
+  RELEASE_PEDIDOS: `
+        UPDATE pedidos
+        SET factura_id = NULL
+        WHERE factura_id = $1
+    `,
+
+  SALDOS_CLIENTES: `
+        SELECT f.cliente_id, u.nombre || ' ' || u.apellido as cliente_nombre,
+               c.empresa,
+               COUNT(*) as facturas,
+               COUNT(*) FILTER (WHERE f.estado IN ('pendiente', 'parcial')) as facturas_abiertas,
+               SUM(f.total) as total_facturado,
+               SUM(f.monto_pagado) as total_pagado,
+               SUM(f.total - f.monto_pagado) as saldo,
+               COALESCE(SUM(f.total - f.monto_pagado)
+                   FILTER (WHERE f.fecha_vencimiento < CURRENT_DATE), 0) as saldo_vencido,
+               MIN(f.fecha_vencimiento)
+                   FILTER (WHERE f.estado IN ('pendiente', 'parcial')) as proximo_vencimiento
+        FROM facturas f
+        JOIN clientes c ON f.cliente_id = c.id
+        JOIN usuarios u ON c.usuario_id = u.id
+        WHERE f.estado <> 'anulada'
+          AND ($1::int IS NULL OR f.cliente_id = $1)
+        GROUP BY f.cliente_id, u.nombre, u.apellido, c.empresa
+        HAVING $2::boolean IS NOT TRUE OR SUM(f.total - f.monto_pagado) > 0
+        ORDER BY saldo DESC
+    `,
+
+  ANTIGUEDAD: `
+        WITH saldos AS (
+            SELECT f.id, f.cliente_id, f.fecha_vencimiento,
+                   f.total - COALESCE((
+                       SELECT SUM(pg.monto) FROM pagos pg
+                       WHERE pg.factura_id = f.id AND pg.fecha_pago <= $1::date
+                   ), 0) as saldo
+            FROM facturas f
+            WHERE f.estado <> 'anulada' AND f.fecha_emision <= $1::date
+        )
+        SELECT s.cliente_id, u.nombre || ' ' || u.apellido as cliente_nombre,
+               c.empresa,
+               COUNT(*) as facturas,
+               COALESCE(SUM(s.saldo) FILTER (WHERE s.fecha_vencimiento >= $1::date), 0) as corriente,
+               COALESCE(SUM(s.saldo) FILTER (WHERE $1::date - s.fecha_vencimiento BETWEEN 1 AND 30), 0) as dias_1_30,
+               COALESCE(SUM(s.saldo) FILTER (WHERE $1::date - s.fecha_vencimiento BETWEEN 31 AND 60), 0) as dias_31_60,
+               COALESCE(SUM(s.saldo) FILTER (WHERE $1::date - s.fecha_vencimiento BETWEEN 61 AND 90), 0) as dias_61_90,
+               COALESCE(SUM(s.saldo) FILTER (WHERE $1::date - s.fecha_vencimiento > 90), 0) as mas_de_90,
+               SUM(s.saldo) as saldo_total
+        FROM saldos s
+        JOIN clientes c ON s.cliente_id = c.id
+        JOIN usuarios u ON c.usuario_id = u.id
+        WHERE s.saldo > 0
+        GROUP BY s.cliente_id, u.nombre, u.apellido, c.empresa
+        ORDER BY saldo_total DESC
+    `,
+};
+
+const EVENTOS_QUERIES = {
+  CREATE: `
+        INSERT INTO pedido_eventos (pedido_id, estado_anterior, estado_nuevo,
+                                    usuario_id, motivo, request_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, pedido_id, estado_anterior, estado_nuevo, usuario_id,
+                  motivo, request_id, created_at
+    `,
+
+  LIST_BY_PEDIDO: `
+        SELECT e.id, e.pedido_id, e.estado_anterior, e.estado_nuevo, e.usuario_id,
+               e.motivo, e.request_id, e.created_at,
+               u.nombre as usuario_nombre, u.apellido as usuario_apellido,
+               u.rol as usuario_rol
+        FROM pedido_eventos e
+        LEFT JOIN usuarios u ON e.usuario_id = u.id
+        WHERE e.pedido_id = $1
+        ORDER BY e.created_at ASC, e.id ASC
+    `,
+};
+
+const ASIGNACIONES_QUERIES = {
+  CREATE: `
+        INSERT INTO pedido_asignaciones (pedido_id, vehiculo_id, conductor_id, asignado_por,
+                                         modo, puntuacion, reglas_aplicadas)
+        SELECT $1, v.id, v.conductor_id, $3, $4, $5, $6
+        FROM vehiculos v
+        WHERE v.id = $2
+        RETURNING id, pedido_id, vehiculo_id, conductor_id, asignado_por, asignado_en,
+                  modo, puntuacion, reglas_aplicadas
+    `,
+
+  RELEASE_BY_PEDIDO: `
+        UPDATE pedido_asignaciones 
+        SET liberado_en = CURRENT_TIMESTAMP, motivo_liberacion = $2
+        WHERE pedido_id = $1 AND liberado_en IS NULL
+        RETURNING id, pedido_id, vehiculo_id, liberado_en
+    `,
+
+  FIND_LATEST_BY_PEDIDO: `
+        SELECT a.id, a.pedido_id, a.vehiculo_id, a.conductor_id, a.asignado_por,
+               a.asignado_en, a.liberado_en, a.motivo_liberacion,
+               a.modo, a.puntuacion,
+               v.placa, v.capacidad_m3,
+               u.nombre as conductor_nombre, u.apellido as conductor_apellido,
+               u.telefono as conductor_telefono
+        FROM pedido_asignaciones a
+        JOIN vehiculos v ON a.vehiculo_id = v.id
+        LEFT JOIN usuarios u ON a.conductor_id = u.id
+        WHERE a.pedido_id = $1
+        ORDER BY a.asignado_en DESC, a.id DESC
+        LIMIT 1
+    `,
+
+  LIST_ACTIVE: `
+        SELECT a.id, a.pedido_id, a.vehiculo_id, a.conductor_id, a.asignado_en,
+               p.codigo_seguimiento, p.estado as pedido_estado, p.direccion_entrega,
+               u.nombre as conductor_nombre, u.apellido as conductor_apellido
+        FROM pedido_asignaciones a
+        JOIN pedidos p ON a.pedido_id = p.id
+        LEFT JOIN usuarios u ON a.conductor_id = u.id
+        WHERE a.liberado_en IS NULL
+        ORDER BY a.asignado_en ASC
+    `,
+
+  LIST_ACTIVE_BY_VEHICULO: `
+        SELECT a.id, a.pedido_id, a.vehiculo_id, a.asignado_en,
+               p.codigo_seguimiento, p.estado as pedido_estado
+        FROM pedido_asignaciones a
+        JOIN pedidos p ON a.pedido_id = p.id
+        WHERE a.vehiculo_id = $1 AND a.liberado_en IS NULL
+        ORDER BY a.asignado_en ASC
+    `,
+};
+
+const REGLAS_ASIGNACION_QUERIES = {
+  LIST_ALL: `
+        SELECT codigo, nombre, descripcion, activa, peso, parametros, updated_by, updated_at
+        FROM reglas_asignacion
+        ORDER BY codigo
+    `,
+
+  FIND_BY_CODIGO: `
+        SELECT codigo, nombre, descripcion, activa, peso, parametros, updated_by, updated_at
+        FROM reglas_asignacion
+        WHERE codigo = $1
+    `,
+
+  UPDATE: `
+        UPDATE reglas_asignacion
+        SET activa = $2, peso = $3, parametros = $4,
+            updated_by = $5, updated_at = CURRENT_TIMESTAMP
+        WHERE codigo = $1
+        RETURNING codigo, nombre, descripcion, activa, peso, parametros, updated_by, updated_at
+    `,
+};
+
 const DASHBOARD_QUERIES = {
   GET_GENERAL_STATS: `
         SELECT * FROM estadisticas_dashboard()
@@ -290,14 +1957,33 @@ const DASHBOARD_QUERIES = {
         WHERE cliente_id = $1
     `,
 
+  GET_BILLING_SUMMARY: `
+        SELECT
+            (SELECT COALESCE(SUM(total), 0) FROM facturas
+             WHERE estado <> 'anulada'
+               AND fecha_emision >= CURRENT_DATE - INTERVAL '30 days') as facturado_mes,
+            (SELECT COALESCE(SUM(pg.monto), 0) FROM pagos pg
+             JOIN facturas f ON pg.factura_id = f.id
+             WHERE f.estado <> 'anulada'
+               AND pg.fecha_pago >= CURRENT_DATE - INTERVAL '30 days') as cobrado_mes,
+            (SELECT COALESCE(SUM(total - monto_pagado), 0) FROM facturas
+             WHERE estado IN ('pendiente', 'parcial')) as saldo_por_cobrar,
+            (SELECT COALESCE(SUM(total - monto_pagado), 0) FROM facturas
+             WHERE estado IN ('pendiente', 'parcial')
+               AND fecha_vencimiento < CURRENT_DATE) as saldo_vencido,
+            (SELECT COALESCE(SUM(precio_total), 0) FROM pedidos
+             WHERE estado = 'entregado' AND factura_id IS NULL) as entregado_sin_facturar
+    `,
+
   GET_SALES_BY_MATERIAL: `
         SELECT 
             m.nombre as material,
-            COUNT(p.id) as cantidad_pedidos,
-            SUM(p.cantidad) as cantidad_total,
-            SUM(p.precio_total) as valor_total
-        FROM pedidos p
-        JOIN materiales m ON p.material_id = m.id
+            COUNT(DISTINCT p.id) as cantidad_pedidos,
+            SUM(d.cantidad) as cantidad_total,
+            SUM(d.subtotal) as valor_total
+        FROM pedido_detalles d
+        JOIN pedidos p ON d.pedido_id = p.id
+        JOIN materiales m ON d.material_id = m.id
         WHERE p.fecha_pedido >= CURRENT_DATE - INTERVAL '30 days'
         GROUP BY m.id, m.nombre
         ORDER BY valor_total DESC
@@ -307,9 +1993,26 @@ const DASHBOARD_QUERIES = {
 module.exports = {
   USUARIOS: USUARIOS_QUERIES,
   MATERIALES: MATERIALES_QUERIES,
+  PRECIOS: PRECIOS_QUERIES,
+  FLETES: FLETES_QUERIES,
   STOCK: STOCK_QUERIES,
+  RESERVAS: RESERVAS_QUERIES,
+  PATIOS: PATIOS_QUERIES,
+  TRANSFERENCIAS: TRANSFERENCIAS_QUERIES,
+  MOVIMIENTOS: MOVIMIENTOS_QUERIES,
+  PROVEEDORES: PROVEEDORES_QUERIES,
+  ORDENES_COMPRA: ORDENES_COMPRA_QUERIES,
+  REPOSICIONES: REPOSICIONES_QUERIES,
   VEHICULOS: VEHICULOS_QUERIES,
+  MANTENIMIENTOS: MANTENIMIENTOS_QUERIES,
+  POSICIONES: POSICIONES_QUERIES,
+  GEOCERCAS: GEOCERCAS_QUERIES,
   CLIENTES: CLIENTES_QUERIES,
   PEDIDOS: PEDIDOS_QUERIES,
+  COTIZACIONES: COTIZACIONES_QUERIES,
+  FACTURAS: FACTURAS_QUERIES,
+  EVENTOS: EVENTOS_QUERIES,
+  ASIGNACIONES: ASIGNACIONES_QUERIES,
+  REGLAS_ASIGNACION: REGLAS_ASIGNACION_QUERIES,
   DASHBOARD: DASHBOARD_QUERIES,
 };
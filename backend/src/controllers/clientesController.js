@@ -0,0 +1,136 @@
+const Cliente = require("../models/Cliente");
+const {
+  success,
+  updated,
+  paginated,
+  createPagination,
+  notFound,
+} = require("../utils/responseHelper");
+const { asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+/**
+ * Listar y buscar clientes
+ * GET /api/clientes?busqueda=&tipo_cliente=&activo=true|false&page=&limit=
+ * Acceso: Admin/Administrativo
+ * busqueda compara con nombre, empresa, NIT y teléfono
+ */
+const getClientes = asyncHandler(async (req, res) => {
+  const { busqueda, tipo_cliente, activo, page, limit } = req.query;
+  const pagina = createPagination(page, limit || 20, 0);
+
+  const { clientes, total } = await Cliente.findAll({
+    busqueda: busqueda || null,
+    tipo_cliente: tipo_cliente || null,
+    activo: activo === undefined ? null : activo === "true",
+    limit: pagina.limit,
+    offset: pagina.offset,
+  });
+
+  return paginated(
+    res,
+    clientes,
+    { page: pagina.page, limit: pagina.limit, total },
+    `${total} clientes encontrados`
+  );
+});
+
+/**
+ * Ficha del cliente: perfil, totales, historial de pedidos y crédito
+ * GET /api/clientes/:id?page=&limit=
+ * Acceso: Admin/Administrativo
+ * page y limit paginan el historial de pedidos
+ */
+const getClienteById = asyncHandler(async (req, res) => {
+  const pagina = createPagination(req.query.page, req.query.limit || 20, 0);
+
+  const cliente = await Cliente.findDetalle(req.params.id, {
+    limit: pagina.limit,
+    offset: pagina.offset,
+  });
+  if (!cliente) {
+    return notFound(res, "Cliente no encontrado");
+  }
+
+  return success(res, cliente);
+});
+
+/**
+ * Editar datos del cliente
+ * PUT /api/clientes/:id
+ * Acceso: Admin/Administrativo
+ * Body: { tipo_cliente?, direccion?, ciudad?, empresa?, nit?, radio_geocerca_m? }
+ */
+const updateCliente = asyncHandler(async (req, res) => {
+  const cliente = await Cliente.update(req.params.id, req.body);
+
+  logger.info("Cliente actualizado", {
+    clienteId: cliente.id,
+    campos: Object.keys(req.body || {}),
+    userId: req.user.id,
+  });
+
+  return updated(res, cliente, "Cliente actualizado");
+});
+
+/**
+ * Desactivar cliente (no inicia sesión ni recibe pedidos nuevos)
+ * POST /api/clientes/:id/desactivar
+ * Acceso: Solo Admin
+ * Body: { motivo }
+ */
+const desactivarCliente = asyncHandler(async (req, res) => {
+  const cliente = await Cliente.desactivar(
+    req.params.id,
+    req.body && req.body.motivo,
+    req.user.id
+  );
+
+  return updated(res, cliente, "Cliente desactivado");
+});
+
+/**
+ * Crédito del cliente con las últimas autorizaciones de exceso
+ * GET /api/clientes/:id/credito
+ * Acceso: Admin/Administrativo
+ */
+const getCredito = asyncHandler(async (req, res) => {
+  const credito = await Cliente.getCredito(req.params.id);
+  if (!credito) {
+    return notFound(res, "Cliente no encontrado");
+  }
+
+  const autorizaciones = await Cliente.findAutorizacionesCredito(
+    credito.cliente_id
+  );
+
+  return success(res, { ...credito, autorizaciones });
+});
+
+/**
+ * Configurar límite de crédito, plazo de pago y política de exceso
+ * PUT /api/clientes/:id/credito
+ * Acceso: Solo Admin
+ * Body: { limite_credito?, plazo_pago_dias?, exceso_credito?: bloquear|marcar }
+ *       null en limite_credito quita el control; en plazo_pago_dias vuelve al plazo general
+ */
+const updateCredito = asyncHandler(async (req, res) => {
+  const credito = await Cliente.updateCredito(req.params.id, req.body);
+
+  logger.info("Crédito de cliente actualizado", {
+    clienteId: credito.cliente_id,
+    limite: credito.limite_credito,
+    userId: req.user.id,
+  });
+
+  return updated(res, credito, "Crédito del cliente actualizado");
+});
+
+module.exports = {
+  getClientes,
+  getClienteById,
+  updateCliente,
+  desactivarCliente,
+  getCredito,
+  updateCredito,
+};
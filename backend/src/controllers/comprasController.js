@@ -0,0 +1,209 @@
+const Proveedor = require("../models/Proveedor");
+const OrdenCompra = require("../models/OrdenCompra");
+const {
+  success,
+  created,
+  updated,
+  notFound,
+  validationError,
+} = require("../utils/responseHelper");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { sanitizeText } = require("../utils/validation");
+const logger = require("../utils/logger");
+
+/**
+ * Listar proveedores
+ * GET /api/compras/proveedores?activo=true&tipo=cantera
+ * Acceso: Admin/Administrativo
+ */
+const getProveedores = asyncHandler(async (req, res) => {
+  const { activo, tipo } = req.query;
+
+  const proveedores = await Proveedor.findAll({
+    activo: activo === undefined ? null : activo === "true",
+    tipo,
+  });
+
+  return success(
+    res,
+    proveedores,
+    `${proveedores.length} proveedores encontrados`
+  );
+});
+
+/**
+ * Obtener proveedor por ID
+ * GET /api/compras/proveedores/:id
+ * Acceso: Admin/Administrativo
+ */
+const getProveedorById = asyncHandler(async (req, res) => {
+  const proveedor = await Proveedor.findById(req.params.id);
+
+  if (!proveedor) {
+    return notFound(res, "Proveedor no encontrado");
+  }
+
+  return success(res, proveedor, "Proveedor encontrado");
+});
+
+/**
+ * Crear proveedor
+ * POST /api/compras/proveedores
+ * Acceso: Admin/Administrativo
+ * Body: { nombre, tipo?, nit?, telefono?, email?, direccion? }
+ */
+const createProveedor = asyncHandler(async (req, res) => {
+  const proveedor = await Proveedor.create(req.body);
+
+  logger.info("Proveedor creado exitosamente", {
+    proveedorId: proveedor.id,
+    userId: req.user.id,
+  });
+
+  return created(res, proveedor, "Proveedor creado exitosamente");
+});
+
+/**
+ * Actualizar proveedor
+ * PUT /api/compras/proveedores/:id
+ * Acceso: Admin/Administrativo
+ * Body: { nombre?, tipo?, nit?, telefono?, email?, direccion?, activo? }
+ */
+const updateProveedor = asyncHandler(async (req, res) => {
+  if (Object.keys(req.body).length === 0) {
+    return validationError(
+      res,
+      [
+        {
+          field: "general",
+          message: "Se requiere al menos un campo para actualizar",
+        },
+      ],
+      "No hay datos para actualizar"
+    );
+  }
+
+  const proveedor = await Proveedor.update(req.params.id, req.body);
+
+  logger.info("Proveedor actualizado exitosamente", {
+    proveedorId: proveedor.id,
+    userId: req.user.id,
+  });
+
+  return updated(res, proveedor, "Proveedor actualizado exitosamente");
+});
+
+/**
+ * Listar órdenes de compra
+ * GET /api/compras/ordenes?estado=pendiente&proveedor_id=1
+ * Acceso: Admin/Administrativo
+ */
+const getOrdenes = asyncHandler(async (req, res) => {
+  const ordenes = await OrdenCompra.findAll({
+    estado: req.query.estado,
+    proveedor_id: req.query.proveedor_id,
+  });
+
+  return success(res, ordenes, `${ordenes.length} órdenes encontradas`);
+});
+
+/**
+ * Obtener orden de compra con líneas y recepciones
+ * GET /api/compras/ordenes/:id
+ * Acceso: Admin/Administrativo
+ */
+const getOrdenById = asyncHandler(async (req, res) => {
+  const orden = await OrdenCompra.findById(req.params.id);
+
+  if (!orden) {
+    return notFound(res, "Orden de compra no encontrada");
+  }
+
+  return success(res, orden, "Orden de compra encontrada");
+});
+
+/**
+ * Crear orden de compra
+ * POST /api/compras/ordenes
+ * Acceso: Admin/Administrativo
+ * Body: { proveedor_id, transportista_id?, costo_flete?, fecha_esperada?,
+ *         observaciones?, detalles: [{ material_id, cantidad, costo_unitario }] }
+ */
+const createOrden = asyncHandler(async (req, res) => {
+  const orden = await OrdenCompra.create(req.body, req.user.id);
+
+  logger.info("Orden de compra creada exitosamente", {
+    ordenId: orden.id,
+    codigo: orden.codigo,
+    userId: req.user.id,
+  });
+
+  return created(res, orden, `Orden ${orden.codigo} creada exitosamente`);
+});
+
+/**
+ * Registrar recepción (parcial o completa) de una orden
+ * POST /api/compras/ordenes/:id/recepciones
+ * Acceso: Admin/Administrativo
+ * Body: { lineas?: [{ material_id, cantidad }], patio_id?, nota? }
+ */
+const recibirOrden = asyncHandler(async (req, res) => {
+  const nota = typeof req.body.nota === "string" ? req.body.nota.trim() : "";
+
+  if (nota.length > 500) {
+    return validationError(
+      res,
+      [{ field: "nota", message: "Nota demasiado larga (máximo 500)" }],
+      "Datos inválidos"
+    );
+  }
+
+  const resultado = await OrdenCompra.recibir(
+    req.params.id,
+    req.body.lineas,
+    req.user.id,
+    { nota: nota ? sanitizeText(nota) : null, patioId: req.body.patio_id }
+  );
+
+  logger.info("Recepción de compra registrada", {
+    ordenId: resultado.orden.id,
+    estado: resultado.orden.estado,
+    userId: req.user.id,
+  });
+
+  return success(
+    res,
+    resultado,
+    resultado.orden.estado === OrdenCompra.ESTADOS.RECIBIDA
+      ? `Orden ${resultado.orden.codigo} recibida completa`
+      : `Recepción parcial de ${resultado.orden.codigo} registrada`
+  );
+});
+
+/**
+ * Cancelar orden de compra
+ * PUT /api/compras/ordenes/:id/cancelar
+ * Acceso: Admin/Administrativo
+ */
+const cancelarOrden = asyncHandler(async (req, res) => {
+  const orden = await OrdenCompra.cancel(req.params.id, req.user.id);
+
+  logger.info("Orden de compra cancelada", {
+    ordenId: orden.id,
+    userId: req.user.id,
+  });
+
+  return updated(res, orden, `Orden ${orden.codigo} cancelada`);
+});
+
+module.exports = {
+  getProveedores,
+  getProveedorById,
+  createProveedor,
+  updateProveedor,
+  getOrdenes,
+  getOrdenById,
+  createOrden,
+  recibirOrden,
+  cancelarOrden,
+};
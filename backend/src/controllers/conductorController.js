@@ -0,0 +1,333 @@
+const Pedido = require("../models/Pedido");
+const PosicionVehiculo = require("../models/PosicionVehiculo");
+const { validateDeliveryProof } = require("../utils/validation");
+const {
+  success,
+  created,
+  updated,
+  validationError,
+  businessLogicError,
+} = require("../utils/responseHelper");
+const {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+} = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+/**
+ * Formatear pedido para la hoja de ruta del conductor (sin precios)
+ */
+const formatPedidoConductor = (pedido) => ({
+  id: pedido.id,
+  codigo_seguimiento: pedido.codigo_seguimiento,
+  estado: pedido.estado,
+  cliente: pedido.cliente_empresa || pedido.cliente_nombre,
+  telefono_contacto: pedido.telefono_contacto || pedido.cliente_telefono,
+  direccion_entrega: pedido.direccion_entrega,
+  direccion_lat: pedido.direccion_lat,
+  direccion_lng: pedido.direccion_lng,
+  volumen_total: Pedido.getVolumenTotal(pedido),
+  detalles: Pedido.formatDetalles(pedido.detalles, { incluirPrecios: false }),
+  fecha_entrega_solicitada: pedido.fecha_entrega_solicitada,
+  cargado: !!pedido.fecha_carga,
+  fecha_carga: pedido.fecha_carga,
+  observaciones: pedido.observaciones,
+});
+
+/**
+ * Obtener vehículo vinculado al conductor
+ * GET /api/conductor/vehiculo
+ * Acceso: Conductor
+ */
+const getMiVehiculo = asyncHandler(async (req, res) => {
+  const vehiculo = req.vehiculo; // Viene del middleware
+
+  return success(
+    res,
+    {
+      id: vehiculo.id,
+      placa: vehiculo.placa,
+      marca: vehiculo.marca,
+      modelo: vehiculo.modelo,
+      capacidad_m3: vehiculo.capacidad_m3,
+      estado: vehiculo.estado,
+      ubicacion_actual: {
+        lat: vehiculo.ubicacion_actual_lat,
+        lng: vehiculo.ubicacion_actual_lng,
+      },
+      ultima_actualizacion: vehiculo.ultima_ubicacion,
+    },
+    `Vehículo asignado: ${vehiculo.placa}`
+  );
+});
+
+/**
+ * Listar pedidos asignados al vehículo del conductor
+ * GET /api/conductor/pedidos?incluir_entregados=true
+ * Acceso: Conductor
+ */
+const getPedidosAsignados = asyncHandler(async (req, res) => {
+  const vehiculo = req.vehiculo;
+  const incluirEntregados = req.query.incluir_entregados === "true";
+
+  logger.debug("Obteniendo pedidos asignados al conductor", {
+    userId: req.user.id,
+    vehiculoId: vehiculo.id,
+    incluirEntregados,
+  });
+
+  const estados = [Pedido.ESTADOS.ASIGNADO, Pedido.ESTADOS.EN_TRANSITO];
+  if (incluirEntregados) {
+    estados.push(Pedido.ESTADOS.ENTREGADO);
+  }
+
+  const pedidos = await Pedido.findByVehiculo(vehiculo.id, estados);
+
+  return success(
+    res,
+    {
+      vehiculo: { id: vehiculo.id, placa: vehiculo.placa },
+      pedidos: pedidos.map(formatPedidoConductor),
+    },
+    `${pedidos.length} pedidos asignados`
+  );
+});
+
+/**
+ * Marcar pedido como cargado en planta
+ * PUT /api/conductor/pedidos/:id/cargado
+ * Acceso: Conductor (pedido asignado a su vehículo)
+ */
+const marcarCargado = asyncHandler(async (req, res) => {
+  const pedido = req.pedido; // Viene del middleware
+
+  logger.info("Conductor marca pedido como cargado", {
+    pedidoId: pedido.id,
+    userId: req.user.id,
+    vehiculoId: req.vehiculo.id,
+  });
+
+  try {
+    const pedidoCargado = await Pedido.markLoaded(pedido.id, req.user.id, {
+      requestId: req.requestId,
+    });
+
+    return updated(
+      res,
+      {
+        id: pedidoCargado.id,
+        codigo_seguimiento: pedidoCargado.codigo_seguimiento,
+        estado: pedidoCargado.estado,
+        fecha_carga: pedidoCargado.fecha_carga,
+      },
+      "Pedido marcado como cargado"
+    );
+  } catch (error) {
+    if (error instanceof BusinessLogicError || error instanceof NotFoundError) {
+      return businessLogicError(res, error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Iniciar traslado del pedido (asignado → en_transito)
+ * PUT /api/conductor/pedidos/:id/en-transito
+ * Acceso: Conductor (pedido asignado a su vehículo)
+ */
+const iniciarTransito = asyncHandler(async (req, res) => {
+  const pedido = req.pedido;
+
+  logger.info("Conductor inicia traslado de pedido", {
+    pedidoId: pedido.id,
+    userId: req.user.id,
+    vehiculoId: req.vehiculo.id,
+  });
+
+  if (!pedido.fecha_carga) {
+    return businessLogicError(
+      res,
+      "Debe marcar el pedido como cargado antes de salir a entrega"
+    );
+  }
+
+  try {
+    const pedidoActualizado = await Pedido.updateStatus(
+      pedido.id,
+      Pedido.ESTADOS.EN_TRANSITO,
+      req.user.id,
+      { motivo: `Salida de ${req.vehiculo.placa}`, requestId: req.requestId }
+    );
+
+    return updated(
+      res,
+      {
+        id: pedidoActualizado.id,
+        codigo_seguimiento: pedidoActualizado.codigo_seguimiento,
+        estado: pedidoActualizado.estado,
+        updated_at: pedidoActualizado.updated_at,
+      },
+      "Pedido en tránsito"
+    );
+  } catch (error) {
+    if (error instanceof BusinessLogicError || error instanceof NotFoundError) {
+      return businessLogicError(res, error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Registrar entrega con comprobante (en_transito → entregado)
+ * PUT /api/conductor/pedidos/:id/entregado
+ * Body: { receptor_nombre, receptor_documento?, evidencia_url?, observaciones?, lat?, lng? }
+ * Acceso: Conductor (pedido asignado a su vehículo)
+ */
+const registrarEntrega = asyncHandler(async (req, res) => {
+  const pedido = req.pedido;
+
+  logger.info("Conductor registra entrega", {
+    pedidoId: pedido.id,
+    userId: req.user.id,
+    vehiculoId: req.vehiculo.id,
+  });
+
+  const validation = validateDeliveryProof(req.body);
+  if (!validation.isValid) {
+    return validationError(
+      res,
+      validation.errors,
+      "Comprobante de entrega inválido"
+    );
+  }
+
+  try {
+    const resultado = await Pedido.registerDelivery(
+      pedido.id,
+      validation.validData,
+      {
+        userId: req.user.id,
+        vehiculoId: req.vehiculo.id,
+        requestId: req.requestId,
+      }
+    );
+
+    return updated(
+      res,
+      {
+        pedido: {
+          id: resultado.pedido.id,
+          codigo_seguimiento: resultado.pedido.codigo_seguimiento,
+          estado: resultado.pedido.estado,
+        },
+        comprobante: resultado.entrega,
+      },
+      "Entrega registrada exitosamente"
+    );
+  } catch (error) {
+    if (error instanceof BusinessLogicError || error instanceof NotFoundError) {
+      return businessLogicError(res, error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Responder al registro de posiciones del conductor
+ */
+const responderPosiciones = (res, error) => {
+  if (error instanceof ValidationError) {
+    return validationError(res, error.errors || [], error.message);
+  }
+  if (error instanceof BusinessLogicError || error instanceof NotFoundError) {
+    return businessLogicError(res, error.message);
+  }
+  throw error;
+};
+
+/**
+ * Reportar ubicación GPS del vehículo del conductor
+ * PUT /api/conductor/ubicacion
+ * Body: { lat, lng, velocidad_kmh?, rumbo?, registrado_en? }
+ * Acceso: Conductor
+ */
+const actualizarMiUbicacion = asyncHandler(async (req, res) => {
+  const { lat, lng, velocidad_kmh, rumbo, registrado_en } = req.body;
+  const vehiculo = req.vehiculo;
+
+  try {
+    const resultado = await PosicionVehiculo.registrar(
+      vehiculo.id,
+      { lat, lng, velocidad_kmh, rumbo, registrado_en },
+      req.user.id
+    );
+
+    logger.debug("Conductor actualizó ubicación", {
+      userId: req.user.id,
+      vehiculoId: vehiculo.id,
+    });
+
+    return updated(
+      res,
+      {
+        id: resultado.id,
+        placa: resultado.placa,
+        ubicacion_actual: {
+          lat: resultado.ubicacion_actual.lat,
+          lng: resultado.ubicacion_actual.lng,
+        },
+        actualizado_en: resultado.ubicacion_actual.registrado_en,
+        geocercas: resultado.geocercas,
+      },
+      `Ubicación de ${resultado.placa} actualizada`
+    );
+  } catch (error) {
+    return responderPosiciones(res, error);
+  }
+});
+
+/**
+ * Enviar en lote las posiciones acumuladas sin señal
+ * POST /api/conductor/ubicaciones
+ * Body: { puntos: [{ lat, lng, registrado_en, velocidad_kmh?, rumbo? }] }
+ * Acceso: Conductor
+ * Reenviar un lote no duplica puntos
+ */
+const registrarMisPosiciones = asyncHandler(async (req, res) => {
+  const vehiculo = req.vehiculo;
+
+  try {
+    const resultado = await PosicionVehiculo.registrar(
+      vehiculo.id,
+      { puntos: req.body.puntos ?? null },
+      req.user.id
+    );
+
+    logger.info("Conductor envió posiciones en lote", {
+      userId: req.user.id,
+      vehiculoId: vehiculo.id,
+      recibidos: resultado.recibidos,
+      guardados: resultado.guardados,
+    });
+
+    return created(
+      res,
+      resultado,
+      `${resultado.guardados} de ${resultado.recibidos} posiciones registradas`
+    );
+  } catch (error) {
+    return responderPosiciones(res, error);
+  }
+});
+
+module.exports = {
+  getMiVehiculo,
+  getPedidosAsignados,
+  marcarCargado,
+  iniciarTransito,
+  registrarEntrega,
+  actualizarMiUbicacion,
+  registrarMisPosiciones,
+};
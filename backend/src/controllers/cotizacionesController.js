@@ -0,0 +1,161 @@
+const Cotizacion = require("../models/Cotizacion");
+const Pedido = require("../models/Pedido");
+const { sanitizeText } = require("../utils/validation");
+const {
+  success,
+  created,
+  notFound,
+  forbidden,
+} = require("../utils/responseHelper");
+const { asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+/**
+ * Crear cotización
+ * POST /api/cotizaciones
+ * Acceso: Cliente / Admin-Administrativo con cliente_id
+ * Body: igual que crear pedido más vigencia_dias?
+ */
+const createCotizacion = asyncHandler(async (req, res) => {
+  const cotizacion = await Cotizacion.create(
+    req.body,
+    req.clienteId,
+    req.user.id
+  );
+
+  logger.info("Cotización creada exitosamente", {
+    cotizacionId: cotizacion.id,
+    numero: cotizacion.numero,
+    clienteId: req.clienteId,
+    userId: req.user.id,
+  });
+
+  return created(
+    res,
+    cotizacion,
+    `Cotización ${cotizacion.numero} válida hasta ${new Date(
+      cotizacion.vigente_hasta
+    ).toLocaleDateString("es-BO")}`
+  );
+});
+
+/**
+ * Listar cotizaciones (el cliente solo ve las suyas)
+ * GET /api/cotizaciones?estado=vigente&cliente_id=&limit=&offset=
+ * Acceso: Cliente / Admin-Administrativo
+ */
+const getCotizaciones = asyncHandler(async (req, res) => {
+  const { estado, cliente_id, limit = 50, offset = 0 } = req.query;
+
+  const cotizaciones = await Cotizacion.findAll({
+    cliente_id: req.clienteId || parseInt(cliente_id) || null,
+    estado: estado || null,
+    limit: Math.min(parseInt(limit) || 50, 100),
+    offset: parseInt(offset) || 0,
+  });
+
+  return success(
+    res,
+    cotizaciones,
+    `${cotizaciones.length} cotizaciones encontradas`
+  );
+});
+
+/**
+ * Obtener cotización con sus líneas
+ * GET /api/cotizaciones/:id
+ * Acceso: Cliente dueño / Admin-Administrativo
+ */
+const getCotizacionById = asyncHandler(async (req, res) => {
+  const cotizacion = await Cotizacion.findById(req.params.id, {
+    clienteId: req.clienteId,
+  });
+
+  if (!cotizacion) {
+    return notFound(res, "Cotización no encontrada");
+  }
+
+  return success(res, cotizacion, "Cotización encontrada");
+});
+
+/**
+ * Aceptar cotización y crear el pedido con los precios cotizados
+ * POST /api/cotizaciones/:id/aceptar
+ * Acceso: Cliente dueño / Admin-Administrativo
+ * Body: { telefono_contacto?, fecha_entrega_solicitada?, observaciones? }
+ */
+const aceptarCotizacion = asyncHandler(async (req, res) => {
+  const motivoExceso = sanitizeText(
+    (req.body && req.body.autorizar_exceso_credito) || ""
+  );
+  if (motivoExceso && req.user.rol !== "administrador") {
+    return forbidden(
+      res,
+      "Solo un administrador puede autorizar pedidos sobre el límite de crédito"
+    );
+  }
+
+  const { cotizacion, pedido } = await Cotizacion.aceptar(
+    req.params.id,
+    req.body || {},
+    {
+      userId: req.user.id,
+      requestId: req.requestId,
+      clienteId: req.clienteId,
+      autorizacionCredito: motivoExceso
+        ? { userId: req.user.id, motivo: motivoExceso }
+        : null,
+    }
+  );
+
+  logger.info("Cotización aceptada exitosamente", {
+    cotizacionId: cotizacion.id,
+    pedidoId: pedido.id,
+    userId: req.user.id,
+  });
+
+  return created(
+    res,
+    {
+      cotizacion: {
+        id: cotizacion.id,
+        numero: cotizacion.numero,
+        estado: cotizacion.estado,
+      },
+      pedido: {
+        id: pedido.id,
+        codigo_seguimiento: pedido.codigo_seguimiento,
+        estado: pedido.estado,
+        detalles: Pedido.formatDetalles(pedido.detalles),
+        subtotal_materiales: pedido.subtotal_materiales,
+        flete: pedido.flete,
+        precio_total: pedido.precio_total,
+        patio: pedido.patio,
+        credito: pedido.credito,
+        reserva_expira_en: pedido.reserva_expira_en,
+      },
+    },
+    `Pedido ${pedido.codigo_seguimiento} creado desde la cotización ${cotizacion.numero}`
+  );
+});
+
+/**
+ * Rechazar cotización vigente
+ * POST /api/cotizaciones/:id/rechazar
+ * Acceso: Cliente dueño / Admin-Administrativo
+ */
+const rechazarCotizacion = asyncHandler(async (req, res) => {
+  const cotizacion = await Cotizacion.rechazar(req.params.id, req.user.id, {
+    clienteId: req.clienteId,
+  });
+
+  return success(res, cotizacion, `Cotización ${cotizacion.numero} rechazada`);
+});
+
+module.exports = {
+  createCotizacion,
+  getCotizaciones,
+  getCotizacionById,
+  aceptarCotizacion,
+  rechazarCotizacion,
+};
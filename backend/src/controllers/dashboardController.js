@@ -1,6 +1,9 @@
 const { query } = require("../config/database");
 const { DASHBOARD, PEDIDOS, STOCK, VEHICULOS } = require("../config/queries");
 const Cliente = require("../models/Cliente");
+const Pedido = require("../models/Pedido");
+const Cotizacion = require("../models/Cotizacion");
+const ReposicionStock = require("../models/ReposicionStock");
 const {
   success,
   dashboardStats,
@@ -37,7 +40,7 @@ const getDashboardCliente = asyncHandler(async (req, res) => {
     // Obtener pedidos recientes del cliente (últimos 5)
     const pedidosRecientes = await query(
       `SELECT codigo_seguimiento, estado, cantidad, precio_total, 
-              material_nombre, fecha_pedido, fecha_entrega_solicitada
+              material_nombre, detalles, fecha_pedido, fecha_entrega_solicitada
        FROM vista_pedidos_completa 
        WHERE cliente_id = $1 
        ORDER BY fecha_pedido DESC 
@@ -45,6 +48,12 @@ const getDashboardCliente = asyncHandler(async (req, res) => {
       [cliente.id]
     );
 
+    // Cotizaciones recientes (las vigentes se pueden aceptar desde aquí)
+    const cotizacionesRecientes = await Cotizacion.findRecientes(cliente.id);
+
+    // Crédito: saldo de facturas + pedidos activos contra el límite
+    const credito = await Cliente.getCredito(cliente.id);
+
     const dashboardData = {
       resumen_pedidos: {
         total_pedidos: parseInt(clientStats.total_pedidos),
@@ -58,12 +67,19 @@ const getDashboardCliente = asyncHandler(async (req, res) => {
       pedidos_recientes: pedidosRecientes.rows.map((pedido) => ({
         codigo_seguimiento: pedido.codigo_seguimiento,
         estado: pedido.estado,
-        material: pedido.material_nombre,
-        cantidad: `${pedido.cantidad} m³`,
+        material: Pedido.describeMateriales(pedido),
+        cantidad: `${Pedido.getVolumenTotal(pedido)} m³`,
         precio_total: parseFloat(pedido.precio_total),
         fecha_pedido: pedido.fecha_pedido,
         puede_rastrear: true,
       })),
+      cotizaciones_recientes: cotizacionesRecientes,
+      credito: {
+        limite_bolivianos: credito.limite_credito,
+        exposicion_bolivianos: credito.exposicion,
+        disponible_bolivianos: credito.disponible,
+        plazo_pago_dias: credito.plazo_pago_dias,
+      },
       perfil_cliente: {
         nombre_completo: `${req.user.nombre} ${req.user.apellido}`,
         email: req.user.email,
@@ -111,7 +127,7 @@ const getDashboardAdministrativo = asyncHandler(async (req, res) => {
 
     // Obtener pedidos pendientes de gestión
     const pedidosPendientes = await query(
-      `SELECT id, codigo_seguimiento, cliente_nombre, material_nombre, 
+      `SELECT id, codigo_seguimiento, cliente_nombre, material_nombre, detalles,
               cantidad, direccion_entrega, fecha_pedido, estado
        FROM vista_pedidos_completa 
        WHERE estado IN ('pendiente', 'confirmado') 
@@ -147,8 +163,8 @@ const getDashboardAdministrativo = asyncHandler(async (req, res) => {
         id: pedido.id,
         codigo: pedido.codigo_seguimiento,
         cliente: pedido.cliente_nombre,
-        material: pedido.material_nombre,
-        cantidad: `${pedido.cantidad} m³`,
+        material: Pedido.describeMateriales(pedido),
+        cantidad: `${Pedido.getVolumenTotal(pedido)} m³`,
         estado: pedido.estado,
         dias_pendiente: Math.floor(
           (Date.now() - new Date(pedido.fecha_pedido)) / (1000 * 60 * 60 * 24)
@@ -238,6 +254,14 @@ const getDashboardAdmin = asyncHandler(async (req, res) => {
 
     const metricas = metricsFinancieras.rows[0];
 
+    // Facturado vs cobrado: lo entregado no siempre está pagado
+    const facturacionResult = await query(DASHBOARD.GET_BILLING_SUMMARY);
+    const facturacion = facturacionResult.rows[0];
+    const saldoVencido = parseFloat(facturacion.saldo_vencido) || 0;
+
+    // Propuestas de reposición esperando revisión
+    const reposicionesPendientes = await ReposicionStock.contarPendientes();
+
     const dashboardData = {
       resumen_ejecutivo: {
         // Estadísticas operativas
@@ -252,6 +276,14 @@ const getDashboardAdmin = asyncHandler(async (req, res) => {
         ventas_hoy_bolivianos: parseFloat(metricas.ventas_hoy) || 0,
         pedidos_entregados_mes: parseInt(metricas.pedidos_mes) || 0,
 
+        // Facturación y cobranza
+        facturado_mes_bolivianos: parseFloat(facturacion.facturado_mes) || 0,
+        cobrado_mes_bolivianos: parseFloat(facturacion.cobrado_mes) || 0,
+        por_cobrar_bolivianos: parseFloat(facturacion.saldo_por_cobrar) || 0,
+        vencido_bolivianos: saldoVencido,
+        entregado_sin_facturar_bolivianos:
+          parseFloat(facturacion.entregado_sin_facturar) || 0,
+
         // KPIs calculados
         promedio_valor_pedido:
           metricas.pedidos_mes > 0
@@ -284,6 +316,26 @@ const getDashboardAdmin = asyncHandler(async (req, res) => {
               },
             ]
           : []),
+        ...(reposicionesPendientes > 0
+          ? [
+              {
+                tipo: "reposicion",
+                mensaje: `${reposicionesPendientes} propuestas de reposición por revisar`,
+                prioridad: "alta",
+                enlace: "/api/stock/reposiciones?estado=pendiente",
+              },
+            ]
+          : []),
+        ...(saldoVencido > 0
+          ? [
+              {
+                tipo: "cobranza",
+                mensaje: `${saldoVencido} Bs en facturas vencidas`,
+                prioridad: "media",
+                enlace: "/api/facturas/antiguedad",
+              },
+            ]
+          : []),
         ...(stats.pedidos_pendientes > 10
           ? [
               {
@@ -332,10 +384,11 @@ const getMetricasSistema = asyncHandler(async (req, res) => {
       SELECT 
         (SELECT COUNT(*) FROM usuarios WHERE activo = true) as usuarios_activos,
         (SELECT COUNT(*) FROM pedidos WHERE fecha_pedido >= CURRENT_DATE - INTERVAL '24 hours') as pedidos_ultimo_dia,
-        (SELECT AVG(EXTRACT(EPOCH FROM (updated_at - created_at))/60) 
-         FROM pedidos 
-         WHERE estado = 'entregado' 
-           AND updated_at >= CURRENT_DATE - INTERVAL '7 days') as tiempo_promedio_entrega_minutos,
+        (SELECT AVG(EXTRACT(EPOCH FROM (e.created_at - p.created_at))/60) 
+         FROM pedido_eventos e
+         JOIN pedidos p ON e.pedido_id = p.id
+         WHERE e.estado_nuevo = 'entregado' 
+           AND e.created_at >= CURRENT_DATE - INTERVAL '7 days') as tiempo_promedio_entrega_minutos,
         (SELECT COUNT(*) FROM pedidos WHERE estado = 'cancelado' AND fecha_pedido >= CURRENT_DATE - INTERVAL '30 days') as pedidos_cancelados_mes
     `);
 
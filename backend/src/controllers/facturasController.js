@@ -0,0 +1,182 @@
+const Factura = require("../models/Factura");
+const {
+  success,
+  created,
+  notFound,
+  validationError,
+} = require("../utils/responseHelper");
+const { asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+/**
+ * Listar facturas
+ * GET /api/facturas?cliente_id=&estado=&vencida=true&limit=&offset=
+ * Acceso: Admin/Administrativo
+ */
+const getFacturas = asyncHandler(async (req, res) => {
+  const { cliente_id, estado, vencida, limit = 50, offset = 0 } = req.query;
+
+  const facturas = await Factura.findAll({
+    cliente_id: parseInt(cliente_id) || null,
+    estado: estado || null,
+    vencida: vencida === undefined ? null : vencida === "true",
+    limit: Math.min(parseInt(limit) || 50, 100),
+    offset: parseInt(offset) || 0,
+  });
+
+  return success(res, facturas, `${facturas.length} facturas encontradas`);
+});
+
+/**
+ * Pedidos entregados sin facturar
+ * GET /api/facturas/por-facturar?cliente_id=
+ * Acceso: Admin/Administrativo
+ */
+const getPedidosPorFacturar = asyncHandler(async (req, res) => {
+  const pedidos = await Factura.findPedidosPorFacturar(
+    parseInt(req.query.cliente_id) || null
+  );
+
+  return success(res, pedidos, `${pedidos.length} pedidos por facturar`);
+});
+
+/**
+ * Emitir factura de uno o varios pedidos entregados
+ * POST /api/facturas
+ * Acceso: Admin/Administrativo
+ * Body: { pedido_ids: [] } o { cliente_id } para agrupar todo lo entregado,
+ *       más plazo_dias? y observaciones?
+ */
+const createFactura = asyncHandler(async (req, res) => {
+  const factura = await Factura.create(req.body, req.user.id);
+
+  logger.info("Factura emitida exitosamente", {
+    facturaId: factura.id,
+    codigo: factura.codigo,
+    userId: req.user.id,
+  });
+
+  return created(
+    res,
+    factura,
+    `Factura ${factura.codigo} emitida por ${factura.total} Bs`
+  );
+});
+
+/**
+ * Obtener factura con pedidos y pagos
+ * GET /api/facturas/:id
+ * Acceso: Admin/Administrativo
+ */
+const getFacturaById = asyncHandler(async (req, res) => {
+  const factura = await Factura.findById(req.params.id);
+
+  if (!factura) {
+    return notFound(res, "Factura no encontrada");
+  }
+
+  return success(res, factura, "Factura encontrada");
+});
+
+/**
+ * Registrar pago de factura (admite pagos parciales)
+ * POST /api/facturas/:id/pagos
+ * Acceso: Admin/Administrativo
+ * Body: { monto, metodo: efectivo|transferencia|qr, referencia?, fecha_pago?, observaciones? }
+ */
+const registrarPago = asyncHandler(async (req, res) => {
+  const { pago, factura } = await Factura.registrarPago(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  logger.info("Pago registrado exitosamente", {
+    facturaId: factura.id,
+    pagoId: pago.id,
+    userId: req.user.id,
+  });
+
+  return created(
+    res,
+    { pago, factura },
+    factura.saldo > 0
+      ? `Pago registrado. Saldo pendiente: ${factura.saldo} Bs`
+      : `Pago registrado. Factura ${factura.codigo} pagada`
+  );
+});
+
+/**
+ * Anular factura sin pagos
+ * POST /api/facturas/:id/anular
+ * Acceso: Solo Admin
+ * Body: { motivo }
+ */
+const anularFactura = asyncHandler(async (req, res) => {
+  const factura = await Factura.anular(
+    req.params.id,
+    req.body.motivo,
+    req.user.id
+  );
+
+  logger.info("Factura anulada", {
+    facturaId: factura.id,
+    userId: req.user.id,
+  });
+
+  return success(res, factura, `Factura ${factura.codigo} anulada`);
+});
+
+/**
+ * Saldos por cliente
+ * GET /api/facturas/saldos?cliente_id=&con_saldo=true
+ * Acceso: Admin/Administrativo
+ */
+const getSaldosClientes = asyncHandler(async (req, res) => {
+  const { cliente_id, con_saldo } = req.query;
+
+  const saldos = await Factura.getSaldosClientes({
+    cliente_id: parseInt(cliente_id) || null,
+    con_saldo: con_saldo === undefined ? null : con_saldo === "true",
+  });
+
+  return success(res, saldos, `${saldos.length} clientes con facturas`);
+});
+
+/**
+ * Antigüedad de cuentas por cobrar
+ * GET /api/facturas/antiguedad?fecha_corte=YYYY-MM-DD
+ * Acceso: Admin/Administrativo
+ */
+const getAntiguedad = asyncHandler(async (req, res) => {
+  const { fecha_corte } = req.query;
+
+  if (fecha_corte && isNaN(new Date(fecha_corte).getTime())) {
+    return validationError(
+      res,
+      [{ field: "fecha_corte", message: "Fecha de corte inválida" }],
+      "Parámetros inválidos"
+    );
+  }
+
+  const reporte = await Factura.getAntiguedad(
+    fecha_corte ? new Date(fecha_corte).toISOString().split("T")[0] : null
+  );
+
+  return success(
+    res,
+    reporte,
+    `Cartera al ${reporte.fecha_corte}: ${reporte.totales.saldo_total} Bs por cobrar`
+  );
+});
+
+module.exports = {
+  getFacturas,
+  getPedidosPorFacturar,
+  createFactura,
+  getFacturaById,
+  registrarPago,
+  anularFactura,
+  getSaldosClientes,
+  getAntiguedad,
+};
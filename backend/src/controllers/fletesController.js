@@ -0,0 +1,143 @@
+const Flete = require("../models/Flete");
+const {
+  success,
+  created,
+  updated,
+  validationError,
+} = require("../utils/responseHelper");
+const { asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+/**
+ * Rechazar actualizaciones sin campos
+ */
+const sinDatos = (res) =>
+  validationError(
+    res,
+    [
+      {
+        field: "general",
+        message: "Se requiere al menos un campo para actualizar",
+      },
+    ],
+    "No hay datos para actualizar"
+  );
+
+/**
+ * Listar zonas de flete
+ * GET /api/fletes/zonas?activa=true
+ * Acceso: Admin/Administrativo
+ */
+const getZonas = asyncHandler(async (req, res) => {
+  const { activa } = req.query;
+
+  const zonas = await Flete.findZonas({
+    activa: activa === undefined ? null : activa === "true",
+  });
+
+  return success(res, zonas, `${zonas.length} zonas de flete encontradas`);
+});
+
+/**
+ * Crear zona de flete
+ * POST /api/fletes/zonas
+ * Acceso: Solo Admin
+ * Body: { nombre, poligono?: [[lat, lng], ...], palabras_clave?: [], recargo_fijo?, prioridad? }
+ */
+const createZona = asyncHandler(async (req, res) => {
+  const zona = await Flete.createZona(req.body);
+
+  logger.info("Zona de flete creada", {
+    zonaId: zona.id,
+    userId: req.user.id,
+  });
+
+  return created(res, zona, "Zona de flete creada exitosamente");
+});
+
+/**
+ * Actualizar zona de flete
+ * PUT /api/fletes/zonas/:id
+ * Acceso: Solo Admin
+ * Body: { nombre?, poligono?, palabras_clave?, recargo_fijo?, prioridad?, activa? }
+ */
+const updateZona = asyncHandler(async (req, res) => {
+  if (Object.keys(req.body).length === 0) {
+    return sinDatos(res);
+  }
+
+  const zona = await Flete.updateZona(req.params.id, req.body);
+
+  logger.info("Zona de flete actualizada", {
+    zonaId: zona.id,
+    userId: req.user.id,
+  });
+
+  return updated(res, zona, "Zona de flete actualizada exitosamente");
+});
+
+/**
+ * Listar tarifas por tamaño de vehículo
+ * GET /api/fletes/tarifas?activa=true
+ * Acceso: Admin/Administrativo
+ */
+const getTarifas = asyncHandler(async (req, res) => {
+  const { activa } = req.query;
+
+  const tarifas = await Flete.findTarifas({
+    activa: activa === undefined ? null : activa === "true",
+  });
+
+  return success(
+    res,
+    tarifas,
+    `${tarifas.length} tarifas de flete encontradas`
+  );
+});
+
+/**
+ * Crear tarifa de flete
+ * POST /api/fletes/tarifas
+ * Acceso: Solo Admin
+ * Body: { nombre, capacidad_m3, tarifa_km, cargo_minimo? }
+ */
+const createTarifa = asyncHandler(async (req, res) => {
+  const tarifa = await Flete.createTarifa(req.body);
+
+  logger.info("Tarifa de flete creada", {
+    tarifaId: tarifa.id,
+    userId: req.user.id,
+  });
+
+  return created(res, tarifa, "Tarifa de flete creada exitosamente");
+});
+
+/**
+ * Actualizar tarifa de flete
+ * PUT /api/fletes/tarifas/:id
+ * Acceso: Solo Admin
+ * Body: { nombre?, capacidad_m3?, tarifa_km?, cargo_minimo?, activa? }
+ */
+const updateTarifa = asyncHandler(async (req, res) => {
+  if (Object.keys(req.body).length === 0) {
+    return sinDatos(res);
+  }
+
+  const tarifa = await Flete.updateTarifa(req.params.id, req.body);
+
+  logger.info("Tarifa de flete actualizada", {
+    tarifaId: tarifa.id,
+    userId: req.user.id,
+  });
+
+  return updated(res, tarifa, "Tarifa de flete actualizada exitosamente");
+});
+
+module.exports = {
+  getZonas,
+  createZona,
+  updateZona,
+  getTarifas,
+  createTarifa,
+  updateTarifa,
+};
@@ -82,7 +82,7 @@ const createMaterial = asyncHandler(async (req, res) => {
   });
 
   try {
-    const newMaterial = await Material.create(materialData);
+    const newMaterial = await Material.create(materialData, userId);
 
     logger.info("Material creado exitosamente", {
       materialId: newMaterial.id,
@@ -104,6 +104,7 @@ const createMaterial = asyncHandler(async (req, res) => {
  * PUT /api/materiales/:id
  * Acceso: Admin/Administrativo
  * Body: { nombre?, descripcion?, precio_por_unidad? }
+ *       Un precio distinto queda como nueva versión en la lista general
  */
 const updateMaterial = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -131,7 +132,7 @@ const updateMaterial = asyncHandler(async (req, res) => {
   }
 
   try {
-    const updatedMaterial = await Material.update(id, updateData);
+    const updatedMaterial = await Material.update(id, updateData, userId);
 
     logger.info("Material actualizado exitosamente", {
       materialId: id,
@@ -186,6 +187,73 @@ const deactivateMaterial = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Historial de precios del material
+ * GET /api/materiales/:id/precios?lista_id=1
+ * Acceso: Admin/Administrativo
+ */
+const getPrecios = asyncHandler(async (req, res) => {
+  try {
+    const precios = await Material.findPrecios(req.params.id, {
+      lista_id: req.query.lista_id,
+    });
+
+    if (!precios) {
+      return notFound(res, "Material no encontrado");
+    }
+
+    return success(
+      res,
+      precios,
+      `${precios.historial.length} versiones de precio encontradas`
+    );
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Registrar nueva versión de precio
+ * POST /api/materiales/:id/precios
+ * Acceso: Solo Admin
+ * Body: { precio, lista_id?, vigente_desde?, motivo? }
+ */
+const createPrecio = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const version = await Material.registrarPrecio(
+      req.params.id,
+      req.body,
+      userId
+    );
+
+    logger.info("Precio de material registrado", {
+      materialId: version.material_id,
+      listaId: version.lista_id,
+      precio: version.precio,
+      adminId: userId,
+    });
+
+    return created(
+      res,
+      version,
+      `Precio de ${version.material_nombre} registrado en ${version.lista_nombre}`
+    );
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    throw error;
+  }
+});
+
 /**
  * Obtener estadísticas básicas de materiales
  * GET /api/materiales/stats
@@ -236,4 +304,6 @@ module.exports = {
   updateMaterial,
   deactivateMaterial,
   getMaterialStats,
+  getPrecios,
+  createPrecio,
 };
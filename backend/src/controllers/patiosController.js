@@ -0,0 +1,114 @@
+const Patio = require("../models/Patio");
+const {
+  success,
+  created,
+  updated,
+  notFound,
+  validationError,
+} = require("../utils/responseHelper");
+const { asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+/**
+ * Listar patios
+ * GET /api/patios?activo=true
+ * Acceso: Admin/Administrativo
+ */
+const getPatios = asyncHandler(async (req, res) => {
+  const { activo } = req.query;
+
+  const patios = await Patio.findAll({
+    activo: activo === undefined ? null : activo === "true",
+  });
+
+  return success(res, patios, `${patios.length} patios encontrados`);
+});
+
+/**
+ * Obtener patio por ID
+ * GET /api/patios/:id
+ * Acceso: Admin/Administrativo
+ */
+const getPatioById = asyncHandler(async (req, res) => {
+  const patio = await Patio.findById(req.params.id);
+
+  if (!patio) {
+    return notFound(res, "Patio no encontrado");
+  }
+
+  return success(res, patio, "Patio encontrado");
+});
+
+/**
+ * Crear patio
+ * POST /api/patios
+ * Acceso: Admin/Administrativo
+ * Body: { nombre, direccion?, lat, lng, radio_geocerca_m? }
+ */
+const createPatio = asyncHandler(async (req, res) => {
+  const patio = await Patio.create(req.body);
+
+  logger.info("Patio creado exitosamente", {
+    patioId: patio.id,
+    userId: req.user.id,
+  });
+
+  return created(res, patio, "Patio creado exitosamente");
+});
+
+/**
+ * Actualizar patio
+ * PUT /api/patios/:id
+ * Acceso: Admin/Administrativo
+ * Body: { nombre?, direccion?, lat?, lng?, activo?, radio_geocerca_m? }
+ */
+const updatePatio = asyncHandler(async (req, res) => {
+  if (Object.keys(req.body).length === 0) {
+    return validationError(
+      res,
+      [
+        {
+          field: "general",
+          message: "Se requiere al menos un campo para actualizar",
+        },
+      ],
+      "No hay datos para actualizar"
+    );
+  }
+
+  const patio = await Patio.update(req.params.id, req.body);
+
+  logger.info("Patio actualizado exitosamente", {
+    patioId: patio.id,
+    userId: req.user.id,
+  });
+
+  return updated(res, patio, "Patio actualizado exitosamente");
+});
+
+/**
+ * Stock del patio (disponible, reservado y libre por material)
+ * GET /api/patios/:id/stock
+ * Acceso: Admin/Administrativo
+ */
+const getStockPatio = asyncHandler(async (req, res) => {
+  const stock = await Patio.getStock(req.params.id);
+
+  if (!stock) {
+    return notFound(res, "Patio no encontrado");
+  }
+
+  return success(
+    res,
+    stock,
+    `${stock.materiales.length} materiales en ${stock.patio.nombre}`
+  );
+});
+
+module.exports = {
+  getPatios,
+  getPatioById,
+  createPatio,
+  updatePatio,
+  getStockPatio,
+};
@@ -2,19 +2,26 @@ const Pedido = require("../models/Pedido");
 const Cliente = require("../models/Cliente");
 const Material = require("../models/Material");
 const Stock = require("../models/Stock");
+const Asignacion = require("../models/Asignacion");
 const Vehiculo = require("../models/Vehiculo");
 const {
   generateUniqueTrackingCode,
   normalizeTrackingCodeForSearch,
 } = require("../utils/codigoSeguimiento");
-const { validateOrderData, validateId } = require("../utils/validation");
+const {
+  validateOrderData,
+  validateId,
+  sanitizeText,
+} = require("../utils/validation");
 const {
   success,
   created,
   updated,
   notFound,
   validationError,
+  conflict,
   businessLogicError,
+  forbidden,
   orderCreated,
 } = require("../utils/responseHelper");
 const {
@@ -22,13 +29,18 @@ const {
   ValidationError,
   NotFoundError,
   BusinessLogicError,
+  ConflictError,
 } = require("../middleware/errorHandler");
+const tiempoReal = require("../utils/tiempoReal");
 const logger = require("../utils/logger");
 
 /**
- * Crear nuevo pedido (clientes)
+ * Crear nuevo pedido (clientes, o personal a nombre de un cliente con cliente_id)
  * POST /api/pedidos
- * Body: { material_id, cantidad, direccion_entrega, telefono_contacto?, fecha_entrega_solicitada?, observaciones? }
+ * Body: { detalles: [{ material_id, cantidad }], direccion_entrega, telefono_contacto?, fecha_entrega_solicitada?, observaciones?, patio_id? }
+ *       (también acepta { material_id, cantidad } para pedidos de un solo material)
+ *       Sin patio_id sale del patio más cercano al destino con stock libre
+ *       autorizar_exceso_credito: motivo (solo administrador) para pasar el límite de crédito
  */
 const createPedido = asyncHandler(async (req, res) => {
   const orderData = req.body;
@@ -37,8 +49,7 @@ const createPedido = asyncHandler(async (req, res) => {
 
   logger.info("Creando nuevo pedido", {
     clienteId,
-    materialId: orderData.material_id,
-    cantidad: orderData.cantidad,
+    lineas: Array.isArray(orderData.detalles) ? orderData.detalles.length : 1,
     isAdminOrder,
     userId: req.user.id,
   });
@@ -53,9 +64,26 @@ const createPedido = asyncHandler(async (req, res) => {
     );
   }
 
+  const motivoExceso = sanitizeText(orderData.autorizar_exceso_credito || "");
+  if (motivoExceso && req.user.rol !== "administrador") {
+    return forbidden(
+      res,
+      "Solo un administrador puede autorizar pedidos sobre el límite de crédito"
+    );
+  }
+
   try {
     // Crear pedido usando el model que ya valida todo internamente
-    const newPedido = await Pedido.create(validation.validData, clienteId);
+    const newPedido = await Pedido.create(validation.validData, clienteId, {
+      userId: req.user.id,
+      requestId: req.requestId,
+      motivo: isAdminOrder
+        ? `Pedido registrado por ${req.user.nombre} ${req.user.apellido} a nombre del cliente`
+        : undefined,
+      autorizacionCredito: motivoExceso
+        ? { userId: req.user.id, motivo: motivoExceso }
+        : null,
+    });
 
     logger.info("Pedido creado exitosamente", {
       pedidoId: newPedido.id,
@@ -70,8 +98,15 @@ const createPedido = asyncHandler(async (req, res) => {
       codigo_seguimiento: newPedido.codigo_seguimiento,
       estado: newPedido.estado,
       cantidad: newPedido.cantidad,
+      detalles: Pedido.formatDetalles(newPedido.detalles),
+      subtotal_materiales: newPedido.subtotal_materiales,
+      flete: newPedido.flete,
       precio_total: newPedido.precio_total,
+      patio: newPedido.patio,
+      lista_precio: newPedido.lista_precio,
+      credito: newPedido.credito,
       fecha_pedido: newPedido.created_at,
+      reserva_expira_en: newPedido.reserva_expira_en,
     });
   } catch (error) {
     if (error instanceof ValidationError) {
@@ -84,6 +119,42 @@ const createPedido = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Cotizar pedido sin crearlo
+ * POST /api/pedidos/cotizar
+ * Body: igual que crear pedido
+ *       Devuelve precios por línea, flete (si hay direccion_lat/lng) y total;
+ *       no reserva stock ni crea nada
+ */
+const cotizarPedido = asyncHandler(async (req, res) => {
+  const clienteId = req.clienteId; // Viene del middleware
+
+  logger.debug("Cotizando pedido", { clienteId, userId: req.user.id });
+
+  try {
+    const cotizacion = await Pedido.cotizar(req.body, clienteId);
+
+    return success(
+      res,
+      cotizacion,
+      cotizacion.stock_suficiente
+        ? "Cotización calculada"
+        : "Cotización calculada (sin stock libre suficiente en este momento)"
+    );
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    if (error instanceof BusinessLogicError) {
+      return businessLogicError(res, error.message);
+    }
+    throw error;
+  }
+});
+
 /**
  * Obtener pedidos del cliente autenticado
  * GET /api/pedidos/mis-pedidos
@@ -141,13 +212,37 @@ const trackPedido = asyncHandler(async (req, res) => {
     estado: pedido.estado,
     fecha_pedido: pedido.fecha_pedido,
     fecha_entrega_solicitada: pedido.fecha_entrega_solicitada,
-    material_nombre: pedido.material_nombre,
-    cantidad: `${pedido.cantidad} ${pedido.unidad_medida}`,
+    material_nombre: Pedido.describeMateriales(pedido),
+    cantidad: `${Pedido.getVolumenTotal(pedido)} ${pedido.unidad_medida}`,
+    detalles: Pedido.formatDetalles(pedido.detalles, {
+      incluirPrecios: false,
+    }),
     direccion_entrega: pedido.direccion_entrega,
     estado_descripcion: getEstadoDescripcion(pedido.estado),
-    puede_cancelar: Pedido.canBeCanceled(pedido.estado),
+    puede_cancelar: Pedido.canClientCancel(pedido.estado),
+    vehiculo_asignado: null,
+    linea_tiempo: [],
   };
 
+  // Línea de tiempo pública (sin usuarios ni motivos internos)
+  const historial = await Pedido.findHistorial(pedido.id);
+  trackingInfo.linea_tiempo = historial.map((evento) => ({
+    estado: evento.estado_nuevo,
+    descripcion: getEstadoDescripcion(evento.estado_nuevo),
+    fecha: evento.created_at,
+  }));
+
+  // Vehículo que lleva (o llevó) el pedido
+  const asignacion = await Pedido.findAsignacion(pedido.id);
+  if (asignacion) {
+    trackingInfo.vehiculo_asignado = {
+      placa: asignacion.placa,
+      conductor: asignacion.conductor_nombre || null,
+      asignado_en: asignacion.asignado_en,
+      liberado_en: asignacion.liberado_en,
+    };
+  }
+
   logger.debug("Información de seguimiento proporcionada", {
     codigo,
     estado: pedido.estado,
@@ -156,6 +251,180 @@ const trackPedido = asyncHandler(async (req, res) => {
   return success(res, trackingInfo, "Información de seguimiento obtenida");
 });
 
+/**
+ * Estados en los que el camión del pedido va en camino (se comparte su posición)
+ */
+const ESTADOS_EN_RUTA = ["asignado", "en_transito"];
+
+/**
+ * Vehículo cuya posición se comparte con el cliente (null si no va en camino)
+ */
+const vehiculoEnRuta = (pedido) =>
+  ESTADOS_EN_RUTA.includes(pedido.estado) ? pedido.vehiculo_id || null : null;
+
+/**
+ * Estado del pedido para el stream de seguimiento
+ */
+const estadoSeguimiento = async (pedido) => {
+  const vehiculoId = vehiculoEnRuta(pedido);
+  const vehiculo = vehiculoId ? await Vehiculo.findById(vehiculoId) : null;
+
+  return {
+    codigo_seguimiento: pedido.codigo_seguimiento,
+    estado: pedido.estado,
+    estado_descripcion: getEstadoDescripcion(pedido.estado),
+    vehiculo: vehiculo
+      ? {
+          placa: vehiculo.placa,
+          lat:
+            vehiculo.ubicacion_actual_lat !== null
+              ? parseFloat(vehiculo.ubicacion_actual_lat)
+              : null,
+          lng:
+            vehiculo.ubicacion_actual_lng !== null
+              ? parseFloat(vehiculo.ubicacion_actual_lng)
+              : null,
+          ultima_ubicacion: vehiculo.ultima_ubicacion,
+        }
+      : null,
+  };
+};
+
+/**
+ * Seguimiento en tiempo real (Server-Sent Events)
+ * GET /api/pedidos/seguimiento/:codigo/stream
+ * Acceso: Cliente dueño del pedido o Admin/Administrativo
+ * Envía "estado" al conectar y en cada cambio de estado del pedido, y
+ * "ubicacion" cuando el camión asignado reporta posición mientras va en camino
+ * y "geocerca" cuando llega a la dirección de entrega o sale de ella
+ */
+const streamSeguimiento = asyncHandler(async (req, res) => {
+  const codigo = normalizeTrackingCodeForSearch(req.params.codigo);
+
+  const pedido = await Pedido.findByTrackingCode(codigo);
+  if (!pedido) {
+    return notFound(res, "Pedido no encontrado con ese código de seguimiento");
+  }
+
+  // requirePedidoOwnership deja clienteId solo para clientes
+  if (req.clienteId && pedido.cliente_id !== req.clienteId) {
+    logger.warn("Cliente intentando seguir pedido de otro cliente", {
+      pedidoId: pedido.id,
+      clienteId: req.clienteId,
+    });
+    return forbidden(res, "No tienes acceso a este pedido");
+  }
+
+  let vehiculoId = vehiculoEnRuta(pedido);
+  const inicial = await estadoSeguimiento(pedido);
+
+  const enviar = tiempoReal.abrirStream(req, res, async (cambio, enviar) => {
+    const { tipo, datos } = cambio;
+
+    if (
+      tipo === tiempoReal.TIPOS.ESTADO_PEDIDO &&
+      Number(datos.pedido_id) === pedido.id
+    ) {
+      const pedidoActual = await Pedido.findById(pedido.id);
+      vehiculoId = vehiculoEnRuta(pedidoActual);
+      enviar("estado", {
+        ...(await estadoSeguimiento(pedidoActual)),
+        fecha: cambio.fecha,
+      });
+      return;
+    }
+
+    if (
+      tipo === tiempoReal.TIPOS.UBICACION_VEHICULO &&
+      vehiculoId &&
+      datos.vehiculo_id === vehiculoId
+    ) {
+      enviar("ubicacion", {
+        placa: datos.placa,
+        lat: datos.lat,
+        lng: datos.lng,
+        velocidad_kmh: datos.velocidad_kmh,
+        rumbo: datos.rumbo,
+        registrado_en: datos.registrado_en,
+      });
+      return;
+    }
+
+    // Llegada y salida del camión en el destino de este pedido
+    if (
+      tipo === tiempoReal.TIPOS.GEOCERCA &&
+      datos.tipo === "destino" &&
+      datos.pedido_id === pedido.id
+    ) {
+      enviar("geocerca", {
+        evento: datos.evento,
+        fecha: datos.fecha,
+        permanencia_segundos: datos.permanencia_segundos,
+      });
+    }
+  });
+
+  enviar("estado", { ...inicial, fecha: new Date().toISOString() });
+});
+
+/**
+ * Historial de estados del pedido
+ * GET /api/pedidos/:id/historial
+ * Acceso: Cliente dueño del pedido o Admin/Administrativo
+ */
+const getHistorialPedido = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const idValidation = validateId(id, "ID de pedido");
+  if (!idValidation.isValid) {
+    return validationError(res, [
+      { field: "id", message: idValidation.message },
+    ]);
+  }
+
+  // El middleware ya cargó el pedido para clientes
+  const pedido = req.pedido || (await Pedido.findById(idValidation.value));
+  if (!pedido) {
+    return notFound(res, "Pedido no encontrado");
+  }
+
+  const historial = await Pedido.findHistorial(pedido.id);
+  const esPersonalInterno = req.user.rol !== "cliente";
+
+  const eventos = historial.map((evento) => ({
+    id: evento.id,
+    estado_anterior: evento.estado_anterior,
+    estado_nuevo: evento.estado_nuevo,
+    descripcion: getEstadoDescripcion(evento.estado_nuevo),
+    motivo: evento.motivo,
+    fecha: evento.created_at,
+    // Usuario y petición solo para personal interno (auditoría)
+    ...(esPersonalInterno && {
+      usuario: evento.usuario_id
+        ? {
+            id: evento.usuario_id,
+            nombre: `${evento.usuario_nombre} ${evento.usuario_apellido}`,
+            rol: evento.usuario_rol,
+          }
+        : null,
+      request_id: evento.request_id,
+    }),
+  }));
+
+  return success(
+    res,
+    {
+      pedido: {
+        id: pedido.id,
+        codigo_seguimiento: pedido.codigo_seguimiento,
+        estado: pedido.estado,
+      },
+      eventos,
+    },
+    `${eventos.length} eventos en el historial`
+  );
+});
+
 /**
  * Listar todos los pedidos con filtros (admin/administrativos)
  * GET /api/pedidos?estado=pendiente&page=1&limit=20
@@ -205,7 +474,7 @@ const getAllPedidos = asyncHandler(async (req, res) => {
  */
 const changeEstado = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { nuevo_estado } = req.body;
+  const { nuevo_estado, motivo } = req.body;
   const userId = req.user.id;
 
   logger.info("Cambiando estado de pedido", {
@@ -235,7 +504,8 @@ const changeEstado = asyncHandler(async (req, res) => {
     const updatedPedido = await Pedido.updateStatus(
       idValidation.value,
       nuevo_estado,
-      userId
+      userId,
+      { motivo: sanitizeText(motivo) || null, requestId: req.requestId }
     );
 
     logger.info("Estado de pedido actualizado", {
@@ -251,6 +521,9 @@ const changeEstado = asyncHandler(async (req, res) => {
         codigo_seguimiento: updatedPedido.codigo_seguimiento,
         estado: updatedPedido.estado,
         updated_at: updatedPedido.updated_at,
+        ...(updatedPedido.stock_restituido && {
+          stock_restituido: updatedPedido.stock_restituido,
+        }),
       },
       `Estado cambiado a '${updatedPedido.estado}'`
     );
@@ -268,6 +541,85 @@ const changeEstado = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Cancelar pedido con motivo (cliente dueño o personal interno)
+ * POST /api/pedidos/:id/cancelar
+ * Body: { motivo }
+ * Clientes: solo hasta el estado límite configurado (por defecto confirmado)
+ */
+const cancelarPedido = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const esCliente = req.user.rol === "cliente";
+  const motivo =
+    typeof req.body.motivo === "string" ? req.body.motivo.trim() : "";
+
+  logger.info("Solicitud de cancelación de pedido", {
+    pedidoId: id,
+    userId: req.user.id,
+    rol: req.user.rol,
+  });
+
+  const idValidation = validateId(id, "ID de pedido");
+  if (!idValidation.isValid) {
+    return validationError(res, [
+      { field: "id", message: idValidation.message },
+    ]);
+  }
+
+  if (motivo.length < 5 || motivo.length > 500) {
+    return validationError(
+      res,
+      [
+        {
+          field: "motivo",
+          message: "Motivo de cancelación requerido (5 a 500 caracteres)",
+        },
+      ],
+      "Motivo inválido"
+    );
+  }
+
+  try {
+    const pedidoCancelado = await Pedido.cancel(
+      idValidation.value,
+      req.user.id,
+      {
+        motivo: sanitizeText(motivo),
+        requestId: req.requestId,
+        esCliente,
+      }
+    );
+
+    return updated(
+      res,
+      {
+        id: pedidoCancelado.id,
+        codigo_seguimiento: pedidoCancelado.codigo_seguimiento,
+        estado: pedidoCancelado.estado,
+        motivo: sanitizeText(motivo),
+        stock_restituido: esCliente
+          ? pedidoCancelado.stock_restituido.length > 0
+          : pedidoCancelado.stock_restituido,
+        vehiculo_liberado: esCliente
+          ? !!pedidoCancelado.vehiculo_liberado
+          : pedidoCancelado.vehiculo_liberado,
+      },
+      "Pedido cancelado exitosamente"
+    );
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    if (error instanceof ConflictError) {
+      return conflict(res, error.message);
+    }
+    if (error instanceof BusinessLogicError) {
+      return businessLogicError(res, error.message);
+    }
+    throw error;
+  }
+});
+
 /**
  * Confirmar pedido y reducir stock (admin/administrativos)
  * PUT /api/pedidos/:id/confirmar
@@ -291,12 +643,13 @@ const confirmarPedido = asyncHandler(async (req, res) => {
   }
 
   try {
-    const result = await Pedido.confirm(idValidation.value, userId);
+    const result = await Pedido.confirm(idValidation.value, userId, {
+      requestId: req.requestId,
+    });
 
     logger.info("Pedido confirmado exitosamente", {
       pedidoId: id,
-      stockActualizado: result.stockActualizado.material_id,
-      stockRestante: result.stockActualizado.cantidad_disponible,
+      materialesActualizados: result.stockActualizado.length,
       userId,
     });
 
@@ -304,10 +657,10 @@ const confirmarPedido = asyncHandler(async (req, res) => {
       res,
       {
         pedido: result.pedido,
-        stock_actualizado: {
-          material_id: result.stockActualizado.material_id,
-          cantidad_restante: result.stockActualizado.cantidad_disponible,
-        },
+        stock_actualizado: result.stockActualizado.map((stock) => ({
+          material_id: stock.material_id,
+          cantidad_restante: stock.cantidad_disponible,
+        })),
       },
       "Pedido confirmado y stock actualizado"
     );
@@ -383,97 +736,109 @@ const asignarVehiculo = asyncHandler(async (req, res) => {
     ]);
   }
 
-  try {
-    // Obtener el pedido
-    const pedido = await Pedido.findById(idValidation.value);
-    if (!pedido) {
-      return notFound(res, "Pedido no encontrado");
+  if (vehiculo_id) {
+    const vehiculoIdValidation = validateId(vehiculo_id, "ID de vehículo");
+    if (!vehiculoIdValidation.isValid) {
+      return validationError(res, [
+        { field: "vehiculo_id", message: vehiculoIdValidation.message },
+      ]);
     }
+  }
 
-    if (pedido.estado !== "confirmado") {
-      return businessLogicError(
-        res,
-        "Solo se pueden asignar vehículos a pedidos confirmados"
-      );
-    }
+  try {
+    // Motor único de asignación (manual o sistema experto)
+    const resultado = await Asignacion.asignar(idValidation.value, {
+      vehiculoId: vehiculo_id || null,
+      userId,
+      requestId: req.requestId,
+    });
 
-    let vehiculoAsignado;
+    logger.info("Vehículo asignado exitosamente", {
+      pedidoId: id,
+      vehiculoId: resultado.vehiculo_asignado.id,
+      placa: resultado.vehiculo_asignado.placa,
+      modo: resultado.sistema_experto.modo,
+      userId,
+    });
 
-    if (vehiculo_id) {
-      // Asignación manual - validar vehículo
-      const vehiculoIdValidation = validateId(vehiculo_id, "ID de vehículo");
-      if (!vehiculoIdValidation.isValid) {
-        return validationError(res, [
-          { field: "vehiculo_id", message: vehiculoIdValidation.message },
-        ]);
-      }
+    return updated(res, resultado, "Vehículo asignado exitosamente");
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    if (error instanceof ConflictError) {
+      return conflict(res, error.message);
+    }
+    if (error instanceof BusinessLogicError) {
+      return businessLogicError(res, error.message);
+    }
+    throw error;
+  }
+});
 
-      const vehiculo = await Vehiculo.findById(vehiculoIdValidation.value);
-      if (!vehiculo || vehiculo.estado !== "disponible") {
-        return businessLogicError(res, "Vehículo no disponible");
-      }
+/**
+ * Transbordar la carga de un pedido retenido en un vehículo averiado
+ * POST /api/pedidos/:id/transbordo
+ * Body: { vehiculo_id, motivo? }
+ * Acceso: Admin/Administrativo
+ */
+const transbordarPedido = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { vehiculo_id, motivo } = req.body;
+  const userId = req.user.id;
 
-      if (vehiculo.capacidad_m3 < pedido.cantidad) {
-        return businessLogicError(res, "Vehículo sin capacidad suficiente");
-      }
+  logger.info("Transbordando carga de pedido", {
+    pedidoId: id,
+    vehiculoId: vehiculo_id,
+    userId,
+  });
 
-      vehiculoAsignado = vehiculo;
-    } else {
-      // Asignación automática (sistema experto básico)
-      const vehiculosDisponibles = await Vehiculo.findAvailableByCapacity(
-        pedido.cantidad
-      );
-
-      if (vehiculosDisponibles.length === 0) {
-        return businessLogicError(
-          res,
-          "No hay vehículos disponibles con capacidad suficiente"
-        );
-      }
+  const idValidation = validateId(id, "ID de pedido");
+  const vehiculoIdValidation = validateId(vehiculo_id, "ID de vehículo");
 
-      // Seleccionar el de menor capacidad que sea suficiente (optimización básica)
-      vehiculoAsignado = vehiculosDisponibles[0];
-    }
+  const errors = [];
+  if (!idValidation.isValid) {
+    errors.push({ field: "id", message: idValidation.message });
+  }
+  if (!vehiculoIdValidation.isValid) {
+    errors.push({
+      field: "vehiculo_id",
+      message: vehiculoIdValidation.message,
+    });
+  }
 
-    // Actualizar estado del vehículo
-    await Vehiculo.updateStatus(
-      vehiculoAsignado.id || vehiculoAsignado.vehiculo_id,
-      "en_uso"
-    );
+  if (errors.length > 0) {
+    return validationError(res, errors);
+  }
 
-    // Actualizar estado del pedido
-    const pedidoActualizado = await Pedido.updateStatus(
+  try {
+    const resultado = await Pedido.transbordar(
       idValidation.value,
-      "asignado",
-      userId
+      vehiculoIdValidation.value,
+      userId,
+      { motivo, requestId: req.requestId }
     );
 
-    logger.info("Vehículo asignado exitosamente", {
-      pedidoId: id,
-      vehiculoId: vehiculoAsignado.id || vehiculoAsignado.vehiculo_id,
-      placa: vehiculoAsignado.placa,
+    logger.info("Carga transbordada exitosamente", {
+      pedidoId: resultado.id,
+      desde: resultado.vehiculo_anterior.placa,
+      hacia: resultado.vehiculo.placa,
       userId,
     });
 
     return updated(
       res,
-      {
-        pedido: {
-          id: pedidoActualizado.id,
-          estado: pedidoActualizado.estado,
-          codigo_seguimiento: pedidoActualizado.codigo_seguimiento,
-        },
-        vehiculo_asignado: {
-          id: vehiculoAsignado.id || vehiculoAsignado.vehiculo_id,
-          placa: vehiculoAsignado.placa,
-          capacidad:
-            vehiculoAsignado.capacidad || vehiculoAsignado.capacidad_m3,
-        },
-      },
-      "Vehículo asignado exitosamente"
+      resultado,
+      `Carga transbordada de ${resultado.vehiculo_anterior.placa} a ${resultado.vehiculo.placa}`
     );
   } catch (error) {
-    if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    if (error instanceof ConflictError) {
+      return conflict(res, error.message);
+    }
+    if (error instanceof BusinessLogicError) {
       return businessLogicError(res, error.message);
     }
     throw error;
@@ -499,15 +864,20 @@ const getEstadoDescripcion = (estado) => {
 module.exports = {
   // Controllers para clientes
   createPedido,
+  cotizarPedido,
   getMisPedidos,
   trackPedido,
+  streamSeguimiento,
+  getHistorialPedido,
 
   // Controllers para administrativos
   getAllPedidos,
   changeEstado,
+  cancelarPedido,
   confirmarPedido,
   getEstadisticas,
   asignarVehiculo,
+  transbordarPedido,
 
   // Utilities
   getEstadoDescripcion,
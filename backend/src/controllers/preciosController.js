@@ -0,0 +1,142 @@
+const ListaPrecio = require("../models/ListaPrecio");
+const {
+  success,
+  created,
+  updated,
+  validationError,
+} = require("../utils/responseHelper");
+const { asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+/**
+ * Listar listas de precios
+ * GET /api/precios/listas?activa=true
+ * Acceso: Admin/Administrativo
+ */
+const getListas = asyncHandler(async (req, res) => {
+  const { activa } = req.query;
+
+  const listas = await ListaPrecio.findAll({
+    activa: activa === undefined ? null : activa === "true",
+  });
+
+  return success(res, listas, `${listas.length} listas de precios encontradas`);
+});
+
+/**
+ * Crear lista de precios para un tipo de cliente
+ * POST /api/precios/listas
+ * Acceso: Solo Admin
+ * Body: { nombre, tipo_cliente, descripcion? }
+ */
+const createLista = asyncHandler(async (req, res) => {
+  const lista = await ListaPrecio.create(req.body);
+
+  logger.info("Lista de precios creada", {
+    listaId: lista.id,
+    tipoCliente: lista.tipo_cliente,
+    adminId: req.user.id,
+  });
+
+  return created(res, lista, "Lista de precios creada exitosamente");
+});
+
+/**
+ * Actualizar lista de precios
+ * PUT /api/precios/listas/:id
+ * Acceso: Solo Admin
+ * Body: { nombre?, descripcion?, activa? }
+ */
+const updateLista = asyncHandler(async (req, res) => {
+  if (Object.keys(req.body).length === 0) {
+    return validationError(
+      res,
+      [
+        {
+          field: "general",
+          message: "Se requiere al menos un campo para actualizar",
+        },
+      ],
+      "No hay datos para actualizar"
+    );
+  }
+
+  const lista = await ListaPrecio.update(req.params.id, req.body);
+
+  logger.info("Lista de precios actualizada", {
+    listaId: lista.id,
+    adminId: req.user.id,
+  });
+
+  return updated(res, lista, "Lista de precios actualizada exitosamente");
+});
+
+/**
+ * Descuentos por volumen de una lista
+ * GET /api/precios/listas/:id/descuentos?activo=true
+ * Acceso: Admin/Administrativo
+ */
+const getDescuentos = asyncHandler(async (req, res) => {
+  const { activo } = req.query;
+
+  const resultado = await ListaPrecio.findDescuentos(req.params.id, {
+    activo: activo === undefined ? null : activo === "true",
+  });
+
+  return success(
+    res,
+    resultado,
+    `${resultado.descuentos.length} descuentos encontrados`
+  );
+});
+
+/**
+ * Agregar tramo de descuento por volumen
+ * POST /api/precios/listas/:id/descuentos
+ * Acceso: Solo Admin
+ * Body: { material_id?, cantidad_minima, porcentaje }
+ */
+const createDescuento = asyncHandler(async (req, res) => {
+  const descuento = await ListaPrecio.createDescuento(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  logger.info("Descuento por volumen creado", {
+    descuentoId: descuento.id,
+    listaId: descuento.lista_id,
+    adminId: req.user.id,
+  });
+
+  return created(
+    res,
+    descuento,
+    `Descuento de ${descuento.porcentaje}% desde ${descuento.cantidad_minima} unidades creado`
+  );
+});
+
+/**
+ * Desactivar tramo de descuento
+ * DELETE /api/precios/descuentos/:id
+ * Acceso: Solo Admin
+ */
+const deactivateDescuento = asyncHandler(async (req, res) => {
+  const descuento = await ListaPrecio.deactivateDescuento(req.params.id);
+
+  logger.info("Descuento por volumen desactivado", {
+    descuentoId: descuento.id,
+    adminId: req.user.id,
+  });
+
+  return updated(res, descuento, "Descuento desactivado");
+});
+
+module.exports = {
+  getListas,
+  createLista,
+  updateLista,
+  getDescuentos,
+  createDescuento,
+  deactivateDescuento,
+};
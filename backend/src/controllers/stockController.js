@@ -1,6 +1,9 @@
 const Stock = require("../models/Stock");
+const PronosticoStock = require("../models/PronosticoStock");
+const ReposicionStock = require("../models/ReposicionStock");
 const {
   success,
+  created,
   updated,
   notFound,
   validationError,
@@ -13,7 +16,13 @@ const {
   NotFoundError,
   BusinessLogicError,
 } = require("../middleware/errorHandler");
-const { validateQuantity } = require("../utils/validation");
+const {
+  validateId,
+  validateQuantity,
+  validateStockQuantity,
+  validateDateRange,
+  sanitizeText,
+} = require("../utils/validation");
 const logger = require("../utils/logger");
 
 /**
@@ -84,14 +93,16 @@ const getStockByMaterial = asyncHandler(async (req, res) => {
 });
 
 /**
- * Actualizar cantidad de stock
+ * Actualizar cantidad de stock (ajuste manual, queda en el kardex)
  * PUT /api/stock/:material_id
  * Acceso: Admin/Administrativo
- * Body: { cantidad_disponible }
+ * Body: { cantidad_disponible, motivo, patio_id? } - sin patio se ajusta el principal
  */
 const updateStock = asyncHandler(async (req, res) => {
   const { material_id } = req.params;
   const { cantidad_disponible } = req.body;
+  const motivo =
+    typeof req.body.motivo === "string" ? req.body.motivo.trim() : "";
   const userId = req.user.id;
 
   logger.info("Actualizando stock:", {
@@ -102,7 +113,9 @@ const updateStock = asyncHandler(async (req, res) => {
 
   // VALIDACIÓN SIMPLIFICADA - usar funciones centralizadas
   const materialIdValidation = validateId(material_id, "ID de material");
-  const quantityValidation = validateQuantity(cantidad_disponible);
+  const quantityValidation = validateStockQuantity(cantidad_disponible, {
+    permitirCero: true,
+  });
   const userIdValidation = validateId(userId, "ID de usuario");
 
   const errors = [];
@@ -121,6 +134,12 @@ const updateStock = asyncHandler(async (req, res) => {
   if (!userIdValidation.isValid) {
     errors.push({ field: "user_id", message: userIdValidation.message });
   }
+  if (motivo.length < 5 || motivo.length > 500) {
+    errors.push({
+      field: "motivo",
+      message: "Motivo del ajuste requerido (5 a 500 caracteres)",
+    });
+  }
 
   if (errors.length > 0) {
     return validationError(res, errors, "Datos inválidos");
@@ -130,7 +149,9 @@ const updateStock = asyncHandler(async (req, res) => {
     const updatedStock = await Stock.updateQuantity(
       materialIdValidation.value,
       quantityValidation.value,
-      userIdValidation.value
+      userIdValidation.value,
+      sanitizeText(motivo),
+      req.body.patio_id ?? null
     );
 
     logger.info("Stock actualizado exitosamente", {
@@ -140,6 +161,8 @@ const updateStock = asyncHandler(async (req, res) => {
       userId,
     });
 
+    const [conPronostico] = await Stock.agregarPronostico([updatedStock]);
+
     return stockUpdated(
       res,
       {
@@ -150,9 +173,11 @@ const updateStock = asyncHandler(async (req, res) => {
         nivel_stock: updatedStock.nivel_stock,
         unidad_medida: updatedStock.unidad_medida,
         cambio_cantidad: updatedStock.cambio_cantidad,
-        accion_recomendada: Stock.getRecommendedAction({
-          nivel_stock: updatedStock.nivel_stock,
-        }),
+        patio_id: updatedStock.patio_id,
+        patio_nombre: updatedStock.patio_nombre,
+        cantidad_patio: updatedStock.cantidad_patio,
+        pronostico: conPronostico.pronostico,
+        accion_recomendada: Stock.getRecommendedAction(conPronostico),
       },
       updatedStock.alertas || []
     );
@@ -163,10 +188,72 @@ const updateStock = asyncHandler(async (req, res) => {
     if (error instanceof NotFoundError) {
       return notFound(res, error.message);
     }
+    if (error instanceof BusinessLogicError) {
+      return businessLogicError(res, error.message);
+    }
     throw error;
   }
 });
 
+/**
+ * Pronóstico de agotamiento y reposición sugerida
+ * GET /api/stock/forecast?dias_historial=56
+ * Acceso: Admin/Administrativo
+ */
+const getForecast = asyncHandler(async (req, res) => {
+  const { dias_historial } = req.query;
+
+  let diasHistorial;
+  if (dias_historial !== undefined) {
+    diasHistorial = parseInt(dias_historial, 10);
+    if (isNaN(diasHistorial) || diasHistorial < 7 || diasHistorial > 365) {
+      return validationError(
+        res,
+        [
+          {
+            field: "dias_historial",
+            message: "dias_historial debe estar entre 7 y 365",
+          },
+        ],
+        "Parámetros inválidos"
+      );
+    }
+  }
+
+  const pronostico = await Stock.getForecast({ diasHistorial });
+
+  const agotados = pronostico.filter(
+    (item) => item.pronostico.fecha_agotamiento
+  );
+
+  logger.debug("Pronóstico de stock generado", {
+    materiales: pronostico.length,
+    conAgotamiento: agotados.length,
+    userId: req.user.id,
+  });
+
+  return success(
+    res,
+    {
+      pronostico,
+      parametros: {
+        dias_historial: diasHistorial || PronosticoStock.DIAS_HISTORIAL,
+        horizonte_dias: PronosticoStock.HORIZONTE_DIAS,
+        dias_reposicion: PronosticoStock.DIAS_REPOSICION,
+        dias_cobertura: PronosticoStock.DIAS_COBERTURA,
+      },
+      resumen: {
+        total_materiales: pronostico.length,
+        se_agotan_en_horizonte: agotados.length,
+        requieren_reposicion: pronostico.filter(
+          (item) => item.pronostico.cantidad_sugerida_reposicion > 0
+        ).length,
+      },
+    },
+    `Pronóstico generado: ${agotados.length} materiales se agotan en ${PronosticoStock.HORIZONTE_DIAS} días`
+  );
+});
+
 /**
  * Obtener materiales con stock crítico/bajo
  * GET /api/stock/alerts
@@ -186,16 +273,21 @@ const getStockAlerts = asyncHandler(async (req, res) => {
     (item) => item.nivel_stock === "BAJO"
   );
 
+  // Propuesta de reposición abierta de cada material (si existe)
+  const propuestas = await ReposicionStock.getAbiertas();
+
   const alerts = {
     critico: stockCritico.map((item) => ({
       ...item,
       prioridad: "ALTA",
       accion_requerida: "Reabastecer inmediatamente",
+      propuesta_reposicion: propuestas.get(item.material_id) || null,
     })),
     bajo: stockBajo.map((item) => ({
       ...item,
       prioridad: "MEDIA",
       accion_requerida: "Programar reabastecimiento",
+      propuesta_reposicion: propuestas.get(item.material_id) || null,
     })),
     resumen: {
       total_alertas: stockCritico.length + stockBajo.length,
@@ -306,11 +398,12 @@ const getInventorySummary = asyncHandler(async (req, res) => {
  * Incrementar stock (entrada de materiales)
  * POST /api/stock/:material_id/increment
  * Acceso: Admin/Administrativo
- * Body: { cantidad }
+ * Body: { cantidad, nota?, patio_id? } - sin patio entra al principal
  */
 const incrementStock = asyncHandler(async (req, res) => {
   const { material_id } = req.params;
   const { cantidad } = req.body;
+  const nota = typeof req.body.nota === "string" ? req.body.nota.trim() : "";
   const userId = req.user.id;
 
   logger.info("Incrementando stock (entrada de materiales)", {
@@ -328,7 +421,7 @@ const incrementStock = asyncHandler(async (req, res) => {
     );
   }
 
-  const quantityValidation = validateQuantity(cantidad);
+  const quantityValidation = validateStockQuantity(cantidad);
   if (!quantityValidation.isValid) {
     return validationError(
       res,
@@ -341,7 +434,8 @@ const incrementStock = asyncHandler(async (req, res) => {
     const updatedStock = await Stock.increaseStock(
       material_id,
       quantityValidation.value,
-      userId
+      userId,
+      { nota: sanitizeText(nota) || null, patioId: req.body.patio_id ?? null }
     );
 
     logger.info("Stock incrementado exitosamente", {
@@ -358,6 +452,8 @@ const incrementStock = asyncHandler(async (req, res) => {
         material_nombre: updatedStock.material_nombre,
         cantidad_agregada: quantityValidation.value,
         cantidad_disponible: updatedStock.cantidad_disponible,
+        patio_nombre: updatedStock.patio_nombre,
+        cantidad_patio: updatedStock.cantidad_patio,
         nivel_stock: updatedStock.nivel_stock || "NORMAL",
       },
       `Stock incrementado en ${quantityValidation.value} unidades`
@@ -370,6 +466,371 @@ const incrementStock = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Registrar merma (pérdida de material)
+ * POST /api/stock/:material_id/merma
+ * Acceso: Admin/Administrativo
+ * Body: { cantidad, motivo, patio_id? } - sin patio sale del principal
+ */
+const registrarMerma = asyncHandler(async (req, res) => {
+  const { material_id } = req.params;
+  const { cantidad } = req.body;
+  const motivo =
+    typeof req.body.motivo === "string" ? req.body.motivo.trim() : "";
+  const userId = req.user.id;
+
+  logger.info("Registrando merma de stock", {
+    materialId: material_id,
+    cantidad,
+    userId,
+  });
+
+  const materialIdValidation = validateId(material_id, "ID de material");
+  const quantityValidation = validateStockQuantity(cantidad);
+
+  const errors = [];
+  if (!materialIdValidation.isValid) {
+    errors.push({
+      field: "material_id",
+      message: materialIdValidation.message,
+    });
+  }
+  if (!quantityValidation.isValid) {
+    errors.push({ field: "cantidad", message: quantityValidation.message });
+  }
+  if (motivo.length < 5 || motivo.length > 500) {
+    errors.push({
+      field: "motivo",
+      message: "Motivo de la merma requerido (5 a 500 caracteres)",
+    });
+  }
+
+  if (errors.length > 0) {
+    return validationError(res, errors, "Datos inválidos");
+  }
+
+  try {
+    const updatedStock = await Stock.registrarMerma(
+      materialIdValidation.value,
+      quantityValidation.value,
+      userId,
+      sanitizeText(motivo),
+      req.body.patio_id ?? null
+    );
+
+    return updated(
+      res,
+      {
+        material_id: updatedStock.material_id,
+        cantidad_merma: quantityValidation.value,
+        cantidad_disponible: updatedStock.cantidad_disponible,
+        patio_id: updatedStock.patio_id,
+        cantidad_patio: updatedStock.cantidad_patio,
+      },
+      `Merma de ${quantityValidation.value} unidades registrada`
+    );
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    if (error instanceof BusinessLogicError) {
+      return businessLogicError(res, error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Obtener kardex (movimientos) de un material
+ * GET /api/stock/:material_id/movimientos?desde=2025-01-01&hasta=2025-01-31&tipo=entrada
+ * Acceso: Admin/Administrativo
+ */
+const getMovimientos = asyncHandler(async (req, res) => {
+  const { material_id } = req.params;
+  const { desde, hasta, tipo, limit } = req.query;
+
+  const rangeValidation = validateDateRange(desde, hasta);
+  if (!rangeValidation.isValid) {
+    return validationError(res, rangeValidation.errors, "Fechas inválidas");
+  }
+
+  try {
+    const kardex = await Stock.findMovimientos(material_id, {
+      ...rangeValidation.value,
+      tipo,
+      limit,
+    });
+
+    return success(
+      res,
+      {
+        ...kardex,
+        filtros: { ...rangeValidation.value, tipo: tipo || null },
+      },
+      `${kardex.movimientos.length} movimientos de stock encontrados`
+    );
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Listar propuestas de reposición
+ * GET /api/stock/reposiciones?estado=pendiente&limit=
+ * Acceso: Admin/Administrativo
+ */
+const getReposiciones = asyncHandler(async (req, res) => {
+  const { estado, limit } = req.query;
+
+  try {
+    const propuestas = await ReposicionStock.findAll({ estado, limit });
+
+    return success(
+      res,
+      propuestas,
+      `${propuestas.length} propuestas de reposición encontradas`
+    );
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Revisar todo el inventario y generar propuestas faltantes
+ * POST /api/stock/reposiciones/generar
+ * Acceso: Admin/Administrativo
+ */
+const generarReposiciones = asyncHandler(async (req, res) => {
+  logger.info("Generando propuestas de reposición", { userId: req.user.id });
+
+  const { creadas, atendidas } = await Stock.evaluarReposicion();
+
+  return success(
+    res,
+    { creadas, atendidas },
+    `${creadas.length} propuestas de reposición generadas`
+  );
+});
+
+/**
+ * Aprobar propuesta de reposición
+ * PUT /api/stock/reposiciones/:id/aprobar
+ * Acceso: Admin/Administrativo
+ * Body: { cantidad?, nota? }
+ */
+const aprobarReposicion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const nota = typeof req.body.nota === "string" ? req.body.nota.trim() : "";
+
+  if (nota.length > 500) {
+    return validationError(
+      res,
+      [{ field: "nota", message: "Nota demasiado larga (máximo 500)" }],
+      "Datos inválidos"
+    );
+  }
+
+  try {
+    const propuesta = await ReposicionStock.aprobar(id, req.user.id, {
+      cantidad: req.body.cantidad,
+      nota: nota ? sanitizeText(nota) : null,
+    });
+
+    logger.info("Propuesta de reposición aprobada", {
+      propuestaId: propuesta.id,
+      cantidad: propuesta.cantidad_aprobada,
+      userId: req.user.id,
+    });
+
+    return updated(res, propuesta, "Propuesta de reposición aprobada");
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    if (error instanceof BusinessLogicError) {
+      return businessLogicError(res, error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Rechazar propuesta de reposición
+ * PUT /api/stock/reposiciones/:id/rechazar
+ * Acceso: Admin/Administrativo
+ * Body: { motivo }
+ */
+const rechazarReposicion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const motivo =
+    typeof req.body.motivo === "string" ? req.body.motivo.trim() : "";
+
+  if (motivo.length < 5 || motivo.length > 500) {
+    return validationError(
+      res,
+      [
+        {
+          field: "motivo",
+          message: "Motivo del rechazo requerido (5 a 500 caracteres)",
+        },
+      ],
+      "Datos inválidos"
+    );
+  }
+
+  try {
+    const propuesta = await ReposicionStock.rechazar(
+      id,
+      req.user.id,
+      sanitizeText(motivo)
+    );
+
+    logger.info("Propuesta de reposición rechazada", {
+      propuestaId: propuesta.id,
+      userId: req.user.id,
+    });
+
+    return updated(res, propuesta, "Propuesta de reposición rechazada");
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    if (error instanceof BusinessLogicError) {
+      return businessLogicError(res, error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Configurar nivel objetivo y días de reposición de un material
+ * PUT /api/stock/:material_id/reposicion
+ * Acceso: Admin/Administrativo
+ * Body: { nivel_objetivo?, dias_reposicion? } (null = valor por defecto)
+ */
+const updateParametrosReposicion = asyncHandler(async (req, res) => {
+  const { material_id } = req.params;
+
+  try {
+    const parametros = await ReposicionStock.actualizarParametros(
+      material_id,
+      req.body
+    );
+
+    logger.info("Parámetros de reposición actualizados", {
+      materialId: material_id,
+      userId: req.user.id,
+    });
+
+    return updated(res, parametros, "Parámetros de reposición actualizados");
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Transferir stock entre patios
+ * POST /api/stock/transferencias
+ * Acceso: Admin/Administrativo
+ * Body: { material_id, origen_patio_id, destino_patio_id, cantidad, nota? }
+ */
+const createTransferencia = asyncHandler(async (req, res) => {
+  const { material_id, origen_patio_id, destino_patio_id, cantidad } = req.body;
+  const nota = typeof req.body.nota === "string" ? req.body.nota.trim() : "";
+
+  if (nota.length > 500) {
+    return validationError(
+      res,
+      [{ field: "nota", message: "Nota demasiado larga (máximo 500)" }],
+      "Datos inválidos"
+    );
+  }
+
+  try {
+    const transferencia = await Stock.transferir(
+      material_id,
+      { origen_patio_id, destino_patio_id, cantidad },
+      req.user.id,
+      nota ? sanitizeText(nota) : null
+    );
+
+    logger.info("Transferencia de stock registrada", {
+      transferenciaId: transferencia.id,
+      materialId: transferencia.material_id,
+      userId: req.user.id,
+    });
+
+    return created(
+      res,
+      transferencia,
+      `${transferencia.cantidad} unidades transferidas de ${transferencia.origen.nombre} a ${transferencia.destino.nombre}`
+    );
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    if (error instanceof BusinessLogicError) {
+      return businessLogicError(res, error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Listar transferencias entre patios
+ * GET /api/stock/transferencias?material_id=1&patio_id=2&limit=
+ * Acceso: Admin/Administrativo
+ */
+const getTransferencias = asyncHandler(async (req, res) => {
+  const { material_id, patio_id, limit } = req.query;
+
+  try {
+    const transferencias = await Stock.findTransferencias({
+      material_id,
+      patio_id,
+      limit,
+    });
+
+    return success(
+      res,
+      transferencias,
+      `${transferencias.length} transferencias encontradas`
+    );
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
+    throw error;
+  }
+});
+
 module.exports = {
   getInventario,
   getStockByMaterial,
@@ -378,4 +839,14 @@ module.exports = {
   checkStockAvailability,
   getInventorySummary,
   incrementStock,
+  registrarMerma,
+  getMovimientos,
+  getForecast,
+  getReposiciones,
+  generarReposiciones,
+  aprobarReposicion,
+  rechazarReposicion,
+  updateParametrosReposicion,
+  createTransferencia,
+  getTransferencias,
 };
@@ -1,16 +1,17 @@
 const Vehiculo = require("../models/Vehiculo");
-const Pedido = require("../models/Pedido");
-const {
-  validateId,
-  validateVehicleStatus,
-  validateCoordinates,
-} = require("../utils/validation");
+const MantenimientoVehiculo = require("../models/MantenimientoVehiculo");
+const PosicionVehiculo = require("../models/PosicionVehiculo");
+const Geocerca = require("../models/Geocerca");
+const Asignacion = require("../models/Asignacion");
+const ReglaAsignacion = require("../models/ReglaAsignacion");
+const { validateId, validateVehicleStatus } = require("../utils/validation");
 const {
   success,
   created,
   updated,
   notFound,
   validationError,
+  conflict,
   businessLogicError,
 } = require("../utils/responseHelper");
 const {
@@ -18,7 +19,9 @@ const {
   ValidationError,
   NotFoundError,
   BusinessLogicError,
+  ConflictError,
 } = require("../middleware/errorHandler");
+const tiempoReal = require("../utils/tiempoReal");
 const logger = require("../utils/logger");
 
 /**
@@ -42,6 +45,8 @@ const getVehiculos = asyncHandler(async (req, res) => {
     modelo: vehiculo.modelo,
     capacidad_m3: vehiculo.capacidad_m3,
     estado: vehiculo.estado,
+    conductor_id: vehiculo.conductor_id,
+    proximo_mantenimiento: vehiculo.proximo_mantenimiento,
     tiene_ubicacion: !!(
       vehiculo.ubicacion_actual_lat && vehiculo.ubicacion_actual_lng
     ),
@@ -67,6 +72,46 @@ const getVehiculos = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Flota en tiempo real (Server-Sent Events)
+ * GET /api/vehiculos/stream
+ * Acceso: Admin/Administrativo
+ * Envía "flota" con el estado inicial y luego "ubicacion", "estado" y
+ * "geocerca" a medida que los vehículos reportan posición, cambian de
+ * estado o llegan y salen de patios y destinos
+ */
+const streamFlota = asyncHandler(async (req, res) => {
+  const vehiculos = await Vehiculo.findAll();
+
+  const enviar = tiempoReal.abrirStream(req, res, (cambio, enviar) => {
+    if (cambio.tipo === tiempoReal.TIPOS.UBICACION_VEHICULO) {
+      enviar("ubicacion", { ...cambio.datos, fecha: cambio.fecha });
+    } else if (cambio.tipo === tiempoReal.TIPOS.ESTADO_VEHICULO) {
+      enviar("estado", { ...cambio.datos, fecha: cambio.fecha });
+    } else if (cambio.tipo === tiempoReal.TIPOS.GEOCERCA) {
+      enviar("geocerca", cambio.datos);
+    }
+  });
+
+  enviar(
+    "flota",
+    vehiculos.map((vehiculo) => ({
+      id: vehiculo.id,
+      placa: vehiculo.placa,
+      estado: vehiculo.estado,
+      lat:
+        vehiculo.ubicacion_actual_lat !== null
+          ? parseFloat(vehiculo.ubicacion_actual_lat)
+          : null,
+      lng:
+        vehiculo.ubicacion_actual_lng !== null
+          ? parseFloat(vehiculo.ubicacion_actual_lng)
+          : null,
+      ultima_ubicacion: vehiculo.ultima_ubicacion,
+    }))
+  );
+});
+
 /**
  * Obtener estadísticas de flota
  * GET /api/vehiculos/estadisticas
@@ -102,12 +147,14 @@ const getFleetStats = asyncHandler(async (req, res) => {
 /**
  * Cambiar estado de vehículo
  * PUT /api/vehiculos/:id/estado
- * Body: { nuevo_estado }
+ * Body: { nuevo_estado, motivo? }
  * Acceso: Admin/Administrativo
+ * Reportar averiado reasigna los pedidos sin cargar; los cargados
+ * quedan a la espera de transbordo
  */
 const cambiarEstado = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { nuevo_estado } = req.body;
+  const { nuevo_estado, motivo } = req.body;
   const userId = req.user.id;
 
   logger.info("Cambiando estado de vehículo", {
@@ -132,45 +179,120 @@ const cambiarEstado = asyncHandler(async (req, res) => {
     return validationError(res, errors, "Datos inválidos");
   }
 
-  try {
-    const vehiculoActualizado = await Vehiculo.updateStatus(
-      idValidation.value,
-      statusValidation.value
-    );
+  let vehiculoActualizado;
+  let reasignaciones = [];
 
-    logger.info("Estado de vehículo actualizado", {
-      vehiculoId: id,
-      placa: vehiculoActualizado.placa,
-      estadoNuevo: vehiculoActualizado.estado,
+  if (statusValidation.value === Vehiculo.ESTADOS.AVERIADO) {
+    const resultado = await Asignacion.reportarAveria(idValidation.value, {
       userId,
+      motivo,
+      requestId: req.requestId,
     });
-
-    return updated(
-      res,
-      {
-        id: vehiculoActualizado.id,
-        placa: vehiculoActualizado.placa,
-        estado: vehiculoActualizado.estado,
-      },
-      `Vehículo ${vehiculoActualizado.placa} ahora está ${vehiculoActualizado.estado}`
+    vehiculoActualizado = resultado.vehiculo;
+    reasignaciones = resultado.reasignaciones;
+  } else {
+    vehiculoActualizado = await Vehiculo.updateStatus(
+      idValidation.value,
+      statusValidation.value,
+      { userId, motivo }
     );
-  } catch (error) {
-    if (error instanceof NotFoundError) {
-      return notFound(res, error.message);
-    }
-    throw error;
   }
+
+  logger.info("Estado de vehículo actualizado", {
+    vehiculoId: id,
+    placa: vehiculoActualizado.placa,
+    estadoAnterior: vehiculoActualizado.estado_anterior,
+    estadoNuevo: vehiculoActualizado.estado,
+    pedidosReasignados: reasignaciones.filter((r) => r.reasignado).length,
+    userId,
+  });
+
+  const sinReemplazo = reasignaciones.filter(
+    (r) => !r.reasignado && !r.requiere_transbordo
+  ).length;
+  const conCarga = reasignaciones.filter((r) => r.requiere_transbordo).length;
+
+  return updated(
+    res,
+    {
+      id: vehiculoActualizado.id,
+      placa: vehiculoActualizado.placa,
+      estado_anterior: vehiculoActualizado.estado_anterior,
+      estado: vehiculoActualizado.estado,
+      estados_siguientes: Vehiculo.getNextValidStates(
+        vehiculoActualizado.estado
+      ),
+      reasignaciones,
+    },
+    `Vehículo ${vehiculoActualizado.placa} ahora está ${vehiculoActualizado.estado}` +
+      (sinReemplazo
+        ? `; ${sinReemplazo} pedido(s) esperan asignación manual`
+        : "") +
+      (conCarga
+        ? `; ${conCarga} pedido(s) con la carga a bordo requieren transbordo`
+        : "")
+  );
+});
+
+/**
+ * Historial de estados del vehículo
+ * GET /api/vehiculos/:id/historial
+ * Acceso: Admin/Administrativo
+ */
+const getHistorialVehiculo = asyncHandler(async (req, res) => {
+  const historial = await Vehiculo.findHistorial(
+    req.params.id,
+    Math.min(parseInt(req.query.limit) || 50, 200)
+  );
+
+  const eventos = historial.map((evento) => ({
+    id: evento.id,
+    estado_anterior: evento.estado_anterior,
+    estado_nuevo: evento.estado_nuevo,
+    motivo: evento.motivo,
+    fecha: evento.created_at,
+    pedido: evento.pedido_id
+      ? { id: evento.pedido_id, codigo: evento.pedido_codigo }
+      : null,
+    usuario: evento.usuario_id
+      ? {
+          id: evento.usuario_id,
+          nombre: `${evento.usuario_nombre} ${evento.usuario_apellido}`,
+          rol: evento.usuario_rol,
+        }
+      : null,
+  }));
+
+  return success(res, eventos, `${eventos.length} cambios de estado`);
+});
+
+/**
+ * Visitas del vehículo a patios y destinos (llegada, salida y permanencia)
+ * GET /api/vehiculos/:id/visitas
+ * Acceso: Admin/Administrativo
+ */
+const getVisitasVehiculo = asyncHandler(async (req, res) => {
+  const resultado = await Geocerca.findVisitas(
+    req.params.id,
+    Math.min(parseInt(req.query.limit) || 50, 200)
+  );
+
+  return success(
+    res,
+    resultado,
+    `${resultado.visitas.length} visitas de ${resultado.vehiculo.placa}`
+  );
 });
 
 /**
- * Actualizar ubicación GPS de vehículo
+ * Actualizar ubicación GPS de vehículo (queda en su recorrido)
  * PUT /api/vehiculos/:id/ubicacion
- * Body: { lat, lng }
- * Acceso: Admin/Administrativo (o Conductor en futuro)
+ * Body: { lat, lng, velocidad_kmh?, rumbo?, registrado_en? }
+ * Acceso: Admin/Administrativo
  */
 const actualizarUbicacion = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { lat, lng } = req.body;
+  const { lat, lng, velocidad_kmh, rumbo, registrado_en } = req.body;
   const userId = req.user.id;
 
   logger.info("Actualizando ubicación de vehículo", {
@@ -180,52 +302,139 @@ const actualizarUbicacion = asyncHandler(async (req, res) => {
     userId,
   });
 
-  // Validaciones
-  const idValidation = validateId(id, "ID de vehículo");
-  const coordsValidation = validateCoordinates(lat, lng);
+  const resultado = await PosicionVehiculo.registrar(
+    id,
+    { lat, lng, velocidad_kmh, rumbo, registrado_en },
+    userId
+  );
 
-  const errors = [];
+  logger.info("Ubicación actualizada exitosamente", {
+    vehiculoId: id,
+    placa: resultado.placa,
+    userId,
+  });
+
+  return updated(
+    res,
+    {
+      id: resultado.id,
+      placa: resultado.placa,
+      ubicacion_actual: {
+        lat: resultado.ubicacion_actual.lat,
+        lng: resultado.ubicacion_actual.lng,
+      },
+      actualizado_en: resultado.ubicacion_actual.registrado_en,
+      geocercas: resultado.geocercas,
+    },
+    `Ubicación de ${resultado.placa} actualizada`
+  );
+});
+
+/**
+ * Registrar en lote posiciones acumuladas por el dispositivo
+ * POST /api/vehiculos/:id/posiciones
+ * Body: { puntos: [{ lat, lng, registrado_en, velocidad_kmh?, rumbo? }] }
+ * Acceso: Admin/Administrativo
+ */
+const registrarPosiciones = asyncHandler(async (req, res) => {
+  const resultado = await PosicionVehiculo.registrar(
+    req.params.id,
+    { puntos: req.body.puntos ?? null },
+    req.user.id
+  );
+
+  logger.info("Posiciones registradas en lote", {
+    vehiculoId: resultado.id,
+    recibidos: resultado.recibidos,
+    guardados: resultado.guardados,
+    userId: req.user.id,
+  });
+
+  return created(
+    res,
+    resultado,
+    `${resultado.guardados} de ${resultado.recibidos} posiciones registradas`
+  );
+});
+
+/**
+ * Recorrido del vehículo en GeoJSON con km totales
+ * GET /api/vehiculos/:id/recorrido?desde=&hasta=
+ * Acceso: Admin/Administrativo
+ */
+const getRecorrido = asyncHandler(async (req, res) => {
+  const recorrido = await PosicionVehiculo.findRecorrido(req.params.id, {
+    desde: req.query.desde,
+    hasta: req.query.hasta,
+  });
+
+  return success(
+    res,
+    recorrido,
+    `Recorrido de ${recorrido.properties.placa}: ${recorrido.properties.distancia_km} km`
+  );
+});
+
+/**
+ * Vincular conductor a vehículo
+ * PUT /api/vehiculos/:id/conductor
+ * Body: { conductor_id } - null para desvincular
+ * Acceso: Admin/Administrativo
+ */
+const asignarConductor = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { conductor_id } = req.body;
+  const userId = req.user.id;
+
+  logger.info("Vinculando conductor a vehículo", {
+    vehiculoId: id,
+    conductorId: conductor_id,
+    userId,
+  });
+
+  const idValidation = validateId(id, "ID de vehículo");
   if (!idValidation.isValid) {
-    errors.push({ field: "id", message: idValidation.message });
-  }
-  if (!coordsValidation.isValid) {
-    errors.push({ field: "coordenadas", message: coordsValidation.message });
+    return validationError(res, [
+      { field: "id", message: idValidation.message },
+    ]);
   }
 
-  if (errors.length > 0) {
-    return validationError(res, errors, "Datos inválidos");
+  if (conductor_id === undefined) {
+    return validationError(
+      res,
+      [
+        {
+          field: "conductor_id",
+          message: "conductor_id es requerido (o null)",
+        },
+      ],
+      "Conductor no proporcionado"
+    );
   }
 
   try {
-    const vehiculoActualizado = await Vehiculo.updateLocation(
+    const vehiculo = await Vehiculo.assignConductor(
       idValidation.value,
-      coordsValidation.value.lat,
-      coordsValidation.value.lng
+      conductor_id
     );
 
-    logger.info("Ubicación actualizada exitosamente", {
-      vehiculoId: id,
-      placa: vehiculoActualizado.placa,
-      userId,
-    });
-
     return updated(
       res,
-      {
-        id: vehiculoActualizado.id,
-        placa: vehiculoActualizado.placa,
-        ubicacion_actual: {
-          lat: vehiculoActualizado.ubicacion_actual_lat,
-          lng: vehiculoActualizado.ubicacion_actual_lng,
-        },
-        actualizado_en: new Date().toISOString(),
-      },
-      `Ubicación de ${vehiculoActualizado.placa} actualizada`
+      vehiculo,
+      vehiculo.conductor_id
+        ? `Conductor vinculado a ${vehiculo.placa}`
+        : `Vehículo ${vehiculo.placa} sin conductor`
     );
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
     if (error instanceof NotFoundError) {
       return notFound(res, error.message);
     }
+    if (error instanceof BusinessLogicError) {
+      return businessLogicError(res, error.message);
+    }
     throw error;
   }
 });
@@ -315,77 +524,123 @@ const asignarVehiculoAutomatico = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Obtener pedido
-    const pedido = await Pedido.findById(idValidation.value);
-    if (!pedido) {
-      return notFound(res, "Pedido no encontrado");
-    }
+    // Motor único de asignación: el sistema experto elige el vehículo
+    const resultado = await Asignacion.asignar(idValidation.value, {
+      userId,
+      requestId: req.requestId,
+    });
 
-    if (pedido.estado !== "confirmado") {
-      return businessLogicError(
-        res,
-        "Solo se pueden asignar vehículos a pedidos confirmados"
-      );
-    }
+    logger.info("Vehículo asignado automáticamente", {
+      pedidoId: pedido_id,
+      vehiculoAsignado: resultado.vehiculo_asignado.placa,
+      puntuacion: resultado.sistema_experto.puntuacion,
+      eficiencia: resultado.sistema_experto.eficiencia_uso + "%",
+      userId,
+    });
 
-    // SISTEMA EXPERTO SIMPLE: Buscar vehículos disponibles
-    const vehiculosDisponibles = await Vehiculo.findAvailableByCapacity(
-      pedido.cantidad
+    return success(
+      res,
+      resultado,
+      `Vehículo ${resultado.vehiculo_asignado.placa} asignado automáticamente`
     );
-
-    if (vehiculosDisponibles.length === 0) {
-      logger.warn("No hay vehículos disponibles", {
-        pedidoId: pedido_id,
-        cantidadRequerida: pedido.cantidad,
-      });
-      return businessLogicError(
-        res,
-        `No hay vehículos disponibles para ${pedido.cantidad}m³`
-      );
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    if (error instanceof ConflictError) {
+      return conflict(res, error.message);
     }
+    if (error instanceof BusinessLogicError) {
+      return businessLogicError(res, error.message);
+    }
+    throw error;
+  }
+});
 
-    // REGLA SIMPLE: Usar vehículo de menor capacidad disponible (más eficiente)
-    const vehiculoSeleccionado = vehiculosDisponibles[0]; // Ya vienen ordenados por capacidad ASC
+/**
+ * Listar reglas del sistema experto con peso y parámetros
+ * GET /api/vehiculos/reglas
+ * Acceso: Admin/Administrativo
+ */
+const getReglasAsignacion = asyncHandler(async (req, res) => {
+  const reglas = await ReglaAsignacion.findAll();
 
-    // Asignar vehículo
-    await Vehiculo.updateStatus(vehiculoSeleccionado.vehiculo_id, "en_uso");
+  return success(
+    res,
+    {
+      reglas,
+      reglas_sin_configurar: Object.keys(ReglaAsignacion.DEFAULTS).filter(
+        (codigo) => !reglas.some((regla) => regla.codigo === codigo)
+      ),
+    },
+    `${reglas.length} reglas de asignación`
+  );
+});
 
-    // Actualizar pedido a asignado
-    await Pedido.updateStatus(idValidation.value, "asignado", userId);
+/**
+ * Actualizar peso, estado o parámetros de una regla
+ * PUT /api/vehiculos/reglas/:codigo
+ * Body: { activa?, peso?, parametros? }
+ * Acceso: Solo Admin
+ */
+const actualizarReglaAsignacion = asyncHandler(async (req, res) => {
+  const { codigo } = req.params;
 
-    const resultado = {
-      pedido: {
-        id: pedido.id,
-        codigo_seguimiento: pedido.codigo_seguimiento,
-        estado: "asignado",
-      },
-      vehiculo_asignado: {
-        id: vehiculoSeleccionado.vehiculo_id,
-        placa: vehiculoSeleccionado.placa,
-        capacidad: vehiculoSeleccionado.capacidad,
-      },
-      sistema_experto: {
-        vehiculos_evaluados: vehiculosDisponibles.length,
-        criterio_seleccion: "Menor capacidad suficiente",
-        eficiencia_uso: Math.round(
-          (pedido.cantidad / vehiculoSeleccionado.capacidad) * 100
-        ),
-      },
-    };
+  logger.info("Actualizando regla de asignación", {
+    codigo,
+    userId: req.user.id,
+  });
 
-    logger.info("Vehículo asignado automáticamente", {
-      pedidoId: pedido_id,
-      vehiculoAsignado: vehiculoSeleccionado.placa,
-      eficiencia: resultado.sistema_experto.eficiencia_uso + "%",
-      userId,
-    });
+  try {
+    const regla = await ReglaAsignacion.update(codigo, req.body, req.user.id);
+
+    return updated(res, regla, `Regla ${codigo} actualizada`);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
+    if (error instanceof NotFoundError) {
+      return notFound(res, error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Simular puntuación de un pedido con un borrador de reglas (no guarda nada)
+ * POST /api/vehiculos/reglas/simular
+ * Body: { pedido_id, reglas: { codigo: { activa?, peso?, parametros? } } }
+ * Acceso: Admin/Administrativo
+ */
+const simularAsignacion = asyncHandler(async (req, res) => {
+  const { pedido_id, reglas } = req.body;
+
+  const idValidation = validateId(pedido_id, "ID de pedido");
+  if (!idValidation.isValid) {
+    return validationError(
+      res,
+      [{ field: "pedido_id", message: idValidation.message }],
+      "ID de pedido inválido"
+    );
+  }
+
+  try {
+    const simulacion = await Asignacion.simular(
+      idValidation.value,
+      reglas || {}
+    );
 
     return success(
       res,
-      resultado,
-      `Vehículo ${vehiculoSeleccionado.placa} asignado automáticamente`
+      simulacion,
+      simulacion.cambia_seleccion
+        ? "El borrador cambia el vehículo seleccionado"
+        : "El borrador mantiene el vehículo seleccionado"
     );
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationError(res, error.errors || [], error.message);
+    }
     if (error instanceof NotFoundError) {
       return notFound(res, error.message);
     }
@@ -407,11 +662,17 @@ const getDashboardFlota = asyncHandler(async (req, res) => {
   });
 
   // Obtener datos necesarios
-  const [vehiculos, stats] = await Promise.all([
+  const [vehiculos, stats, asignacionesActivas] = await Promise.all([
     Vehiculo.findAll(),
     Vehiculo.getFleetStats(),
+    Vehiculo.findActiveAssignments(),
   ]);
 
+  // Pedido en curso por vehículo
+  const asignacionPorVehiculo = new Map(
+    asignacionesActivas.map((a) => [a.vehiculo_id, a])
+  );
+
   // Analizar vehículos
   const vehiculosAgrupados = {
     disponible: vehiculos.filter((v) => v.estado === "disponible"),
@@ -442,13 +703,28 @@ const getDashboardFlota = asyncHandler(async (req, res) => {
       mantenimiento: stats.mantenimiento,
       averiado: vehiculosAgrupados.averiado.length,
     },
-    vehiculos_detalle: vehiculos.map((v) => ({
-      id: v.id,
-      placa: v.placa,
-      estado: v.estado,
-      capacidad: v.capacidad_m3,
-      tiene_gps: !!(v.ubicacion_actual_lat && v.ubicacion_actual_lng),
-    })),
+    vehiculos_detalle: vehiculos.map((v) => {
+      const asignacion = asignacionPorVehiculo.get(v.id);
+
+      return {
+        id: v.id,
+        placa: v.placa,
+        estado: v.estado,
+        capacidad: v.capacidad_m3,
+        proximo_mantenimiento: v.proximo_mantenimiento,
+        tiene_gps: !!(v.ubicacion_actual_lat && v.ubicacion_actual_lng),
+        pedido_actual: asignacion
+          ? {
+              pedido_id: asignacion.pedido_id,
+              codigo_seguimiento: asignacion.codigo_seguimiento,
+              estado: asignacion.pedido_estado,
+              conductor: asignacion.conductor_nombre,
+              asignado_en: asignacion.asignado_en,
+            }
+          : null,
+      };
+    }),
+    asignaciones_activas: asignacionesActivas.length,
     alertas: [],
   };
 
@@ -467,6 +743,21 @@ const getDashboardFlota = asyncHandler(async (req, res) => {
     });
   }
 
+  // Servicios programados en los próximos 7 días
+  const limiteServicio = new Date();
+  limiteServicio.setDate(limiteServicio.getDate() + 7);
+  const serviciosProximos = vehiculos.filter(
+    (v) =>
+      v.proximo_mantenimiento &&
+      new Date(v.proximo_mantenimiento) <= limiteServicio
+  );
+  if (serviciosProximos.length > 0) {
+    dashboard.alertas.push({
+      tipo: "info",
+      mensaje: `${serviciosProximos.length} vehículo(s) con servicio en los próximos 7 días: ${serviciosProximos.map((v) => v.placa).join(", ")}`,
+    });
+  }
+
   if (vehiculosAgrupados.averiado.length > 0) {
     dashboard.alertas.push({
       tipo: "error",
@@ -484,19 +775,173 @@ const getDashboardFlota = asyncHandler(async (req, res) => {
   return success(res, dashboard, "Dashboard de flota generado");
 });
 
+/**
+ * Registrar vehículo
+ * POST /api/vehiculos
+ * Body: { placa, marca, modelo, capacidad_m3 }
+ * Acceso: Admin/Administrativo
+ */
+const createVehiculo = asyncHandler(async (req, res) => {
+  const vehiculo = await Vehiculo.create(req.body);
+
+  logger.info("Vehículo registrado", {
+    vehiculoId: vehiculo.id,
+    placa: vehiculo.placa,
+    userId: req.user.id,
+  });
+
+  return created(res, vehiculo, `Vehículo ${vehiculo.placa} registrado`);
+});
+
+/**
+ * Editar vehículo
+ * PUT /api/vehiculos/:id
+ * Body: { placa?, marca?, modelo?, capacidad_m3? }
+ * Acceso: Admin/Administrativo
+ */
+const updateVehiculo = asyncHandler(async (req, res) => {
+  const vehiculo = await Vehiculo.update(req.params.id, req.body);
+
+  return updated(res, vehiculo, `Vehículo ${vehiculo.placa} actualizado`);
+});
+
+/**
+ * Retirar vehículo de la flota
+ * DELETE /api/vehiculos/:id
+ * Body: { motivo? }
+ * Acceso: Solo Admin
+ */
+const retirarVehiculo = asyncHandler(async (req, res) => {
+  const vehiculo = await Vehiculo.retirar(
+    req.params.id,
+    req.body && req.body.motivo
+  );
+
+  logger.info("Vehículo retirado de la flota", {
+    vehiculoId: vehiculo.id,
+    placa: vehiculo.placa,
+    userId: req.user.id,
+  });
+
+  return success(res, vehiculo, `Vehículo ${vehiculo.placa} retirado`);
+});
+
+/**
+ * Historial de mantenimientos del vehículo
+ * GET /api/vehiculos/:id/mantenimientos?estado=&limit=
+ * Acceso: Admin/Administrativo
+ */
+const getMantenimientos = asyncHandler(async (req, res) => {
+  const mantenimientos = await MantenimientoVehiculo.findByVehiculo(
+    req.params.id,
+    {
+      estado: req.query.estado || null,
+      limit: Math.min(parseInt(req.query.limit) || 50, 100),
+    }
+  );
+
+  return success(
+    res,
+    mantenimientos,
+    `${mantenimientos.length} mantenimientos encontrados`
+  );
+});
+
+/**
+ * Registrar mantenimiento (programado o ya realizado)
+ * POST /api/vehiculos/:id/mantenimientos
+ * Body: { tipo_servicio, fecha_programada?, fecha_realizada?, odometro_km?, costo?, proxima_fecha?, observaciones? }
+ * Acceso: Admin/Administrativo
+ */
+const createMantenimiento = asyncHandler(async (req, res) => {
+  const { mantenimiento, proximo } = await MantenimientoVehiculo.create(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  return created(
+    res,
+    { mantenimiento, proximo },
+    mantenimiento.estado === MantenimientoVehiculo.ESTADOS.EN_CURSO
+      ? `Vehículo ${mantenimiento.placa} en mantenimiento`
+      : `Mantenimiento ${mantenimiento.estado}`
+  );
+});
+
+/**
+ * Completar mantenimiento (el vehículo vuelve a disponible)
+ * POST /api/vehiculos/:id/mantenimientos/:mantenimientoId/completar
+ * Body: { fecha_realizada?, odometro_km?, costo?, proxima_fecha?, observaciones? }
+ * Acceso: Admin/Administrativo
+ */
+const completarMantenimiento = asyncHandler(async (req, res) => {
+  const resultado = await MantenimientoVehiculo.completar(
+    req.params.id,
+    req.params.mantenimientoId,
+    req.body || {},
+    req.user.id
+  );
+
+  return updated(
+    res,
+    resultado,
+    resultado.proximo
+      ? `Mantenimiento completado. Próximo servicio: ${resultado.proximo.fecha_programada}`
+      : "Mantenimiento completado"
+  );
+});
+
+/**
+ * Cancelar mantenimiento pendiente
+ * POST /api/vehiculos/:id/mantenimientos/:mantenimientoId/cancelar
+ * Body: { motivo? }
+ * Acceso: Admin/Administrativo
+ */
+const cancelarMantenimiento = asyncHandler(async (req, res) => {
+  const resultado = await MantenimientoVehiculo.cancelar(
+    req.params.id,
+    req.params.mantenimientoId,
+    req.body && req.body.motivo,
+    req.user.id
+  );
+
+  return updated(res, resultado, "Mantenimiento cancelado");
+});
+
 module.exports = {
   // Gestión básica
   getVehiculos,
+  streamFlota,
   getFleetStats,
+  createVehiculo,
+  updateVehiculo,
+  retirarVehiculo,
+
+  // Mantenimientos
+  getMantenimientos,
+  createMantenimiento,
+  completarMantenimiento,
+  cancelarMantenimiento,
 
   // Estados y ubicación
   cambiarEstado,
+  getHistorialVehiculo,
+  getVisitasVehiculo,
   actualizarUbicacion,
+  registrarPosiciones,
+  getRecorrido,
+  asignarConductor,
 
   // Sistema experto simple
   getVehiculosDisponibles,
   asignarVehiculoAutomatico,
 
+  // Reglas del sistema experto
+  getReglasAsignacion,
+  actualizarReglaAsignacion,
+  simularAsignacion,
+
   // Dashboard
   getDashboardFlota,
 };
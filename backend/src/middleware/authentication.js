@@ -6,6 +6,24 @@ const {
 const Usuario = require("../models/Usuario");
 const logger = require("../utils/logger");
 
+/**
+ * Token de un stream SSE: EventSource no puede enviar el header
+ * Authorization, así que solo para esas conexiones se acepta ?token=
+ * (y se oculta de la URL que queda en los logs)
+ */
+const extractStreamToken = (req) => {
+  const accept = req.headers.accept || "";
+  if (!accept.includes("text/event-stream")) {
+    return null;
+  }
+  if (typeof req.query.token !== "string" || !req.query.token) {
+    return null;
+  }
+
+  req.originalUrl = req.originalUrl.replace(/([?&]token=)[^&]*/, "$1[oculto]");
+  return req.query.token;
+};
+
 /**
  * Middleware principal de autenticación
  * Verifica el token JWT y obtiene los datos actuales del usuario
@@ -14,7 +32,7 @@ const authenticateToken = async (req, res, next) => {
   try {
     // Extraer token del header Authorization
     const authHeader = req.headers.authorization;
-    const token = extractToken(authHeader);
+    const token = extractToken(authHeader) || extractStreamToken(req);
 
     if (!token) {
       logger.warn("Intento de acceso sin token", {
@@ -59,6 +77,7 @@ const authenticateToken = async (req, res, next) => {
 
     // Agregar token al request (por si se necesita)
     req.token = token;
+    req.tokenExpira = decoded.exp;
 
     logger.debug("Usuario autenticado exitosamente", {
       id: req.user.id,
@@ -146,7 +165,7 @@ const requireRoles = (...allowedRoles) => {
           requiredRoles: allowedRoles,
           path: req.originalUrl,
         });
-        throw new createAuthorizationError(
+        throw createAuthorizationError(
           `Acceso denegado. Roles requeridos: ${allowedRoles.join(", ")}`
         );
       }
@@ -214,7 +233,7 @@ const requireOwnershipOrAdmin = (req, res, next) => {
     );
 
     if (!targetUserId) {
-      throw new createAuthorizationError("ID de usuario requerido");
+      throw createAuthorizationError("ID de usuario requerido");
     }
 
     // Verificar que el usuario accede solo a sus propios datos
@@ -224,9 +243,7 @@ const requireOwnershipOrAdmin = (req, res, next) => {
         targetUserId: targetUserId,
         path: req.originalUrl,
       });
-      throw new createAuthorizationError(
-        "Solo puedes acceder a tus propios datos"
-      );
+      throw createAuthorizationError("Solo puedes acceder a tus propios datos");
     }
 
     next();
@@ -257,7 +274,7 @@ const requireOrderOwnership = async (req, res, next) => {
       return next();
     }
 
-    throw new createAuthorizationError("No tienes permisos para ver pedidos");
+    throw createAuthorizationError("No tienes permisos para ver pedidos");
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,107 @@
+const {
+  createAuthorizationError,
+  AuthenticationError,
+} = require("./errorHandler");
+const Pedido = require("../models/Pedido");
+const Vehiculo = require("../models/Vehiculo");
+const Usuario = require("../models/Usuario");
+const logger = require("../utils/logger");
+
+/**
+ * Verificar que el usuario es conductor y tiene un vehículo vinculado
+ * Agrega req.vehiculo para usar en controllers
+ */
+const requireAssignedVehicle = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      throw new AuthenticationError("Autenticación requerida");
+    }
+
+    if (req.user.rol !== "conductor") {
+      logger.warn("Usuario no conductor intentando usar API de conductor", {
+        userId: req.user.id,
+        rol: req.user.rol,
+      });
+      throw createAuthorizationError(
+        "Solo conductores pueden acceder a esta ruta"
+      );
+    }
+
+    const vehiculo = await Vehiculo.findByConductor(req.user.id);
+
+    if (!vehiculo) {
+      logger.warn("Conductor sin vehículo vinculado", {
+        userId: req.user.id,
+      });
+      throw createAuthorizationError(
+        "No tienes un vehículo asignado, contacta a administración"
+      );
+    }
+
+    req.vehiculo = vehiculo;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verificar que un permiso del rol conductor está habilitado
+ * @param {string} permission - Permiso de Usuario.getPermissions
+ */
+const requireConductorPermission = (permission) => {
+  return (req, res, next) => {
+    const permissions = Usuario.getPermissions(req.user);
+
+    if (!permissions[permission]) {
+      logger.warn("Permiso de conductor denegado", {
+        userId: req.user?.id,
+        permission,
+      });
+      return next(
+        createAuthorizationError("No tienes permisos para esta acción")
+      );
+    }
+
+    next();
+  };
+};
+
+/**
+ * Verificar que el pedido de la URL está asignado al vehículo del conductor
+ * Debe ir después de requireAssignedVehicle. Agrega req.pedido
+ */
+const requireAssignedPedido = async (req, res, next) => {
+  try {
+    const pedidoId = req.params.id || req.params.pedido_id;
+
+    if (!pedidoId) {
+      throw createAuthorizationError("ID de pedido requerido");
+    }
+
+    const pedido = await Pedido.findById(pedidoId);
+
+    if (!pedido || pedido.vehiculo_id !== req.vehiculo.id) {
+      logger.warn("Conductor intentando acceder a pedido no asignado", {
+        pedidoId,
+        userId: req.user.id,
+        vehiculoId: req.vehiculo.id,
+        pedidoVehiculoId: pedido ? pedido.vehiculo_id : null,
+      });
+      throw createAuthorizationError(
+        "El pedido no está asignado a tu vehículo"
+      );
+    }
+
+    req.pedido = pedido;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireAssignedVehicle,
+  requireConductorPermission,
+  requireAssignedPedido,
+};
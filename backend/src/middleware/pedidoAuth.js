@@ -29,7 +29,7 @@ const requirePedidoOwnership = async (req, res, next) => {
         logger.warn("Cliente sin perfil intentando acceder a pedidos", {
           userId: req.user.id,
         });
-        throw new createAuthorizationError("Perfil de cliente no encontrado");
+        throw createAuthorizationError("Perfil de cliente no encontrado");
       }
 
       // Agregar filtro de cliente para usar en controllers
@@ -45,9 +45,7 @@ const requirePedidoOwnership = async (req, res, next) => {
       rol: req.user.rol,
     });
 
-    throw new createAuthorizationError(
-      "No tienes permisos para acceder a pedidos"
-    );
+    throw createAuthorizationError("No tienes permisos para acceder a pedidos");
   } catch (error) {
     next(error);
   }
@@ -66,7 +64,7 @@ const requireSpecificPedidoAccess = async (req, res, next) => {
     const pedidoId = req.params.id || req.params.pedido_id;
 
     if (!pedidoId) {
-      throw new createAuthorizationError("ID de pedido requerido");
+      throw createAuthorizationError("ID de pedido requerido");
     }
 
     // Los administradores y administrativos pueden acceder a cualquier pedido
@@ -79,7 +77,7 @@ const requireSpecificPedidoAccess = async (req, res, next) => {
       const clienteProfile = await Cliente.findByUserId(req.user.id);
 
       if (!clienteProfile) {
-        throw new createAuthorizationError("Perfil de cliente no encontrado");
+        throw createAuthorizationError("Perfil de cliente no encontrado");
       }
 
       // Verificar que el pedido pertenece al cliente
@@ -90,7 +88,7 @@ const requireSpecificPedidoAccess = async (req, res, next) => {
           pedidoId,
           userId: req.user.id,
         });
-        throw new createAuthorizationError("Pedido no encontrado");
+        throw createAuthorizationError("Pedido no encontrado");
       }
 
       if (pedido.cliente_id !== clienteProfile.id) {
@@ -100,7 +98,7 @@ const requireSpecificPedidoAccess = async (req, res, next) => {
           pedidoClienteId: pedido.cliente_id,
           userId: req.user.id,
         });
-        throw new createAuthorizationError(
+        throw createAuthorizationError(
           "Solo puedes acceder a tus propios pedidos"
         );
       }
@@ -112,7 +110,7 @@ const requireSpecificPedidoAccess = async (req, res, next) => {
       return next();
     }
 
-    throw new createAuthorizationError(
+    throw createAuthorizationError(
       "No tienes permisos para acceder a este pedido"
     );
   } catch (error) {
@@ -135,7 +133,7 @@ const requireClientForOrder = async (req, res, next) => {
       const clienteProfile = await Cliente.findByUserId(req.user.id);
 
       if (!clienteProfile) {
-        throw new createAuthorizationError(
+        throw createAuthorizationError(
           "Perfil de cliente requerido para crear pedidos"
         );
       }
@@ -146,11 +144,11 @@ const requireClientForOrder = async (req, res, next) => {
     }
 
     // Admin/administrativos pueden crear pedidos pero deben especificar cliente_id
-    if (["administrador", "administrativo"].includes(req.user.rol)) {
+    if (canCreateOrderForOthers(req.user)) {
       const { cliente_id } = req.body;
 
       if (!cliente_id) {
-        throw new createAuthorizationError(
+        throw createAuthorizationError(
           "Debe especificar cliente_id para crear pedido"
         );
       }
@@ -158,9 +156,7 @@ const requireClientForOrder = async (req, res, next) => {
       // Verificar que el cliente existe
       const clienteExists = await Cliente.findById(cliente_id);
       if (!clienteExists) {
-        throw new createAuthorizationError(
-          "Cliente especificado no encontrado"
-        );
+        throw createAuthorizationError("Cliente especificado no encontrado");
       }
 
       req.clienteId = parseInt(cliente_id);
@@ -168,7 +164,7 @@ const requireClientForOrder = async (req, res, next) => {
       return next();
     }
 
-    throw new createAuthorizationError("Solo clientes pueden crear pedidos");
+    throw createAuthorizationError("Solo clientes pueden crear pedidos");
   } catch (error) {
     next(error);
   }
@@ -184,9 +180,7 @@ const allowPublicTracking = (req, res, next) => {
   const { codigo } = req.params;
 
   if (!codigo) {
-    return next(
-      new createAuthorizationError("Código de seguimiento requerido")
-    );
+    return next(createAuthorizationError("Código de seguimiento requerido"));
   }
 
   req.trackingCode = codigo.toUpperCase().trim();
@@ -209,7 +203,7 @@ const requireStaffForStatusChange = (req, res, next) => {
         pedidoId: req.params.id,
       });
 
-      throw new createAuthorizationError(
+      throw createAuthorizationError(
         "Solo personal administrativo puede cambiar estados de pedidos"
       );
     }
@@ -251,7 +245,7 @@ const canViewPedidoStats = (user) => {
  * Verificar si un usuario puede crear pedidos a nombre de otros
  */
 const canCreateOrderForOthers = (user) => {
-  return ["administrador"].includes(user?.rol);
+  return ["administrador", "administrativo"].includes(user?.rol);
 };
 
 module.exports = {
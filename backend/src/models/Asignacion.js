@@ -0,0 +1,422 @@
+const { executeTransaction } = require("../utils/database");
+const Pedido = require("./Pedido");
+const Patio = require("./Patio");
+const Vehiculo = require("./Vehiculo");
+const ReglaAsignacion = require("./ReglaAsignacion");
+const { validateId } = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+  ConflictError,
+} = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+class Asignacion {
+  // Modos de asignación registrados en pedido_asignaciones
+  static MODOS = {
+    MANUAL: "manual",
+    AUTOMATICO: "automatico",
+  };
+
+  // Cantidad de alternativas a devolver junto al vehículo elegido
+  static MAX_ALTERNATIVAS = 3;
+
+  /**
+   * Motor único de asignación de vehículos
+   * Sin vehiculoId el sistema experto elige el vehículo; con vehiculoId se
+   * respeta la elección manual y se informa su puntuación frente al resto.
+   * @param {number} pedidoId - ID del pedido confirmado
+   * @param {Object} opciones - { vehiculoId?, userId, requestId? }
+   */
+  static async asignar(
+    pedidoId,
+    { vehiculoId = null, userId, requestId = null }
+  ) {
+    const modo = vehiculoId ? this.MODOS.MANUAL : this.MODOS.AUTOMATICO;
+
+    logger.info("Motor de asignación:", { pedidoId, vehiculoId, modo, userId });
+
+    try {
+      const idValidation = validateId(pedidoId, "ID de pedido");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de pedido inválido");
+      }
+
+      const pedido = await Pedido.findById(idValidation.value);
+      if (!pedido) {
+        throw new NotFoundError("Pedido no encontrado");
+      }
+
+      if (pedido.estado !== Pedido.ESTADOS.CONFIRMADO) {
+        throw new BusinessLogicError(
+          "Solo se pueden asignar vehículos a pedidos confirmados"
+        );
+      }
+
+      const pedidoData = await this.getDatosEvaluacion(pedido);
+
+      const candidatos =
+        modo === this.MODOS.MANUAL
+          ? await this.evaluarSeleccionManual(vehiculoId, pedidoData)
+          : (await Vehiculo.asignarVehiculoAutomatico(pedidoData)).candidatos;
+
+      // Intentar en orden de puntuación; si otro pedido tomó el vehículo
+      // entre la evaluación y la transacción, se pasa al siguiente candidato
+      for (let i = 0; i < candidatos.length; i++) {
+        const candidato = candidatos[i];
+
+        try {
+          const pedidoAsignado = await Pedido.assignVehicle(
+            pedido.id,
+            candidato.vehiculo_id,
+            userId,
+            {
+              modo,
+              puntuacion: candidato.puntuacion,
+              reglas_aplicadas: candidato.reglas_aplicadas,
+            },
+            { requestId }
+          );
+
+          logger.info("Vehículo asignado por motor de asignación:", {
+            pedidoId: pedido.id,
+            vehiculoId: candidato.vehiculo_id,
+            placa: candidato.placa,
+            modo,
+            puntuacion: candidato.puntuacion,
+            intentos: i + 1,
+          });
+
+          return this.formatResultado(
+            pedidoAsignado,
+            candidato,
+            candidatos.filter((c) => c !== candidato),
+            pedidoData,
+            modo
+          );
+        } catch (error) {
+          if (
+            error instanceof ConflictError &&
+            modo === this.MODOS.AUTOMATICO
+          ) {
+            logger.warn(
+              "Vehículo tomado por otra asignación, probando siguiente",
+              {
+                pedidoId: pedido.id,
+                vehiculoId: candidato.vehiculo_id,
+              }
+            );
+            continue;
+          }
+          throw error;
+        }
+      }
+
+      throw new ConflictError(
+        "Los vehículos candidatos fueron asignados a otros pedidos, intente nuevamente"
+      );
+    } catch (error) {
+      logger.error("Error en motor de asignación:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reportar vehículo averiado y reasignar sus pedidos abiertos
+   * El cambio a averiado y la liberación de los pedidos van en una sola
+   * transacción; confirmada, el motor elige otro vehículo para cada pedido
+   * liberado y si no hay candidatos queda confirmado a la espera de
+   * asignación manual. Los pedidos con la carga ya a bordo no se
+   * reasignan: siguen en el vehículo averiado hasta su transbordo.
+   * Reportar de nuevo un vehículo averiado retoma los pedidos que le queden.
+   * @param {number} vehiculoId - ID del vehículo
+   * @param {Object} contexto - { userId, motivo?, requestId? }
+   */
+  static async reportarAveria(
+    vehiculoId,
+    { userId, motivo, requestId = null }
+  ) {
+    logger.info("Reporte de avería:", { vehiculoId, userId });
+
+    try {
+      const idValidation = validateId(vehiculoId, "ID de vehículo");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de vehículo inválido");
+      }
+
+      // Los pedidos se bloquean antes que el vehículo, en el mismo orden
+      // que la asignación, para no cruzar bloqueos con ella
+      const abiertos = await Pedido.findByVehiculo(idValidation.value);
+
+      const { vehiculo, pedidos } = await executeTransaction(async (client) => {
+        const ids = abiertos.map((pedido) => pedido.id).sort((a, b) => a - b);
+        for (const id of ids) {
+          await Pedido.lockForUpdate(client, id);
+        }
+
+        const averiado = await Vehiculo.marcarAveriado(
+          client,
+          idValidation.value,
+          { userId, motivo }
+        );
+        const { asignaciones, ...vehiculo } = averiado;
+
+        const pedidos = [];
+        for (const asignacion of asignaciones) {
+          const pedido = await Pedido.liberarPorAveria(
+            client,
+            asignacion.pedido_id,
+            vehiculo,
+            {
+              userId,
+              requestId,
+              registrarRetencion: vehiculo.evento !== null,
+            }
+          );
+          if (pedido) {
+            pedidos.push(pedido);
+          }
+        }
+
+        return { vehiculo, pedidos };
+      });
+
+      const reasignaciones = [];
+
+      for (const pedido of pedidos) {
+        if (pedido.requiere_transbordo) {
+          reasignaciones.push({
+            pedido_id: pedido.id,
+            codigo_seguimiento: pedido.codigo_seguimiento,
+            reasignado: false,
+            requiere_transbordo: true,
+            motivo: "La carga sigue en el vehículo averiado",
+          });
+          continue;
+        }
+
+        // La avería ya está confirmada: un fallo al reasignar deja el
+        // pedido confirmado para asignarlo a mano
+        try {
+          const resultado = await this.asignar(pedido.id, {
+            userId,
+            requestId,
+          });
+
+          reasignaciones.push({
+            pedido_id: pedido.id,
+            codigo_seguimiento: pedido.codigo_seguimiento,
+            reasignado: true,
+            vehiculo: resultado.vehiculo_asignado,
+          });
+        } catch (error) {
+          logger.warn("Pedido sin vehículo de reemplazo:", {
+            pedidoId: pedido.id,
+            motivo: error.message,
+          });
+
+          reasignaciones.push({
+            pedido_id: pedido.id,
+            codigo_seguimiento: pedido.codigo_seguimiento,
+            reasignado: false,
+            requiere_transbordo: false,
+            motivo: error.message,
+          });
+        }
+      }
+
+      logger.info("Avería registrada:", {
+        vehiculoId: vehiculo.id,
+        estadoAnterior: vehiculo.estado_anterior,
+        pedidosAfectados: pedidos.length,
+      });
+
+      return { vehiculo, reasignaciones };
+    } catch (error) {
+      logger.error("Error reportando avería:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Simular cómo se puntuaría un pedido con un borrador de reglas
+   * No asigna ni guarda nada; compara contra la configuración vigente
+   * @param {number} pedidoId - ID del pedido pendiente o confirmado
+   * @param {Object} borrador - { codigo: { activa?, peso?, parametros? } }
+   */
+  static async simular(pedidoId, borrador) {
+    logger.info("Simulando reglas de asignación:", {
+      pedidoId,
+      reglas: Object.keys(borrador || {}),
+    });
+
+    try {
+      const idValidation = validateId(pedidoId, "ID de pedido");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de pedido inválido");
+      }
+
+      const pedido = await Pedido.findById(idValidation.value);
+      if (!pedido) {
+        throw new NotFoundError("Pedido no encontrado");
+      }
+
+      if (
+        ![Pedido.ESTADOS.PENDIENTE, Pedido.ESTADOS.CONFIRMADO].includes(
+          pedido.estado
+        )
+      ) {
+        throw new BusinessLogicError(
+          "Solo se pueden simular pedidos pendientes o confirmados"
+        );
+      }
+
+      const pedidoData = await this.getDatosEvaluacion(pedido);
+
+      const configuracionActual = await ReglaAsignacion.getConfiguracion();
+      const configuracionBorrador = ReglaAsignacion.aplicarBorrador(
+        configuracionActual,
+        borrador
+      );
+
+      // Ambos rankings se calculan sobre la misma lista de vehículos
+      const vehiculos = await Vehiculo.findCandidatos(pedidoData.cantidad);
+      if (vehiculos.length === 0) {
+        throw new BusinessLogicError(
+          `No hay vehículos disponibles con capacidad suficiente (${pedidoData.cantidad} m³)`
+        );
+      }
+
+      const rankingActual = await Vehiculo.evaluarParaPedido(pedidoData, {
+        configuracion: configuracionActual,
+        vehiculos,
+      });
+      const rankingSimulado = await Vehiculo.evaluarParaPedido(pedidoData, {
+        configuracion: configuracionBorrador,
+        vehiculos,
+      });
+
+      return {
+        pedido: {
+          id: pedido.id,
+          codigo_seguimiento: pedido.codigo_seguimiento,
+          estado: pedido.estado,
+          volumen_total: pedidoData.cantidad,
+          patio: { id: pedidoData.patio.id, nombre: pedidoData.patio.nombre },
+        },
+        configuracion_borrador: configuracionBorrador,
+        ranking_actual: rankingActual.map((v) => this.formatCandidato(v)),
+        ranking_simulado: rankingSimulado.map((v) => this.formatCandidato(v)),
+        cambia_seleccion:
+          rankingActual[0].vehiculo_id !== rankingSimulado[0].vehiculo_id,
+      };
+    } catch (error) {
+      logger.error("Error simulando reglas de asignación:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluar el vehículo elegido manualmente junto al resto de candidatos
+   * @returns {Array} Candidatos con el vehículo elegido en primer lugar
+   */
+  static async evaluarSeleccionManual(vehiculoId, pedidoData) {
+    const vehiculoValidation = validateId(vehiculoId, "ID de vehículo");
+    if (!vehiculoValidation.isValid) {
+      throw new ValidationError("ID de vehículo inválido", [
+        { field: "vehiculo_id", message: vehiculoValidation.message },
+      ]);
+    }
+
+    const vehiculo = await Vehiculo.findById(vehiculoValidation.value);
+    if (!vehiculo || vehiculo.estado !== Vehiculo.ESTADOS.DISPONIBLE) {
+      throw new BusinessLogicError("Vehículo no disponible");
+    }
+
+    if (parseFloat(vehiculo.capacidad_m3) < pedidoData.cantidad) {
+      throw new BusinessLogicError("Vehículo sin capacidad suficiente");
+    }
+
+    const disponibles = await Vehiculo.findCandidatos(pedidoData.cantidad);
+    const candidatos = await Vehiculo.evaluarParaPedido(pedidoData, {
+      vehiculos: disponibles.length
+        ? disponibles
+        : [{ ...vehiculo, vehiculo_id: vehiculo.id }],
+    });
+
+    const elegido = candidatos.find((c) => c.vehiculo_id === vehiculo.id);
+    if (!elegido) {
+      throw new BusinessLogicError("Vehículo no disponible");
+    }
+
+    return [elegido, ...candidatos.filter((c) => c !== elegido)];
+  }
+
+  /**
+   * Datos del pedido que evalúa el sistema experto: el volumen total (suma
+   * de todas las líneas) y el patio de donde sale la carga
+   */
+  static async getDatosEvaluacion(pedido) {
+    return {
+      ...pedido,
+      cantidad: Pedido.getVolumenTotal(pedido),
+      patio: await Patio.findByPedido(pedido.id),
+    };
+  }
+
+  /**
+   * Formatear resultado de la asignación con el desglose del sistema experto
+   */
+  static formatResultado(pedidoAsignado, elegido, otros, pedidoData, modo) {
+    return {
+      pedido: {
+        id: pedidoAsignado.id,
+        codigo_seguimiento: pedidoAsignado.codigo_seguimiento,
+        estado: pedidoAsignado.estado,
+        patio: { id: pedidoData.patio.id, nombre: pedidoData.patio.nombre },
+      },
+      vehiculo_asignado: {
+        id: elegido.vehiculo_id,
+        placa: elegido.placa,
+        capacidad: elegido.capacidad,
+      },
+      asignacion: pedidoAsignado.asignacion,
+      sistema_experto: {
+        modo,
+        puntuacion: elegido.puntuacion,
+        reglas_aplicadas: elegido.reglas_aplicadas,
+        justificacion: elegido.razon_seleccion,
+        eficiencia_uso: Math.round(
+          (pedidoData.cantidad / elegido.capacidad) * 100
+        ),
+        tiempo_estimado_minutos: Vehiculo.calcularTiempoEstimado(
+          elegido,
+          pedidoData
+        ),
+        vehiculos_evaluados: otros.length + 1,
+        alternativas: otros
+          .slice(0, this.MAX_ALTERNATIVAS)
+          .map((vehiculo) => this.formatCandidato(vehiculo)),
+      },
+    };
+  }
+
+  /**
+   * Formatear candidato evaluado (puntuación y desglose de reglas)
+   */
+  static formatCandidato(vehiculo) {
+    return {
+      id: vehiculo.vehiculo_id,
+      placa: vehiculo.placa,
+      capacidad: vehiculo.capacidad,
+      puntuacion: vehiculo.puntuacion,
+      distancia_km: vehiculo.distancia_km ?? null,
+      distancia_patio_km: vehiculo.distancia_patio_km ?? null,
+      uso_reciente: vehiculo.uso_reciente || null,
+      reglas_aplicadas: vehiculo.reglas_aplicadas,
+    };
+  }
+}
+
+module.exports = Asignacion;
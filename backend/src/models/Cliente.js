@@ -1,9 +1,17 @@
 const { query } = require("../config/database");
+const { executeTransaction } = require("../utils/database");
 const { CLIENTES } = require("../config/queries");
-const { validateId, sanitizeText } = require("../utils/validation");
+const {
+  validateId,
+  sanitizeText,
+  validateCreditData,
+  validateClientData,
+} = require("../utils/validation");
 const {
   ValidationError,
   NotFoundError,
+  BusinessLogicError,
+  ConflictError,
 } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
 
@@ -79,14 +87,30 @@ class Cliente {
   }
 
   /**
-   * Listar todos los clientes (para admin)
-   * @returns {Array} Lista de clientes
+   * Listar clientes (para admin/administrativos)
+   * @param {Object} filtros - { busqueda?, tipo_cliente?, activo?, limit?, offset? }
+   *        busqueda compara con nombre, empresa, NIT y teléfono
+   * @returns {Object} { clientes, total }
    */
-  static async findAll() {
+  static async findAll(filtros = {}) {
     try {
-      const result = await query(CLIENTES.LIST_ALL);
+      // % y _ del texto buscado se toman literales
+      const busqueda = filtros.busqueda
+        ? filtros.busqueda.trim().replace(/[\\%_]/g, "\\$&")
+        : null;
+
+      const result = await query(CLIENTES.SEARCH, [
+        busqueda || null,
+        filtros.tipo_cliente || null,
+        filtros.activo ?? null,
+        filtros.limit || 20,
+        filtros.offset || 0,
+      ]);
 
-      return result.rows;
+      return {
+        clientes: result.rows.map(({ total, ...cliente }) => cliente),
+        total: result.rows.length ? parseInt(result.rows[0].total) : 0,
+      };
     } catch (error) {
       logger.error("Error listando clientes:", error.message);
       throw error;
@@ -94,28 +118,345 @@ class Cliente {
   }
 
   /**
-   * Actualizar información del cliente
+   * Ficha del cliente: perfil, totales de pedidos, historial y crédito
+   * @param {Object} paginacion - { limit?, offset? } del historial de pedidos
+   * @returns {Object|null}
+   */
+  static async findDetalle(id, paginacion = {}) {
+    try {
+      const cliente = await this.findById(id);
+      if (!cliente) {
+        return null;
+      }
+
+      const [resumenResult, pedidosResult, credito] = await Promise.all([
+        query(CLIENTES.RESUMEN_PEDIDOS, [cliente.id]),
+        query(CLIENTES.HISTORIAL_PEDIDOS, [
+          cliente.id,
+          paginacion.limit || 20,
+          paginacion.offset || 0,
+        ]),
+        this.getCredito(cliente.id),
+      ]);
+      const resumen = resumenResult.rows[0];
+
+      return {
+        ...cliente,
+        resumen_pedidos: {
+          total_pedidos: parseInt(resumen.total_pedidos),
+          pedidos_activos: parseInt(resumen.pedidos_activos),
+          pedidos_entregados: parseInt(resumen.pedidos_entregados),
+          pedidos_cancelados: parseInt(resumen.pedidos_cancelados),
+          valor_total: parseFloat(resumen.valor_total),
+          valor_entregado: parseFloat(resumen.valor_entregado),
+          primer_pedido: resumen.primer_pedido,
+          ultimo_pedido: resumen.ultimo_pedido,
+        },
+        pedidos: pedidosResult.rows.map((pedido) => ({
+          ...pedido,
+          cantidad: parseFloat(pedido.cantidad),
+          precio_total: parseFloat(pedido.precio_total),
+        })),
+        credito,
+      };
+    } catch (error) {
+      logger.error("Error obteniendo ficha del cliente:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar información del cliente (solo los campos enviados)
    * @param {number} id - ID del cliente
-   * @param {Object} updateData - Datos a actualizar
+   * @param {Object} updateData - { empresa?, direccion?, ciudad?, tipo_cliente?, nit?, radio_geocerca_m? }
    * @returns {Object} Cliente actualizado
    */
   static async update(id, updateData) {
+    logger.info("Actualizando cliente:", { id });
+
     try {
+      const existing = await this.findById(id);
+      if (!existing) {
+        throw new NotFoundError("Cliente no encontrado");
+      }
+
+      const validation = validateClientData(updateData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de cliente inválidos",
+          validation.errors
+        );
+      }
+
+      const datos = { ...existing, ...validation.validData };
+
       const result = await query(CLIENTES.UPDATE, [
-        id,
-        sanitizeText(updateData.empresa) || null,
-        sanitizeText(updateData.direccion) || null,
-        updateData.ciudad || "Cochabamba",
-        updateData.tipo_cliente || "particular",
+        existing.id,
+        datos.empresa,
+        datos.direccion,
+        datos.ciudad,
+        datos.tipo_cliente,
+        datos.nit,
+        datos.radio_geocerca_m,
       ]);
 
-      if (!result.rows.length) {
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("Ya existe un cliente con ese NIT");
+      }
+      logger.error("Error actualizando cliente:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Desactivar cliente: no vuelve a iniciar sesión ni recibe pedidos
+   * nuevos; historial y facturas se conservan. Con pedidos en curso no
+   * se desactiva. La fila del cliente se bloquea como al crear un pedido
+   * para que no entre uno mientras se desactiva.
+   */
+  static async desactivar(id, motivo, userId) {
+    logger.info("Desactivando cliente:", { id, userId });
+
+    try {
+      const idValidation = validateId(id, "ID de cliente");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de cliente inválido");
+      }
+
+      const motivoLimpio = sanitizeText(motivo || "");
+      if (!motivoLimpio || motivoLimpio.length < 5) {
+        throw new ValidationError("Motivo requerido", [
+          {
+            field: "motivo",
+            message:
+              "Indique el motivo de la desactivación (mínimo 5 caracteres)",
+          },
+        ]);
+      }
+
+      return await executeTransaction(async (client) => {
+        const lock = await client.query(CLIENTES.LOCK_CREDITO, [
+          idValidation.value,
+        ]);
+        if (!lock.rows.length) {
+          throw new NotFoundError("Cliente no encontrado");
+        }
+        if (!lock.rows[0].activo) {
+          throw new BusinessLogicError("El cliente ya está desactivado");
+        }
+
+        const activosResult = await client.query(
+          CLIENTES.COUNT_PEDIDOS_ACTIVOS,
+          [idValidation.value]
+        );
+        const activos = parseInt(activosResult.rows[0].activos);
+        if (activos > 0) {
+          throw new BusinessLogicError(
+            `El cliente tiene ${activos} pedidos en curso; complételos o cancélelos antes de desactivarlo`
+          );
+        }
+
+        const result = await client.query(CLIENTES.DEACTIVATE, [
+          idValidation.value,
+          userId,
+          motivoLimpio,
+        ]);
+        const cliente = result.rows[0];
+
+        await client.query(CLIENTES.DEACTIVATE_USUARIO, [cliente.usuario_id]);
+
+        logger.info("Cliente desactivado:", { id: cliente.id, userId });
+
+        return cliente;
+      });
+    } catch (error) {
+      logger.error("Error desactivando cliente:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Estado de crédito del cliente
+   * Exposición = facturas sin pagar + pedidos activos o entregados sin factura
+   * @param {Object|null} client - Cliente de la transacción (null fuera de ella)
+   * @returns {Object|null} { limite_credito, plazo_pago_dias, exceso_credito, exposicion, disponible, ... }
+   */
+  static async getCredito(id, client = null) {
+    try {
+      const cliente = client
+        ? (await client.query(CLIENTES.LOCK_CREDITO, [id])).rows[0]
+        : await this.findById(id);
+      if (!cliente) {
+        return null;
+      }
+
+      const exposicionResult = client
+        ? await client.query(CLIENTES.EXPOSICION_CREDITO, [cliente.id])
+        : await query(CLIENTES.EXPOSICION_CREDITO, [cliente.id]);
+      const { saldo_facturas, pedidos_sin_facturar } = exposicionResult.rows[0];
+
+      const limite =
+        cliente.limite_credito === null
+          ? null
+          : parseFloat(cliente.limite_credito);
+      const exposicion =
+        Math.round(
+          (parseFloat(saldo_facturas) + parseFloat(pedidos_sin_facturar)) * 100
+        ) / 100;
+
+      return {
+        cliente_id: cliente.id,
+        activo: cliente.activo,
+        limite_credito: limite,
+        plazo_pago_dias: cliente.plazo_pago_dias,
+        exceso_credito: cliente.exceso_credito,
+        saldo_facturas: parseFloat(saldo_facturas),
+        pedidos_sin_facturar: parseFloat(pedidos_sin_facturar),
+        exposicion,
+        disponible:
+          limite === null
+            ? null
+            : Math.round((limite - exposicion) * 100) / 100,
+      };
+    } catch (error) {
+      logger.error("Error obteniendo crédito del cliente:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Verificar que un pedido nuevo entra en el crédito del cliente
+   * Bloquea la fila del cliente: dos pedidos simultáneos no pueden usar
+   * el mismo saldo disponible. Sobre el límite, el pedido se rechaza o
+   * solo se marca según exceso_credito, salvo autorización de un admin.
+   * Un cliente desactivado no recibe pedidos.
+   * @param {Object} client - Cliente de la transacción
+   * @param {Object|null} autorizacion - { userId, motivo } del administrador
+   * @returns {Object} { controlado, excede, autorizado, limite_credito, exposicion, disponible }
+   */
+  static async verificarCredito(client, id, monto, autorizacion = null) {
+    const credito = await this.getCredito(id, client);
+    if (!credito) {
+      throw new NotFoundError("Cliente no encontrado");
+    }
+    if (!credito.activo) {
+      throw new BusinessLogicError("El cliente está desactivado");
+    }
+
+    if (credito.limite_credito === null) {
+      return {
+        ...credito,
+        controlado: false,
+        excede: false,
+        autorizado: false,
+      };
+    }
+
+    const excede = monto > credito.disponible;
+    if (!excede) {
+      return { ...credito, controlado: true, excede: false, autorizado: false };
+    }
+
+    if (autorizacion) {
+      logger.warn("Pedido sobre el límite de crédito autorizado:", {
+        clienteId: id,
+        monto,
+        disponible: credito.disponible,
+        userId: autorizacion.userId,
+      });
+      return { ...credito, controlado: true, excede: true, autorizado: true };
+    }
+
+    if (credito.exceso_credito === "marcar") {
+      logger.warn("Pedido sobre el límite de crédito marcado:", {
+        clienteId: id,
+        monto,
+        disponible: credito.disponible,
+      });
+      return { ...credito, controlado: true, excede: true, autorizado: false };
+    }
+
+    throw new BusinessLogicError(
+      `Límite de crédito excedido: disponible ${Math.max(0, credito.disponible)} Bs, pedido ${monto} Bs`
+    );
+  }
+
+  /**
+   * Registrar la autorización de un pedido sobre el límite
+   * @param {Object} client - Cliente de la transacción que crea el pedido
+   */
+  static async registrarAutorizacionCredito(
+    client,
+    pedidoId,
+    credito,
+    monto,
+    autorizacion
+  ) {
+    const result = await client.query(CLIENTES.CREATE_AUTORIZACION_CREDITO, [
+      pedidoId,
+      credito.cliente_id,
+      autorizacion.userId,
+      credito.limite_credito,
+      credito.exposicion,
+      monto,
+      autorizacion.motivo,
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Autorizaciones de crédito del cliente (más recientes primero)
+   */
+  static async findAutorizacionesCredito(id, limit = 20) {
+    const result = await query(CLIENTES.LIST_AUTORIZACIONES_CREDITO, [
+      id,
+      limit,
+    ]);
+
+    return result.rows.map((autorizacion) => ({
+      ...autorizacion,
+      limite_credito: parseFloat(autorizacion.limite_credito),
+      exposicion: parseFloat(autorizacion.exposicion),
+      monto_pedido: parseFloat(autorizacion.monto_pedido),
+    }));
+  }
+
+  /**
+   * Actualizar límite, plazo y política de crédito
+   * @param {Object} creditData - { limite_credito?, plazo_pago_dias?, exceso_credito? }
+   */
+  static async updateCredito(id, creditData) {
+    logger.info("Actualizando crédito del cliente:", { id });
+
+    try {
+      const existing = await this.findById(id);
+      if (!existing) {
         throw new NotFoundError("Cliente no encontrado");
       }
 
-      return result.rows[0];
+      const validation = validateCreditData(creditData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de crédito inválidos",
+          validation.errors
+        );
+      }
+
+      const datos = { ...existing, ...validation.validData };
+
+      await query(CLIENTES.UPDATE_CREDITO, [
+        existing.id,
+        datos.limite_credito,
+        datos.plazo_pago_dias,
+        datos.exceso_credito,
+      ]);
+
+      return await this.getCredito(existing.id);
     } catch (error) {
-      logger.error("Error actualizando cliente:", error.message);
+      logger.error("Error actualizando crédito del cliente:", error.message);
       throw error;
     }
   }
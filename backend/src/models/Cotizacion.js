@@ -0,0 +1,367 @@
+const { query } = require("../config/database");
+const { executeTransaction } = require("../utils/database");
+const { COTIZACIONES } = require("../config/queries");
+const { validateId, validateQuoteData } = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+} = require("../middleware/errorHandler");
+const Pedido = require("./Pedido");
+const Stock = require("./Stock");
+const Flete = require("./Flete");
+const logger = require("../utils/logger");
+
+class Cotizacion {
+  static ESTADOS = {
+    VIGENTE: "vigente",
+    ACEPTADA: "aceptada",
+    RECHAZADA: "rechazada",
+    VENCIDA: "vencida",
+  };
+
+  // Días que se mantienen los precios si no se indica otra vigencia
+  static VIGENCIA_DIAS =
+    parseInt(process.env.COTIZACION_VIGENCIA_DIAS, 10) || 15;
+
+  /**
+   * Crear cotización: mismos precios, descuentos y flete que tendría el
+   * pedido hoy, guardados con número propio y fecha de vencimiento.
+   * No reserva stock ni cuenta como pedido.
+   * @param {Object} quoteData - Igual que un pedido más vigencia_dias?
+   */
+  static async create(quoteData, clienteId, userId) {
+    logger.info("Creando cotización:", { clienteId, userId });
+
+    try {
+      const validation = validateQuoteData(quoteData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de cotización inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+
+      const { cliente, lineas, lista } = await Pedido.prepararLineas(
+        validData,
+        clienteId
+      );
+
+      const volumenTotal = Pedido.getVolumenTotal({ detalles: lineas });
+      const subtotalMateriales = Pedido.sumarLineas(lineas);
+
+      const { patio } = await Stock.sugerirPatio(lineas, {
+        patioId: validData.patio_id,
+        lat: validData.direccion_lat,
+        lng: validData.direccion_lng,
+      });
+
+      const flete = await Flete.calcular({
+        lat: validData.direccion_lat,
+        lng: validData.direccion_lng,
+        direccion: validData.direccion_entrega,
+        cantidad: volumenTotal,
+        origen: patio,
+      });
+
+      const costoFlete = flete ? flete.costo_total : 0;
+
+      const cotizacionId = await executeTransaction(async (client) => {
+        const result = await client.query(COTIZACIONES.CREATE, [
+          cliente.id, // $1
+          lista.id, // $2 - lista de precios aplicada
+          validData.patio_id || null, // $3 - patio pedido por el cliente
+          patio.id, // $4 - patio desde el que se calculó el flete
+          validData.direccion_entrega, // $5
+          validData.direccion_lat, // $6
+          validData.direccion_lng, // $7
+          validData.telefono_contacto, // $8
+          validData.fecha_entrega_solicitada, // $9
+          validData.observaciones || null, // $10
+          subtotalMateriales, // $11
+          costoFlete, // $12
+          flete ? flete.distancia_km : null, // $13
+          flete && flete.zona ? flete.zona.id : null, // $14
+          flete ? flete.tarifa.id : null, // $15
+          Pedido.roundAmount(subtotalMateriales + costoFlete), // $16
+          validData.vigencia_dias || this.VIGENCIA_DIAS, // $17
+          userId, // $18
+        ]);
+
+        const cotizacion = result.rows[0];
+
+        for (const linea of lineas) {
+          await client.query(COTIZACIONES.CREATE_DETALLE, [
+            cotizacion.id,
+            linea.material_id,
+            linea.cantidad,
+            linea.lista_precio_id,
+            linea.precio_lista,
+            linea.descuento_porcentaje,
+            linea.precio_unitario,
+            linea.subtotal,
+          ]);
+        }
+
+        return cotizacion.id;
+      });
+
+      const cotizacion = await this.findById(cotizacionId);
+
+      logger.info("Cotización creada:", {
+        id: cotizacion.id,
+        numero: cotizacion.numero,
+        total: cotizacion.precio_total,
+      });
+
+      return cotizacion;
+    } catch (error) {
+      logger.error("Error creando cotización:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Listar cotizaciones
+   * @param {Object} filtros - { cliente_id?, estado?, limit?, offset? }
+   */
+  static async findAll(filtros = {}) {
+    try {
+      const result = await query(COTIZACIONES.LIST, [
+        filtros.cliente_id || null,
+        filtros.estado || null,
+        filtros.limit || 50,
+        filtros.offset || 0,
+      ]);
+
+      return result.rows.map((cotizacion) => this.formatear(cotizacion));
+    } catch (error) {
+      logger.error("Error listando cotizaciones:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener cotización con sus líneas
+   * @param {Object} opciones - { clienteId? } con cliente solo ve las suyas
+   */
+  static async findById(id, opciones = {}) {
+    try {
+      const idValidation = validateId(id, "ID de cotización");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de cotización inválido");
+      }
+
+      const result = await query(COTIZACIONES.FIND_BY_ID, [idValidation.value]);
+      if (!result.rows.length) {
+        return null;
+      }
+
+      const cotizacion = result.rows[0];
+      if (opciones.clienteId && cotizacion.cliente_id !== opciones.clienteId) {
+        return null;
+      }
+
+      const detalles = await query(COTIZACIONES.GET_DETALLES, [cotizacion.id]);
+
+      return this.formatear(cotizacion, detalles.rows);
+    } catch (error) {
+      logger.error("Error buscando cotización:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Últimas cotizaciones de un cliente (dashboard)
+   */
+  static async findRecientes(clienteId, limit = 5) {
+    const result = await query(COTIZACIONES.RECENT_BY_CLIENT, [
+      clienteId,
+      limit,
+    ]);
+
+    return result.rows.map((cotizacion) => ({
+      ...cotizacion,
+      precio_total: parseFloat(cotizacion.precio_total),
+      costo_flete: parseFloat(cotizacion.costo_flete),
+      puede_aceptar: cotizacion.estado === this.ESTADOS.VIGENTE,
+    }));
+  }
+
+  /**
+   * Aceptar cotización: crea el pedido con los precios y el flete cotizados
+   * El stock se verifica y reserva como en cualquier pedido
+   * @param {Object} datos - { telefono_contacto?, fecha_entrega_solicitada?, observaciones? }
+   *        para actualizar datos de entrega que ya no sirvan
+   * @param {Object} contexto - { userId, requestId, clienteId?, autorizacionCredito? }
+   */
+  static async aceptar(id, datos = {}, contexto = {}) {
+    logger.info("Aceptando cotización:", { id, userId: contexto.userId });
+
+    try {
+      const cotizacion = await this.findById(id, {
+        clienteId: contexto.clienteId,
+      });
+      if (!cotizacion) {
+        throw new NotFoundError("Cotización no encontrada");
+      }
+
+      if (cotizacion.estado !== this.ESTADOS.VIGENTE) {
+        throw new BusinessLogicError(
+          `La cotización ${cotizacion.numero} no puede aceptarse (${cotizacion.estado})`
+        );
+      }
+
+      const orderData = {
+        detalles: cotizacion.detalles.map((detalle) => ({
+          material_id: detalle.material_id,
+          cantidad: detalle.cantidad,
+        })),
+        direccion_entrega: cotizacion.direccion_entrega,
+        direccion_lat: cotizacion.direccion_lat,
+        direccion_lng: cotizacion.direccion_lng,
+        telefono_contacto:
+          datos.telefono_contacto || cotizacion.telefono_contacto,
+        fecha_entrega_solicitada:
+          datos.fecha_entrega_solicitada || cotizacion.fecha_entrega_solicitada,
+        observaciones: datos.observaciones || cotizacion.observaciones,
+        patio_id: cotizacion.patio_id,
+      };
+
+      const pedido = await Pedido.create(orderData, cotizacion.cliente_id, {
+        userId: contexto.userId,
+        requestId: contexto.requestId,
+        motivo: `Pedido creado desde cotización ${cotizacion.numero}`,
+        autorizacionCredito: contexto.autorizacionCredito,
+        cotizacion: {
+          id: cotizacion.id,
+          lista: cotizacion.lista_precio,
+          precios: new Map(
+            cotizacion.detalles.map((detalle) => [
+              detalle.material_id,
+              {
+                lista_precio_id: detalle.lista_precio_id,
+                precio_lista: detalle.precio_lista,
+                descuento_porcentaje: detalle.descuento_porcentaje,
+                precio_unitario: detalle.precio_unitario,
+              },
+            ])
+          ),
+          flete: cotizacion.flete,
+        },
+      });
+
+      logger.info("Cotización aceptada:", {
+        numero: cotizacion.numero,
+        pedidoId: pedido.id,
+      });
+
+      return { cotizacion: await this.findById(cotizacion.id), pedido };
+    } catch (error) {
+      logger.error("Error aceptando cotización:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Rechazar cotización vigente
+   */
+  static async rechazar(id, userId, opciones = {}) {
+    logger.info("Rechazando cotización:", { id, userId });
+
+    try {
+      const cotizacion = await this.findById(id, {
+        clienteId: opciones.clienteId,
+      });
+      if (!cotizacion) {
+        throw new NotFoundError("Cotización no encontrada");
+      }
+
+      const result = await query(COTIZACIONES.REJECT, [cotizacion.id, userId]);
+      if (!result.rows.length) {
+        throw new BusinessLogicError(
+          `La cotización ${cotizacion.numero} no puede rechazarse (${cotizacion.estado})`
+        );
+      }
+
+      return await this.findById(cotizacion.id);
+    } catch (error) {
+      logger.error("Error rechazando cotización:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Convertir columnas numéricas y agrupar flete y lista
+   */
+  static formatear(cotizacion, detalles = null) {
+    const costoFlete = parseFloat(cotizacion.costo_flete);
+
+    const formateada = {
+      id: cotizacion.id,
+      numero: cotizacion.numero,
+      estado: cotizacion.estado,
+      cliente_id: cotizacion.cliente_id,
+      cliente_nombre: cotizacion.cliente_nombre,
+      empresa: cotizacion.empresa,
+      lista_precio: cotizacion.lista_precio_id
+        ? { id: cotizacion.lista_precio_id, nombre: cotizacion.lista_nombre }
+        : null,
+      patio_id: cotizacion.patio_id,
+      direccion_entrega: cotizacion.direccion_entrega,
+      direccion_lat:
+        cotizacion.direccion_lat !== null
+          ? parseFloat(cotizacion.direccion_lat)
+          : null,
+      direccion_lng:
+        cotizacion.direccion_lng !== null
+          ? parseFloat(cotizacion.direccion_lng)
+          : null,
+      telefono_contacto: cotizacion.telefono_contacto,
+      fecha_entrega_solicitada: cotizacion.fecha_entrega_solicitada,
+      observaciones: cotizacion.observaciones,
+      subtotal_materiales: parseFloat(cotizacion.subtotal_materiales),
+      flete: cotizacion.tarifa_flete_id
+        ? {
+            origen: {
+              id: cotizacion.patio_origen_id,
+              nombre: cotizacion.patio_origen,
+            },
+            zona: cotizacion.zona_flete_id
+              ? { id: cotizacion.zona_flete_id, nombre: cotizacion.zona_flete }
+              : null,
+            tarifa: {
+              id: cotizacion.tarifa_flete_id,
+              nombre: cotizacion.tarifa_flete,
+            },
+            distancia_km: parseFloat(cotizacion.distancia_flete_km),
+            costo_total: costoFlete,
+          }
+        : null,
+      precio_total: parseFloat(cotizacion.precio_total),
+      vigente_hasta: cotizacion.vigente_hasta,
+      pedido: cotizacion.pedido_id
+        ? { id: cotizacion.pedido_id, codigo: cotizacion.pedido_codigo }
+        : null,
+      respondido_en: cotizacion.respondido_en,
+      created_at: cotizacion.created_at,
+    };
+
+    if (detalles) {
+      formateada.detalles = detalles.map((detalle) => ({
+        ...detalle,
+        cantidad: parseFloat(detalle.cantidad),
+        precio_lista: parseFloat(detalle.precio_lista),
+        descuento_porcentaje: parseFloat(detalle.descuento_porcentaje),
+        precio_unitario: parseFloat(detalle.precio_unitario),
+        subtotal: parseFloat(detalle.subtotal),
+      }));
+    }
+
+    return formateada;
+  }
+}
+
+module.exports = Cotizacion;
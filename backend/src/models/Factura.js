@@ -0,0 +1,447 @@
+const { query } = require("../config/database");
+const { executeTransaction } = require("../utils/database");
+const { FACTURAS, CLIENTES } = require("../config/queries");
+const {
+  validateId,
+  validateInvoiceData,
+  validatePaymentData,
+} = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+  ConflictError,
+} = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+class Factura {
+  static ESTADOS = {
+    PENDIENTE: "pendiente",
+    PARCIAL: "parcial",
+    PAGADA: "pagada",
+    ANULADA: "anulada",
+  };
+
+  // Días para pagar si no se indica plazo ni el cliente tiene uno (0 = contado)
+  static PLAZO_DIAS = parseInt(process.env.FACTURA_PLAZO_DIAS, 10) || 30;
+
+  /**
+   * Pedidos entregados que todavía no tienen factura
+   */
+  static async findPedidosPorFacturar(clienteId = null) {
+    try {
+      const result = await query(FACTURAS.PEDIDOS_POR_FACTURAR, [clienteId]);
+
+      return result.rows.map((pedido) => ({
+        ...pedido,
+        precio_total: parseFloat(pedido.precio_total),
+        costo_flete: parseFloat(pedido.costo_flete),
+      }));
+    } catch (error) {
+      logger.error("Error listando pedidos por facturar:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Emitir factura de pedidos entregados
+   * Con pedido_ids se facturan esos pedidos (todos del mismo cliente);
+   * con cliente_id se agrupan todos sus entregados sin facturar.
+   * Los pedidos se bloquean para que dos facturaciones simultáneas no
+   * incluyan el mismo pedido.
+   * @param {Object} invoiceData - { pedido_ids? | cliente_id?, plazo_dias?, observaciones? }
+   */
+  static async create(invoiceData, userId) {
+    logger.info("Emitiendo factura:", { userId });
+
+    try {
+      const validation = validateInvoiceData(invoiceData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de factura inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+
+      const facturaId = await executeTransaction(async (client) => {
+        const pedidosResult = validData.pedido_ids
+          ? await client.query(FACTURAS.LOCK_PEDIDOS, [validData.pedido_ids])
+          : await client.query(FACTURAS.LOCK_PEDIDOS_CLIENTE, [
+              validData.cliente_id,
+            ]);
+        const pedidos = pedidosResult.rows;
+
+        if (!pedidos.length) {
+          throw new BusinessLogicError(
+            validData.pedido_ids
+              ? "Pedidos no encontrados"
+              : "El cliente no tiene pedidos entregados por facturar"
+          );
+        }
+
+        if (
+          validData.pedido_ids &&
+          pedidos.length !== validData.pedido_ids.length
+        ) {
+          const encontrados = pedidos.map((pedido) => pedido.id);
+          const faltantes = validData.pedido_ids.filter(
+            (id) => !encontrados.includes(id)
+          );
+          throw new NotFoundError(
+            `Pedidos no encontrados: ${faltantes.join(", ")}`
+          );
+        }
+
+        const clienteId = pedidos[0].cliente_id;
+        for (const pedido of pedidos) {
+          if (pedido.cliente_id !== clienteId) {
+            throw new BusinessLogicError(
+              "Una factura solo puede agrupar pedidos de un mismo cliente"
+            );
+          }
+          if (pedido.estado !== "entregado") {
+            throw new BusinessLogicError(
+              `El pedido ${pedido.codigo_seguimiento} no está entregado (${pedido.estado})`
+            );
+          }
+          if (pedido.factura_id) {
+            throw new ConflictError(
+              `El pedido ${pedido.codigo_seguimiento} ya está facturado`
+            );
+          }
+        }
+
+        const total =
+          Math.round(
+            pedidos.reduce(
+              (suma, pedido) => suma + parseFloat(pedido.precio_total),
+              0
+            ) * 100
+          ) / 100;
+
+        // Sin plazo explícito vale el acordado con el cliente
+        const clienteResult = await client.query(CLIENTES.FIND_BY_ID, [
+          clienteId,
+        ]);
+        const plazoCliente = clienteResult.rows[0].plazo_pago_dias;
+
+        const result = await client.query(FACTURAS.CREATE, [
+          clienteId,
+          total,
+          validData.plazo_dias ?? plazoCliente ?? this.PLAZO_DIAS,
+          validData.observaciones || null,
+          userId,
+        ]);
+        const factura = result.rows[0];
+
+        for (const pedido of pedidos) {
+          await client.query(FACTURAS.ADD_PEDIDO, [
+            factura.id,
+            pedido.id,
+            pedido.precio_total,
+          ]);
+        }
+
+        await client.query(FACTURAS.LINK_PEDIDOS, [
+          pedidos.map((pedido) => pedido.id),
+          factura.id,
+        ]);
+
+        logger.info("Factura emitida:", {
+          id: factura.id,
+          codigo: factura.codigo,
+          pedidos: pedidos.length,
+          total,
+        });
+
+        return factura.id;
+      });
+
+      return await this.findById(facturaId);
+    } catch (error) {
+      logger.error("Error emitiendo factura:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Listar facturas
+   * @param {Object} filtros - { cliente_id?, estado?, vencida?, limit?, offset? }
+   */
+  static async findAll(filtros = {}) {
+    try {
+      const result = await query(FACTURAS.LIST, [
+        filtros.cliente_id || null,
+        filtros.estado || null,
+        filtros.vencida ?? null,
+        filtros.limit || 50,
+        filtros.offset || 0,
+      ]);
+
+      return result.rows.map((factura) => this.formatear(factura));
+    } catch (error) {
+      logger.error("Error listando facturas:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener factura con sus pedidos y pagos
+   */
+  static async findById(id) {
+    try {
+      const idValidation = validateId(id, "ID de factura");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de factura inválido");
+      }
+
+      const result = await query(FACTURAS.FIND_BY_ID, [idValidation.value]);
+      if (!result.rows.length) {
+        return null;
+      }
+
+      const [pedidos, pagos] = await Promise.all([
+        query(FACTURAS.GET_PEDIDOS, [idValidation.value]),
+        query(FACTURAS.GET_PAGOS, [idValidation.value]),
+      ]);
+
+      return {
+        ...this.formatear(result.rows[0]),
+        pedidos: pedidos.rows.map((pedido) => ({
+          ...pedido,
+          monto: parseFloat(pedido.monto),
+          costo_flete: parseFloat(pedido.costo_flete),
+        })),
+        pagos: pagos.rows.map((pago) => ({
+          ...pago,
+          monto: parseFloat(pago.monto),
+        })),
+      };
+    } catch (error) {
+      logger.error("Error buscando factura:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar pago (total o parcial) de una factura
+   * La factura se bloquea: dos pagos simultáneos no superan el saldo
+   * @param {Object} paymentData - { monto, metodo, referencia?, fecha_pago?, observaciones? }
+   */
+  static async registrarPago(id, paymentData, userId) {
+    logger.info("Registrando pago de factura:", { id, userId });
+
+    try {
+      const idValidation = validateId(id, "ID de factura");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de factura inválido");
+      }
+
+      const validation = validatePaymentData(paymentData);
+      if (!validation.isValid) {
+        throw new ValidationError("Datos de pago inválidos", validation.errors);
+      }
+
+      const validData = validation.validData;
+
+      const resultado = await executeTransaction(async (client) => {
+        const lockResult = await client.query(FACTURAS.LOCK_BY_ID, [
+          idValidation.value,
+        ]);
+        if (!lockResult.rows.length) {
+          throw new NotFoundError("Factura no encontrada");
+        }
+
+        const factura = lockResult.rows[0];
+        if (
+          factura.estado === this.ESTADOS.ANULADA ||
+          factura.estado === this.ESTADOS.PAGADA
+        ) {
+          throw new BusinessLogicError(
+            `La factura ${factura.codigo} está ${factura.estado}`
+          );
+        }
+
+        const saldo =
+          Math.round(
+            (parseFloat(factura.total) - parseFloat(factura.monto_pagado)) * 100
+          ) / 100;
+        if (validData.monto > saldo) {
+          throw new BusinessLogicError(
+            `El pago (${validData.monto}) supera el saldo de la factura ${factura.codigo} (${saldo})`
+          );
+        }
+
+        const pagoResult = await client.query(FACTURAS.CREATE_PAGO, [
+          factura.id,
+          validData.monto,
+          validData.metodo,
+          validData.referencia || null,
+          validData.fecha_pago || null,
+          validData.observaciones || null,
+          userId,
+        ]);
+
+        const facturaResult = await client.query(FACTURAS.APPLY_PAGO, [
+          factura.id,
+          validData.monto,
+        ]);
+
+        return {
+          pago: { ...pagoResult.rows[0], monto: validData.monto },
+          factura: this.formatear(facturaResult.rows[0]),
+        };
+      });
+
+      logger.info("Pago registrado:", {
+        facturaId: resultado.factura.id,
+        monto: validData.monto,
+        estado: resultado.factura.estado,
+      });
+
+      return resultado;
+    } catch (error) {
+      logger.error("Error registrando pago:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Anular factura sin pagos: sus pedidos vuelven a quedar por facturar
+   */
+  static async anular(id, motivo, userId) {
+    logger.info("Anulando factura:", { id, userId });
+
+    try {
+      const idValidation = validateId(id, "ID de factura");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de factura inválido");
+      }
+
+      if (!motivo || !String(motivo).trim()) {
+        throw new ValidationError("Motivo de anulación requerido", [
+          { field: "motivo", message: "Motivo de anulación requerido" },
+        ]);
+      }
+
+      await executeTransaction(async (client) => {
+        const lockResult = await client.query(FACTURAS.LOCK_BY_ID, [
+          idValidation.value,
+        ]);
+        if (!lockResult.rows.length) {
+          throw new NotFoundError("Factura no encontrada");
+        }
+
+        const factura = lockResult.rows[0];
+        if (factura.estado === this.ESTADOS.ANULADA) {
+          throw new BusinessLogicError(
+            `La factura ${factura.codigo} ya está anulada`
+          );
+        }
+        if (parseFloat(factura.monto_pagado) > 0) {
+          throw new BusinessLogicError(
+            `La factura ${factura.codigo} tiene pagos registrados y no puede anularse`
+          );
+        }
+
+        await client.query(FACTURAS.ANULAR, [
+          factura.id,
+          String(motivo).trim(),
+          userId,
+        ]);
+        await client.query(FACTURAS.RELEASE_PEDIDOS, [factura.id]);
+      });
+
+      return await this.findById(idValidation.value);
+    } catch (error) {
+      logger.error("Error anulando factura:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Saldo por cliente (facturado, pagado, por cobrar y vencido)
+   * @param {Object} filtros - { cliente_id?, con_saldo? }
+   */
+  static async getSaldosClientes(filtros = {}) {
+    try {
+      const result = await query(FACTURAS.SALDOS_CLIENTES, [
+        filtros.cliente_id || null,
+        filtros.con_saldo ?? null,
+      ]);
+
+      return result.rows.map((saldo) => ({
+        ...saldo,
+        facturas: parseInt(saldo.facturas, 10),
+        facturas_abiertas: parseInt(saldo.facturas_abiertas, 10),
+        total_facturado: parseFloat(saldo.total_facturado),
+        total_pagado: parseFloat(saldo.total_pagado),
+        saldo: parseFloat(saldo.saldo),
+        saldo_vencido: parseFloat(saldo.saldo_vencido),
+      }));
+    } catch (error) {
+      logger.error("Error obteniendo saldos de clientes:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Antigüedad de cuentas por cobrar a una fecha de corte
+   * El saldo de cada factura es el que tenía a esa fecha (pagos hasta
+   * el corte) y se ubica por días desde su vencimiento
+   * @param {string|null} fechaCorte - YYYY-MM-DD (sin fecha = hoy)
+   */
+  static async getAntiguedad(fechaCorte = null) {
+    try {
+      const corte = fechaCorte || new Date().toISOString().split("T")[0];
+      const result = await query(FACTURAS.ANTIGUEDAD, [corte]);
+
+      const tramos = [
+        "corriente",
+        "dias_1_30",
+        "dias_31_60",
+        "dias_61_90",
+        "mas_de_90",
+        "saldo_total",
+      ];
+
+      const clientes = result.rows.map((row) => {
+        const cliente = { ...row, facturas: parseInt(row.facturas, 10) };
+        tramos.forEach((tramo) => {
+          cliente[tramo] = parseFloat(row[tramo]);
+        });
+        return cliente;
+      });
+
+      const totales = Object.fromEntries(
+        tramos.map((tramo) => [
+          tramo,
+          Math.round(
+            clientes.reduce((suma, cliente) => suma + cliente[tramo], 0) * 100
+          ) / 100,
+        ])
+      );
+
+      return { fecha_corte: corte, clientes, totales };
+    } catch (error) {
+      logger.error("Error generando antigüedad de cartera:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Convertir columnas numéricas de la factura
+   */
+  static formatear(factura) {
+    return {
+      ...factura,
+      total: parseFloat(factura.total),
+      monto_pagado: parseFloat(factura.monto_pagado),
+      saldo: parseFloat(factura.saldo),
+    };
+  }
+}
+
+module.exports = Factura;
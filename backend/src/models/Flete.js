@@ -0,0 +1,391 @@
+const { query } = require("../config/database");
+const { FLETES } = require("../config/queries");
+const {
+  validateId,
+  validateFreightZoneData,
+  validateFreightRateData,
+} = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../middleware/errorHandler");
+const Vehiculo = require("./Vehiculo");
+const logger = require("../utils/logger");
+
+class Flete {
+  /**
+   * Listar zonas de flete
+   * @param {Object} filtros - { activa? }
+   */
+  static async findZonas(filtros = {}) {
+    try {
+      const result = await query(FLETES.LIST_ZONAS, [filtros.activa ?? null]);
+
+      return result.rows.map((zona) => this.formatZona(zona));
+    } catch (error) {
+      logger.error("Error listando zonas de flete:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener zona por ID
+   */
+  static async findZonaById(id) {
+    try {
+      const idValidation = validateId(id, "ID de zona");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de zona inválido");
+      }
+
+      const result = await query(FLETES.FIND_ZONA_BY_ID, [idValidation.value]);
+
+      return result.rows.length > 0 ? this.formatZona(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error buscando zona de flete:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Crear zona de flete
+   * @param {Object} zoneData - { nombre, poligono?, palabras_clave?, recargo_fijo?, prioridad? }
+   */
+  static async createZona(zoneData) {
+    logger.info("Creando zona de flete:", { nombre: zoneData.nombre });
+
+    try {
+      const validation = validateFreightZoneData(zoneData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de zona de flete inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+
+      const result = await query(FLETES.CREATE_ZONA, [
+        validData.nombre,
+        validData.poligono ? JSON.stringify(validData.poligono) : null,
+        validData.palabras_clave || null,
+        validData.recargo_fijo ?? 0,
+        validData.prioridad ?? 0,
+      ]);
+
+      return this.formatZona(result.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("Ya existe una zona con ese nombre");
+      }
+      logger.error("Error creando zona de flete:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar zona (solo los campos enviados)
+   */
+  static async updateZona(id, updateData) {
+    logger.info("Actualizando zona de flete:", { id });
+
+    try {
+      const existing = await this.findZonaById(id);
+      if (!existing) {
+        throw new NotFoundError("Zona de flete no encontrada");
+      }
+
+      const validation = validateFreightZoneData(updateData, true);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de zona de flete inválidos",
+          validation.errors
+        );
+      }
+
+      const datos = { ...existing, ...validation.validData };
+
+      if (!datos.poligono && !datos.palabras_clave) {
+        throw new ValidationError("Datos de zona de flete inválidos", [
+          {
+            field: "poligono",
+            message: "La zona requiere un polígono o palabras clave",
+          },
+        ]);
+      }
+
+      const result = await query(FLETES.UPDATE_ZONA, [
+        existing.id,
+        datos.nombre,
+        datos.poligono ? JSON.stringify(datos.poligono) : null,
+        datos.palabras_clave || null,
+        datos.recargo_fijo,
+        datos.prioridad,
+        datos.activa,
+      ]);
+
+      return this.formatZona(result.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("Ya existe una zona con ese nombre");
+      }
+      logger.error("Error actualizando zona de flete:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Listar tarifas por tamaño de vehículo
+   * @param {Object} filtros - { activa? }
+   */
+  static async findTarifas(filtros = {}) {
+    try {
+      const result = await query(FLETES.LIST_TARIFAS, [filtros.activa ?? null]);
+
+      return result.rows.map((tarifa) => this.formatTarifa(tarifa));
+    } catch (error) {
+      logger.error("Error listando tarifas de flete:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener tarifa por ID
+   */
+  static async findTarifaById(id) {
+    try {
+      const idValidation = validateId(id, "ID de tarifa");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de tarifa inválido");
+      }
+
+      const result = await query(FLETES.FIND_TARIFA_BY_ID, [
+        idValidation.value,
+      ]);
+
+      return result.rows.length > 0 ? this.formatTarifa(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error buscando tarifa de flete:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Crear tarifa
+   * @param {Object} rateData - { nombre, capacidad_m3, tarifa_km, cargo_minimo? }
+   */
+  static async createTarifa(rateData) {
+    logger.info("Creando tarifa de flete:", { nombre: rateData.nombre });
+
+    try {
+      const validation = validateFreightRateData(rateData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de tarifa de flete inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+
+      const result = await query(FLETES.CREATE_TARIFA, [
+        validData.nombre,
+        validData.capacidad_m3,
+        validData.tarifa_km,
+        validData.cargo_minimo ?? 0,
+      ]);
+
+      return this.formatTarifa(result.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError(
+          "Ya existe una tarifa con ese nombre o esa capacidad"
+        );
+      }
+      logger.error("Error creando tarifa de flete:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar tarifa (solo los campos enviados)
+   */
+  static async updateTarifa(id, updateData) {
+    logger.info("Actualizando tarifa de flete:", { id });
+
+    try {
+      const existing = await this.findTarifaById(id);
+      if (!existing) {
+        throw new NotFoundError("Tarifa de flete no encontrada");
+      }
+
+      const validation = validateFreightRateData(updateData, true);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de tarifa de flete inválidos",
+          validation.errors
+        );
+      }
+
+      const datos = { ...existing, ...validation.validData };
+
+      const result = await query(FLETES.UPDATE_TARIFA, [
+        existing.id,
+        datos.nombre,
+        datos.capacidad_m3,
+        datos.tarifa_km,
+        datos.cargo_minimo,
+        datos.activa,
+      ]);
+
+      return this.formatTarifa(result.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError(
+          "Ya existe una tarifa con ese nombre o esa capacidad"
+        );
+      }
+      logger.error("Error actualizando tarifa de flete:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Calcular el flete de una entrega
+   * Sin coordenadas de destino no hay flete (null). La distancia es la
+   * del patio de origen al destino; la tarifa es la del vehículo más
+   * chico que lleva el volumen y, si ninguno alcanza, la del más grande
+   * en tantos viajes como hagan falta. Cada viaje cobra al menos el
+   * cargo mínimo; el recargo de zona se suma una vez.
+   * @param {Object} entrega - { lat, lng, direccion, cantidad, origen: patio }
+   */
+  static async calcular({ lat, lng, direccion, cantidad, origen }) {
+    if (
+      lat === null ||
+      lat === undefined ||
+      lng === null ||
+      lng === undefined
+    ) {
+      return null;
+    }
+
+    const [tarifas, zonas] = await Promise.all([
+      this.findTarifas({ activa: true }),
+      this.findZonas({ activa: true }),
+    ]);
+
+    if (!tarifas.length) {
+      throw new NotFoundError("No hay tarifas de flete activas");
+    }
+
+    const tarifa =
+      tarifas.find((candidata) => candidata.capacidad_m3 >= cantidad) ||
+      tarifas[tarifas.length - 1];
+    const viajes = Math.max(1, Math.ceil(cantidad / tarifa.capacidad_m3));
+
+    const distanciaKm =
+      Math.round(
+        Vehiculo.calculateDistance(origen.lat, origen.lng, lat, lng) * 10
+      ) / 10;
+
+    const zona = this.detectarZona(zonas, lat, lng, direccion);
+    const recargoZona = zona ? zona.recargo_fijo : 0;
+
+    const costoViaje = Math.max(
+      tarifa.cargo_minimo,
+      distanciaKm * tarifa.tarifa_km
+    );
+    const costoTotal =
+      Math.round((costoViaje * viajes + recargoZona) * 100) / 100;
+
+    return {
+      origen: { id: origen.id, nombre: origen.nombre },
+      zona: zona ? { id: zona.id, nombre: zona.nombre } : null,
+      tarifa: {
+        id: tarifa.id,
+        nombre: tarifa.nombre,
+        capacidad_m3: tarifa.capacidad_m3,
+        tarifa_km: tarifa.tarifa_km,
+        cargo_minimo: tarifa.cargo_minimo,
+      },
+      distancia_km: distanciaKm,
+      viajes,
+      costo_viaje: Math.round(costoViaje * 100) / 100,
+      recargo_zona: recargoZona,
+      costo_total: costoTotal,
+    };
+  }
+
+  /**
+   * Zona del destino: primero por polígono (mayor prioridad gana),
+   * si ninguno lo contiene, por nombre de distrito en la dirección
+   */
+  static detectarZona(zonas, lat, lng, direccion) {
+    const porPoligono = zonas.find(
+      (zona) => zona.poligono && this.contienePunto(zona.poligono, lat, lng)
+    );
+    if (porPoligono) {
+      return porPoligono;
+    }
+
+    const texto = (direccion || "").toLowerCase();
+    if (!texto) {
+      return null;
+    }
+
+    return (
+      zonas.find(
+        (zona) =>
+          zona.palabras_clave &&
+          zona.palabras_clave.some((palabra) => texto.includes(palabra))
+      ) || null
+    );
+  }
+
+  /**
+   * Punto dentro de polígono (ray casting sobre [lat, lng])
+   */
+  static contienePunto(poligono, lat, lng) {
+    let dentro = false;
+
+    for (let i = 0, j = poligono.length - 1; i < poligono.length; j = i++) {
+      const [latI, lngI] = poligono[i];
+      const [latJ, lngJ] = poligono[j];
+
+      const cruza =
+        lngI > lng !== lngJ > lng &&
+        lat < ((latJ - latI) * (lng - lngI)) / (lngJ - lngI) + latI;
+
+      if (cruza) {
+        dentro = !dentro;
+      }
+    }
+
+    return dentro;
+  }
+
+  /**
+   * Convertir columnas numéricas de la zona
+   */
+  static formatZona(zona) {
+    return {
+      ...zona,
+      recargo_fijo: parseFloat(zona.recargo_fijo),
+    };
+  }
+
+  /**
+   * Convertir columnas numéricas de la tarifa
+   */
+  static formatTarifa(tarifa) {
+    return {
+      ...tarifa,
+      capacidad_m3: parseFloat(tarifa.capacidad_m3),
+      tarifa_km: parseFloat(tarifa.tarifa_km),
+      cargo_minimo: parseFloat(tarifa.cargo_minimo),
+    };
+  }
+}
+
+module.exports = Flete;
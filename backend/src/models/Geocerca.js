@@ -0,0 +1,372 @@
+const { query } = require("../config/database");
+const { executeTransaction } = require("../utils/database");
+const { GEOCERCAS } = require("../config/queries");
+const { validateId } = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+  ConflictError,
+} = require("../middleware/errorHandler");
+const Vehiculo = require("./Vehiculo");
+const Pedido = require("./Pedido");
+const tiempoReal = require("../utils/tiempoReal");
+const logger = require("../utils/logger");
+
+class Geocerca {
+  // Radios por defecto (metros) cuando el patio o el cliente no tienen uno
+  static RADIO_PATIO_M =
+    parseInt(process.env.GEOCERCA_RADIO_PATIO_M, 10) || 300;
+  static RADIO_DESTINO_M =
+    parseInt(process.env.GEOCERCA_RADIO_DESTINO_M, 10) || 150;
+
+  // La salida se detecta un 20% más afuera del radio, así el ruido del GPS
+  // en el borde no genera entradas y salidas seguidas
+  static MARGEN_SALIDA = 1.2;
+
+  // Avanzar el estado del pedido al detectar salidas y llegadas
+  // (GEOCERCA_AVANZAR_PEDIDOS=false solo registra las visitas)
+  static AVANZAR_PEDIDOS = process.env.GEOCERCA_AVANZAR_PEDIDOS !== "false";
+
+  // Permanencia mínima en el destino para dar el pedido por entregado
+  static PERMANENCIA_ENTREGA_SEGUNDOS =
+    parseInt(process.env.GEOCERCA_PERMANENCIA_ENTREGA_SEGUNDOS, 10) || 120;
+
+  /**
+   * Evaluar posiciones nuevas contra las geocercas del vehículo
+   * Abre una visita al entrar a un patio o al destino de un pedido y la
+   * cierra con su permanencia al salir. El vehículo se bloquea mientras
+   * tanto y solo se evalúan puntos posteriores al último evaluado, así los
+   * lotes en paralelo o reenviados no duplican llegadas ni salidas.
+   * Después, si corresponde, avanza los pedidos:
+   * - salida del patio de origen o llegada al destino: asignado → en_transito
+   * - salida del destino tras la permanencia mínima: en_transito → entregado
+   * @param {Array} puntos - Posiciones validadas en orden cronológico
+   */
+  static async procesar(vehiculoId, puntos) {
+    const resultado = await executeTransaction(async (client) => {
+      // Abrir la visita a un destino referencia al pedido: se bloquea
+      // pedido → vehículo, el mismo orden que asignaciones y entregas
+      const destinosResult = await client.query(GEOCERCAS.LIST_DESTINOS, [
+        vehiculoId,
+      ]);
+      if (destinosResult.rows.length) {
+        await client.query(GEOCERCAS.LOCK_PEDIDOS, [
+          destinosResult.rows.map((destino) => destino.id),
+        ]);
+      }
+
+      const vehiculoResult = await client.query(GEOCERCAS.LOCK_VEHICULO, [
+        vehiculoId,
+      ]);
+      const vehiculo = vehiculoResult.rows[0];
+      if (!vehiculo) {
+        throw new NotFoundError("Vehículo no encontrado");
+      }
+
+      const evaluadaHasta = vehiculo.geocerca_evaluada_hasta
+        ? new Date(vehiculo.geocerca_evaluada_hasta)
+        : null;
+      const nuevos = puntos.filter(
+        (punto) =>
+          !evaluadaHasta || new Date(punto.registrado_en) > evaluadaHasta
+      );
+      if (!nuevos.length) {
+        return { vehiculo, eventos: [], destinos: [] };
+      }
+
+      const patiosResult = await client.query(GEOCERCAS.LIST_PATIOS, [
+        vehiculo.id,
+      ]);
+      const abiertasResult = await client.query(GEOCERCAS.LIST_ABIERTAS, [
+        vehiculo.id,
+      ]);
+
+      const cercas = [
+        ...patiosResult.rows.map((patio) => ({
+          clave: `patio:${patio.id}`,
+          tipo: "patio",
+          patio_id: patio.id,
+          pedido_id: null,
+          nombre: patio.nombre,
+          lat: parseFloat(patio.lat),
+          lng: parseFloat(patio.lng),
+          radio_m: patio.radio_geocerca_m || this.RADIO_PATIO_M,
+        })),
+        ...destinosResult.rows.map((destino) => ({
+          clave: `pedido:${destino.id}`,
+          tipo: "destino",
+          patio_id: null,
+          pedido_id: destino.id,
+          nombre: destino.codigo_seguimiento,
+          lat: parseFloat(destino.lat),
+          lng: parseFloat(destino.lng),
+          radio_m: destino.radio_geocerca_m || this.RADIO_DESTINO_M,
+        })),
+      ];
+
+      const abiertas = new Map(
+        abiertasResult.rows.map((visita) => [
+          visita.patio_id
+            ? `patio:${visita.patio_id}`
+            : `pedido:${visita.pedido_id}`,
+          visita,
+        ])
+      );
+
+      const eventos = [];
+      for (const punto of nuevos) {
+        for (const cerca of cercas) {
+          const distanciaM =
+            Vehiculo.calculateDistance(
+              punto.lat,
+              punto.lng,
+              cerca.lat,
+              cerca.lng
+            ) * 1000;
+          const abierta = abiertas.get(cerca.clave);
+
+          if (!abierta && distanciaM <= cerca.radio_m) {
+            const visita = await client.query(GEOCERCAS.ABRIR_VISITA, [
+              vehiculo.id,
+              cerca.patio_id,
+              cerca.pedido_id,
+              cerca.radio_m,
+              punto.registrado_en,
+            ]);
+            abiertas.set(cerca.clave, visita.rows[0]);
+            eventos.push(this.crearEvento("llegada", cerca, visita.rows[0]));
+          } else if (
+            abierta &&
+            distanciaM > abierta.radio_m * this.MARGEN_SALIDA
+          ) {
+            const visita = await client.query(GEOCERCAS.CERRAR_VISITA, [
+              abierta.id,
+              punto.registrado_en,
+            ]);
+            abiertas.delete(cerca.clave);
+            if (visita.rows.length) {
+              eventos.push(this.crearEvento("salida", cerca, visita.rows[0]));
+            }
+          }
+        }
+      }
+
+      await client.query(GEOCERCAS.UPDATE_EVALUADA_HASTA, [
+        vehiculo.id,
+        nuevos[nuevos.length - 1].registrado_en,
+      ]);
+
+      for (const evento of eventos) {
+        tiempoReal.publicarAlConfirmar(client, tiempoReal.TIPOS.GEOCERCA, {
+          vehiculo_id: vehiculo.id,
+          placa: vehiculo.placa,
+          ...evento,
+        });
+      }
+
+      return { vehiculo, eventos, destinos: destinosResult.rows };
+    });
+
+    const { vehiculo, eventos, destinos } = resultado;
+
+    if (eventos.length) {
+      logger.info("Geocercas: llegadas y salidas detectadas", {
+        placa: vehiculo.placa,
+        eventos: eventos.map(
+          (evento) => `${evento.evento} ${evento.tipo} ${evento.nombre}`
+        ),
+      });
+    }
+
+    const pedidosActualizados = this.AVANZAR_PEDIDOS
+      ? await this.avanzarPedidos(vehiculo, eventos, destinos)
+      : [];
+
+    return {
+      llegadas: eventos.filter((evento) => evento.evento === "llegada").length,
+      salidas: eventos.filter((evento) => evento.evento === "salida").length,
+      eventos,
+      pedidos_actualizados: pedidosActualizados,
+    };
+  }
+
+  /**
+   * Llegada o salida de una geocerca a partir de su visita
+   */
+  static crearEvento(evento, cerca, visita) {
+    return {
+      evento,
+      tipo: cerca.tipo,
+      patio_id: cerca.patio_id,
+      pedido_id: cerca.pedido_id,
+      nombre: cerca.nombre,
+      visita_id: visita.id,
+      fecha: evento === "llegada" ? visita.entrada_en : visita.salida_en,
+      permanencia_segundos:
+        evento === "salida" ? visita.permanencia_segundos : null,
+    };
+  }
+
+  /**
+   * Avanzar los pedidos del vehículo según las llegadas y salidas
+   * Cada cambio usa el flujo normal de Pedido (historial, liberación del
+   * vehículo); si el conductor ya lo hizo, el pedido se deja como está.
+   */
+  static async avanzarPedidos(vehiculo, eventos, destinos) {
+    const actualizados = [];
+
+    for (const evento of eventos) {
+      let candidatos = [];
+      if (evento.tipo === "patio" && evento.evento === "salida") {
+        // Salida del patio de origen con el pedido asignado
+        candidatos = destinos.filter(
+          (destino) => destino.patio_id === evento.patio_id
+        );
+      } else if (evento.tipo === "destino") {
+        candidatos = destinos.filter(
+          (destino) => destino.id === evento.pedido_id
+        );
+      }
+
+      for (const candidato of candidatos) {
+        const actualizado = await this.avanzarPedido(
+          candidato.id,
+          vehiculo,
+          evento
+        );
+        if (actualizado) {
+          actualizados.push(actualizado);
+        }
+      }
+    }
+
+    return actualizados;
+  }
+
+  /**
+   * Avanzar un pedido según un evento de geocerca (null si no corresponde)
+   */
+  static async avanzarPedido(pedidoId, vehiculo, evento) {
+    try {
+      const pedido = await Pedido.findById(pedidoId);
+      if (!pedido || pedido.vehiculo_id !== vehiculo.id) {
+        return null;
+      }
+
+      const saleDelPatio =
+        evento.tipo === "patio" && evento.evento === "salida";
+      const llegaAlDestino =
+        evento.tipo === "destino" && evento.evento === "llegada";
+      const saleDelDestino =
+        evento.tipo === "destino" && evento.evento === "salida";
+
+      let nuevoEstado = null;
+      let motivo = null;
+
+      if (
+        pedido.estado === Pedido.ESTADOS.ASIGNADO &&
+        (saleDelPatio || llegaAlDestino)
+      ) {
+        nuevoEstado = Pedido.ESTADOS.EN_TRANSITO;
+        motivo = saleDelPatio
+          ? `Geocerca: salida de ${evento.nombre} (${vehiculo.placa})`
+          : `Geocerca: ${vehiculo.placa} llegó al destino`;
+
+        // Si salió con el material, ya lo cargó aunque no lo haya marcado
+        if (!pedido.fecha_carga) {
+          await Pedido.markLoaded(pedido.id, null, { motivo });
+        }
+      } else if (
+        pedido.estado === Pedido.ESTADOS.EN_TRANSITO &&
+        saleDelDestino &&
+        evento.permanencia_segundos >= this.PERMANENCIA_ENTREGA_SEGUNDOS
+      ) {
+        nuevoEstado = Pedido.ESTADOS.ENTREGADO;
+        motivo = `Geocerca: ${vehiculo.placa} salió del destino tras ${Math.round(
+          evento.permanencia_segundos / 60
+        )} min`;
+      }
+
+      if (!nuevoEstado) {
+        return null;
+      }
+
+      const pedidoActualizado = await Pedido.updateStatus(
+        pedido.id,
+        nuevoEstado,
+        null,
+        { motivo }
+      );
+
+      return {
+        id: pedido.id,
+        codigo_seguimiento: pedido.codigo_seguimiento,
+        estado_anterior: pedido.estado,
+        estado_nuevo: pedidoActualizado.estado,
+      };
+    } catch (error) {
+      // El conductor o el personal cambiaron el pedido mientras tanto
+      if (
+        error instanceof BusinessLogicError ||
+        error instanceof ConflictError
+      ) {
+        logger.debug("Geocerca: pedido sin avanzar", {
+          pedidoId,
+          motivo: error.message,
+        });
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Visitas del vehículo a patios y destinos (más recientes primero)
+   */
+  static async findVisitas(vehiculoId, limit = 50) {
+    try {
+      const idValidation = validateId(vehiculoId, "ID de vehículo");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de vehículo inválido");
+      }
+
+      const vehiculo = await Vehiculo.findById(idValidation.value);
+      if (!vehiculo) {
+        throw new NotFoundError("Vehículo no encontrado");
+      }
+
+      const result = await query(GEOCERCAS.LIST_BY_VEHICULO, [
+        vehiculo.id,
+        limit,
+      ]);
+
+      return {
+        vehiculo: { id: vehiculo.id, placa: vehiculo.placa },
+        visitas: result.rows.map((visita) => ({
+          id: visita.id,
+          tipo: visita.patio_id ? "patio" : "destino",
+          patio: visita.patio_id
+            ? { id: visita.patio_id, nombre: visita.patio }
+            : null,
+          pedido: visita.pedido_id
+            ? {
+                id: visita.pedido_id,
+                codigo_seguimiento: visita.codigo_seguimiento,
+                direccion_entrega: visita.direccion_entrega,
+              }
+            : null,
+          radio_m: visita.radio_m,
+          entrada_en: visita.entrada_en,
+          salida_en: visita.salida_en,
+          permanencia_segundos: visita.permanencia_segundos,
+        })),
+      };
+    } catch (error) {
+      logger.error("Error obteniendo visitas del vehículo:", error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = Geocerca;
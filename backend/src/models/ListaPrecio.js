@@ -0,0 +1,348 @@
+const { query } = require("../config/database");
+const { PRECIOS } = require("../config/queries");
+const {
+  validateId,
+  validatePriceListData,
+  validateVolumeDiscountData,
+} = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+  ConflictError,
+} = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+class ListaPrecio {
+  /**
+   * Listar listas de precios
+   * @param {Object} filtros - { activa? }
+   */
+  static async findAll(filtros = {}) {
+    try {
+      const result = await query(PRECIOS.LIST_LISTAS, [filtros.activa ?? null]);
+
+      return result.rows.map((lista) => ({
+        ...lista,
+        general: lista.tipo_cliente === null,
+        descuentos_activos: parseInt(lista.descuentos_activos, 10),
+      }));
+    } catch (error) {
+      logger.error("Error listando listas de precios:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener lista por ID
+   */
+  static async findById(id) {
+    try {
+      const idValidation = validateId(id, "ID de lista");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de lista inválido");
+      }
+
+      const result = await query(PRECIOS.FIND_LISTA_BY_ID, [
+        idValidation.value,
+      ]);
+
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      logger.error("Error buscando lista de precios:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista general (precios base para todos los clientes)
+   */
+  static async getGeneral() {
+    const result = await query(PRECIOS.FIND_LISTA_GENERAL);
+    if (!result.rows.length) {
+      throw new NotFoundError("No hay lista de precios general configurada");
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Lista que corresponde a un tipo de cliente (sin lista propia, la general)
+   */
+  static async getParaTipoCliente(tipoCliente) {
+    if (tipoCliente) {
+      const result = await query(PRECIOS.FIND_LISTA_BY_TIPO, [tipoCliente]);
+      if (result.rows.length) {
+        return result.rows[0];
+      }
+    }
+
+    return await this.getGeneral();
+  }
+
+  /**
+   * Crear lista para un tipo de cliente
+   * @param {Object} listData - { nombre, tipo_cliente, descripcion? }
+   */
+  static async create(listData) {
+    logger.info("Creando lista de precios:", { nombre: listData.nombre });
+
+    try {
+      const validation = validatePriceListData(listData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de lista de precios inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+
+      const result = await query(PRECIOS.CREATE_LISTA, [
+        validData.nombre,
+        validData.tipo_cliente,
+        validData.descripcion || null,
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError(
+          "Ya existe una lista con ese nombre o para ese tipo de cliente"
+        );
+      }
+      logger.error("Error creando lista de precios:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar lista (la general no puede desactivarse)
+   */
+  static async update(id, updateData) {
+    logger.info("Actualizando lista de precios:", { id });
+
+    try {
+      const existing = await this.findById(id);
+      if (!existing) {
+        throw new NotFoundError("Lista de precios no encontrada");
+      }
+
+      const validation = validatePriceListData(updateData, true);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de lista de precios inválidos",
+          validation.errors
+        );
+      }
+
+      const datos = { ...existing, ...validation.validData };
+
+      if (existing.tipo_cliente === null && datos.activa === false) {
+        throw new BusinessLogicError(
+          "La lista de precios general no puede desactivarse"
+        );
+      }
+
+      const result = await query(PRECIOS.UPDATE_LISTA, [
+        existing.id,
+        datos.nombre,
+        datos.descripcion,
+        datos.activa,
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("Ya existe una lista con ese nombre");
+      }
+      logger.error("Error actualizando lista de precios:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Descuentos por volumen de una lista
+   * @param {Object} filtros - { activo? }
+   */
+  static async findDescuentos(listaId, filtros = {}) {
+    try {
+      const lista = await this.findById(listaId);
+      if (!lista) {
+        throw new NotFoundError("Lista de precios no encontrada");
+      }
+
+      const result = await query(PRECIOS.LIST_DESCUENTOS, [
+        lista.id,
+        filtros.activo ?? null,
+      ]);
+
+      return {
+        lista,
+        descuentos: result.rows.map((descuento) =>
+          this.formatDescuento(descuento)
+        ),
+      };
+    } catch (error) {
+      logger.error("Error listando descuentos por volumen:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Agregar tramo de descuento por volumen
+   * @param {Object} discountData - { material_id?, cantidad_minima, porcentaje }
+   */
+  static async createDescuento(listaId, discountData, userId) {
+    logger.info("Creando descuento por volumen:", { listaId, userId });
+
+    try {
+      const lista = await this.findById(listaId);
+      if (!lista) {
+        throw new NotFoundError("Lista de precios no encontrada");
+      }
+
+      const validation = validateVolumeDiscountData(discountData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de descuento inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+
+      const result = await query(PRECIOS.CREATE_DESCUENTO, [
+        lista.id,
+        validData.material_id || null,
+        validData.cantidad_minima,
+        validData.porcentaje,
+        userId,
+      ]);
+
+      return this.formatDescuento(result.rows[0]);
+    } catch (error) {
+      if (error.code === "23503") {
+        throw new NotFoundError("Material no encontrado");
+      }
+      logger.error("Error creando descuento por volumen:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Desactivar tramo de descuento
+   */
+  static async deactivateDescuento(id) {
+    logger.info("Desactivando descuento por volumen:", { id });
+
+    try {
+      const idValidation = validateId(id, "ID de descuento");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de descuento inválido");
+      }
+
+      const result = await query(PRECIOS.DEACTIVATE_DESCUENTO, [
+        idValidation.value,
+      ]);
+      if (!result.rows.length) {
+        throw new NotFoundError("Descuento no encontrado o ya inactivo");
+      }
+
+      return this.formatDescuento(result.rows[0]);
+    } catch (error) {
+      logger.error("Error desactivando descuento por volumen:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Precios vigentes para las líneas de un pedido
+   * Cada material toma el precio de la lista del tipo de cliente y, si esa
+   * lista no tiene precio para él, el de la lista general. Sobre ese precio
+   * se aplica el mayor descuento por volumen de la misma lista cuyo mínimo
+   * alcance la cantidad de la línea.
+   * @param {Array} lineas - [{ material_id, cantidad, material_nombre? }]
+   * @param {string|null} tipoCliente - clientes.tipo_cliente
+   * @returns {Object} { lista, precios: Map material_id → precio aplicado }
+   */
+  static async cotizar(lineas, tipoCliente, fecha = null) {
+    const lista = await this.getParaTipoCliente(tipoCliente);
+    const general =
+      lista.tipo_cliente === null ? lista : await this.getGeneral();
+    const listaIds = [...new Set([lista.id, general.id])];
+    const materialIds = lineas.map((linea) => linea.material_id);
+
+    const [vigentesResult, descuentosResult] = await Promise.all([
+      query(PRECIOS.VIGENTES_BY_MATERIALES, [materialIds, listaIds, fecha]),
+      query(PRECIOS.DESCUENTOS_APLICABLES, [listaIds, materialIds]),
+    ]);
+
+    const vigentes = new Map(
+      vigentesResult.rows.map((row) => [
+        `${row.lista_id}:${row.material_id}`,
+        parseFloat(row.precio),
+      ])
+    );
+
+    const precios = new Map();
+    for (const linea of lineas) {
+      const listaAplicada = vigentes.has(`${lista.id}:${linea.material_id}`)
+        ? lista
+        : general;
+      const precioLista = vigentes.get(
+        `${listaAplicada.id}:${linea.material_id}`
+      );
+
+      if (precioLista === undefined) {
+        throw new BusinessLogicError(
+          `${linea.material_nombre || `Material ${linea.material_id}`} no tiene precio vigente`
+        );
+      }
+
+      const descuento = descuentosResult.rows
+        .filter(
+          (tramo) =>
+            tramo.lista_id === listaAplicada.id &&
+            (tramo.material_id === null ||
+              tramo.material_id === linea.material_id) &&
+            parseFloat(tramo.cantidad_minima) <= linea.cantidad
+        )
+        .reduce(
+          (mayor, tramo) => Math.max(mayor, parseFloat(tramo.porcentaje)),
+          0
+        );
+
+      precios.set(linea.material_id, {
+        lista_precio_id: listaAplicada.id,
+        lista_nombre: listaAplicada.nombre,
+        precio_lista: precioLista,
+        descuento_porcentaje: descuento,
+        precio_unitario:
+          Math.round(precioLista * (1 - descuento / 100) * 100) / 100,
+      });
+    }
+
+    return {
+      lista: {
+        id: lista.id,
+        nombre: lista.nombre,
+        tipo_cliente: lista.tipo_cliente,
+      },
+      precios,
+    };
+  }
+
+  /**
+   * Convertir columnas numéricas del descuento
+   */
+  static formatDescuento(descuento) {
+    return {
+      ...descuento,
+      cantidad_minima: parseFloat(descuento.cantidad_minima),
+      porcentaje: parseFloat(descuento.porcentaje),
+    };
+  }
+}
+
+module.exports = ListaPrecio;
@@ -0,0 +1,434 @@
+const { query } = require("../config/database");
+const { executeTransaction } = require("../utils/database");
+const { VEHICULOS, MANTENIMIENTOS } = require("../config/queries");
+const {
+  validateId,
+  validateMaintenanceData,
+  sanitizeText,
+} = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+} = require("../middleware/errorHandler");
+const tiempoReal = require("../utils/tiempoReal");
+const logger = require("../utils/logger");
+
+class MantenimientoVehiculo {
+  static ESTADOS = {
+    PROGRAMADO: "programado",
+    EN_CURSO: "en_curso",
+    COMPLETADO: "completado",
+    CANCELADO: "cancelado",
+  };
+
+  // Cada cuánto se revisan los servicios programados que ya llegaron
+  static INTERVALO_REVISION_MS =
+    (parseInt(process.env.MANTENIMIENTO_REVISION_MINUTOS, 10) || 15) *
+    60 *
+    1000;
+  static temporizador = null;
+
+  /**
+   * Poner en mantenimiento los vehículos libres cuyo servicio ya llegó
+   * Lo ejecutan la revisión periódica y el registro de un servicio. Un
+   * vehículo en uso entra cuando queda libre; mientras tanto (y entre
+   * revisiones) las búsquedas de disponibles ya lo excluyen.
+   * @returns {Array} Mantenimientos iniciados
+   */
+  static async iniciarProgramados() {
+    const result = await query(MANTENIMIENTOS.INICIAR_VENCIDOS);
+
+    if (result.rows.length) {
+      logger.info("Mantenimientos iniciados:", {
+        vehiculos: result.rows.map((row) => row.placa),
+      });
+
+      const vehiculoIds = new Set(result.rows.map((row) => row.vehiculo_id));
+      for (const vehiculoId of vehiculoIds) {
+        tiempoReal.publicar(tiempoReal.TIPOS.ESTADO_VEHICULO, {
+          vehiculo_id: vehiculoId,
+          estado_anterior: "disponible",
+          estado_nuevo: "mantenimiento",
+          pedido_id: null,
+          motivo: "Inicio de mantenimiento programado",
+        });
+      }
+    }
+
+    return result.rows;
+  }
+
+  /**
+   * Revisar los servicios programados al arrancar y cada intervalo
+   * Fuera de las peticiones: listar la flota no escribe. Un fallo solo
+   * queda en el log y se reintenta en la siguiente revisión.
+   */
+  static iniciarRevisionPeriodica() {
+    if (this.temporizador) {
+      return;
+    }
+
+    const revisar = async () => {
+      try {
+        await this.iniciarProgramados();
+      } catch (error) {
+        logger.error(
+          "Error iniciando mantenimientos programados:",
+          error.message
+        );
+      }
+    };
+
+    revisar();
+    this.temporizador = setInterval(revisar, this.INTERVALO_REVISION_MS);
+    this.temporizador.unref();
+  }
+
+  /**
+   * Detener la revisión periódica (cierre del servidor)
+   */
+  static detenerRevisionPeriodica() {
+    clearInterval(this.temporizador);
+    this.temporizador = null;
+  }
+
+  /**
+   * Historial de mantenimientos de un vehículo (más recientes primero)
+   * @param {Object} filtros - { estado?, limit? }
+   */
+  static async findByVehiculo(vehiculoId, filtros = {}) {
+    try {
+      const vehiculo = await this.getVehiculo(vehiculoId);
+
+      const result = await query(MANTENIMIENTOS.LIST_BY_VEHICULO, [
+        vehiculo.id,
+        filtros.estado || null,
+        filtros.limit || 50,
+      ]);
+
+      return result.rows.map((mantenimiento) => this.formatear(mantenimiento));
+    } catch (error) {
+      logger.error("Error listando mantenimientos:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar mantenimiento
+   * Sin fecha_realizada queda programado (si la fecha ya llegó, el
+   * vehículo entra a mantenimiento apenas esté libre); con ella queda
+   * como servicio hecho y, si trae proxima_fecha, se programa el siguiente.
+   * @param {Object} maintenanceData - { tipo_servicio, fecha_programada?, fecha_realizada?, odometro_km?, costo?, proxima_fecha?, observaciones? }
+   */
+  static async create(vehiculoId, maintenanceData, userId) {
+    logger.info("Registrando mantenimiento:", { vehiculoId, userId });
+
+    try {
+      const vehiculo = await this.getVehiculo(vehiculoId);
+      if (!vehiculo.activo) {
+        throw new BusinessLogicError(
+          `El vehículo ${vehiculo.placa} está retirado`
+        );
+      }
+
+      const validation = validateMaintenanceData(maintenanceData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de mantenimiento inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+      const realizado = !!validData.fecha_realizada;
+
+      const { mantenimiento, proximo } = await executeTransaction(
+        async (client) => {
+          const result = await client.query(MANTENIMIENTOS.CREATE, [
+            vehiculo.id,
+            validData.tipo_servicio,
+            realizado ? this.ESTADOS.COMPLETADO : this.ESTADOS.PROGRAMADO,
+            validData.fecha_programada,
+            validData.fecha_realizada || null,
+            validData.odometro_km ?? null,
+            validData.costo ?? null,
+            validData.proxima_fecha || null,
+            validData.observaciones || null,
+            userId,
+            realizado ? userId : null,
+          ]);
+
+          return {
+            mantenimiento: result.rows[0],
+            proximo:
+              realizado && validData.proxima_fecha
+                ? await this.programarSiguiente(client, result.rows[0], userId)
+                : null,
+          };
+        }
+      );
+
+      // Un servicio con fecha de hoy o pasada empieza en este momento
+      await this.iniciarProgramados();
+
+      logger.info("Mantenimiento registrado:", {
+        id: mantenimiento.id,
+        placa: vehiculo.placa,
+        estado: mantenimiento.estado,
+      });
+
+      return {
+        mantenimiento: await this.findById(vehiculo.id, mantenimiento.id),
+        proximo: proximo ? this.formatear(proximo) : null,
+      };
+    } catch (error) {
+      logger.error("Error registrando mantenimiento:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Completar un mantenimiento programado o en curso
+   * El vehículo vuelve a disponible si no le queda otro en curso
+   * @param {Object} completionData - { fecha_realizada?, odometro_km?, costo?, proxima_fecha?, observaciones? }
+   */
+  static async completar(vehiculoId, id, completionData, userId) {
+    logger.info("Completando mantenimiento:", { vehiculoId, id, userId });
+
+    try {
+      const vehiculo = await this.getVehiculo(vehiculoId);
+      const mantenimientoId = this.validarId(id);
+
+      const validation = validateMaintenanceData(completionData, true);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de mantenimiento inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+
+      return await executeTransaction(async (client) => {
+        const actual = await this.lockPendiente(
+          client,
+          vehiculo.id,
+          mantenimientoId
+        );
+
+        const result = await client.query(MANTENIMIENTOS.COMPLETE, [
+          actual.id,
+          validData.fecha_realizada,
+          validData.odometro_km ?? null,
+          validData.costo ?? null,
+          validData.proxima_fecha || null,
+          validData.observaciones || null,
+          userId,
+        ]);
+        const mantenimiento = result.rows[0];
+
+        const liberado = await this.liberarVehiculo(
+          client,
+          vehiculo.id,
+          userId,
+          `Mantenimiento completado: ${mantenimiento.tipo_servicio}`
+        );
+
+        const proximo = validData.proxima_fecha
+          ? await this.programarSiguiente(client, mantenimiento, userId)
+          : null;
+
+        logger.info("Mantenimiento completado:", {
+          id: mantenimiento.id,
+          placa: vehiculo.placa,
+          vehiculoLiberado: liberado.rows.length > 0,
+        });
+
+        return {
+          mantenimiento: this.formatear(mantenimiento),
+          vehiculo_estado: liberado.rows.length
+            ? liberado.rows[0].estado
+            : vehiculo.estado,
+          proximo: proximo ? this.formatear(proximo) : null,
+        };
+      });
+    } catch (error) {
+      logger.error("Error completando mantenimiento:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancelar un mantenimiento programado o en curso
+   */
+  static async cancelar(vehiculoId, id, motivo, userId) {
+    logger.info("Cancelando mantenimiento:", { vehiculoId, id, userId });
+
+    try {
+      const vehiculo = await this.getVehiculo(vehiculoId);
+      const mantenimientoId = this.validarId(id);
+
+      return await executeTransaction(async (client) => {
+        const actual = await this.lockPendiente(
+          client,
+          vehiculo.id,
+          mantenimientoId
+        );
+
+        const result = await client.query(MANTENIMIENTOS.CANCEL, [
+          actual.id,
+          sanitizeText(motivo || "") || null,
+        ]);
+
+        const liberado = await this.liberarVehiculo(
+          client,
+          vehiculo.id,
+          userId,
+          `Mantenimiento cancelado: ${result.rows[0].tipo_servicio}`
+        );
+
+        return {
+          mantenimiento: this.formatear(result.rows[0]),
+          vehiculo_estado: liberado.rows.length
+            ? liberado.rows[0].estado
+            : vehiculo.estado,
+        };
+      });
+    } catch (error) {
+      logger.error("Error cancelando mantenimiento:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Devolver el vehículo a disponible si no le queda mantenimiento en
+   * curso, dejando el cambio en su historial de estados
+   */
+  static async liberarVehiculo(client, vehiculoId, userId, motivo) {
+    const liberado = await client.query(MANTENIMIENTOS.RELEASE_VEHICULO, [
+      vehiculoId,
+    ]);
+
+    if (liberado.rows.length) {
+      await client.query(VEHICULOS.CREATE_EVENTO, [
+        vehiculoId,
+        "mantenimiento",
+        liberado.rows[0].estado,
+        userId,
+        null,
+        motivo,
+      ]);
+
+      tiempoReal.publicarAlConfirmar(client, tiempoReal.TIPOS.ESTADO_VEHICULO, {
+        vehiculo_id: vehiculoId,
+        estado_anterior: "mantenimiento",
+        estado_nuevo: liberado.rows[0].estado,
+        pedido_id: null,
+        motivo,
+      });
+    }
+
+    return liberado;
+  }
+
+  /**
+   * Obtener mantenimiento de un vehículo
+   */
+  static async findById(vehiculoId, id) {
+    const result = await query(MANTENIMIENTOS.FIND_BY_ID, [id, vehiculoId]);
+
+    return result.rows.length ? this.formatear(result.rows[0]) : null;
+  }
+
+  /**
+   * Programar el siguiente servicio del mismo tipo en proxima_fecha
+   * @param {Object} client - Cliente de la transacción
+   */
+  static async programarSiguiente(client, mantenimiento, userId) {
+    const result = await client.query(MANTENIMIENTOS.CREATE, [
+      mantenimiento.vehiculo_id,
+      mantenimiento.tipo_servicio,
+      this.ESTADOS.PROGRAMADO,
+      mantenimiento.proxima_fecha,
+      null,
+      null,
+      null,
+      null,
+      null,
+      userId,
+      null,
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Bloquear un mantenimiento que todavía se puede completar o cancelar
+   * @param {Object} client - Cliente de la transacción
+   */
+  static async lockPendiente(client, vehiculoId, id) {
+    const result = await client.query(MANTENIMIENTOS.LOCK_BY_ID, [
+      id,
+      vehiculoId,
+    ]);
+    if (!result.rows.length) {
+      throw new NotFoundError("Mantenimiento no encontrado");
+    }
+
+    const mantenimiento = result.rows[0];
+    if (
+      ![this.ESTADOS.PROGRAMADO, this.ESTADOS.EN_CURSO].includes(
+        mantenimiento.estado
+      )
+    ) {
+      throw new BusinessLogicError(
+        `El mantenimiento ya está ${mantenimiento.estado}`
+      );
+    }
+
+    return mantenimiento;
+  }
+
+  /**
+   * Validar ID de vehículo y obtenerlo
+   */
+  static async getVehiculo(vehiculoId) {
+    const idValidation = validateId(vehiculoId, "ID de vehículo");
+    if (!idValidation.isValid) {
+      throw new ValidationError("ID de vehículo inválido");
+    }
+
+    const result = await query(VEHICULOS.FIND_BY_ID, [idValidation.value]);
+    if (!result.rows.length) {
+      throw new NotFoundError("Vehículo no encontrado");
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Validar ID de mantenimiento
+   */
+  static validarId(id) {
+    const idValidation = validateId(id, "ID de mantenimiento");
+    if (!idValidation.isValid) {
+      throw new ValidationError("ID de mantenimiento inválido");
+    }
+
+    return idValidation.value;
+  }
+
+  /**
+   * Convertir columnas numéricas
+   */
+  static formatear(mantenimiento) {
+    return {
+      ...mantenimiento,
+      costo:
+        mantenimiento.costo !== null ? parseFloat(mantenimiento.costo) : null,
+    };
+  }
+}
+
+module.exports = MantenimientoVehiculo;
@@ -1,15 +1,18 @@
 const { query } = require("../config/database");
-const { MATERIALES } = require("../config/queries");
+const { executeTransaction } = require("../utils/database");
+const { MATERIALES, PRECIOS } = require("../config/queries");
 const {
   validateId,
   validateName,
   validatePrice,
+  validatePriceVersionData,
   sanitizeText,
 } = require("../utils/validation");
 const {
   ValidationError,
   NotFoundError,
 } = require("../middleware/errorHandler");
+const ListaPrecio = require("./ListaPrecio");
 const logger = require("../utils/logger");
 
 class Material {
@@ -54,10 +57,11 @@ class Material {
 
   /**
    * Crear nuevo material
+   * El precio inicial queda como primera versión en la lista general
    * @param {Object} materialData - Datos del material
    * @returns {Object} Material creado
    */
-  static async create(materialData) {
+  static async create(materialData, userId = null) {
     logger.info("Creando nuevo material:", { nombre: materialData.nombre });
 
     try {
@@ -80,14 +84,27 @@ class Material {
         ]);
       }
 
-      const result = await query(MATERIALES.CREATE, [
-        nameValidation.value,
-        sanitizeText(materialData.descripcion) || null,
-        materialData.unidad_medida || "m³",
-        priceValidation.value,
-      ]);
+      const general = await ListaPrecio.getGeneral();
 
-      const newMaterial = result.rows[0];
+      const newMaterial = await executeTransaction(async (client) => {
+        const result = await client.query(MATERIALES.CREATE, [
+          nameValidation.value,
+          sanitizeText(materialData.descripcion) || null,
+          materialData.unidad_medida || "m³",
+          priceValidation.value,
+        ]);
+
+        await client.query(PRECIOS.CREATE_VERSION, [
+          general.id,
+          result.rows[0].id,
+          priceValidation.value,
+          null,
+          userId,
+          "Precio inicial",
+        ]);
+
+        return result.rows[0];
+      });
       logger.info("Material creado exitosamente:", {
         id: newMaterial.id,
         nombre: newMaterial.nombre,
@@ -102,11 +119,13 @@ class Material {
 
   /**
    * Actualizar material
+   * Un cambio de precio agrega una versión vigente desde ahora en la lista
+   * general (el historial no se sobrescribe)
    * @param {number} id - ID del material
    * @param {Object} updateData - Datos a actualizar
    * @returns {Object} Material actualizado
    */
-  static async update(id, updateData) {
+  static async update(id, updateData, userId = null) {
     logger.info("Actualizando material:", { id });
 
     try {
@@ -129,20 +148,177 @@ class Material {
         throw new ValidationError("Datos de actualización inválidos");
       }
 
-      const result = await query(MATERIALES.UPDATE, [
-        id,
-        nameValidation.value,
-        sanitizeText(updateData.descripcion) || existing.descripcion,
-        priceValidation.value,
-      ]);
+      const cambiaPrecio =
+        priceValidation.value !== parseFloat(existing.precio_por_unidad);
+      const general = cambiaPrecio ? await ListaPrecio.getGeneral() : null;
 
-      return result.rows[0];
+      return await executeTransaction(async (client) => {
+        const result = await client.query(MATERIALES.UPDATE, [
+          id,
+          nameValidation.value,
+          sanitizeText(updateData.descripcion) || existing.descripcion,
+          priceValidation.value,
+        ]);
+
+        if (cambiaPrecio) {
+          await client.query(PRECIOS.CREATE_VERSION, [
+            general.id,
+            existing.id,
+            priceValidation.value,
+            null,
+            userId,
+            "Actualización de material",
+          ]);
+        }
+
+        return result.rows[0];
+      });
     } catch (error) {
       logger.error("Error actualizando material:", error.message);
       throw error;
     }
   }
 
+  /**
+   * Historial de precios del material (todas las listas o una)
+   * Cada versión indica desde y hasta cuándo estuvo vigente
+   * @param {Object} filtros - { lista_id? }
+   */
+  static async findPrecios(id, filtros = {}) {
+    try {
+      const material = await this.findById(id);
+      if (!material) {
+        return null;
+      }
+
+      let listaId = null;
+      if (filtros.lista_id !== undefined && filtros.lista_id !== "") {
+        const listaValidation = validateId(filtros.lista_id, "ID de lista");
+        if (!listaValidation.isValid) {
+          throw new ValidationError("Filtros inválidos", [
+            { field: "lista_id", message: listaValidation.message },
+          ]);
+        }
+        listaId = listaValidation.value;
+      }
+
+      const result = await query(PRECIOS.HISTORIAL, [material.id, listaId]);
+      const ahora = new Date();
+
+      const historial = result.rows.map((version) => {
+        const desde = new Date(version.vigente_desde);
+        const hasta = version.vigente_hasta
+          ? new Date(version.vigente_hasta)
+          : null;
+
+        return {
+          ...version,
+          precio: parseFloat(version.precio),
+          estado:
+            desde > ahora
+              ? "programado"
+              : hasta && hasta <= ahora
+                ? "historico"
+                : "vigente",
+        };
+      });
+
+      return {
+        material: {
+          id: material.id,
+          nombre: material.nombre,
+          unidad_medida: material.unidad_medida,
+          precio_por_unidad: parseFloat(material.precio_por_unidad),
+        },
+        vigentes: historial.filter((version) => version.estado === "vigente"),
+        historial,
+      };
+    } catch (error) {
+      logger.error("Error obteniendo historial de precios:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar nueva versión de precio (por defecto en la lista general,
+   * vigente desde ahora; puede programarse a futuro)
+   * @param {Object} priceData - { precio, lista_id?, vigente_desde?, motivo? }
+   */
+  static async registrarPrecio(id, priceData, userId) {
+    logger.info("Registrando precio de material:", { id, userId });
+
+    try {
+      const material = await this.findById(id);
+      if (!material || !material.activo) {
+        throw new NotFoundError("Material no encontrado");
+      }
+
+      const validation = validatePriceVersionData(priceData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de precio inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+
+      const lista = validData.lista_id
+        ? await ListaPrecio.findById(validData.lista_id)
+        : await ListaPrecio.getGeneral();
+      if (!lista) {
+        throw new NotFoundError("Lista de precios no encontrada");
+      }
+
+      const version = await executeTransaction(async (client) => {
+        const result = await client.query(PRECIOS.CREATE_VERSION, [
+          lista.id,
+          material.id,
+          validData.precio,
+          validData.vigente_desde || null,
+          userId,
+          validData.motivo || null,
+        ]);
+
+        // La lista general vigente se refleja en el precio del material
+        if (lista.tipo_cliente === null && !validData.vigente_desde) {
+          await client.query(MATERIALES.UPDATE, [
+            material.id,
+            material.nombre,
+            material.descripcion,
+            validData.precio,
+          ]);
+        }
+
+        return result.rows[0];
+      });
+
+      logger.info("Precio registrado:", {
+        materialId: material.id,
+        lista: lista.nombre,
+        precio: validData.precio,
+      });
+
+      return {
+        ...version,
+        precio: parseFloat(version.precio),
+        lista_nombre: lista.nombre,
+        material_nombre: material.nombre,
+      };
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ValidationError("Datos de precio inválidos", [
+          {
+            field: "vigente_desde",
+            message: "Ya hay un precio con esa fecha de vigencia en la lista",
+          },
+        ]);
+      }
+      logger.error("Error registrando precio:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Desactivar material (soft delete)
    * @param {number} id - ID del material
@@ -0,0 +1,496 @@
+const { query } = require("../config/database");
+const { executeTransaction } = require("../utils/database");
+const { ORDENES_COMPRA, MATERIALES } = require("../config/queries");
+const {
+  validateId,
+  validateQuantity,
+  validatePurchaseOrderData,
+} = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+} = require("../middleware/errorHandler");
+const Proveedor = require("./Proveedor");
+const Stock = require("./Stock");
+const Patio = require("./Patio");
+const logger = require("../utils/logger");
+
+class OrdenCompra {
+  // Estados de órdenes de compra (debe coincidir con CHECK de BD)
+  static ESTADOS = {
+    PENDIENTE: "pendiente",
+    PARCIAL: "parcial",
+    RECIBIDA: "recibida",
+    CANCELADA: "cancelada",
+  };
+
+  /**
+   * Crear orden de compra con sus líneas
+   * @param {Object} orderData - Ver validatePurchaseOrderData
+   * @param {number} userId - Usuario que registra la orden
+   */
+  static async create(orderData, userId) {
+    logger.info("Creando orden de compra:", {
+      proveedorId: orderData.proveedor_id,
+      lineas: Array.isArray(orderData.detalles) ? orderData.detalles.length : 0,
+      userId,
+    });
+
+    try {
+      const validation = validatePurchaseOrderData(orderData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de orden de compra inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+
+      const proveedor = await Proveedor.findById(validData.proveedor_id);
+      if (!proveedor || !proveedor.activo) {
+        throw new NotFoundError("Proveedor no encontrado o inactivo");
+      }
+
+      if (validData.transportista_id) {
+        const transportista = await Proveedor.findById(
+          validData.transportista_id
+        );
+        if (!transportista || !transportista.activo) {
+          throw new NotFoundError("Transportista no encontrado o inactivo");
+        }
+      }
+
+      for (const detalle of validData.detalles) {
+        const materialResult = await query(MATERIALES.FIND_BY_ID, [
+          detalle.material_id,
+        ]);
+        if (!materialResult.rows.length) {
+          throw new NotFoundError(
+            `Material ${detalle.material_id} no encontrado`
+          );
+        }
+      }
+
+      const orden = await executeTransaction(async (client) => {
+        const result = await client.query(ORDENES_COMPRA.CREATE, [
+          validData.proveedor_id,
+          validData.transportista_id,
+          validData.costo_flete,
+          validData.fecha_esperada,
+          validData.observaciones,
+          userId,
+        ]);
+
+        for (const detalle of validData.detalles) {
+          await client.query(ORDENES_COMPRA.CREATE_DETALLE, [
+            result.rows[0].id,
+            detalle.material_id,
+            detalle.cantidad,
+            detalle.costo_unitario,
+          ]);
+        }
+
+        return result.rows[0];
+      });
+
+      logger.info("Orden de compra creada:", {
+        id: orden.id,
+        codigo: orden.codigo,
+      });
+
+      return await this.findById(orden.id);
+    } catch (error) {
+      logger.error("Error creando orden de compra:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Listar órdenes de compra
+   * @param {Object} filtros - { estado?, proveedor_id? }
+   */
+  static async findAll(filtros = {}) {
+    try {
+      if (
+        filtros.estado &&
+        !Object.values(this.ESTADOS).includes(filtros.estado)
+      ) {
+        throw new ValidationError("Estado de orden inválido");
+      }
+
+      const result = await query(ORDENES_COMPRA.LIST, [
+        filtros.estado || null,
+        filtros.proveedor_id ? parseInt(filtros.proveedor_id, 10) : null,
+      ]);
+
+      return result.rows.map((orden) => ({
+        ...orden,
+        costo_material: parseFloat(orden.costo_material),
+        costo_flete: parseFloat(orden.costo_flete),
+        cantidad_total: parseFloat(orden.cantidad_total),
+        cantidad_recibida: parseFloat(orden.cantidad_recibida),
+      }));
+    } catch (error) {
+      logger.error("Error listando órdenes de compra:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener orden con líneas, costo puesto por m³ y recepciones
+   */
+  static async findById(id) {
+    try {
+      const idValidation = validateId(id, "ID de orden de compra");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de orden de compra inválido");
+      }
+
+      const result = await query(ORDENES_COMPRA.FIND_BY_ID, [
+        idValidation.value,
+      ]);
+      if (!result.rows.length) {
+        return null;
+      }
+
+      const orden = result.rows[0];
+      const detallesResult = await query(ORDENES_COMPRA.GET_DETALLES, [
+        orden.id,
+      ]);
+      const recepcionesResult = await query(ORDENES_COMPRA.LIST_RECEPCIONES, [
+        orden.id,
+      ]);
+
+      const fletePorUnidad = this.calcularFletePorUnidad(
+        orden.costo_flete,
+        detallesResult.rows
+      );
+
+      return {
+        ...orden,
+        costo_flete: parseFloat(orden.costo_flete),
+        flete_por_unidad: fletePorUnidad,
+        detalles: detallesResult.rows.map((detalle) => ({
+          ...detalle,
+          cantidad: parseFloat(detalle.cantidad),
+          cantidad_recibida: parseFloat(detalle.cantidad_recibida),
+          cantidad_pendiente:
+            parseFloat(detalle.cantidad) -
+            parseFloat(detalle.cantidad_recibida),
+          costo_unitario: parseFloat(detalle.costo_unitario),
+          costo_puesto: this.calcularCostoPuesto(
+            detalle.costo_unitario,
+            fletePorUnidad
+          ),
+        })),
+        recepciones: recepcionesResult.rows.map((recepcion) => ({
+          ...recepcion,
+          cantidad: parseFloat(recepcion.cantidad),
+          costo_puesto: parseFloat(recepcion.costo_puesto),
+        })),
+      };
+    } catch (error) {
+      logger.error("Error buscando orden de compra:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar recepción parcial o completa
+   * Cada línea recibida entra al stock (kardex de entrada) con su costo
+   * puesto en planta, todo en una transacción
+   * @param {Array|undefined} lineas - [{ material_id, cantidad }]; sin líneas
+   *                                   se recibe todo lo pendiente
+   * @param {Object} contexto - { nota?, patioId? } sin patio entra al principal
+   */
+  static async recibir(id, lineas, userId, contexto = {}) {
+    logger.info("Registrando recepción de compra:", {
+      id,
+      lineas: Array.isArray(lineas) ? lineas.length : "todo",
+      userId,
+    });
+
+    try {
+      const idValidation = validateId(id, "ID de orden de compra");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de orden de compra inválido");
+      }
+
+      const solicitadas = this.validarLineasRecepcion(lineas);
+      const patio = await Patio.resolver(contexto.patioId);
+
+      const resultado = await executeTransaction(async (client) => {
+        const ordenResult = await client.query(ORDENES_COMPRA.LOCK_BY_ID, [
+          idValidation.value,
+        ]);
+        if (!ordenResult.rows.length) {
+          throw new NotFoundError("Orden de compra no encontrada");
+        }
+
+        const orden = ordenResult.rows[0];
+        if (
+          ![this.ESTADOS.PENDIENTE, this.ESTADOS.PARCIAL].includes(orden.estado)
+        ) {
+          throw new BusinessLogicError(
+            `No se puede recibir una orden en estado: ${orden.estado}`
+          );
+        }
+
+        // Líneas bloqueadas en orden de material (mismo orden que el stock)
+        const detallesResult = await client.query(
+          ORDENES_COMPRA.LOCK_DETALLES,
+          [orden.id]
+        );
+        const detalles = detallesResult.rows;
+        const fletePorUnidad = this.calcularFletePorUnidad(
+          orden.costo_flete,
+          detalles
+        );
+
+        const aRecibir = this.resolverLineasRecepcion(detalles, solicitadas);
+        if (aRecibir.length === 0) {
+          throw new BusinessLogicError(
+            "No hay cantidades pendientes de recibir"
+          );
+        }
+
+        const recepciones = [];
+        for (const { detalle, cantidad } of aRecibir) {
+          const costoPuesto = this.calcularCostoPuesto(
+            detalle.costo_unitario,
+            fletePorUnidad
+          );
+
+          const stockActualizado = await Stock.increaseStock(
+            detalle.material_id,
+            cantidad,
+            userId,
+            {
+              nota: contexto.nota
+                ? `Recepción ${orden.codigo}: ${contexto.nota}`
+                : `Recepción ${orden.codigo}`,
+              costoUnitario: costoPuesto,
+              patioId: patio.id,
+            },
+            client
+          );
+
+          await client.query(ORDENES_COMPRA.ADD_RECIBIDO, [
+            detalle.id,
+            cantidad,
+          ]);
+
+          const recepcionResult = await client.query(
+            ORDENES_COMPRA.CREATE_RECEPCION,
+            [
+              orden.id,
+              detalle.id,
+              detalle.material_id,
+              cantidad,
+              costoPuesto,
+              stockActualizado.movimiento_id,
+              userId,
+              contexto.nota || null,
+              patio.id,
+            ]
+          );
+
+          recepciones.push({
+            ...recepcionResult.rows[0],
+            material_nombre: stockActualizado.material_nombre,
+            patio_nombre: patio.nombre,
+            cantidad_disponible: stockActualizado.cantidad_disponible,
+            cantidad_patio: stockActualizado.cantidad_patio,
+            costo_promedio: stockActualizado.costo_promedio,
+          });
+        }
+
+        const completa = detalles.every((detalle) => {
+          const recibido = aRecibir.find((r) => r.detalle.id === detalle.id);
+          return (
+            parseFloat(detalle.cantidad_recibida) +
+              (recibido ? recibido.cantidad : 0) >=
+            parseFloat(detalle.cantidad)
+          );
+        });
+
+        const estadoResult = await client.query(ORDENES_COMPRA.UPDATE_ESTADO, [
+          orden.id,
+          completa ? this.ESTADOS.RECIBIDA : this.ESTADOS.PARCIAL,
+        ]);
+
+        return { orden: estadoResult.rows[0], recepciones };
+      });
+
+      // Cierra las propuestas de reposición ya cubiertas
+      await Stock.revisarReposicion(
+        resultado.recepciones.map((recepcion) => recepcion.material_id)
+      );
+
+      logger.info("Recepción de compra registrada:", {
+        id: resultado.orden.id,
+        estado: resultado.orden.estado,
+        lineas: resultado.recepciones.length,
+      });
+
+      return resultado;
+    } catch (error) {
+      logger.error("Error registrando recepción de compra:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancelar orden (lo ya recibido queda en stock)
+   */
+  static async cancel(id, userId) {
+    logger.info("Cancelando orden de compra:", { id, userId });
+
+    try {
+      const idValidation = validateId(id, "ID de orden de compra");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de orden de compra inválido");
+      }
+
+      return await executeTransaction(async (client) => {
+        const ordenResult = await client.query(ORDENES_COMPRA.LOCK_BY_ID, [
+          idValidation.value,
+        ]);
+        if (!ordenResult.rows.length) {
+          throw new NotFoundError("Orden de compra no encontrada");
+        }
+
+        const orden = ordenResult.rows[0];
+        if (
+          ![this.ESTADOS.PENDIENTE, this.ESTADOS.PARCIAL].includes(orden.estado)
+        ) {
+          throw new BusinessLogicError(
+            `No se puede cancelar una orden en estado: ${orden.estado}`
+          );
+        }
+
+        const result = await client.query(ORDENES_COMPRA.UPDATE_ESTADO, [
+          orden.id,
+          this.ESTADOS.CANCELADA,
+        ]);
+
+        return result.rows[0];
+      });
+    } catch (error) {
+      logger.error("Error cancelando orden de compra:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Validar líneas de recepción enviadas
+   * @returns {Array|null} null = recibir todo lo pendiente
+   */
+  static validarLineasRecepcion(lineas) {
+    if (lineas === undefined || lineas === null) {
+      return null;
+    }
+
+    if (!Array.isArray(lineas) || lineas.length === 0) {
+      throw new ValidationError("Líneas de recepción inválidas", [
+        { field: "lineas", message: "Envíe al menos una línea o ninguna" },
+      ]);
+    }
+
+    const errors = [];
+    const validas = [];
+    lineas.forEach((linea, index) => {
+      const materialValidation = validateId(
+        linea && linea.material_id,
+        "ID de material"
+      );
+      const quantityValidation = validateQuantity(linea && linea.cantidad);
+
+      if (!materialValidation.isValid) {
+        errors.push({
+          field: `lineas[${index}].material_id`,
+          message: materialValidation.message,
+        });
+      } else if (!quantityValidation.isValid) {
+        errors.push({
+          field: `lineas[${index}].cantidad`,
+          message: quantityValidation.message,
+        });
+      } else {
+        validas.push({
+          material_id: materialValidation.value,
+          cantidad: quantityValidation.value,
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError("Líneas de recepción inválidas", errors);
+    }
+
+    return validas;
+  }
+
+  /**
+   * Cruzar líneas solicitadas con las de la orden (ya bloqueadas)
+   * @returns {Array} [{ detalle, cantidad }]
+   */
+  static resolverLineasRecepcion(detalles, solicitadas) {
+    const pendiente = (detalle) =>
+      Math.round(
+        (parseFloat(detalle.cantidad) - parseFloat(detalle.cantidad_recibida)) *
+          100
+      ) / 100;
+
+    if (solicitadas === null) {
+      return detalles
+        .filter((detalle) => pendiente(detalle) > 0)
+        .map((detalle) => ({ detalle, cantidad: pendiente(detalle) }));
+    }
+
+    return solicitadas
+      .map((linea) => {
+        const detalle = detalles.find(
+          (d) => d.material_id === linea.material_id
+        );
+        if (!detalle) {
+          throw new BusinessLogicError(
+            `El material ${linea.material_id} no está en la orden`
+          );
+        }
+
+        if (linea.cantidad > pendiente(detalle)) {
+          throw new BusinessLogicError(
+            `Cantidad a recibir del material ${linea.material_id} supera lo pendiente (${pendiente(detalle)})`
+          );
+        }
+
+        return { detalle, cantidad: linea.cantidad };
+      })
+      .sort((a, b) => a.detalle.material_id - b.detalle.material_id);
+  }
+
+  /**
+   * Flete prorrateado por unidad (m³) sobre el total ordenado
+   */
+  static calcularFletePorUnidad(costoFlete, detalles) {
+    const totalOrdenado = detalles.reduce(
+      (total, detalle) => total + parseFloat(detalle.cantidad),
+      0
+    );
+    if (totalOrdenado === 0) return 0;
+
+    return Math.round((parseFloat(costoFlete) / totalOrdenado) * 100) / 100;
+  }
+
+  /**
+   * Costo puesto en planta por unidad: material + flete prorrateado
+   */
+  static calcularCostoPuesto(costoUnitario, fletePorUnidad) {
+    return Math.round((parseFloat(costoUnitario) + fletePorUnidad) * 100) / 100;
+  }
+}
+
+module.exports = OrdenCompra;
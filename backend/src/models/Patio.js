@@ -0,0 +1,245 @@
+const { query } = require("../config/database");
+const { PATIOS } = require("../config/queries");
+const { validateId, validateYardData } = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+  ConflictError,
+} = require("../middleware/errorHandler");
+const Vehiculo = require("./Vehiculo");
+const logger = require("../utils/logger");
+
+class Patio {
+  /**
+   * Listar patios
+   * @param {Object} filtros - { activo? }
+   */
+  static async findAll(filtros = {}) {
+    try {
+      const result = await query(PATIOS.LIST, [filtros.activo ?? null]);
+
+      return result.rows.map((patio) => this.formatear(patio));
+    } catch (error) {
+      logger.error("Error listando patios:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener patio por ID
+   */
+  static async findById(id) {
+    try {
+      const idValidation = validateId(id, "ID de patio");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de patio inválido");
+      }
+
+      const result = await query(PATIOS.FIND_BY_ID, [idValidation.value]);
+
+      return result.rows.length > 0 ? this.formatear(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error buscando patio por ID:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Patio principal (destino por defecto de entradas y ajustes)
+   */
+  static async getPrincipal() {
+    const result = await query(PATIOS.FIND_PRINCIPAL);
+    if (!result.rows.length) {
+      throw new NotFoundError("No hay patio principal configurado");
+    }
+
+    return this.formatear(result.rows[0]);
+  }
+
+  /**
+   * Patio de origen de un pedido
+   */
+  static async findByPedido(pedidoId) {
+    const result = await query(PATIOS.FIND_BY_PEDIDO, [pedidoId]);
+
+    return result.rows.length > 0
+      ? this.formatear(result.rows[0])
+      : await this.getPrincipal();
+  }
+
+  /**
+   * Patio activo donde se opera el stock (sin ID = patio principal)
+   */
+  static async resolver(patioId = null) {
+    if (patioId === null || patioId === undefined) {
+      return await this.getPrincipal();
+    }
+
+    const patio = await this.findById(patioId);
+    if (!patio) {
+      throw new NotFoundError("Patio no encontrado");
+    }
+
+    if (!patio.activo) {
+      throw new BusinessLogicError(`El patio ${patio.nombre} está inactivo`);
+    }
+
+    return patio;
+  }
+
+  /**
+   * Crear patio
+   * @param {Object} yardData - { nombre, direccion?, lat, lng, radio_geocerca_m? }
+   */
+  static async create(yardData) {
+    logger.info("Creando patio:", { nombre: yardData.nombre });
+
+    try {
+      const validation = validateYardData(yardData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de patio inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+
+      const result = await query(PATIOS.CREATE, [
+        validData.nombre,
+        validData.direccion || null,
+        validData.lat,
+        validData.lng,
+        validData.radio_geocerca_m ?? null,
+      ]);
+
+      logger.info("Patio creado:", { id: result.rows[0].id });
+
+      return this.formatear(result.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("Ya existe un patio con ese nombre");
+      }
+      logger.error("Error creando patio:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar patio (solo los campos enviados)
+   */
+  static async update(id, updateData) {
+    logger.info("Actualizando patio:", { id });
+
+    try {
+      const existing = await this.findById(id);
+      if (!existing) {
+        throw new NotFoundError("Patio no encontrado");
+      }
+
+      const validation = validateYardData(updateData, true);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de patio inválidos",
+          validation.errors
+        );
+      }
+
+      const datos = { ...existing, ...validation.validData };
+
+      if (existing.principal && datos.activo === false) {
+        throw new BusinessLogicError(
+          "El patio principal no puede desactivarse"
+        );
+      }
+
+      const result = await query(PATIOS.UPDATE, [
+        existing.id,
+        datos.nombre,
+        datos.direccion,
+        datos.lat,
+        datos.lng,
+        datos.activo,
+        datos.radio_geocerca_m,
+      ]);
+
+      return this.formatear(result.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("Ya existe un patio con ese nombre");
+      }
+      logger.error("Error actualizando patio:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Stock de un patio con lo reservado y lo libre
+   */
+  static async getStock(id) {
+    try {
+      const patio = await this.findById(id);
+      if (!patio) {
+        return null;
+      }
+
+      const result = await query(PATIOS.STOCK_BY_PATIO, [patio.id]);
+
+      return {
+        patio,
+        materiales: result.rows.map((row) => {
+          const disponible = parseFloat(row.cantidad_disponible);
+          const reservada = parseFloat(row.cantidad_reservada);
+
+          return {
+            ...row,
+            cantidad_disponible: disponible,
+            cantidad_reservada: reservada,
+            cantidad_libre: Math.max(0, disponible - reservada),
+          };
+        }),
+      };
+    } catch (error) {
+      logger.error("Error obteniendo stock del patio:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Ordenar patios por distancia a un punto (sin coordenadas no se reordena)
+   */
+  static ordenarPorCercania(patios, lat, lng) {
+    if (
+      lat === null ||
+      lat === undefined ||
+      lng === null ||
+      lng === undefined
+    ) {
+      return patios;
+    }
+
+    return patios
+      .map((patio) => ({
+        ...patio,
+        distancia_km:
+          Math.round(
+            Vehiculo.calculateDistance(patio.lat, patio.lng, lat, lng) * 10
+          ) / 10,
+      }))
+      .sort((a, b) => a.distancia_km - b.distancia_km);
+  }
+
+  /**
+   * Convertir coordenadas a número
+   */
+  static formatear(patio) {
+    return {
+      ...patio,
+      lat: parseFloat(patio.lat),
+      lng: parseFloat(patio.lng),
+    };
+  }
+}
+
+module.exports = Patio;
@@ -1,16 +1,36 @@
 const { query } = require("../config/database");
-const { PEDIDOS, STOCK, MATERIALES } = require("../config/queries");
+const { executeTransaction } = require("../utils/database");
+const {
+  PEDIDOS,
+  COTIZACIONES,
+  STOCK,
+  RESERVAS,
+  MATERIALES,
+  CLIENTES,
+  VEHICULOS,
+  ASIGNACIONES,
+  EVENTOS,
+} = require("../config/queries");
 const {
   validateOrderData,
   validateId,
   validateQuantity,
+  sanitizeText,
 } = require("../utils/validation");
 const { generateUniqueTrackingCode } = require("../utils/codigoSeguimiento");
+const Stock = require("./Stock");
+const Patio = require("./Patio");
+const ListaPrecio = require("./ListaPrecio");
+const Cliente = require("./Cliente");
+const Flete = require("./Flete");
+const Vehiculo = require("./Vehiculo");
 const {
   ValidationError,
   NotFoundError,
   BusinessLogicError,
+  ConflictError,
 } = require("../middleware/errorHandler");
+const tiempoReal = require("../utils/tiempoReal");
 const logger = require("../utils/logger");
 
 class Pedido {
@@ -43,16 +63,26 @@ class Pedido {
     [Pedido.ESTADOS.CANCELADO]: [], // Estado final
   };
 
+  // Último estado en que el cliente puede cancelar por su cuenta
+  // (por defecto antes de asignar vehículo)
+  static ESTADO_LIMITE_CANCELACION_CLIENTE =
+    process.env.PEDIDO_CANCELACION_CLIENTE_HASTA || Pedido.ESTADOS.CONFIRMADO;
+
   /**
-   * Crear nuevo pedido con validaciones de stock
-   * @param {Object} orderData - Datos del pedido
+   * Crear nuevo pedido con una o más líneas de material
+   * @param {Object} orderData - Datos del pedido (detalles: [{ material_id, cantidad }])
    * @param {number} clienteId - ID del cliente
-   * @returns {Object} Pedido creado
+   * @param {Object} contexto - { userId, requestId, motivo?, cotizacion?, autorizacionCredito? }
+   *        cotizacion: { id, precios, lista, flete } cuando el pedido nace de
+   *        aceptar una cotización (precios y flete quedan como se cotizaron)
+   *        autorizacionCredito: { userId, motivo } de un administrador para
+   *        aceptar el pedido aunque supere el límite de crédito
+   * @returns {Object} Pedido creado con sus líneas
    */
-  static async create(orderData, clienteId) {
+  static async create(orderData, clienteId, contexto = {}) {
     logger.info("Creando nuevo pedido:", {
       clienteId,
-      material_id: orderData.material_id,
+      lineas: Array.isArray(orderData.detalles) ? orderData.detalles.length : 1,
     });
 
     try {
@@ -67,62 +97,161 @@ class Pedido {
 
       const validData = validation.validData;
 
-      // Validar que el cliente existe - USA FUNCIÓN CENTRALIZADA
-      const clienteValidation = validateId(clienteId, "ID de cliente");
-      if (!clienteValidation.isValid) {
-        throw new ValidationError("ID de cliente inválido");
-      }
+      const cotizacion = contexto.cotizacion || null;
+      const { cliente, lineas, lista } = await this.prepararLineas(
+        validData,
+        clienteId,
+        cotizacion
+      );
 
-      // Verificar que el material existe y obtener precio
-      const materialResult = await query(MATERIALES.FIND_BY_ID, [
-        validData.material_id,
-      ]);
-      if (!materialResult.rows.length || !materialResult.rows[0].activo) {
-        throw new NotFoundError("Material no encontrado o no disponible");
-      }
+      // Volumen total: es el que se usa para asignar vehículo y tarifar flete
+      const volumenTotal = this.getVolumenTotal({ detalles: lineas });
+      const subtotalMateriales = this.sumarLineas(lineas);
 
-      const material = materialResult.rows[0];
+      // GENERAR CÓDIGO SIMPLIFICADO
+      const codigoSeguimiento = await generateUniqueTrackingCode();
 
-      // Verificar stock disponible usando función PostgreSQL optimizada
-      const stockCheck = await query(STOCK.CHECK_AVAILABILITY, [
-        validData.material_id,
-        validData.cantidad,
-      ]);
-      if (!stockCheck.rows[0].disponible) {
-        throw new BusinessLogicError(
-          `Stock insuficiente. Se requieren ${validData.cantidad} ${material.unidad_medida}, verifique disponibilidad`
+      // Crear cabecera, líneas y reservas de stock en una sola transacción;
+      // si ningún patio tiene todo el stock libre no se crea el pedido
+      const newPedido = await executeTransaction(async (client) => {
+        if (cotizacion) {
+          await this.lockCotizacionVigente(client, cotizacion.id);
+        }
+
+        const patio = await Stock.elegirPatio(client, lineas, {
+          patioId: validData.patio_id,
+          lat: validData.direccion_lat,
+          lng: validData.direccion_lng,
+        });
+
+        // El flete depende del patio elegido: va como línea aparte y
+        // dentro del precio total (el de una cotización se respeta)
+        const flete = cotizacion
+          ? cotizacion.flete
+          : await Flete.calcular({
+              lat: validData.direccion_lat,
+              lng: validData.direccion_lng,
+              direccion: validData.direccion_entrega,
+              cantidad: volumenTotal,
+              origen: patio,
+            });
+        const precioTotal = this.roundAmount(
+          subtotalMateriales + (flete ? flete.costo_total : 0)
         );
-      }
 
-      // GENERAR CÓDIGO SIMPLIFICADO
-      const codigoSeguimiento = await generateUniqueTrackingCode();
+        // Sobre el límite de crédito se rechaza, o se marca si el cliente
+        // lo permite o un administrador lo autoriza
+        const autorizacion = contexto.autorizacionCredito || null;
+        const credito = await Cliente.verificarCredito(
+          client,
+          cliente.id,
+          precioTotal,
+          autorizacion
+        );
 
-      // Calcular precio total
-      const precioTotal = validData.cantidad * material.precio_por_unidad;
-
-      // Crear el pedido - INSERTAR CÓDIGO MANUALMENTE
-      const result = await query(PEDIDOS.CREATE, [
-        codigoSeguimiento, // $1 - código generado
-        clienteValidation.value, // $2 - cliente_id
-        validData.material_id, // $3
-        validData.cantidad, // $4
-        precioTotal, // $5
-        validData.direccion_entrega, // $6
-        validData.direccion_lat, // $7
-        validData.direccion_lng, // $8
-        validData.telefono_contacto, // $9
-        validData.fecha_entrega_solicitada, // $10
-        orderData.observaciones || null, // $11
-      ]);
+        const result = await client.query(PEDIDOS.CREATE, [
+          codigoSeguimiento, // $1 - código generado
+          cliente.id, // $2 - cliente_id
+          lineas[0].material_id, // $3 - material principal
+          volumenTotal, // $4 - volumen total del pedido
+          precioTotal, // $5
+          validData.direccion_entrega, // $6
+          validData.direccion_lat, // $7
+          validData.direccion_lng, // $8
+          validData.telefono_contacto, // $9
+          validData.fecha_entrega_solicitada, // $10
+          orderData.observaciones || null, // $11
+          patio.id, // $12 - patio de origen
+          lista.id, // $13 - lista de precios aplicada
+          flete ? flete.costo_total : 0, // $14 - costo de flete
+          flete ? flete.distancia_km : null, // $15
+          flete && flete.zona ? flete.zona.id : null, // $16 - zona de flete
+          flete && flete.tarifa ? flete.tarifa.id : null, // $17 - tarifa de flete
+          cotizacion ? cotizacion.id : null, // $18 - cotización de origen
+          credito.excede, // $19 - supera el límite de crédito
+        ]);
+
+        const pedido = result.rows[0];
+        const detalles = [];
 
-      const newPedido = result.rows[0];
+        if (credito.autorizado) {
+          await Cliente.registrarAutorizacionCredito(
+            client,
+            pedido.id,
+            credito,
+            precioTotal,
+            autorizacion
+          );
+        }
+
+        await this.registrarEvento(
+          client,
+          pedido.id,
+          null,
+          this.ESTADOS.PENDIENTE,
+          { ...contexto, motivo: contexto.motivo || "Pedido creado" }
+        );
+
+        for (const linea of lineas) {
+          const detalleResult = await client.query(PEDIDOS.CREATE_DETALLE, [
+            pedido.id,
+            linea.material_id,
+            linea.cantidad,
+            linea.precio_unitario,
+            linea.subtotal,
+            linea.lista_precio_id,
+            linea.precio_lista,
+            linea.descuento_porcentaje,
+          ]);
+
+          detalles.push({
+            ...detalleResult.rows[0],
+            material_nombre: linea.material_nombre,
+            unidad_medida: linea.unidad_medida,
+          });
+        }
+
+        const reservas = await Stock.reservar(client, pedido.id, lineas, patio);
+
+        if (cotizacion) {
+          await client.query(COTIZACIONES.MARK_ACCEPTED, [
+            cotizacion.id,
+            pedido.id,
+            contexto.userId || null,
+          ]);
+        }
+
+        return {
+          ...pedido,
+          patio: { id: patio.id, nombre: patio.nombre },
+          lista_precio: lista,
+          subtotal_materiales: subtotalMateriales,
+          flete,
+          credito: credito.controlado
+            ? {
+                excede: credito.excede,
+                autorizado: credito.autorizado,
+                disponible: this.roundAmount(credito.disponible - precioTotal),
+              }
+            : null,
+          detalles,
+          reserva_expira_en: reservas[0].expira_en,
+        };
+      });
 
       logger.info("Pedido creado exitosamente:", {
         id: newPedido.id,
         codigo: newPedido.codigo_seguimiento,
-        valor: precioTotal,
+        patio: newPedido.patio.nombre,
+        lineas: newPedido.detalles.length,
+        valor: newPedido.precio_total,
       });
 
+      // La reserva baja el stock libre: puede cruzar el mínimo
+      await Stock.revisarReposicion(
+        newPedido.detalles.map((detalle) => detalle.material_id)
+      );
+
       return newPedido;
     } catch (error) {
       logger.error("Error creando pedido:", error.message);
@@ -130,6 +259,148 @@ class Pedido {
     }
   }
 
+  /**
+   * Cotizar un pedido sin crear nada
+   * Mismos precios, patio y flete que tendría el pedido si se creara
+   * ahora; el stock no se reserva, solo se informa si alcanza
+   * @param {Object} orderData - Mismo formato que create
+   * @returns {Object} Líneas con precio, flete y totales
+   */
+  static async cotizar(orderData, clienteId) {
+    try {
+      const validation = validateOrderData(orderData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de pedido inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+      const { cliente, lineas, lista } = await this.prepararLineas(
+        validData,
+        clienteId
+      );
+
+      const volumenTotal = this.getVolumenTotal({ detalles: lineas });
+      const subtotalMateriales = this.sumarLineas(lineas);
+
+      const { patio, stock_suficiente } = await Stock.sugerirPatio(lineas, {
+        patioId: validData.patio_id,
+        lat: validData.direccion_lat,
+        lng: validData.direccion_lng,
+      });
+
+      const flete = await Flete.calcular({
+        lat: validData.direccion_lat,
+        lng: validData.direccion_lng,
+        direccion: validData.direccion_entrega,
+        cantidad: volumenTotal,
+        origen: patio,
+      });
+
+      const precioTotal = this.roundAmount(
+        subtotalMateriales + (flete ? flete.costo_total : 0)
+      );
+      const credito = await Cliente.getCredito(cliente.id);
+
+      return {
+        detalles: lineas.map((linea) => ({
+          material_id: linea.material_id,
+          material_nombre: linea.material_nombre,
+          unidad_medida: linea.unidad_medida,
+          cantidad: linea.cantidad,
+          precio_lista: linea.precio_lista,
+          descuento_porcentaje: linea.descuento_porcentaje,
+          precio_unitario: linea.precio_unitario,
+          subtotal: linea.subtotal,
+        })),
+        cantidad_total: volumenTotal,
+        lista_precio: lista,
+        patio: { id: patio.id, nombre: patio.nombre },
+        stock_suficiente,
+        subtotal_materiales: subtotalMateriales,
+        flete,
+        precio_total: precioTotal,
+        credito:
+          credito.disponible === null
+            ? null
+            : {
+                disponible: credito.disponible,
+                alcanza: precioTotal <= credito.disponible,
+              },
+      };
+    } catch (error) {
+      logger.error("Error cotizando pedido:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Verificar cliente y materiales y ponerle precio a cada línea
+   * Precio de la lista del tipo de cliente (o la general) con su
+   * descuento por volumen, tal como queda congelado en el pedido;
+   * con cotización se usan los precios que se cotizaron
+   * @param {Object} validData - Datos ya validados con validateOrderData
+   * @param {Object|null} cotizacion - { precios: Map material_id → precio, lista }
+   * @returns {Object} { cliente, lineas, lista }
+   */
+  static async prepararLineas(validData, clienteId, cotizacion = null) {
+    const clienteValidation = validateId(clienteId, "ID de cliente");
+    if (!clienteValidation.isValid) {
+      throw new ValidationError("ID de cliente inválido");
+    }
+
+    const clienteResult = await query(CLIENTES.FIND_BY_ID, [
+      clienteValidation.value,
+    ]);
+    if (!clienteResult.rows.length) {
+      throw new NotFoundError("Cliente no encontrado");
+    }
+
+    const cliente = clienteResult.rows[0];
+    if (!cliente.activo) {
+      throw new BusinessLogicError("El cliente está desactivado");
+    }
+
+    // Verificar cada línea: material activo
+    const lineas = [];
+    for (const detalle of validData.detalles) {
+      const materialResult = await query(MATERIALES.FIND_BY_ID, [
+        detalle.material_id,
+      ]);
+      if (!materialResult.rows.length || !materialResult.rows[0].activo) {
+        throw new NotFoundError(
+          `Material ${detalle.material_id} no encontrado o no disponible`
+        );
+      }
+
+      const material = materialResult.rows[0];
+
+      lineas.push({
+        material_id: detalle.material_id,
+        material_nombre: material.nombre,
+        unidad_medida: material.unidad_medida,
+        cantidad: detalle.cantidad,
+      });
+    }
+
+    const precios =
+      cotizacion || (await ListaPrecio.cotizar(lineas, cliente.tipo_cliente));
+    lineas.forEach((linea) => {
+      const precio = precios.precios.get(linea.material_id);
+      if (!precio) {
+        throw new BusinessLogicError(
+          `${linea.material_nombre} no está en la cotización`
+        );
+      }
+      Object.assign(linea, precio);
+      linea.subtotal = this.roundAmount(linea.cantidad * linea.precio_unitario);
+    });
+
+    return { cliente, lineas, lista: precios.lista };
+  }
+
   /**
    * Obtener pedidos con información completa - CORREGIDO SIN PARÁMETROS NULL
    * @param {Object} filters - Filtros de búsqueda
@@ -249,6 +520,25 @@ class Pedido {
     }
   }
 
+  /**
+   * Obtener líneas (materiales) de un pedido
+   */
+  static async findDetalles(pedidoId) {
+    try {
+      const idValidation = validateId(pedidoId, "ID de pedido");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de pedido inválido");
+      }
+
+      const result = await query(PEDIDOS.GET_DETALLES, [idValidation.value]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error("Error obteniendo líneas del pedido:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Obtener pedidos pendientes de asignación
    */
@@ -265,8 +555,9 @@ class Pedido {
 
   /**
    * Actualizar estado del pedido con validaciones
+   * @param {Object} contexto - { motivo?, requestId? } para el historial
    */
-  static async updateStatus(id, nuevoEstado, userId) {
+  static async updateStatus(id, nuevoEstado, userId, contexto = {}) {
     logger.info("Actualizando estado de pedido:", { id, nuevoEstado, userId });
 
     try {
@@ -301,18 +592,62 @@ class Pedido {
         );
       }
 
-      // Actualizar estado
-      const result = await query(PEDIDOS.UPDATE_STATUS, [
-        idValidation.value,
-        nuevoEstado,
-      ]);
+      // La cancelación además devuelve stock y libera el vehículo
+      if (nuevoEstado === this.ESTADOS.CANCELADO) {
+        return await this.cancel(idValidation.value, userId, contexto);
+      }
+
+      // La confirmación convierte la reserva en descuento de stock
+      if (nuevoEstado === this.ESTADOS.CONFIRMADO) {
+        const { pedido } = await this.confirm(
+          idValidation.value,
+          userId,
+          contexto
+        );
+        return pedido;
+      }
+
+      // Estado e historial se guardan juntos; en estados finales también
+      // se libera el vehículo en la misma transacción
+      const updatedPedido = await executeTransaction(async (client) => {
+        await this.lockForUpdate(
+          client,
+          idValidation.value,
+          pedidoActual.estado
+        );
+
+        const result = await client.query(PEDIDOS.UPDATE_STATUS, [
+          idValidation.value,
+          nuevoEstado,
+        ]);
+
+        await this.registrarEvento(
+          client,
+          idValidation.value,
+          pedidoActual.estado,
+          nuevoEstado,
+          { ...contexto, userId }
+        );
+
+        if (!this.isFinalState(nuevoEstado)) {
+          return result.rows[0];
+        }
 
-      const updatedPedido = result.rows[0];
+        const vehiculoLiberado = await this.releaseVehicle(
+          client,
+          idValidation.value,
+          nuevoEstado,
+          userId
+        );
+
+        return { ...result.rows[0], vehiculo_liberado: vehiculoLiberado };
+      });
 
       logger.info("Estado actualizado exitosamente:", {
         id: updatedPedido.id,
         estadoAnterior: pedidoActual.estado,
         estadoNuevo: updatedPedido.estado,
+        vehiculoLiberado: updatedPedido.vehiculo_liberado?.placa,
       });
 
       return updatedPedido;
@@ -323,64 +658,939 @@ class Pedido {
   }
 
   /**
-   * Confirmar pedido y reducir stock
+   * Cancelar pedido (→ cancelado)
+   * Si el stock ya se descontó (confirmado o posterior) se devuelve, y el
+   * vehículo asignado se libera, todo en la misma transacción
+   * @param {Object} contexto - { motivo?, requestId?, esCliente? }
    */
-  static async confirm(id, userId) {
-    logger.info("Confirmando pedido:", { id, userId });
+  static async cancel(id, userId, contexto = {}) {
+    logger.info("Cancelando pedido:", {
+      id,
+      userId,
+      esCliente: !!contexto.esCliente,
+    });
 
     try {
-      // Obtener pedido
-      const pedido = await this.findById(id);
+      const idValidation = validateId(id, "ID de pedido");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de pedido inválido");
+      }
+
+      const pedido = await this.findById(idValidation.value);
       if (!pedido) {
         throw new NotFoundError("Pedido no encontrado");
       }
 
-      // Verificar que esté en estado pendiente
-      if (pedido.estado !== this.ESTADOS.PENDIENTE) {
+      if (!this.isValidTransition(pedido.estado, this.ESTADOS.CANCELADO)) {
         throw new BusinessLogicError(
-          `No se puede confirmar pedido en estado: ${pedido.estado}`
+          `No se puede cancelar pedido en estado: ${pedido.estado}`
         );
       }
 
-      // Verificar stock nuevamente antes de confirmar
-      const stockCheck = await query(STOCK.CHECK_AVAILABILITY, [
-        pedido.material_id,
-        pedido.cantidad,
-      ]);
-      if (!stockCheck.rows[0].disponible) {
+      if (contexto.esCliente && !this.canClientCancel(pedido.estado)) {
+        throw new BusinessLogicError(
+          `El pedido ya no puede cancelarse en línea (estado: ${pedido.estado}). Comuníquese con administración`
+        );
+      }
+
+      const detalles = this.hasStockDeducted(pedido.estado)
+        ? await this.findDetalles(pedido.id)
+        : [];
+      const patio = detalles.length
+        ? await Patio.findByPedido(pedido.id)
+        : null;
+
+      const pedidoCancelado = await executeTransaction(async (client) => {
+        // Solo cancela si nadie cambió el estado desde la lectura
+        await this.lockForUpdate(client, pedido.id, pedido.estado);
+
+        const result = await client.query(PEDIDOS.CANCEL, [
+          pedido.id,
+          pedido.estado,
+        ]);
+
+        // Bloquear stock en orden de material para evitar interbloqueos
+        if (detalles.length) {
+          await client.query(STOCK.LOCK_BY_MATERIALES, [
+            detalles.map((detalle) => detalle.material_id),
+          ]);
+        }
+
+        // Un pedido pendiente solo tenía reservado su stock
+        const reservasLiberadas = await Stock.cerrarReservas(
+          client,
+          pedido.id,
+          Stock.ESTADOS_RESERVA.LIBERADA
+        );
+
+        const stockRestituido = [];
+        for (const detalle of detalles) {
+          const stockResult = await client.query(STOCK.RESTORE_STOCK, [
+            detalle.material_id,
+            detalle.cantidad,
+            userId,
+          ]);
+          if (!stockResult.rows.length) {
+            throw new NotFoundError(
+              `Stock de ${detalle.material_nombre} no encontrado`
+            );
+          }
+
+          // El material vuelve al patio del que salió
+          const saldoPatio = await Stock.ajustarStockPatio(
+            client,
+            patio,
+            detalle.material_id,
+            parseFloat(detalle.cantidad)
+          );
+
+          await Stock.registrarMovimiento(client, {
+            materialId: detalle.material_id,
+            tipo: Stock.TIPOS_MOVIMIENTO.DEVOLUCION,
+            cantidad: parseFloat(detalle.cantidad),
+            saldo: stockResult.rows[0].cantidad_disponible,
+            userId,
+            pedidoId: pedido.id,
+            nota: `Cancelación de pedido ${pedido.codigo_seguimiento}`,
+            patioId: patio.id,
+            saldoPatio,
+          });
+
+          stockRestituido.push({
+            ...stockResult.rows[0],
+            material_nombre: detalle.material_nombre,
+            cantidad_restituida: parseFloat(detalle.cantidad),
+          });
+        }
+
+        await this.registrarEvento(
+          client,
+          pedido.id,
+          pedido.estado,
+          this.ESTADOS.CANCELADO,
+          { ...contexto, userId }
+        );
+
+        const vehiculoLiberado = await this.releaseVehicle(
+          client,
+          pedido.id,
+          this.ESTADOS.CANCELADO,
+          userId
+        );
+
+        return {
+          ...result.rows[0],
+          stock_restituido: stockRestituido,
+          reservas_liberadas: reservasLiberadas.length,
+          vehiculo_liberado: vehiculoLiberado,
+        };
+      });
+
+      logger.info("Pedido cancelado:", {
+        id: pedido.id,
+        estadoAnterior: pedido.estado,
+        materialesRestituidos: pedidoCancelado.stock_restituido.length,
+        vehiculoLiberado: pedidoCancelado.vehiculo_liberado?.placa,
+      });
+
+      return pedidoCancelado;
+    } catch (error) {
+      logger.error("Error cancelando pedido:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Asignar vehículo al pedido (confirmado → asignado)
+   * @param {Object} evaluacion - { modo, puntuacion, reglas_aplicadas } del sistema experto
+   * @param {Object} contexto - { motivo?, requestId? } para el historial
+   */
+  static async assignVehicle(
+    id,
+    vehiculoId,
+    userId,
+    evaluacion = {},
+    contexto = {}
+  ) {
+    logger.info("Asignando vehículo a pedido:", {
+      id,
+      vehiculoId,
+      userId,
+      modo: evaluacion.modo || "manual",
+    });
+
+    try {
+      const idValidation = validateId(id, "ID de pedido");
+      const vehiculoValidation = validateId(vehiculoId, "ID de vehículo");
+      if (!idValidation.isValid || !vehiculoValidation.isValid) {
+        throw new ValidationError("ID de pedido o vehículo inválido");
+      }
+
+      const pedidoActual = await this.findById(idValidation.value);
+      if (!pedidoActual) {
+        throw new NotFoundError("Pedido no encontrado");
+      }
+
+      if (!this.isValidTransition(pedidoActual.estado, this.ESTADOS.ASIGNADO)) {
         throw new BusinessLogicError(
-          "Stock insuficiente para confirmar el pedido"
+          `No se puede asignar vehículo a pedido en estado: ${pedidoActual.estado}`
+        );
+      }
+
+      // Pedido, vehículo y registro de asignación cambian juntos
+      const pedidoAsignado = await executeTransaction(async (client) => {
+        await this.lockForUpdate(
+          client,
+          idValidation.value,
+          pedidoActual.estado
+        );
+
+        const vehiculoResult = await client.query(VEHICULOS.MARK_IN_USE, [
+          vehiculoValidation.value,
+        ]);
+        if (!vehiculoResult.rows.length) {
+          // Otro pedido lo tomó entre la evaluación y la asignación
+          throw new ConflictError("Vehículo no disponible");
+        }
+
+        await Vehiculo.registrarEvento(
+          client,
+          vehiculoValidation.value,
+          Vehiculo.ESTADOS.DISPONIBLE,
+          Vehiculo.ESTADOS.EN_USO,
+          {
+            userId,
+            pedidoId: idValidation.value,
+            motivo: `Asignado al pedido ${pedidoActual.codigo_seguimiento}`,
+          }
+        );
+
+        const result = await client.query(PEDIDOS.ASSIGN_VEHICLE, [
+          idValidation.value,
+          vehiculoValidation.value,
+        ]);
+
+        const asignacionResult = await client.query(ASIGNACIONES.CREATE, [
+          idValidation.value,
+          vehiculoValidation.value,
+          userId,
+          evaluacion.modo || "manual",
+          evaluacion.puntuacion ?? null,
+          JSON.stringify(evaluacion.reglas_aplicadas || []),
+        ]);
+
+        const modo = evaluacion.modo || "manual";
+        await this.registrarEvento(
+          client,
+          idValidation.value,
+          pedidoActual.estado,
+          this.ESTADOS.ASIGNADO,
+          {
+            ...contexto,
+            userId,
+            motivo:
+              contexto.motivo ||
+              `Vehículo ${vehiculoResult.rows[0].placa} asignado (${modo})`,
+          }
+        );
+
+        return { ...result.rows[0], asignacion: asignacionResult.rows[0] };
+      });
+
+      logger.info("Asignación registrada:", {
+        pedidoId: pedidoAsignado.id,
+        vehiculoId: vehiculoValidation.value,
+        asignacionId: pedidoAsignado.asignacion.id,
+      });
+
+      return pedidoAsignado;
+    } catch (error) {
+      logger.error("Error asignando vehículo a pedido:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener pedidos asignados a un vehículo
+   * @param {number} vehiculoId - ID del vehículo
+   * @param {Array} estados - Estados a incluir (por defecto los activos)
+   */
+  static async findByVehiculo(
+    vehiculoId,
+    estados = [this.ESTADOS.ASIGNADO, this.ESTADOS.EN_TRANSITO]
+  ) {
+    try {
+      const idValidation = validateId(vehiculoId, "ID de vehículo");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de vehículo inválido");
+      }
+
+      const result = await query(PEDIDOS.LIST_BY_VEHICULO, [
+        idValidation.value,
+        estados,
+      ]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error("Error obteniendo pedidos del vehículo:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Cerrar la asignación activa del pedido y devolver el vehículo a
+   * disponible si no le quedan otros pedidos. Se ejecuta dentro de la
+   * transacción del cambio de estado.
+   * @param {Object} client - Cliente de la transacción
+   * @param {number} pedidoId - ID del pedido
+   * @param {string} motivo - Estado que provoca la liberación
+   * @param {number} userId - Usuario que provoca la liberación (historial)
+   * @returns {Object|null} Vehículo liberado
+   */
+  static async releaseVehicle(client, pedidoId, motivo, userId = null) {
+    const asignaciones = await client.query(ASIGNACIONES.RELEASE_BY_PEDIDO, [
+      pedidoId,
+      motivo,
+    ]);
+
+    let vehiculoLiberado = null;
+
+    for (const asignacion of asignaciones.rows) {
+      const vehiculoResult = await client.query(VEHICULOS.RELEASE_IF_IDLE, [
+        asignacion.vehiculo_id,
+      ]);
+
+      if (vehiculoResult.rows.length) {
+        vehiculoLiberado = vehiculoResult.rows[0];
+
+        await Vehiculo.registrarEvento(
+          client,
+          vehiculoLiberado.id,
+          Vehiculo.ESTADOS.EN_USO,
+          Vehiculo.ESTADOS.DISPONIBLE,
+          { userId, pedidoId, motivo: `Pedido ${motivo}` }
+        );
+      }
+    }
+
+    return vehiculoLiberado;
+  }
+
+  /**
+   * Sacar un pedido del vehículo averiado, dentro de la transacción del
+   * reporte de avería.
+   * Sin cargar vuelve a confirmado para asignarle otro vehículo: es la
+   * única vuelta atrás fuera de FLUJO_ESTADOS y el stock descontado al
+   * confirmar sigue cubriendo la carga en el patio.
+   * Ya cargado (fecha_carga o en_transito) el material viaja en el
+   * vehículo averiado y no se vuelve a despachar desde el patio: el pedido
+   * sigue en ese vehículo, queda anotado en su historial y espera un
+   * transbordo (o que el vehículo reparado retome el viaje).
+   * @param {Object} vehiculo - Vehículo averiado { id, placa }
+   * @param {Object} contexto - { userId, requestId?, registrarRetencion? }
+   * @returns {Object|null} Pedido con liberado / requiere_transbordo, o null si ya no usaba el vehículo
+   */
+  static async liberarPorAveria(client, pedidoId, vehiculo, contexto = {}) {
+    const { registrarRetencion = true, ...eventoContexto } = contexto;
+
+    const pedido = await this.lockForUpdate(client, pedidoId);
+
+    if (
+      pedido.vehiculo_id !== vehiculo.id ||
+      ![this.ESTADOS.ASIGNADO, this.ESTADOS.EN_TRANSITO].includes(pedido.estado)
+    ) {
+      return null;
+    }
+
+    if (pedido.estado === this.ESTADOS.EN_TRANSITO || pedido.fecha_carga) {
+      logger.warn("Carga retenida en vehículo averiado:", {
+        pedidoId: pedido.id,
+        vehiculoId: vehiculo.id,
+      });
+
+      if (registrarRetencion) {
+        await this.registrarEvento(
+          client,
+          pedido.id,
+          pedido.estado,
+          pedido.estado,
+          {
+            ...eventoContexto,
+            motivo: `Vehículo ${vehiculo.placa} averiado con la carga a bordo; requiere transbordo`,
+          }
+        );
+      }
+
+      return {
+        id: pedido.id,
+        codigo_seguimiento: pedido.codigo_seguimiento,
+        estado: pedido.estado,
+        estado_anterior: pedido.estado,
+        liberado: false,
+        requiere_transbordo: true,
+      };
+    }
+
+    await this.releaseVehicle(
+      client,
+      pedido.id,
+      Vehiculo.ESTADOS.AVERIADO,
+      eventoContexto.userId
+    );
+
+    const result = await client.query(PEDIDOS.UNASSIGN_VEHICLE, [pedido.id]);
+
+    await this.registrarEvento(
+      client,
+      pedido.id,
+      pedido.estado,
+      this.ESTADOS.CONFIRMADO,
+      {
+        ...eventoContexto,
+        motivo: `Vehículo ${vehiculo.placa} averiado, pedido en espera de reasignación`,
+      }
+    );
+
+    return {
+      ...result.rows[0],
+      estado_anterior: pedido.estado,
+      liberado: true,
+      requiere_transbordo: false,
+    };
+  }
+
+  /**
+   * Transbordar la carga de un vehículo averiado a otro disponible
+   * El pedido conserva su estado y su hora de carga: el material pasa de
+   * un camión al otro sin volver a salir del patio.
+   * @param {Object} contexto - { motivo?, requestId? } para el historial
+   */
+  static async transbordar(id, vehiculoId, userId, contexto = {}) {
+    logger.info("Transbordando carga de pedido:", { id, vehiculoId, userId });
+
+    try {
+      const idValidation = validateId(id, "ID de pedido");
+      const vehiculoValidation = validateId(vehiculoId, "ID de vehículo");
+      if (!idValidation.isValid || !vehiculoValidation.isValid) {
+        throw new ValidationError("ID de pedido o vehículo inválido");
+      }
+
+      const resultado = await executeTransaction(async (client) => {
+        const pedido = await this.lockForUpdate(client, idValidation.value);
+
+        if (
+          ![this.ESTADOS.ASIGNADO, this.ESTADOS.EN_TRANSITO].includes(
+            pedido.estado
+          )
+        ) {
+          throw new BusinessLogicError(
+            `No se puede transbordar un pedido en estado: ${pedido.estado}`
+          );
+        }
+
+        const origenResult = await client.query(VEHICULOS.LOCK_BY_ID, [
+          pedido.vehiculo_id,
+        ]);
+        const origen = origenResult.rows[0];
+
+        if (!origen || origen.estado !== Vehiculo.ESTADOS.AVERIADO) {
+          throw new BusinessLogicError(
+            "Solo se transborda la carga de un vehículo averiado"
+          );
+        }
+
+        const destinoResult = await client.query(VEHICULOS.MARK_IN_USE, [
+          vehiculoValidation.value,
+        ]);
+        if (!destinoResult.rows.length) {
+          throw new ConflictError("Vehículo no disponible");
+        }
+        const destino = destinoResult.rows[0];
+
+        const motivo =
+          sanitizeText(contexto.motivo || "") ||
+          `Carga transbordada de ${origen.placa} a ${destino.placa}`;
+
+        await Vehiculo.registrarEvento(
+          client,
+          destino.id,
+          Vehiculo.ESTADOS.DISPONIBLE,
+          Vehiculo.ESTADOS.EN_USO,
+          { userId, pedidoId: pedido.id, motivo }
         );
+
+        await client.query(ASIGNACIONES.RELEASE_BY_PEDIDO, [
+          pedido.id,
+          "transbordo",
+        ]);
+
+        const result = await client.query(PEDIDOS.TRANSFER_VEHICLE, [
+          pedido.id,
+          destino.id,
+        ]);
+
+        const asignacionResult = await client.query(ASIGNACIONES.CREATE, [
+          pedido.id,
+          destino.id,
+          userId,
+          "manual",
+          null,
+          JSON.stringify([]),
+        ]);
+
+        await this.registrarEvento(
+          client,
+          pedido.id,
+          pedido.estado,
+          pedido.estado,
+          { ...contexto, userId, motivo }
+        );
+
+        return {
+          ...result.rows[0],
+          vehiculo_anterior: { id: origen.id, placa: origen.placa },
+          vehiculo: { id: destino.id, placa: destino.placa },
+          asignacion: asignacionResult.rows[0],
+        };
+      });
+
+      logger.info("Carga transbordada:", {
+        pedidoId: resultado.id,
+        desde: resultado.vehiculo_anterior.placa,
+        hacia: resultado.vehiculo.placa,
+      });
+
+      return resultado;
+    } catch (error) {
+      logger.error("Error transbordando carga de pedido:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener la asignación de vehículo más reciente del pedido
+   */
+  static async findAsignacion(pedidoId) {
+    try {
+      const idValidation = validateId(pedidoId, "ID de pedido");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de pedido inválido");
       }
 
-      // Reducir stock
-      const stockReduction = await query(STOCK.REDUCE_STOCK, [
-        pedido.material_id,
-        pedido.cantidad,
-        userId,
+      const result = await query(ASIGNACIONES.FIND_LATEST_BY_PEDIDO, [
+        idValidation.value,
       ]);
 
-      if (!stockReduction.rows.length) {
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      logger.error("Error obteniendo asignación del pedido:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Bloquear fila del pedido hasta el fin de la transacción (SELECT ... FOR UPDATE)
+   * Si el estado ya no es el esperado, otro proceso lo cambió primero
+   * @param {Object} client - Cliente de la transacción
+   * @param {string} estadoEsperado - Estado leído antes de abrir la transacción
+   */
+  static async lockForUpdate(client, pedidoId, estadoEsperado = null) {
+    const result = await client.query(PEDIDOS.LOCK_BY_ID, [pedidoId]);
+    if (!result.rows.length) {
+      throw new NotFoundError("Pedido no encontrado");
+    }
+
+    const pedido = result.rows[0];
+    if (estadoEsperado && pedido.estado !== estadoEsperado) {
+      throw new ConflictError(
+        `El pedido cambió de estado (${pedido.estado}), intente nuevamente`
+      );
+    }
+
+    return pedido;
+  }
+
+  /**
+   * Bloquear la cotización que se está aceptando
+   * Dos aceptaciones simultáneas se serializan aquí: la segunda ya la
+   * encuentra aceptada y no crea otro pedido
+   */
+  static async lockCotizacionVigente(client, cotizacionId) {
+    const result = await client.query(COTIZACIONES.LOCK_BY_ID, [cotizacionId]);
+    if (!result.rows.length) {
+      throw new NotFoundError("Cotización no encontrada");
+    }
+
+    const cotizacion = result.rows[0];
+    if (cotizacion.estado !== "vigente") {
+      throw new ConflictError(
+        `La cotización ${cotizacion.numero} ya no está vigente (${cotizacion.estado})`
+      );
+    }
+
+    return cotizacion;
+  }
+
+  /**
+   * Registrar evento en el historial del pedido
+   * Se llama con el client de la transacción que cambia el estado
+   * @param {Object} contexto - { userId?, motivo?, requestId? }
+   */
+  static async registrarEvento(
+    client,
+    pedidoId,
+    estadoAnterior,
+    estadoNuevo,
+    contexto = {}
+  ) {
+    const result = await client.query(EVENTOS.CREATE, [
+      pedidoId,
+      estadoAnterior,
+      estadoNuevo,
+      contexto.userId || null,
+      contexto.motivo || null,
+      contexto.requestId || null,
+    ]);
+
+    tiempoReal.publicarAlConfirmar(client, tiempoReal.TIPOS.ESTADO_PEDIDO, {
+      pedido_id: pedidoId,
+      estado_anterior: estadoAnterior,
+      estado_nuevo: estadoNuevo,
+    });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Obtener historial de estados del pedido (orden cronológico)
+   */
+  static async findHistorial(pedidoId) {
+    try {
+      const idValidation = validateId(pedidoId, "ID de pedido");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de pedido inválido");
+      }
+
+      const result = await query(EVENTOS.LIST_BY_PEDIDO, [idValidation.value]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error("Error obteniendo historial de pedido:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar carga del material en el vehículo (pedido asignado)
+   * Se bloquea el pedido y después su vehículo: no se carga en un vehículo
+   * averiado y la carga queda en el historial del pedido
+   * @param {Object} contexto - { motivo?, requestId? } para el historial
+   */
+  static async markLoaded(id, userId, contexto = {}) {
+    logger.info("Registrando carga de pedido:", { id, userId });
+
+    try {
+      const pedido = await this.findById(id);
+      if (!pedido) {
+        throw new NotFoundError("Pedido no encontrado");
+      }
+
+      if (pedido.estado !== this.ESTADOS.ASIGNADO) {
         throw new BusinessLogicError(
-          "No se pudo reducir el stock (posible condición de carrera)"
+          `Solo se puede cargar un pedido asignado (estado actual: ${pedido.estado})`
         );
       }
 
-      // Actualizar estado a confirmado
-      const updatedPedido = await this.updateStatus(
-        id,
-        this.ESTADOS.CONFIRMADO,
-        userId
+      const pedidoCargado = await executeTransaction(async (client) => {
+        const bloqueado = await this.lockForUpdate(
+          client,
+          pedido.id,
+          this.ESTADOS.ASIGNADO
+        );
+
+        if (bloqueado.fecha_carga) {
+          throw new BusinessLogicError("El pedido ya fue marcado como cargado");
+        }
+
+        const vehiculoResult = await client.query(VEHICULOS.LOCK_BY_ID, [
+          bloqueado.vehiculo_id,
+        ]);
+        const vehiculo = vehiculoResult.rows[0];
+
+        if (vehiculo && vehiculo.estado === Vehiculo.ESTADOS.AVERIADO) {
+          throw new BusinessLogicError(
+            `El vehículo ${vehiculo.placa} está averiado; reasigne el pedido antes de cargarlo`
+          );
+        }
+
+        const result = await client.query(PEDIDOS.MARK_LOADED, [pedido.id]);
+
+        await this.registrarEvento(
+          client,
+          pedido.id,
+          this.ESTADOS.ASIGNADO,
+          this.ESTADOS.ASIGNADO,
+          {
+            ...contexto,
+            userId,
+            motivo:
+              contexto.motivo ||
+              (vehiculo
+                ? `Material cargado en ${vehiculo.placa}`
+                : "Material cargado"),
+          }
+        );
+
+        return result.rows[0];
+      });
+
+      logger.info("Carga registrada:", {
+        id: pedido.id,
+        codigo: pedido.codigo_seguimiento,
+      });
+
+      return pedidoCargado;
+    } catch (error) {
+      logger.error("Error registrando carga:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar entrega con comprobante (en_transito → entregado)
+   * @param {number} id - ID del pedido
+   * @param {Object} proofData - Comprobante ya validado
+   * @param {Object} conductor - { userId, vehiculoId, requestId? }
+   */
+  static async registerDelivery(
+    id,
+    proofData,
+    { userId, vehiculoId, requestId = null }
+  ) {
+    logger.info("Registrando entrega de pedido:", { id, userId, vehiculoId });
+
+    try {
+      const pedido = await this.findById(id);
+      if (!pedido) {
+        throw new NotFoundError("Pedido no encontrado");
+      }
+
+      if (!this.isValidTransition(pedido.estado, this.ESTADOS.ENTREGADO)) {
+        throw new BusinessLogicError(
+          `No se puede registrar entrega de pedido en estado: ${pedido.estado}`
+        );
+      }
+
+      // Estado y comprobante se guardan juntos
+      const resultado = await executeTransaction(async (client) => {
+        await this.lockForUpdate(client, pedido.id, pedido.estado);
+
+        const statusResult = await client.query(PEDIDOS.UPDATE_STATUS, [
+          pedido.id,
+          this.ESTADOS.ENTREGADO,
+        ]);
+
+        const entregaResult = await client.query(PEDIDOS.CREATE_ENTREGA, [
+          pedido.id,
+          userId,
+          vehiculoId,
+          proofData.receptor_nombre,
+          proofData.receptor_documento,
+          proofData.evidencia_url,
+          proofData.observaciones,
+          proofData.lat,
+          proofData.lng,
+        ]);
+
+        await this.registrarEvento(
+          client,
+          pedido.id,
+          pedido.estado,
+          this.ESTADOS.ENTREGADO,
+          {
+            userId,
+            requestId,
+            motivo: `Recibido por ${proofData.receptor_nombre}`,
+          }
+        );
+
+        const vehiculoLiberado = await this.releaseVehicle(
+          client,
+          pedido.id,
+          this.ESTADOS.ENTREGADO,
+          userId
+        );
+
+        return {
+          pedido: statusResult.rows[0],
+          entrega: entregaResult.rows[0],
+          vehiculo_liberado: vehiculoLiberado,
+        };
+      });
+
+      logger.info("Entrega registrada exitosamente:", {
+        id: pedido.id,
+        codigo: pedido.codigo_seguimiento,
+        receptor: proofData.receptor_nombre,
+      });
+
+      return resultado;
+    } catch (error) {
+      logger.error("Error registrando entrega:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirmar pedido y reducir stock (la reserva pasa a descuento)
+   * @param {Object} contexto - { motivo?, requestId? } para el historial
+   */
+  static async confirm(id, userId, contexto = {}) {
+    logger.info("Confirmando pedido:", { id, userId });
+
+    try {
+      // Obtener pedido
+      const pedido = await this.findById(id);
+      if (!pedido) {
+        throw new NotFoundError("Pedido no encontrado");
+      }
+
+      // Verificar que esté en estado pendiente
+      if (pedido.estado !== this.ESTADOS.PENDIENTE) {
+        throw new BusinessLogicError(
+          `No se puede confirmar pedido en estado: ${pedido.estado}`
+        );
+      }
+
+      const detalles = await this.findDetalles(pedido.id);
+      if (!detalles.length) {
+        throw new BusinessLogicError("El pedido no tiene materiales");
+      }
+
+      const patio = await Patio.findByPedido(pedido.id);
+
+      // Pedido y stock bloqueados: el stock se verifica y descuenta y el
+      // estado cambia en la misma transacción; si un material no alcanza,
+      // no se descuenta ninguno
+      const { updatedPedido, stockActualizado } = await executeTransaction(
+        async (client) => {
+          await this.lockForUpdate(client, pedido.id, this.ESTADOS.PENDIENTE);
+
+          // Bloquear stock en orden de material para evitar interbloqueos
+          const materialIds = detalles.map((detalle) => detalle.material_id);
+          const stockPorMaterial = await Stock.lockConReservas(
+            client,
+            materialIds,
+            pedido.id
+          );
+          const stockPatio = (
+            await Stock.getStockPorPatio(client, materialIds, pedido.id)
+          ).get(patio.id);
+
+          // Con reserva vigente el pedido ya tiene su parte apartada; sin
+          // ella (vencida) compite por lo que no reservaron otros pedidos
+          const reservasResult = await client.query(
+            RESERVAS.LIST_ACTIVE_BY_PEDIDO,
+            [pedido.id]
+          );
+          const reservadoPorMaterial = new Map(
+            reservasResult.rows.map((reserva) => [
+              reserva.material_id,
+              parseFloat(reserva.cantidad),
+            ])
+          );
+
+          const actualizados = [];
+          for (const detalle of detalles) {
+            const cantidad = parseFloat(detalle.cantidad);
+            const reservado =
+              (reservadoPorMaterial.get(detalle.material_id) || 0) >= cantidad;
+            const alcanza = (stock) =>
+              stock &&
+              (reservado ? stock.cantidad_disponible : stock.cantidad_libre) >=
+                cantidad;
+
+            // Debe alcanzar en total y en el patio de origen del pedido
+            if (
+              !alcanza(stockPorMaterial.get(detalle.material_id)) ||
+              !alcanza(
+                stockPatio && stockPatio.materiales.get(detalle.material_id)
+              )
+            ) {
+              throw new BusinessLogicError(
+                `Stock insuficiente de ${detalle.material_nombre} en ${patio.nombre} para confirmar el pedido`
+              );
+            }
+
+            const stockReduction = await client.query(STOCK.REDUCE_STOCK, [
+              detalle.material_id,
+              detalle.cantidad,
+              userId,
+            ]);
+            const saldoPatio = await Stock.ajustarStockPatio(
+              client,
+              patio,
+              detalle.material_id,
+              -cantidad
+            );
+
+            await Stock.registrarMovimiento(client, {
+              materialId: detalle.material_id,
+              tipo: Stock.TIPOS_MOVIMIENTO.SALIDA_PEDIDO,
+              cantidad: -cantidad,
+              saldo: stockReduction.rows[0].cantidad_disponible,
+              userId,
+              pedidoId: pedido.id,
+              nota: `Confirmación de pedido ${pedido.codigo_seguimiento}`,
+              patioId: patio.id,
+              saldoPatio,
+            });
+
+            actualizados.push(stockReduction.rows[0]);
+          }
+
+          await Stock.cerrarReservas(
+            client,
+            pedido.id,
+            Stock.ESTADOS_RESERVA.CONSUMIDA
+          );
+
+          const result = await client.query(PEDIDOS.UPDATE_STATUS, [
+            pedido.id,
+            this.ESTADOS.CONFIRMADO,
+          ]);
+
+          await this.registrarEvento(
+            client,
+            pedido.id,
+            pedido.estado,
+            this.ESTADOS.CONFIRMADO,
+            {
+              ...contexto,
+              userId,
+              motivo: contexto.motivo || "Stock descontado",
+            }
+          );
+
+          return {
+            updatedPedido: { ...result.rows[0], patio_id: patio.id },
+            stockActualizado: actualizados,
+          };
+        }
       );
 
       logger.info("Pedido confirmado exitosamente:", {
         id,
-        stockRestante: stockReduction.rows[0].cantidad_disponible,
+        materiales: stockActualizado.length,
       });
 
+      await Stock.revisarReposicion(
+        stockActualizado.map((stock) => stock.material_id)
+      );
+
       return {
         pedido: updatedPedido,
-        stockActualizado: stockReduction.rows[0],
+        stockActualizado,
       };
     } catch (error) {
       logger.error("Error confirmando pedido:", error.message);
@@ -447,6 +1657,37 @@ class Pedido {
     ].includes(estado);
   }
 
+  /**
+   * Verificar si el cliente puede cancelar por su cuenta
+   * (hasta ESTADO_LIMITE_CANCELACION_CLIENTE inclusive)
+   */
+  static canClientCancel(estado) {
+    const cancelables = [
+      this.ESTADOS.PENDIENTE,
+      this.ESTADOS.CONFIRMADO,
+      this.ESTADOS.ASIGNADO,
+    ];
+    const limite = cancelables.indexOf(this.ESTADO_LIMITE_CANCELACION_CLIENTE);
+    const posicion = cancelables.indexOf(estado);
+
+    return (
+      posicion !== -1 &&
+      posicion <=
+        (limite !== -1 ? limite : cancelables.indexOf(this.ESTADOS.CONFIRMADO))
+    );
+  }
+
+  /**
+   * Verificar si el stock del pedido ya fue descontado (confirmado o posterior)
+   */
+  static hasStockDeducted(estado) {
+    return [
+      this.ESTADOS.CONFIRMADO,
+      this.ESTADOS.ASIGNADO,
+      this.ESTADOS.EN_TRANSITO,
+    ].includes(estado);
+  }
+
   /**
    * Verificar si un pedido está en estado final
    */
@@ -454,6 +1695,72 @@ class Pedido {
     return [this.ESTADOS.ENTREGADO, this.ESTADOS.CANCELADO].includes(estado);
   }
 
+  /**
+   * Volumen total del pedido (suma de sus líneas)
+   */
+  static getVolumenTotal(pedido) {
+    if (Array.isArray(pedido.detalles) && pedido.detalles.length > 0) {
+      return this.roundAmount(
+        pedido.detalles.reduce(
+          (total, detalle) => total + parseFloat(detalle.cantidad),
+          0
+        )
+      );
+    }
+
+    return parseFloat(pedido.cantidad) || 0;
+  }
+
+  /**
+   * Suma de los subtotales de las líneas (sin flete)
+   */
+  static sumarLineas(lineas) {
+    return this.roundAmount(
+      lineas.reduce((total, linea) => total + linea.subtotal, 0)
+    );
+  }
+
+  /**
+   * Redondear montos y volúmenes a 2 decimales
+   */
+  static roundAmount(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Descripción corta de los materiales del pedido
+   */
+  static describeMateriales(pedido) {
+    if (Array.isArray(pedido.detalles) && pedido.detalles.length > 0) {
+      return pedido.detalles.map((d) => d.material_nombre).join(", ");
+    }
+
+    return pedido.material_nombre;
+  }
+
+  /**
+   * Formatear líneas del pedido para respuesta
+   */
+  static formatDetalles(detalles, { incluirPrecios = true } = {}) {
+    if (!Array.isArray(detalles)) return [];
+
+    return detalles.map((detalle) => ({
+      material_id: detalle.material_id,
+      material: detalle.material_nombre,
+      cantidad: parseFloat(detalle.cantidad),
+      unidad_medida: detalle.unidad_medida,
+      ...(incluirPrecios && {
+        precio_lista:
+          detalle.precio_lista !== null && detalle.precio_lista !== undefined
+            ? parseFloat(detalle.precio_lista)
+            : parseFloat(detalle.precio_unitario),
+        descuento_porcentaje: parseFloat(detalle.descuento_porcentaje) || 0,
+        precio_unitario: parseFloat(detalle.precio_unitario),
+        subtotal: parseFloat(detalle.subtotal),
+      }),
+    }));
+  }
+
   /**
    * Formatear pedido para respuesta a cliente
    */
@@ -463,13 +1770,17 @@ class Pedido {
     return {
       codigo_seguimiento: pedido.codigo_seguimiento,
       estado: pedido.estado,
-      material: pedido.material_nombre,
-      cantidad: `${pedido.cantidad} ${pedido.unidad_medida}`,
+      material: this.describeMateriales(pedido),
+      cantidad: `${this.getVolumenTotal(pedido)} ${
+        pedido.unidad_medida || "m³"
+      }`,
+      detalles: this.formatDetalles(pedido.detalles),
+      costo_flete: parseFloat(pedido.costo_flete || 0),
       precio_total: pedido.precio_total,
       direccion_entrega: pedido.direccion_entrega,
       fecha_pedido: pedido.fecha_pedido,
       fecha_entrega_solicitada: pedido.fecha_entrega_solicitada,
-      puede_cancelar: this.canBeCanceled(pedido.estado),
+      puede_cancelar: this.canClientCancel(pedido.estado),
       estado_final: this.isFinalState(pedido.estado),
     };
   }
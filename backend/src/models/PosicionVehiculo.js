@@ -0,0 +1,318 @@
+const { query } = require("../config/database");
+const { executeTransaction } = require("../utils/database");
+const { VEHICULOS, POSICIONES } = require("../config/queries");
+const {
+  validateId,
+  validatePositionData,
+  validateTimestampRange,
+} = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+} = require("../middleware/errorHandler");
+const Vehiculo = require("./Vehiculo");
+const Geocerca = require("./Geocerca");
+const tiempoReal = require("../utils/tiempoReal");
+const logger = require("../utils/logger");
+
+class PosicionVehiculo {
+  // Días que se guardan las posiciones (después se borran)
+  static RETENCION_DIAS = parseInt(process.env.GPS_RETENCION_DIAS, 10) || 180;
+
+  // Días con todos los puntos; los más antiguos se resumen a uno por intervalo
+  static DIAS_DETALLE = parseInt(process.env.GPS_DIAS_DETALLE, 10) || 7;
+
+  static INTERVALO_RESUMEN_SEGUNDOS =
+    parseInt(process.env.GPS_INTERVALO_RESUMEN_SEGUNDOS, 10) || 60;
+
+  // La depuración se lanza en segundo plano al recibir posiciones, como
+  // mucho una vez por hora
+  static INTERVALO_DEPURACION_MS = 60 * 60 * 1000;
+  static ultimaDepuracion = 0;
+
+  static MAX_LOTE = 500;
+
+  // Rango por defecto y máximo del recorrido
+  static HORAS_RECORRIDO = 24;
+  static MAX_DIAS_RECORRIDO = 31;
+  static MAX_PUNTOS_RECORRIDO = 10000;
+
+  /**
+   * Registrar posiciones GPS (una o un lote acumulado sin señal)
+   * Los puntos repetidos (mismo vehículo y hora) se ignoran, así un lote
+   * reenviado no duplica el recorrido. La ubicación actual solo avanza
+   * si el punto más nuevo es posterior a la que ya tenía el vehículo.
+   * Con los puntos nuevos se evalúan las geocercas (ver Geocerca).
+   * @param {Object} positionData - { lat, lng, ... } o { puntos: [...] }
+   * @param {number} userId - Usuario que reporta (conductor o personal)
+   */
+  static async registrar(vehiculoId, positionData, userId) {
+    try {
+      const idValidation = validateId(vehiculoId, "ID de vehículo");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de vehículo inválido");
+      }
+
+      const validation = validatePositionData(positionData, this.MAX_LOTE);
+      if (!validation.isValid) {
+        throw new ValidationError("Posiciones inválidas", validation.errors);
+      }
+
+      const vehiculo = await Vehiculo.findById(idValidation.value);
+      if (!vehiculo) {
+        throw new NotFoundError("Vehículo no encontrado");
+      }
+      if (!vehiculo.activo) {
+        throw new BusinessLogicError(
+          `El vehículo ${vehiculo.placa} está retirado`
+        );
+      }
+
+      const { puntos } = validation.validData;
+
+      const resultado = await executeTransaction(async (client) => {
+        let guardados = 0;
+
+        for (const punto of puntos) {
+          const result = await client.query(POSICIONES.CREATE, [
+            vehiculo.id,
+            punto.lat,
+            punto.lng,
+            punto.velocidad_kmh,
+            punto.rumbo,
+            punto.registrado_en,
+            userId || null,
+          ]);
+          guardados += result.rows.length;
+        }
+
+        const ultimo = puntos[puntos.length - 1];
+        const actual = await client.query(VEHICULOS.UPDATE_LOCATION, [
+          vehiculo.id,
+          ultimo.lat,
+          ultimo.lng,
+          ultimo.registrado_en,
+        ]);
+
+        return { guardados, actual: actual.rows[0] || null };
+      });
+
+      logger.debug("Posiciones de vehículo registradas:", {
+        id: vehiculo.id,
+        placa: vehiculo.placa,
+        recibidos: puntos.length,
+        guardados: resultado.guardados,
+      });
+
+      if (resultado.actual) {
+        tiempoReal.publicar(tiempoReal.TIPOS.UBICACION_VEHICULO, {
+          vehiculo_id: vehiculo.id,
+          placa: vehiculo.placa,
+          lat: parseFloat(resultado.actual.ubicacion_actual_lat),
+          lng: parseFloat(resultado.actual.ubicacion_actual_lng),
+          velocidad_kmh: puntos[puntos.length - 1].velocidad_kmh,
+          rumbo: puntos[puntos.length - 1].rumbo,
+          registrado_en: resultado.actual.ultima_ubicacion,
+        });
+      }
+
+      const geocercas = await this.evaluarGeocercas(vehiculo, puntos);
+
+      // Sin esperar: la depuración no demora la respuesta al dispositivo
+      this.depurarSiCorresponde();
+
+      const ubicacion = resultado.actual || {
+        ubicacion_actual_lat: vehiculo.ubicacion_actual_lat,
+        ubicacion_actual_lng: vehiculo.ubicacion_actual_lng,
+        ultima_ubicacion: vehiculo.ultima_ubicacion,
+      };
+
+      return {
+        id: vehiculo.id,
+        placa: vehiculo.placa,
+        recibidos: puntos.length,
+        guardados: resultado.guardados,
+        duplicados: puntos.length - resultado.guardados,
+        ubicacion_actualizada: !!resultado.actual,
+        geocercas,
+        ubicacion_actual: {
+          lat:
+            ubicacion.ubicacion_actual_lat !== null
+              ? parseFloat(ubicacion.ubicacion_actual_lat)
+              : null,
+          lng:
+            ubicacion.ubicacion_actual_lng !== null
+              ? parseFloat(ubicacion.ubicacion_actual_lng)
+              : null,
+          registrado_en: ubicacion.ultima_ubicacion,
+        },
+      };
+    } catch (error) {
+      logger.error("Error registrando posiciones:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Detectar llegadas y salidas con las posiciones recibidas
+   * Un fallo no afecta el registro de posiciones (ya quedaron guardadas)
+   */
+  static async evaluarGeocercas(vehiculo, puntos) {
+    try {
+      return await Geocerca.procesar(vehiculo.id, puntos);
+    } catch (error) {
+      logger.error("Error evaluando geocercas:", {
+        placa: vehiculo.placa,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Recorrido del vehículo como GeoJSON (Feature con LineString)
+   * Sin rango: últimas 24 horas; sin desde: 24 horas antes de hasta.
+   * Las coordenadas van en orden GeoJSON [lng, lat] y properties.tiempos
+   * trae la hora de cada punto en el mismo orden.
+   * @param {Object} rango - { desde?, hasta? }
+   */
+  static async findRecorrido(vehiculoId, rango = {}) {
+    try {
+      const idValidation = validateId(vehiculoId, "ID de vehículo");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de vehículo inválido");
+      }
+
+      const rangeValidation = validateTimestampRange(rango.desde, rango.hasta);
+      if (!rangeValidation.isValid) {
+        throw new ValidationError("Rango inválido", rangeValidation.errors);
+      }
+
+      const hasta = rangeValidation.value.hasta || new Date();
+      const desde =
+        rangeValidation.value.desde ||
+        new Date(hasta.getTime() - this.HORAS_RECORRIDO * 60 * 60 * 1000);
+
+      if (hasta - desde > this.MAX_DIAS_RECORRIDO * 24 * 60 * 60 * 1000) {
+        throw new ValidationError("Rango inválido", [
+          {
+            field: "desde",
+            message: `El rango no puede superar ${this.MAX_DIAS_RECORRIDO} días`,
+          },
+        ]);
+      }
+
+      const vehiculo = await Vehiculo.findById(idValidation.value);
+      if (!vehiculo) {
+        throw new NotFoundError("Vehículo no encontrado");
+      }
+
+      const result = await query(POSICIONES.LIST_RECORRIDO, [
+        vehiculo.id,
+        desde.toISOString(),
+        hasta.toISOString(),
+        this.MAX_PUNTOS_RECORRIDO,
+      ]);
+
+      const puntos = result.rows.map((punto) => ({
+        lat: parseFloat(punto.lat),
+        lng: parseFloat(punto.lng),
+        velocidad_kmh:
+          punto.velocidad_kmh !== null ? parseFloat(punto.velocidad_kmh) : null,
+        registrado_en: punto.registrado_en,
+      }));
+
+      let distanciaKm = 0;
+      for (let i = 1; i < puntos.length; i++) {
+        distanciaKm += Vehiculo.calculateDistance(
+          puntos[i - 1].lat,
+          puntos[i - 1].lng,
+          puntos[i].lat,
+          puntos[i].lng
+        );
+      }
+
+      const velocidades = puntos
+        .map((punto) => punto.velocidad_kmh)
+        .filter((velocidad) => velocidad !== null);
+
+      return {
+        type: "Feature",
+        // Un LineString necesita al menos dos puntos
+        geometry:
+          puntos.length >= 2
+            ? {
+                type: "LineString",
+                coordinates: puntos.map((punto) => [punto.lng, punto.lat]),
+              }
+            : null,
+        properties: {
+          vehiculo_id: vehiculo.id,
+          placa: vehiculo.placa,
+          desde: desde.toISOString(),
+          hasta: hasta.toISOString(),
+          puntos: puntos.length,
+          distancia_km: Math.round(distanciaKm * 100) / 100,
+          velocidad_maxima_kmh: velocidades.length
+            ? Math.max(...velocidades)
+            : null,
+          inicio: puntos.length ? puntos[0].registrado_en : null,
+          fin: puntos.length ? puntos[puntos.length - 1].registrado_en : null,
+          truncado: puntos.length === this.MAX_PUNTOS_RECORRIDO,
+          tiempos: puntos.map((punto) => punto.registrado_en),
+        },
+      };
+    } catch (error) {
+      logger.error("Error obteniendo recorrido:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Borrar posiciones vencidas y resumir las antiguas a un punto por
+   * intervalo (el primero de cada uno)
+   */
+  static async depurar() {
+    const vencidas = await query(POSICIONES.DELETE_VENCIDAS, [
+      this.RETENCION_DIAS,
+    ]);
+    const resumen = await query(POSICIONES.RESUMIR_ANTIGUAS, [
+      this.DIAS_DETALLE,
+      this.INTERVALO_RESUMEN_SEGUNDOS,
+    ]);
+
+    const resultado = {
+      vencidas: vencidas.rowCount,
+      resumidas: parseInt(resumen.rows[0].borradas),
+      conservadas: parseInt(resumen.rows[0].conservadas),
+    };
+
+    if (resultado.vencidas || resultado.resumidas) {
+      logger.info("Posiciones GPS depuradas:", resultado);
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Depurar si ya pasó el intervalo desde la última vez
+   * Nunca rechaza: se llama sin esperar y un fallo solo queda en el log
+   * (se reintenta en el siguiente intervalo)
+   */
+  static async depurarSiCorresponde() {
+    if (Date.now() - this.ultimaDepuracion < this.INTERVALO_DEPURACION_MS) {
+      return null;
+    }
+    this.ultimaDepuracion = Date.now();
+
+    try {
+      return await this.depurar();
+    } catch (error) {
+      logger.error("Error depurando posiciones GPS:", error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = PosicionVehiculo;
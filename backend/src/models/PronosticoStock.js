@@ -0,0 +1,227 @@
+const { query } = require("../config/database");
+const { STOCK } = require("../config/queries");
+const logger = require("../utils/logger");
+
+class PronosticoStock {
+  // Días de historial de pedidos usados para el promedio móvil
+  static DIAS_HISTORIAL =
+    parseInt(process.env.STOCK_PRONOSTICO_DIAS_HISTORIAL, 10) || 56;
+
+  // Días hacia adelante que se proyectan
+  static HORIZONTE_DIAS =
+    parseInt(process.env.STOCK_PRONOSTICO_HORIZONTE, 10) || 90;
+
+  // Días que tarda en llegar una reposición
+  static DIAS_REPOSICION = parseInt(process.env.STOCK_DIAS_REPOSICION, 10) || 3;
+
+  // Días de consumo que debe cubrir una reposición
+  static DIAS_COBERTURA = parseInt(process.env.STOCK_DIAS_COBERTURA, 10) || 14;
+
+  // Índice = Date.getDay()
+  static DIAS_SEMANA = [
+    "domingo",
+    "lunes",
+    "martes",
+    "miercoles",
+    "jueves",
+    "viernes",
+    "sabado",
+  ];
+
+  /**
+   * Calcular pronóstico para una lista de materiales de inventario
+   * El consumo sale de las salidas del kardex el día en que se descontaron
+   * (sin pedidos cancelados); la proyección parte del stock libre (sin lo
+   * reservado)
+   * @param {Array} items - [{ material_id, cantidad_libre, cantidad_minima }]
+   * @param {Object} opciones - { diasHistorial? }
+   * @returns {Map} material_id → pronóstico
+   */
+  static async calcular(items, opciones = {}) {
+    const diasHistorial = opciones.diasHistorial || this.DIAS_HISTORIAL;
+
+    try {
+      const consumo = await this.getConsumoDiario(
+        items.map((item) => item.material_id),
+        diasHistorial
+      );
+
+      return new Map(
+        items.map((item) => [
+          item.material_id,
+          this.proyectar(
+            item,
+            consumo.get(item.material_id) || [],
+            diasHistorial
+          ),
+        ])
+      );
+    } catch (error) {
+      logger.error("Error calculando pronóstico de stock:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Consumo diario por material en los últimos días completos
+   * @returns {Map} material_id → Array(diasHistorial) con índice 0 = ayer
+   */
+  static async getConsumoDiario(materialIds, diasHistorial) {
+    const result = await query(STOCK.CONSUMO_DIARIO, [
+      diasHistorial,
+      materialIds,
+    ]);
+
+    const consumo = new Map();
+    result.rows.forEach((row) => {
+      if (!consumo.has(row.material_id)) {
+        consumo.set(row.material_id, new Array(diasHistorial).fill(0));
+      }
+      consumo.get(row.material_id)[row.dias_atras - 1] = parseFloat(
+        row.cantidad
+      );
+    });
+
+    return consumo;
+  }
+
+  /**
+   * Proyectar stock día a día: promedio móvil × factor del día de semana
+   * @param {Object} item - Material con cantidad_libre y cantidad_minima
+   * @param {Array} serie - Consumo diario (índice 0 = ayer)
+   */
+  static proyectar(item, serie, diasHistorial) {
+    const hoy = new Date();
+    hoy.setHours(0, 0, 0, 0);
+
+    const total = serie.reduce((suma, cantidad) => suma + cantidad, 0);
+    const promedioDiario = total / diasHistorial;
+    const factores = this.calcularFactoresSemana(serie, hoy, promedioDiario);
+
+    const stockLibre = parseFloat(item.cantidad_libre) || 0;
+    const cantidadMinima = parseFloat(item.cantidad_minima) || 0;
+
+    const pronostico = {
+      consumo_promedio_diario: this.redondear(promedioDiario),
+      consumo_historial: this.redondear(total),
+      dias_historial: diasHistorial,
+      factores_dia_semana: Object.fromEntries(
+        this.DIAS_SEMANA.map((dia, i) => [dia, this.redondear(factores[i])])
+      ),
+      dias_restantes: null,
+      fecha_agotamiento: null,
+      fecha_punto_reorden: null,
+      cantidad_sugerida_reposicion: 0,
+    };
+
+    // Sin consumo registrado no hay proyección posible
+    if (promedioDiario === 0) {
+      return pronostico;
+    }
+
+    let stock = stockLibre;
+    let demandaReposicion = 0;
+    for (let dia = 1; dia <= this.HORIZONTE_DIAS; dia++) {
+      const fecha = new Date(hoy);
+      fecha.setDate(hoy.getDate() + dia);
+      const consumoDia = promedioDiario * factores[fecha.getDay()];
+
+      stock -= consumoDia;
+      if (dia <= this.DIAS_REPOSICION + this.DIAS_COBERTURA) {
+        demandaReposicion += consumoDia;
+      }
+
+      if (!pronostico.fecha_punto_reorden && stock <= cantidadMinima) {
+        pronostico.fecha_punto_reorden = this.formatFecha(fecha);
+      }
+
+      if (pronostico.dias_restantes === null && stock <= 0) {
+        pronostico.dias_restantes = dia - 1;
+        pronostico.fecha_agotamiento = this.formatFecha(fecha);
+      }
+    }
+
+    // Reponer lo que se consumirá hasta que llegue y durante la cobertura,
+    // manteniendo el mínimo
+    pronostico.cantidad_sugerida_reposicion = Math.max(
+      0,
+      Math.ceil(demandaReposicion + cantidadMinima - stockLibre)
+    );
+
+    return pronostico;
+  }
+
+  /**
+   * Factor de cada día de semana respecto al promedio (1 = promedio)
+   * @param {Array} serie - Consumo diario (índice 0 = ayer)
+   */
+  static calcularFactoresSemana(serie, hoy, promedioDiario) {
+    if (promedioDiario === 0) {
+      return new Array(7).fill(1);
+    }
+
+    const sumas = new Array(7).fill(0);
+    const dias = new Array(7).fill(0);
+
+    serie.forEach((cantidad, i) => {
+      const fecha = new Date(hoy);
+      fecha.setDate(hoy.getDate() - (i + 1));
+      sumas[fecha.getDay()] += cantidad;
+      dias[fecha.getDay()] += 1;
+    });
+
+    return sumas.map((suma, dia) =>
+      dias[dia] > 0 ? suma / dias[dia] / promedioDiario : 1
+    );
+  }
+
+  /**
+   * Acción recomendada según la proyección
+   * @returns {string|null} null si no hay consumo para proyectar
+   */
+  static getAccion(pronostico) {
+    if (!pronostico || pronostico.consumo_promedio_diario === 0) {
+      return null;
+    }
+
+    const { dias_restantes: dias, cantidad_sugerida_reposicion: cantidad } =
+      pronostico;
+
+    if (dias !== null && dias <= this.DIAS_REPOSICION) {
+      return `URGENTE: Reabastecer inmediatamente (se agota en ${dias} días, sugerido ${cantidad})`;
+    }
+
+    if (pronostico.fecha_punto_reorden) {
+      const diasReorden = Math.ceil(
+        (new Date(`${pronostico.fecha_punto_reorden}T00:00:00`) - new Date()) /
+          (24 * 60 * 60 * 1000)
+      );
+
+      if (diasReorden <= this.DIAS_REPOSICION) {
+        return `ATENCIÓN: Programar reabastecimiento (sugerido ${cantidad})`;
+      }
+    }
+
+    return dias === null
+      ? `Stock suficiente para más de ${this.HORIZONTE_DIAS} días`
+      : `Stock suficiente para ${dias} días`;
+  }
+
+  /**
+   * Fecha local en formato YYYY-MM-DD
+   */
+  static formatFecha(fecha) {
+    const mes = String(fecha.getMonth() + 1).padStart(2, "0");
+    const dia = String(fecha.getDate()).padStart(2, "0");
+    return `${fecha.getFullYear()}-${mes}-${dia}`;
+  }
+
+  /**
+   * Redondear a 2 decimales
+   */
+  static redondear(valor) {
+    return Math.round(valor * 100) / 100;
+  }
+}
+
+module.exports = PronosticoStock;
@@ -0,0 +1,139 @@
+const { query } = require("../config/database");
+const { PROVEEDORES } = require("../config/queries");
+const { validateId, validateSupplierData } = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+class Proveedor {
+  // Tipos de proveedor (debe coincidir con CHECK de BD)
+  static TIPOS = {
+    CANTERA: "cantera",
+    TRANSPORTE: "transporte",
+    OTRO: "otro",
+  };
+
+  /**
+   * Listar proveedores
+   * @param {Object} filtros - { activo?, tipo? }
+   */
+  static async findAll(filtros = {}) {
+    try {
+      const result = await query(PROVEEDORES.LIST, [
+        filtros.activo ?? null,
+        filtros.tipo || null,
+      ]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error("Error listando proveedores:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener proveedor por ID
+   */
+  static async findById(id) {
+    try {
+      const idValidation = validateId(id, "ID de proveedor");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de proveedor inválido");
+      }
+
+      const result = await query(PROVEEDORES.FIND_BY_ID, [idValidation.value]);
+
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      logger.error("Error buscando proveedor por ID:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Crear proveedor
+   * @param {Object} supplierData - { nombre, tipo?, nit?, telefono?, email?, direccion? }
+   */
+  static async create(supplierData) {
+    logger.info("Creando proveedor:", { nombre: supplierData.nombre });
+
+    try {
+      const validation = validateSupplierData(supplierData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de proveedor inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+
+      const result = await query(PROVEEDORES.CREATE, [
+        validData.nombre,
+        validData.tipo || this.TIPOS.CANTERA,
+        validData.nit || null,
+        validData.telefono || null,
+        validData.email || null,
+        validData.direccion || null,
+      ]);
+
+      logger.info("Proveedor creado:", { id: result.rows[0].id });
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("Ya existe un proveedor con ese NIT");
+      }
+      logger.error("Error creando proveedor:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar proveedor (solo los campos enviados)
+   */
+  static async update(id, updateData) {
+    logger.info("Actualizando proveedor:", { id });
+
+    try {
+      const existing = await this.findById(id);
+      if (!existing) {
+        throw new NotFoundError("Proveedor no encontrado");
+      }
+
+      const validation = validateSupplierData(updateData, true);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de proveedor inválidos",
+          validation.errors
+        );
+      }
+
+      const datos = { ...existing, ...validation.validData };
+
+      const result = await query(PROVEEDORES.UPDATE, [
+        existing.id,
+        datos.nombre,
+        datos.tipo,
+        datos.nit,
+        datos.telefono,
+        datos.email,
+        datos.direccion,
+        datos.activo,
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("Ya existe un proveedor con ese NIT");
+      }
+      logger.error("Error actualizando proveedor:", error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = Proveedor;
@@ -0,0 +1,252 @@
+const { query } = require("../config/database");
+const { REGLAS_ASIGNACION } = require("../config/queries");
+const { validateAssignmentRule } = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+} = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+class ReglaAsignacion {
+  // Valores por defecto de cada regla (se usan si la regla no está en BD)
+  static DEFAULTS = {
+    capacidad_optima: {
+      activa: true,
+      peso: 1,
+      parametros: {
+        optimo_min: 0.7,
+        optimo_max: 0.95,
+        aceptable_min: 0.5,
+        bajo_min: 0.3,
+        puntos_optimo: 10,
+        puntos_aceptable: 7,
+        puntos_bajo: 4,
+        puntos_sobredimensionado: 1,
+      },
+    },
+    menor_capacidad: {
+      activa: true,
+      peso: 1,
+      parametros: { puntos: 5 },
+    },
+    proximidad_geografica: {
+      activa: true,
+      peso: 1,
+      parametros: {
+        cerca_km: 5,
+        medio_km: 15,
+        puntos_cerca: 8,
+        puntos_medio: 5,
+        puntos_lejos: 2,
+      },
+    },
+    disponibilidad: {
+      activa: true,
+      peso: 1,
+      parametros: {
+        reciente_minutos: 30,
+        aceptable_minutos: 120,
+        puntos_reciente: 3,
+        puntos_aceptable: 1,
+      },
+    },
+    balance_uso: {
+      activa: true,
+      peso: 1,
+      parametros: {
+        dias: 7,
+        puntos_max: 6,
+        factor_viajes: 0.5,
+        factor_km: 0.5,
+        // Punto de salida para estimar km recorridos (Cochabamba)
+        planta_lat: -17.3935,
+        planta_lng: -66.157,
+      },
+    },
+  };
+
+  /**
+   * Listar reglas con sus parámetros completos
+   */
+  static async findAll() {
+    try {
+      const result = await query(REGLAS_ASIGNACION.LIST_ALL);
+
+      return result.rows.map((regla) => this.formatRegla(regla));
+    } catch (error) {
+      logger.error("Error listando reglas de asignación:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Buscar regla por código
+   */
+  static async findByCodigo(codigo) {
+    try {
+      const result = await query(REGLAS_ASIGNACION.FIND_BY_CODIGO, [codigo]);
+
+      return result.rows.length > 0 ? this.formatRegla(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error buscando regla de asignación:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar peso, estado o parámetros de una regla
+   * @param {string} codigo - Código de la regla
+   * @param {Object} cambios - { activa?, peso?, parametros? }
+   * @param {number} userId - Usuario que realiza el cambio
+   */
+  static async update(codigo, cambios, userId) {
+    logger.info("Actualizando regla de asignación:", { codigo, userId });
+
+    try {
+      const validData = this.validarCambios(codigo, cambios);
+
+      const reglaActual = await this.findByCodigo(codigo);
+      if (!reglaActual) {
+        throw new NotFoundError("Regla de asignación no encontrada");
+      }
+
+      const result = await query(REGLAS_ASIGNACION.UPDATE, [
+        codigo,
+        validData.activa ?? reglaActual.activa,
+        validData.peso ?? reglaActual.peso,
+        JSON.stringify({
+          ...reglaActual.parametros,
+          ...(validData.parametros || {}),
+        }),
+        userId,
+      ]);
+
+      const reglaActualizada = this.formatRegla(result.rows[0]);
+
+      logger.info("Regla de asignación actualizada:", {
+        codigo,
+        activa: reglaActualizada.activa,
+        peso: reglaActualizada.peso,
+        userId,
+      });
+
+      return reglaActualizada;
+    } catch (error) {
+      logger.error("Error actualizando regla de asignación:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener configuración vigente { codigo: { activa, peso, parametros } }
+   */
+  static async getConfiguracion() {
+    const reglas = await this.findAll();
+    const configuracion = this.getConfiguracionPorDefecto();
+
+    reglas.forEach((regla) => {
+      if (configuracion[regla.codigo]) {
+        configuracion[regla.codigo] = {
+          activa: regla.activa,
+          peso: regla.peso,
+          parametros: regla.parametros,
+        };
+      }
+    });
+
+    return configuracion;
+  }
+
+  /**
+   * Copia de la configuración por defecto (sin tocar DEFAULTS)
+   */
+  static getConfiguracionPorDefecto() {
+    return Object.fromEntries(
+      Object.entries(this.DEFAULTS).map(([codigo, regla]) => [
+        codigo,
+        { ...regla, parametros: { ...regla.parametros } },
+      ])
+    );
+  }
+
+  /**
+   * Aplicar un borrador de reglas sobre una configuración (sin guardar)
+   * @param {Object} configuracion - Configuración base
+   * @param {Object} borrador - { codigo: { activa?, peso?, parametros? } }
+   */
+  static aplicarBorrador(configuracion, borrador) {
+    if (!borrador || typeof borrador !== "object" || Array.isArray(borrador)) {
+      throw new ValidationError("Borrador de reglas inválido", [
+        { field: "reglas", message: "reglas debe ser un objeto por código" },
+      ]);
+    }
+
+    const resultado = { ...configuracion };
+    const errors = [];
+
+    Object.entries(borrador).forEach(([codigo, cambios]) => {
+      try {
+        const validData = this.validarCambios(codigo, cambios);
+        resultado[codigo] = {
+          activa: validData.activa ?? configuracion[codigo].activa,
+          peso: validData.peso ?? configuracion[codigo].peso,
+          parametros: {
+            ...configuracion[codigo].parametros,
+            ...(validData.parametros || {}),
+          },
+        };
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        (error.errors || []).forEach((e) =>
+          errors.push({ ...e, field: `reglas.${codigo}.${e.field}` })
+        );
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError("Borrador de reglas inválido", errors);
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Validar cambios para una regla conocida
+   */
+  static validarCambios(codigo, cambios) {
+    const regla = this.DEFAULTS[codigo];
+    if (!regla) {
+      throw new ValidationError("Regla de asignación desconocida", [
+        { field: "codigo", message: `Regla no reconocida: ${codigo}` },
+      ]);
+    }
+
+    const validation = validateAssignmentRule(
+      cambios,
+      Object.keys(regla.parametros)
+    );
+    if (!validation.isValid) {
+      throw new ValidationError("Datos de regla inválidos", validation.errors);
+    }
+
+    return validation.validData;
+  }
+
+  /**
+   * Formatear regla de BD (completa parámetros faltantes con los de defecto)
+   */
+  static formatRegla(regla) {
+    const defecto = this.DEFAULTS[regla.codigo];
+
+    return {
+      ...regla,
+      peso: parseFloat(regla.peso),
+      parametros: {
+        ...(defecto ? defecto.parametros : {}),
+        ...(regla.parametros || {}),
+      },
+    };
+  }
+}
+
+module.exports = ReglaAsignacion;
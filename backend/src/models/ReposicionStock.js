@@ -0,0 +1,386 @@
+const { query } = require("../config/database");
+const { executeTransaction } = require("../utils/database");
+const { REPOSICIONES } = require("../config/queries");
+const { validateId, validateQuantity } = require("../utils/validation");
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+} = require("../middleware/errorHandler");
+const PronosticoStock = require("./PronosticoStock");
+const logger = require("../utils/logger");
+
+class ReposicionStock {
+  // Estados de propuestas (debe coincidir con CHECK de BD)
+  static ESTADOS = {
+    PENDIENTE: "pendiente",
+    APROBADA: "aprobada",
+    RECHAZADA: "rechazada",
+    ATENDIDA: "atendida",
+  };
+
+  // Máximo de propuestas por consulta
+  static MAX_PROPUESTAS = 200;
+
+  /**
+   * Generar propuestas para materiales cuyo stock libre cruzó el mínimo
+   * Las aprobadas de materiales que ya se repusieron pasan a atendidas
+   * @param {Array} items - Inventario con cantidad_libre, cantidad_minima y pronostico
+   * @returns {Object} { creadas, atendidas }
+   */
+  static async generar(items) {
+    if (!items.length) {
+      return { creadas: [], atendidas: [] };
+    }
+
+    const materialIds = items.map((item) => item.material_id);
+    const [parametrosResult, enCaminoResult] = await Promise.all([
+      query(REPOSICIONES.PARAMETROS, [materialIds]),
+      query(REPOSICIONES.EN_CAMINO, [materialIds]),
+    ]);
+
+    const parametros = new Map(
+      parametrosResult.rows.map((row) => [row.material_id, row])
+    );
+    const enCamino = new Map(
+      enCaminoResult.rows.map((row) => [
+        row.material_id,
+        parseFloat(row.cantidad),
+      ])
+    );
+
+    const creadas = [];
+    const repuestos = [];
+    for (const item of items) {
+      const libre = parseFloat(item.cantidad_libre) || 0;
+      const minima = parseFloat(item.cantidad_minima) || 0;
+
+      if (libre > minima) {
+        repuestos.push(item.material_id);
+        continue;
+      }
+
+      const calculo = this.calcularCantidad(
+        item,
+        parametros.get(item.material_id),
+        enCamino.get(item.material_id) || 0
+      );
+      if (calculo.cantidad_sugerida <= 0) {
+        continue;
+      }
+
+      // El índice único de propuestas abiertas descarta duplicados
+      const result = await query(REPOSICIONES.CREATE, [
+        item.material_id,
+        calculo.cantidad_sugerida,
+        libre,
+        minima,
+        calculo.cantidad_en_camino,
+        calculo.nivel_objetivo,
+        calculo.dias_reposicion,
+        calculo.consumo_promedio_diario,
+      ]);
+
+      if (result.rows.length) {
+        creadas.push(
+          this.formatear({ ...result.rows[0], material_nombre: item.material })
+        );
+      }
+    }
+
+    const atendidas = repuestos.length
+      ? (await query(REPOSICIONES.CERRAR_ATENDIDAS, [repuestos])).rows
+      : [];
+
+    if (creadas.length || atendidas.length) {
+      logger.info("Propuestas de reposición actualizadas:", {
+        creadas: creadas.map((propuesta) => propuesta.material_id),
+        atendidas: atendidas.map((propuesta) => propuesta.material_id),
+      });
+    }
+
+    return { creadas, atendidas };
+  }
+
+  /**
+   * Cantidad a reponer: llegar al nivel objetivo cubriendo el consumo
+   * pronosticado durante los días de reposición, descontando lo que ya
+   * viene en órdenes de compra abiertas
+   * Sin nivel objetivo configurado se usa el mínimo más la cobertura
+   * pronosticada (al menos el doble del mínimo)
+   */
+  static calcularCantidad(item, parametros = {}, enCamino = 0) {
+    const libre = parseFloat(item.cantidad_libre) || 0;
+    const minima = parseFloat(item.cantidad_minima) || 0;
+    const consumo = item.pronostico
+      ? item.pronostico.consumo_promedio_diario
+      : 0;
+
+    const diasReposicion =
+      parametros.dias_reposicion || PronosticoStock.DIAS_REPOSICION;
+    const nivelObjetivo =
+      parametros.nivel_objetivo !== null &&
+      parametros.nivel_objetivo !== undefined
+        ? parseFloat(parametros.nivel_objetivo)
+        : Math.max(
+            minima * 2,
+            minima + consumo * PronosticoStock.DIAS_COBERTURA
+          );
+
+    return {
+      cantidad_sugerida: Math.max(
+        0,
+        Math.ceil(nivelObjetivo + consumo * diasReposicion - libre - enCamino)
+      ),
+      nivel_objetivo: PronosticoStock.redondear(nivelObjetivo),
+      dias_reposicion: diasReposicion,
+      consumo_promedio_diario: consumo,
+      cantidad_en_camino: enCamino,
+    };
+  }
+
+  /**
+   * Listar propuestas
+   * @param {Object} filtros - { estado?, limit? }
+   */
+  static async findAll(filtros = {}) {
+    try {
+      if (
+        filtros.estado &&
+        !Object.values(this.ESTADOS).includes(filtros.estado)
+      ) {
+        throw new ValidationError("Estado de propuesta inválido", [
+          {
+            field: "estado",
+            message: `Estado debe ser uno de: ${Object.values(this.ESTADOS).join(", ")}`,
+          },
+        ]);
+      }
+
+      const limit = Math.min(
+        parseInt(filtros.limit, 10) || this.MAX_PROPUESTAS,
+        this.MAX_PROPUESTAS
+      );
+
+      const result = await query(REPOSICIONES.LIST, [
+        filtros.estado || null,
+        limit,
+      ]);
+
+      return result.rows.map((propuesta) => this.formatear(propuesta));
+    } catch (error) {
+      logger.error("Error listando propuestas de reposición:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Propuestas abiertas (pendientes o aprobadas) por material
+   * @returns {Map} material_id → propuesta
+   */
+  static async getAbiertas() {
+    const result = await query(REPOSICIONES.LIST_ABIERTAS);
+
+    return new Map(
+      result.rows.map((propuesta) => [
+        propuesta.material_id,
+        this.formatear(propuesta),
+      ])
+    );
+  }
+
+  /**
+   * Cantidad de propuestas pendientes de revisión
+   */
+  static async contarPendientes() {
+    const result = await query(REPOSICIONES.COUNT_PENDIENTES);
+    return parseInt(result.rows[0].pendientes, 10);
+  }
+
+  /**
+   * Aprobar propuesta pendiente
+   * @param {Object} datos - { cantidad?, nota? } cantidad ajusta la sugerida
+   */
+  static async aprobar(id, userId, datos = {}) {
+    logger.info("Aprobando propuesta de reposición:", { id, userId });
+
+    try {
+      let cantidad = null;
+      if (datos.cantidad !== undefined && datos.cantidad !== null) {
+        const quantityValidation = validateQuantity(datos.cantidad);
+        if (!quantityValidation.isValid) {
+          throw new ValidationError("Cantidad inválida", [
+            { field: "cantidad", message: quantityValidation.message },
+          ]);
+        }
+        cantidad = quantityValidation.value;
+      }
+
+      return await this.resolver(id, userId, (propuesta) => [
+        this.ESTADOS.APROBADA,
+        cantidad ?? propuesta.cantidad_sugerida,
+        datos.nota || null,
+      ]);
+    } catch (error) {
+      logger.error("Error aprobando propuesta de reposición:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Rechazar propuesta pendiente (requiere motivo)
+   */
+  static async rechazar(id, userId, motivo) {
+    logger.info("Rechazando propuesta de reposición:", { id, userId });
+
+    try {
+      if (!motivo || !String(motivo).trim()) {
+        throw new ValidationError("Motivo requerido", [
+          { field: "motivo", message: "El rechazo requiere un motivo" },
+        ]);
+      }
+
+      return await this.resolver(id, userId, () => [
+        this.ESTADOS.RECHAZADA,
+        null,
+        motivo,
+      ]);
+    } catch (error) {
+      logger.error("Error rechazando propuesta de reposición:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Cerrar una propuesta pendiente con la fila bloqueada
+   * @param {Function} resolucion - propuesta → [estado, cantidad_aprobada, nota]
+   */
+  static async resolver(id, userId, resolucion) {
+    const idValidation = validateId(id, "ID de propuesta");
+    if (!idValidation.isValid) {
+      throw new ValidationError("ID de propuesta inválido");
+    }
+
+    return await executeTransaction(async (client) => {
+      const propuestaResult = await client.query(REPOSICIONES.LOCK_BY_ID, [
+        idValidation.value,
+      ]);
+      if (!propuestaResult.rows.length) {
+        throw new NotFoundError("Propuesta de reposición no encontrada");
+      }
+
+      const propuesta = propuestaResult.rows[0];
+      if (propuesta.estado !== this.ESTADOS.PENDIENTE) {
+        throw new BusinessLogicError(
+          `La propuesta ya fue resuelta (estado: ${propuesta.estado})`
+        );
+      }
+
+      const result = await client.query(REPOSICIONES.RESOLVER, [
+        propuesta.id,
+        ...resolucion(propuesta),
+        userId,
+      ]);
+
+      return this.formatear(result.rows[0]);
+    });
+  }
+
+  /**
+   * Configurar nivel objetivo y días de reposición de un material
+   * null restablece el valor por defecto
+   */
+  static async actualizarParametros(materialId, parametros) {
+    logger.info("Actualizando parámetros de reposición:", {
+      materialId,
+      parametros,
+    });
+
+    try {
+      const materialValidation = validateId(materialId, "ID de material");
+      if (!materialValidation.isValid) {
+        throw new ValidationError("ID de material inválido");
+      }
+
+      const errors = [];
+      let nivelObjetivo = null;
+      if (
+        parametros.nivel_objetivo !== undefined &&
+        parametros.nivel_objetivo !== null
+      ) {
+        nivelObjetivo = parseFloat(parametros.nivel_objetivo);
+        if (isNaN(nivelObjetivo) || nivelObjetivo <= 0) {
+          errors.push({
+            field: "nivel_objetivo",
+            message: "Nivel objetivo debe ser un número mayor a 0",
+          });
+        }
+      }
+
+      let diasReposicion = null;
+      if (
+        parametros.dias_reposicion !== undefined &&
+        parametros.dias_reposicion !== null
+      ) {
+        diasReposicion = Number(parametros.dias_reposicion);
+        if (
+          !Number.isInteger(diasReposicion) ||
+          diasReposicion < 1 ||
+          diasReposicion > 90
+        ) {
+          errors.push({
+            field: "dias_reposicion",
+            message: "Días de reposición debe ser un entero entre 1 y 90",
+          });
+        }
+      }
+
+      if (errors.length > 0) {
+        throw new ValidationError("Parámetros de reposición inválidos", errors);
+      }
+
+      const result = await query(REPOSICIONES.UPDATE_PARAMETROS, [
+        materialValidation.value,
+        nivelObjetivo,
+        diasReposicion,
+      ]);
+      if (!result.rows.length) {
+        throw new NotFoundError("Stock de material no encontrado");
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(
+        "Error actualizando parámetros de reposición:",
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Convertir columnas numéricas
+   */
+  static formatear(propuesta) {
+    const numericos = [
+      "cantidad_sugerida",
+      "cantidad_aprobada",
+      "cantidad_libre",
+      "cantidad_minima",
+      "cantidad_en_camino",
+      "nivel_objetivo",
+      "consumo_promedio_diario",
+    ];
+
+    const formateada = { ...propuesta };
+    numericos.forEach((campo) => {
+      if (formateada[campo] !== undefined && formateada[campo] !== null) {
+        formateada[campo] = parseFloat(formateada[campo]);
+      }
+    });
+
+    return formateada;
+  }
+}
+
+module.exports = ReposicionStock;
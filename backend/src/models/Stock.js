@@ -1,11 +1,26 @@
 const { query } = require("../config/database");
-const { STOCK, MATERIALES } = require("../config/queries");
-const { validateId, validateQuantity } = require("../utils/validation");
+const { executeTransaction } = require("../utils/database");
+const {
+  STOCK,
+  RESERVAS,
+  MOVIMIENTOS,
+  MATERIALES,
+  PATIOS,
+  TRANSFERENCIAS,
+} = require("../config/queries");
+const {
+  validateId,
+  validateQuantity,
+  validateStockQuantity,
+} = require("../utils/validation");
 const {
   ValidationError,
   NotFoundError,
   BusinessLogicError,
 } = require("../middleware/errorHandler");
+const PronosticoStock = require("./PronosticoStock");
+const ReposicionStock = require("./ReposicionStock");
+const Patio = require("./Patio");
 const logger = require("../utils/logger");
 
 class Stock {
@@ -16,14 +31,40 @@ class Stock {
     NORMAL: "NORMAL",
   };
 
+  // Tipos de movimiento del kardex (cantidad con signo)
+  static TIPOS_MOVIMIENTO = {
+    ENTRADA: "entrada",
+    SALIDA_PEDIDO: "salida_pedido",
+    AJUSTE: "ajuste",
+    MERMA: "merma",
+    DEVOLUCION: "devolucion",
+    TRANSFERENCIA: "transferencia",
+  };
+
+  // Máximo de movimientos por consulta
+  static MAX_MOVIMIENTOS = 500;
+
+  // Estados de reservas de stock
+  static ESTADOS_RESERVA = {
+    ACTIVA: "activa",
+    CONSUMIDA: "consumida",
+    LIBERADA: "liberada",
+    EXPIRADA: "expirada",
+  };
+
+  // Minutos que dura la reserva de un pedido sin confirmar
+  static RESERVA_TTL_MINUTOS =
+    parseInt(process.env.STOCK_RESERVA_TTL_MINUTOS, 10) || 1440;
+
   /**
    * Obtener inventario completo con alertas (usa vista optimizada)
    */
   static async getInventoryWithAlerts() {
     try {
       const result = await query(STOCK.LIST_WITH_ALERTS);
+      const inventario = await this.agregarPronostico(result.rows);
 
-      return result.rows.map((item) => ({
+      return inventario.map((item) => ({
         ...item,
         alerta_activa: item.nivel_stock !== this.NIVELES_STOCK.NORMAL,
         accion_recomendada: this.getRecommendedAction(item),
@@ -51,9 +92,17 @@ class Stock {
       }
 
       const stockData = result.rows[0];
+      const reservado = await this.getReservado([stockData.material_id]);
+      const porPatio = await this.getStockPorPatio(null, [
+        stockData.material_id,
+      ]);
 
       return {
         ...stockData,
+        ...this.calcularLibre(
+          stockData.cantidad_disponible,
+          reservado.get(stockData.material_id)
+        ),
         nivel_stock: this.calculateStockLevel(
           stockData.cantidad_disponible,
           stockData.cantidad_minima
@@ -62,6 +111,11 @@ class Stock {
           stockData.cantidad_disponible,
           stockData.cantidad_minima
         ),
+        ubicaciones: [...porPatio.values()].map((patio) => ({
+          patio_id: patio.patio_id,
+          patio: patio.patio,
+          ...patio.materiales.get(stockData.material_id),
+        })),
       };
     } catch (error) {
       logger.error("Error obteniendo stock por material:", error.message);
@@ -75,11 +129,13 @@ class Stock {
   static async getCriticalStock() {
     try {
       const result = await query(STOCK.CRITICAL_STOCK);
+      const criticos = await this.agregarPronostico(result.rows);
 
-      return result.rows.map((item) => ({
+      return criticos.map((item) => ({
         ...item,
-        dias_estimados: this.estimateDaysRemaining(item),
+        dias_estimados: item.pronostico.dias_restantes,
         accion_urgente: true,
+        accion_recomendada: this.getRecommendedAction(item),
       }));
     } catch (error) {
       logger.error("Error obteniendo stock crítico:", error.message);
@@ -88,7 +144,98 @@ class Stock {
   }
 
   /**
-   * Verificar disponibilidad de stock (usa función PostgreSQL)
+   * Pronóstico de agotamiento y reposición de todos los materiales
+   * Ordenado por fecha de agotamiento (los que no se agotan al final)
+   * @param {Object} opciones - { diasHistorial? }
+   */
+  static async getForecast(opciones = {}) {
+    try {
+      const result = await query(STOCK.LIST_WITH_ALERTS);
+      const inventario = await this.agregarPronostico(result.rows, opciones);
+
+      return inventario
+        .map((item) => ({
+          material_id: item.material_id,
+          material: item.material,
+          unidad_medida: item.unidad_medida,
+          cantidad_disponible: item.cantidad_disponible,
+          cantidad_reservada: item.cantidad_reservada,
+          cantidad_libre: item.cantidad_libre,
+          cantidad_minima: parseFloat(item.cantidad_minima),
+          nivel_stock: item.nivel_stock,
+          pronostico: item.pronostico,
+          accion_recomendada: this.getRecommendedAction(item),
+        }))
+        .sort((a, b) => {
+          const fechaA = a.pronostico.fecha_agotamiento || "9999-12-31";
+          const fechaB = b.pronostico.fecha_agotamiento || "9999-12-31";
+          return fechaA.localeCompare(fechaB);
+        });
+    } catch (error) {
+      logger.error("Error obteniendo pronóstico de stock:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Agregar reservado, libre y pronóstico a filas de inventario
+   */
+  static async agregarPronostico(rows, opciones = {}) {
+    const reservado = await this.getReservado();
+    const inventario = rows.map((item) => ({
+      ...item,
+      ...this.calcularLibre(
+        item.cantidad_disponible,
+        reservado.get(item.material_id)
+      ),
+    }));
+
+    const pronosticos = await PronosticoStock.calcular(inventario, opciones);
+
+    return inventario.map((item) => ({
+      ...item,
+      pronostico: pronosticos.get(item.material_id),
+    }));
+  }
+
+  /**
+   * Generar propuestas de reposición para materiales bajo su mínimo
+   * @param {Array|null} materialIds - null revisa todo el inventario
+   * @returns {Object} { creadas, atendidas }
+   */
+  static async evaluarReposicion(materialIds = null) {
+    try {
+      const result = await query(STOCK.LIST_WITH_ALERTS);
+      const rows = materialIds
+        ? result.rows.filter((row) => materialIds.includes(row.material_id))
+        : result.rows;
+
+      const inventario = await this.agregarPronostico(rows);
+      return await ReposicionStock.generar(inventario);
+    } catch (error) {
+      logger.error("Error evaluando reposición de stock:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Revisar reposición después de un cambio de stock ya confirmado
+   * Un fallo aquí no revierte ni interrumpe la operación que lo originó
+   */
+  static async revisarReposicion(materialIds) {
+    try {
+      return await this.evaluarReposicion(materialIds);
+    } catch (error) {
+      logger.warn("No se pudo revisar la reposición de stock:", {
+        materialIds,
+        error: error.message,
+      });
+      return { creadas: [], atendidas: [] };
+    }
+  }
+
+  /**
+   * Verificar disponibilidad de stock libre (descontando reservas)
    */
   static async checkAvailability(materialId, cantidadRequerida) {
     try {
@@ -105,30 +252,24 @@ class Stock {
         ]);
       }
 
-      // Usar función PostgreSQL optimizada
-      const result = await query(STOCK.CHECK_AVAILABILITY, [
-        materialValidation.value,
-        quantityValidation.value,
-      ]);
-
-      const disponible = result.rows[0].disponible;
-
-      // Obtener información adicional del stock
+      // Lo reservado por pedidos pendientes no está disponible para otros
       const stockInfo = await this.findByMaterial(materialValidation.value);
+      const libre = stockInfo?.cantidad_libre || 0;
+      const disponible = libre >= quantityValidation.value;
 
       return {
         material_id: materialValidation.value,
         cantidad_requerida: quantityValidation.value,
         disponible,
         cantidad_actual: stockInfo?.cantidad_disponible || 0,
-        cantidad_restante: disponible
-          ? stockInfo.cantidad_disponible - quantityValidation.value
-          : null,
+        cantidad_reservada: stockInfo?.cantidad_reservada || 0,
+        cantidad_libre: libre,
+        cantidad_restante: disponible ? libre - quantityValidation.value : null,
         recomendacion: disponible
           ? "Stock suficiente"
-          : `Stock insuficiente. Disponible: ${
-              stockInfo?.cantidad_disponible || 0
-            } ${stockInfo?.unidad_medida || "m³"}`,
+          : `Stock insuficiente. Libre: ${libre} ${
+              stockInfo?.unidad_medida || "m³"
+            }`,
       };
     } catch (error) {
       logger.error("Error verificando disponibilidad:", error.message);
@@ -137,94 +278,245 @@ class Stock {
   }
 
   /**
-   * Actualizar cantidad de stock
+   * Actualizar cantidad de stock (ajuste manual del saldo)
+   * @param {string} motivo - Razón del ajuste, queda en el kardex
+   * @param {number|null} patioId - Patio ajustado (sin patio, el principal)
    */
-  static async updateQuantity(materialId, nuevaCantidad, userId) {
+  static async updateQuantity(
+    materialId,
+    nuevaCantidad,
+    userId,
+    motivo,
+    patioId = null
+  ) {
     logger.info("Actualizando stock:", { materialId, nuevaCantidad, userId });
 
     try {
-      const materialValidation = validateId(materialId, "ID de material");
-      const quantityValidation = validateQuantity(nuevaCantidad);
-      const userValidation = validateId(userId, "ID de usuario");
-
-      if (!materialValidation.isValid) {
-        throw new ValidationError("ID de material inválido");
-      }
-
+      const quantityValidation = validateStockQuantity(nuevaCantidad, {
+        permitirCero: true,
+      });
       if (!quantityValidation.isValid) {
         throw new ValidationError("Cantidad inválida", [
           { field: "cantidad", message: quantityValidation.message },
         ]);
       }
 
-      if (!userValidation.isValid) {
-        throw new ValidationError("ID de usuario inválido");
+      if (!motivo || !String(motivo).trim()) {
+        throw new ValidationError("Motivo requerido", [
+          { field: "motivo", message: "El ajuste de stock requiere un motivo" },
+        ]);
       }
 
-      // Verificar que el material existe
-      const materialExists = await query(MATERIALES.FIND_BY_ID, [
-        materialValidation.value,
-      ]);
-      if (!materialExists.rows.length) {
-        throw new NotFoundError("Material no encontrado");
-      }
+      return await this.applyQuantityChange(
+        materialId,
+        () => quantityValidation.value,
+        userId,
+        { tipo: this.TIPOS_MOVIMIENTO.AJUSTE, nota: motivo, patioId }
+      );
+    } catch (error) {
+      logger.error("Error actualizando stock:", error.message);
+      throw error;
+    }
+  }
 
-      // Obtener stock actual
-      const stockActual = await this.findByMaterial(materialValidation.value);
-      if (!stockActual) {
-        throw new NotFoundError("Registro de stock no encontrado");
-      }
+  /**
+   * Aplicar cambio de cantidad con la fila de stock bloqueada
+   * La nueva cantidad se calcula sobre el valor bloqueado, así dos ajustes
+   * simultáneos no se pisan entre sí. El cambio se hace en un patio y el
+   * total del material se mueve en la misma diferencia; si baja, no puede
+   * tomar lo reservado por pedidos (ver verificarSalida)
+   * @param {Function} calcularCantidad - (stockActual) => nueva cantidad en el patio
+   * @param {Object} movimiento - { tipo, nota?, pedidoId?, patioId? } para el kardex
+   * @param {Object} client - Transacción en curso (opcional; si no, abre una)
+   */
+  static async applyQuantityChange(
+    materialId,
+    calcularCantidad,
+    userId,
+    movimiento,
+    client = null
+  ) {
+    const materialValidation = validateId(materialId, "ID de material");
+    const userValidation = validateId(userId, "ID de usuario");
 
-      // Actualizar stock
-      const result = await query(STOCK.UPDATE_QUANTITY, [
-        materialValidation.value,
-        quantityValidation.value,
-        userValidation.value,
-      ]);
+    if (!materialValidation.isValid) {
+      throw new ValidationError("ID de material inválido");
+    }
 
-      const updatedStock = result.rows[0];
+    if (!userValidation.isValid) {
+      throw new ValidationError("ID de usuario inválido");
+    }
 
-      // Calcular nivel de stock y generar alertas
-      const nivelStock = this.calculateStockLevel(
-        updatedStock.cantidad_disponible,
-        updatedStock.cantidad_minima
-      );
-      const alertas = this.generateAlerts(
-        updatedStock,
-        stockActual.cantidad_disponible
-      );
+    // Verificar que el material existe
+    const materialExists = await query(MATERIALES.FIND_BY_ID, [
+      materialValidation.value,
+    ]);
+    if (!materialExists.rows.length) {
+      throw new NotFoundError("Material no encontrado");
+    }
 
-      logger.info("Stock actualizado exitosamente:", {
-        materialId,
-        cantidadAnterior: stockActual.cantidad_disponible,
-        cantidadNueva: updatedStock.cantidad_disponible,
-        nivelStock,
+    const patio = await Patio.resolver(movimiento.patioId);
+
+    const ejecutar = client
+      ? (callback) => callback(client)
+      : (callback) => executeTransaction(callback);
+
+    const { stockActual, updatedStock, movimientoRegistrado } = await ejecutar(
+      async (client) => {
+        const stockActual = await this.lockForUpdate(
+          client,
+          materialValidation.value
+        );
+        const cantidadPatio = await this.getCantidadPatio(
+          client,
+          patio.id,
+          materialValidation.value
+        );
+
+        const saldoValidation = validateStockQuantity(
+          calcularCantidad({
+            ...stockActual,
+            cantidad_disponible: cantidadPatio,
+          }),
+          { permitirCero: true }
+        );
+        if (!saldoValidation.isValid) {
+          throw new ValidationError("Cantidad inválida", [
+            { field: "cantidad", message: saldoValidation.message },
+          ]);
+        }
+
+        const cambio =
+          Math.round((saldoValidation.value - cantidadPatio) * 100) / 100;
+        if (cambio < 0) {
+          await this.verificarSalida(
+            client,
+            materialValidation.value,
+            patio,
+            -cambio,
+            movimiento.pedidoId
+          );
+        }
+        const result = await client.query(STOCK.UPDATE_QUANTITY, [
+          materialValidation.value,
+          Math.round((stockActual.cantidad_disponible + cambio) * 100) / 100,
+          userValidation.value,
+        ]);
+        const updatedStock = result.rows[0];
+
+        updatedStock.cantidad_patio = await this.ajustarStockPatio(
+          client,
+          patio,
+          materialValidation.value,
+          cambio
+        );
+
+        const movimientoRegistrado = await this.registrarMovimiento(client, {
+          ...movimiento,
+          materialId: materialValidation.value,
+          cantidad: cambio,
+          saldo: updatedStock.cantidad_disponible,
+          userId: userValidation.value,
+          patioId: patio.id,
+          saldoPatio: updatedStock.cantidad_patio,
+        });
+
+        // Entradas con costo (recepciones de compra) recalculan el costo
+        // promedio ponderado del material
+        if (movimiento.costoUnitario !== undefined) {
+          const costoResult = await client.query(STOCK.UPDATE_COSTO_PROMEDIO, [
+            materialValidation.value,
+            movimientoRegistrado.cantidad,
+            movimiento.costoUnitario,
+          ]);
+          updatedStock.costo_promedio = costoResult.rows[0].costo_promedio;
+        }
+
+        return { stockActual, updatedStock, movimientoRegistrado };
+      }
+    );
+
+    // Calcular nivel de stock y generar alertas
+    const nivelStock = this.calculateStockLevel(
+      updatedStock.cantidad_disponible,
+      updatedStock.cantidad_minima
+    );
+    const alertas = this.generateAlerts(
+      updatedStock,
+      stockActual.cantidad_disponible
+    );
+
+    logger.info("Stock actualizado exitosamente:", {
+      materialId,
+      cantidadAnterior: stockActual.cantidad_disponible,
+      cantidadNueva: updatedStock.cantidad_disponible,
+      nivelStock,
+    });
+
+    // Dentro de una transacción ajena el llamador revisa la reposición
+    // después del commit
+    if (!client) {
+      const { creadas } = await this.revisarReposicion([
+        materialValidation.value,
+      ]);
+      creadas.forEach((propuesta) => {
+        alertas.push({
+          tipo: "propuesta_reposicion",
+          mensaje: `Propuesta de reposición #${propuesta.id} generada: ${propuesta.cantidad_sugerida} ${materialExists.rows[0].unidad_medida}`,
+          prioridad: "alta",
+          propuesta_id: propuesta.id,
+        });
       });
+    }
 
-      return {
-        ...updatedStock,
-        material_nombre: materialExists.rows[0].nombre,
-        unidad_medida: materialExists.rows[0].unidad_medida,
-        nivel_stock: nivelStock,
-        cambio_cantidad:
-          updatedStock.cantidad_disponible - stockActual.cantidad_disponible,
-        alertas,
-      };
-    } catch (error) {
-      logger.error("Error actualizando stock:", error.message);
-      throw error;
+    return {
+      ...updatedStock,
+      material_nombre: materialExists.rows[0].nombre,
+      unidad_medida: materialExists.rows[0].unidad_medida,
+      patio_id: patio.id,
+      patio_nombre: patio.nombre,
+      nivel_stock: nivelStock,
+      cambio_cantidad:
+        parseFloat(updatedStock.cantidad_disponible) -
+        stockActual.cantidad_disponible,
+      movimiento_id: movimientoRegistrado.id,
+      alertas,
+    };
+  }
+
+  /**
+   * Bloquear fila de stock hasta el fin de la transacción (SELECT ... FOR UPDATE)
+   * @param {Object} client - Cliente de la transacción
+   */
+  static async lockForUpdate(client, materialId) {
+    const result = await client.query(STOCK.LOCK_BY_MATERIAL, [materialId]);
+    if (!result.rows.length) {
+      throw new NotFoundError("Registro de stock no encontrado");
     }
+
+    const stock = result.rows[0];
+    return {
+      ...stock,
+      cantidad_disponible: parseFloat(stock.cantidad_disponible),
+      cantidad_minima: parseFloat(stock.cantidad_minima),
+    };
   }
 
   /**
-   * Reducir stock por consumo (pedidos, etc.)
+   * Reducir stock por consumo (pedidos, mermas, etc.)
+   * @param {Object} movimiento - { tipo?, nota?, pedidoId?, patioId? } para el kardex
    */
-  static async reduceStock(materialId, cantidadAReducir, userId) {
+  static async reduceStock(
+    materialId,
+    cantidadAReducir,
+    userId,
+    movimiento = {}
+  ) {
     logger.info("Reduciendo stock:", { materialId, cantidadAReducir, userId });
 
     try {
       const materialValidation = validateId(materialId, "ID de material");
-      const quantityValidation = validateQuantity(cantidadAReducir);
+      const quantityValidation = validateStockQuantity(cantidadAReducir);
       const userValidation = validateId(userId, "ID de usuario");
 
       if (
@@ -235,29 +527,47 @@ class Stock {
         throw new ValidationError("Parámetros inválidos");
       }
 
-      // Verificar disponibilidad antes de reducir
-      const availability = await this.checkAvailability(
-        materialValidation.value,
-        quantityValidation.value
-      );
-      if (!availability.disponible) {
-        throw new BusinessLogicError(availability.recomendacion);
-      }
+      const patio = await Patio.resolver(movimiento.patioId);
 
-      // Reducir stock usando query optimizada
-      const result = await query(STOCK.REDUCE_STOCK, [
-        materialValidation.value,
-        quantityValidation.value,
-        userValidation.value,
-      ]);
+      // Verificar y reducir con la fila bloqueada, sin tomar lo reservado
+      const updatedStock = await executeTransaction(async (client) => {
+        await this.verificarSalida(
+          client,
+          materialValidation.value,
+          patio,
+          quantityValidation.value,
+          movimiento.pedidoId
+        );
 
-      if (!result.rows.length) {
-        throw new BusinessLogicError(
-          "No se pudo reducir el stock (posible condición de carrera)"
+        const result = await client.query(STOCK.REDUCE_STOCK, [
+          materialValidation.value,
+          quantityValidation.value,
+          userValidation.value,
+        ]);
+        const saldoPatio = await this.ajustarStockPatio(
+          client,
+          patio,
+          materialValidation.value,
+          -quantityValidation.value
         );
-      }
 
-      const updatedStock = result.rows[0];
+        await this.registrarMovimiento(client, {
+          tipo: this.TIPOS_MOVIMIENTO.SALIDA_PEDIDO,
+          ...movimiento,
+          materialId: materialValidation.value,
+          cantidad: -quantityValidation.value,
+          saldo: result.rows[0].cantidad_disponible,
+          userId: userValidation.value,
+          patioId: patio.id,
+          saldoPatio,
+        });
+
+        return {
+          ...result.rows[0],
+          patio_id: patio.id,
+          cantidad_patio: saldoPatio,
+        };
+      });
 
       logger.info("Stock reducido exitosamente:", {
         materialId,
@@ -265,6 +575,8 @@ class Stock {
         stockRestante: updatedStock.cantidad_disponible,
       });
 
+      await this.revisarReposicion([materialValidation.value]);
+
       return updatedStock;
     } catch (error) {
       logger.error("Error reduciendo stock:", error.message);
@@ -274,8 +586,16 @@ class Stock {
 
   /**
    * Incrementar stock por entrada/reposición
+   * @param {Object} movimiento - { tipo?, nota?, pedidoId?, patioId?, costoUnitario? } para el kardex
+   * @param {Object} client - Transacción en curso (opcional)
    */
-  static async increaseStock(materialId, cantidadAIncrementar, userId) {
+  static async increaseStock(
+    materialId,
+    cantidadAIncrementar,
+    userId,
+    movimiento = {},
+    client = null
+  ) {
     logger.info("Incrementando stock:", {
       materialId,
       cantidadAIncrementar,
@@ -283,24 +603,687 @@ class Stock {
     });
 
     try {
-      // Obtener stock actual
-      const stockActual = await this.findByMaterial(materialId);
-      if (!stockActual) {
-        throw new NotFoundError("Stock no encontrado");
+      const quantityValidation = validateStockQuantity(cantidadAIncrementar);
+      if (!quantityValidation.isValid) {
+        throw new ValidationError("Cantidad inválida", [
+          { field: "cantidad", message: quantityValidation.message },
+        ]);
       }
 
-      // Calcular nueva cantidad
-      const nuevaCantidad =
-        stockActual.cantidad_disponible + cantidadAIncrementar;
-
-      // Actualizar stock
-      return await this.updateQuantity(materialId, nuevaCantidad, userId);
+      // Sumar sobre la cantidad bloqueada (no sobre una lectura previa)
+      return await this.applyQuantityChange(
+        materialId,
+        (stockActual) =>
+          stockActual.cantidad_disponible + quantityValidation.value,
+        userId,
+        { tipo: this.TIPOS_MOVIMIENTO.ENTRADA, ...movimiento },
+        client
+      );
     } catch (error) {
       logger.error("Error incrementando stock:", error.message);
       throw error;
     }
   }
 
+  /**
+   * Registrar merma (pérdida de material) con su motivo
+   */
+  static async registrarMerma(
+    materialId,
+    cantidad,
+    userId,
+    motivo,
+    patioId = null
+  ) {
+    if (!motivo || !String(motivo).trim()) {
+      throw new ValidationError("Motivo requerido", [
+        { field: "motivo", message: "La merma requiere un motivo" },
+      ]);
+    }
+
+    return await this.reduceStock(materialId, cantidad, userId, {
+      tipo: this.TIPOS_MOVIMIENTO.MERMA,
+      nota: motivo,
+      patioId,
+    });
+  }
+
+  /**
+   * Registrar movimiento en el kardex (solo inserción)
+   * Se ejecuta dentro de la transacción que cambia el stock
+   * @param {Object} client - Cliente de la transacción
+   * @param {Object} movimiento - { materialId, tipo, cantidad, saldo, userId, pedidoId?, nota?,
+   *                                 patioId?, saldoPatio?, transferenciaId? }
+   */
+  static async registrarMovimiento(
+    client,
+    {
+      materialId,
+      tipo,
+      cantidad,
+      saldo,
+      userId,
+      pedidoId = null,
+      nota = null,
+      patioId = null,
+      saldoPatio = null,
+      transferenciaId = null,
+    }
+  ) {
+    const result = await client.query(MOVIMIENTOS.CREATE, [
+      materialId,
+      tipo,
+      Math.round(cantidad * 100) / 100,
+      saldo,
+      userId || null,
+      pedidoId,
+      nota,
+      patioId,
+      saldoPatio,
+      transferenciaId,
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Obtener kardex de un material
+   * @param {Object} filtros - { desde?, hasta?, tipo?, limit? } (fechas YYYY-MM-DD)
+   */
+  static async findMovimientos(materialId, filtros = {}) {
+    try {
+      const idValidation = validateId(materialId, "ID de material");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de material inválido");
+      }
+
+      if (
+        filtros.tipo &&
+        !Object.values(this.TIPOS_MOVIMIENTO).includes(filtros.tipo)
+      ) {
+        throw new ValidationError("Tipo de movimiento inválido", [
+          {
+            field: "tipo",
+            message: `Debe ser uno de: ${Object.values(
+              this.TIPOS_MOVIMIENTO
+            ).join(", ")}`,
+          },
+        ]);
+      }
+
+      const stockInfo = await this.findByMaterial(idValidation.value);
+      if (!stockInfo) {
+        throw new NotFoundError("Stock de material no encontrado");
+      }
+
+      const desde = filtros.desde || null;
+      const hasta = filtros.hasta || null;
+      const limit = Math.min(
+        parseInt(filtros.limit, 10) || this.MAX_MOVIMIENTOS,
+        this.MAX_MOVIMIENTOS
+      );
+
+      const movimientosResult = await query(MOVIMIENTOS.LIST_BY_MATERIAL, [
+        idValidation.value,
+        desde,
+        hasta,
+        filtros.tipo || null,
+        limit,
+      ]);
+      const resumenResult = await query(MOVIMIENTOS.SUMMARY_BY_MATERIAL, [
+        idValidation.value,
+        desde,
+        hasta,
+      ]);
+
+      return {
+        material: {
+          id: stockInfo.material_id,
+          nombre: stockInfo.material_nombre,
+          unidad_medida: stockInfo.unidad_medida,
+          cantidad_disponible: stockInfo.cantidad_disponible,
+        },
+        movimientos: movimientosResult.rows.map((movimiento) => ({
+          ...movimiento,
+          cantidad: parseFloat(movimiento.cantidad),
+          saldo: parseFloat(movimiento.saldo),
+          saldo_patio:
+            movimiento.saldo_patio === null
+              ? null
+              : parseFloat(movimiento.saldo_patio),
+        })),
+        resumen: resumenResult.rows.map((fila) => ({
+          tipo: fila.tipo,
+          movimientos: parseInt(fila.movimientos),
+          cantidad: parseFloat(fila.cantidad),
+        })),
+      };
+    } catch (error) {
+      logger.error("Error obteniendo movimientos de stock:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reservar stock para las líneas de un pedido nuevo en su patio de origen
+   * Se ejecuta dentro de la transacción que crea el pedido
+   * @param {Object} client - Cliente de la transacción
+   * @param {Array} lineas - [{ material_id, material_nombre, unidad_medida, cantidad }]
+   * @param {Object} patio - Patio elegido con elegirPatio
+   */
+  static async reservar(client, pedidoId, lineas, patio) {
+    const materialIds = lineas.map((linea) => linea.material_id);
+    const stockPorMaterial = await this.lockConReservas(client, materialIds);
+    this.verificarLibre(stockPorMaterial, lineas);
+
+    const stockPatio = (await this.getStockPorPatio(client, materialIds)).get(
+      patio.id
+    );
+
+    const reservas = [];
+    for (const linea of lineas) {
+      const stock = stockPatio && stockPatio.materiales.get(linea.material_id);
+      const libre = stock ? stock.cantidad_libre : 0;
+
+      if (libre < linea.cantidad) {
+        throw new BusinessLogicError(
+          `Stock insuficiente de ${linea.material_nombre} en ${patio.nombre}. Libre: ${libre} ${linea.unidad_medida}, requerido: ${linea.cantidad}`
+        );
+      }
+
+      const result = await client.query(RESERVAS.CREATE, [
+        pedidoId,
+        linea.material_id,
+        linea.cantidad,
+        this.RESERVA_TTL_MINUTOS,
+        patio.id,
+      ]);
+      reservas.push(result.rows[0]);
+    }
+
+    return reservas;
+  }
+
+  /**
+   * Verificar que el stock libre total cubra cada línea
+   * @param {Map} stockPorMaterial - Resultado de lockConReservas
+   */
+  static verificarLibre(stockPorMaterial, lineas) {
+    for (const linea of lineas) {
+      const stock = stockPorMaterial.get(linea.material_id);
+      const libre = stock ? stock.cantidad_libre : 0;
+
+      if (libre < linea.cantidad) {
+        throw new BusinessLogicError(
+          `Stock insuficiente de ${linea.material_nombre}. Libre: ${libre} ${linea.unidad_medida}, requerido: ${linea.cantidad}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Elegir el patio de origen de un pedido
+   * Con patio indicado se verifica que cubra todas las líneas; sin él se
+   * toma el patio activo más cercano al destino que tenga todo libre
+   * @param {Object} client - Cliente de la transacción
+   * @param {Object} opciones - { patioId?, lat?, lng? } (lat/lng del destino)
+   */
+  static async elegirPatio(client, lineas, opciones = {}) {
+    const materialIds = lineas.map((linea) => linea.material_id);
+    const stockPorMaterial = await this.lockConReservas(client, materialIds);
+    this.verificarLibre(stockPorMaterial, lineas);
+
+    const stockPorPatio = await this.getStockPorPatio(client, materialIds);
+    const candidatos = this.patiosQueCubren(stockPorPatio, lineas);
+
+    if (opciones.patioId) {
+      const patio = await Patio.resolver(opciones.patioId);
+      if (!candidatos.some((candidato) => candidato.id === patio.id)) {
+        throw new BusinessLogicError(
+          `Stock insuficiente en ${patio.nombre} para el pedido`
+        );
+      }
+      return patio;
+    }
+
+    if (!candidatos.length) {
+      throw new BusinessLogicError(
+        "Stock insuficiente: ningún patio tiene stock libre para todo el pedido"
+      );
+    }
+
+    return Patio.ordenarPorCercania(candidatos, opciones.lat, opciones.lng)[0];
+  }
+
+  /**
+   * Patio probable de un pedido sin bloquear ni reservar (cotizaciones)
+   * Misma elección que elegirPatio; si ningún patio cubre el pedido se
+   * cotiza desde el indicado o el principal y se avisa que falta stock
+   * @returns {Object} { patio, stock_suficiente }
+   */
+  static async sugerirPatio(lineas, opciones = {}) {
+    const materialIds = lineas.map((linea) => linea.material_id);
+    const stockPorPatio = await this.getStockPorPatio(null, materialIds);
+    const candidatos = this.patiosQueCubren(stockPorPatio, lineas);
+
+    if (opciones.patioId) {
+      const patio = await Patio.resolver(opciones.patioId);
+      return {
+        patio,
+        stock_suficiente: candidatos.some(
+          (candidato) => candidato.id === patio.id
+        ),
+      };
+    }
+
+    if (!candidatos.length) {
+      return { patio: await Patio.getPrincipal(), stock_suficiente: false };
+    }
+
+    return {
+      patio: Patio.ordenarPorCercania(
+        candidatos,
+        opciones.lat,
+        opciones.lng
+      )[0],
+      stock_suficiente: true,
+    };
+  }
+
+  /**
+   * Patios activos con stock libre para todas las líneas
+   * @param {Map} stockPorPatio - Resultado de getStockPorPatio
+   */
+  static patiosQueCubren(stockPorPatio, lineas) {
+    return [...stockPorPatio.values()]
+      .filter(
+        (patio) =>
+          patio.activo &&
+          lineas.every((linea) => {
+            const stock = patio.materiales.get(linea.material_id);
+            return stock && stock.cantidad_libre >= linea.cantidad;
+          })
+      )
+      .map((patio) => ({
+        id: patio.patio_id,
+        nombre: patio.patio,
+        lat: patio.lat,
+        lng: patio.lng,
+      }));
+  }
+
+  /**
+   * Stock por patio de un grupo de materiales con lo reservado y lo libre
+   * @param {Object|null} client - Cliente de la transacción (null fuera de ella)
+   * @param {number|null} excluirPedidoId - Pedido cuyas reservas no se descuentan
+   * @returns {Map} patio_id → { patio_id, patio, lat, lng, activo, materiales: Map }
+   */
+  static async getStockPorPatio(client, materialIds, excluirPedidoId = null) {
+    const params = [materialIds, excluirPedidoId];
+    const result = client
+      ? await client.query(PATIOS.STOCK_BY_MATERIALES, params)
+      : await query(PATIOS.STOCK_BY_MATERIALES, params);
+
+    const patios = new Map();
+    for (const row of result.rows) {
+      if (!patios.has(row.patio_id)) {
+        patios.set(row.patio_id, {
+          patio_id: row.patio_id,
+          patio: row.patio,
+          lat: parseFloat(row.lat),
+          lng: parseFloat(row.lng),
+          activo: row.activo,
+          materiales: new Map(),
+        });
+      }
+
+      patios
+        .get(row.patio_id)
+        .materiales.set(
+          row.material_id,
+          this.calcularLibre(
+            row.cantidad_disponible,
+            parseFloat(row.cantidad_reservada)
+          )
+        );
+    }
+
+    return patios;
+  }
+
+  /**
+   * Cantidad física de un material en un patio
+   * La fila total del material debe estar bloqueada por la transacción
+   */
+  static async getCantidadPatio(client, patioId, materialId) {
+    const result = await client.query(PATIOS.GET_STOCK, [patioId, materialId]);
+
+    return result.rows.length
+      ? parseFloat(result.rows[0].cantidad_disponible)
+      : 0;
+  }
+
+  /**
+   * Mover la cantidad de un material en un patio
+   * @returns {number} Saldo del patio después del cambio
+   */
+  static async ajustarStockPatio(client, patio, materialId, cambio) {
+    const cantidad = Math.round(Math.abs(cambio) * 100) / 100;
+
+    if (cantidad === 0) {
+      return await this.getCantidadPatio(client, patio.id, materialId);
+    }
+
+    const result = await client.query(
+      cambio > 0 ? PATIOS.ADD_STOCK : PATIOS.SUBTRACT_STOCK,
+      [patio.id, materialId, cantidad]
+    );
+
+    if (!result.rows.length) {
+      throw new BusinessLogicError(
+        `Stock insuficiente en ${patio.nombre}. Requerido: ${cantidad}`
+      );
+    }
+
+    return parseFloat(result.rows[0].cantidad_disponible);
+  }
+
+  /**
+   * Transferir stock entre patios
+   * Se registra la transferencia y dos movimientos (salida del origen,
+   * entrada al destino); el total del material no cambia
+   * @param {Object} datos - { origen_patio_id, destino_patio_id, cantidad }
+   */
+  static async transferir(materialId, datos, userId, nota = null) {
+    logger.info("Transfiriendo stock entre patios:", {
+      materialId,
+      origen: datos.origen_patio_id,
+      destino: datos.destino_patio_id,
+      cantidad: datos.cantidad,
+      userId,
+    });
+
+    try {
+      const materialValidation = validateId(materialId, "ID de material");
+      const quantityValidation = validateStockQuantity(datos.cantidad);
+      const errors = [];
+
+      if (!materialValidation.isValid) {
+        errors.push({
+          field: "material_id",
+          message: materialValidation.message,
+        });
+      }
+      if (!quantityValidation.isValid) {
+        errors.push({ field: "cantidad", message: quantityValidation.message });
+      }
+      ["origen_patio_id", "destino_patio_id"].forEach((campo) => {
+        const validation = validateId(datos[campo], "ID de patio");
+        if (!validation.isValid) {
+          errors.push({ field: campo, message: validation.message });
+        }
+      });
+      if (errors.length > 0) {
+        throw new ValidationError("Datos de transferencia inválidos", errors);
+      }
+
+      const origen = await Patio.resolver(datos.origen_patio_id);
+      const destino = await Patio.resolver(datos.destino_patio_id);
+      if (origen.id === destino.id) {
+        throw new ValidationError("Datos de transferencia inválidos", [
+          {
+            field: "destino_patio_id",
+            message: "El patio destino debe ser distinto del origen",
+          },
+        ]);
+      }
+
+      const cantidad = quantityValidation.value;
+
+      return await executeTransaction(async (client) => {
+        const stockTotal = await this.verificarSalida(
+          client,
+          materialValidation.value,
+          origen,
+          cantidad
+        );
+
+        const transferenciaResult = await client.query(TRANSFERENCIAS.CREATE, [
+          materialValidation.value,
+          origen.id,
+          destino.id,
+          cantidad,
+          userId || null,
+          nota,
+        ]);
+        const transferencia = transferenciaResult.rows[0];
+
+        const saldoOrigen = await this.ajustarStockPatio(
+          client,
+          origen,
+          materialValidation.value,
+          -cantidad
+        );
+        const saldoDestino = await this.ajustarStockPatio(
+          client,
+          destino,
+          materialValidation.value,
+          cantidad
+        );
+
+        const movimiento = {
+          materialId: materialValidation.value,
+          tipo: this.TIPOS_MOVIMIENTO.TRANSFERENCIA,
+          saldo: stockTotal.cantidad_disponible,
+          userId,
+          nota,
+          transferenciaId: transferencia.id,
+        };
+        const salida = await this.registrarMovimiento(client, {
+          ...movimiento,
+          cantidad: -cantidad,
+          patioId: origen.id,
+          saldoPatio: saldoOrigen,
+        });
+        const entrada = await this.registrarMovimiento(client, {
+          ...movimiento,
+          cantidad,
+          patioId: destino.id,
+          saldoPatio: saldoDestino,
+        });
+
+        logger.info("Transferencia registrada:", { id: transferencia.id });
+
+        return {
+          ...transferencia,
+          cantidad: parseFloat(transferencia.cantidad),
+          origen: { id: origen.id, nombre: origen.nombre, saldo: saldoOrigen },
+          destino: {
+            id: destino.id,
+            nombre: destino.nombre,
+            saldo: saldoDestino,
+          },
+          movimientos: [salida, entrada],
+        };
+      });
+    } catch (error) {
+      logger.error("Error transfiriendo stock:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Listar transferencias entre patios
+   * @param {Object} filtros - { material_id?, patio_id?, limit? }
+   */
+  static async findTransferencias(filtros = {}) {
+    try {
+      const ids = {};
+      for (const campo of ["material_id", "patio_id"]) {
+        if (filtros[campo] === undefined || filtros[campo] === "") {
+          ids[campo] = null;
+          continue;
+        }
+
+        const validation = validateId(filtros[campo], campo);
+        if (!validation.isValid) {
+          throw new ValidationError("Filtros inválidos", [
+            { field: campo, message: validation.message },
+          ]);
+        }
+        ids[campo] = validation.value;
+      }
+
+      const limit = Math.min(
+        parseInt(filtros.limit, 10) || this.MAX_MOVIMIENTOS,
+        this.MAX_MOVIMIENTOS
+      );
+
+      const result = await query(TRANSFERENCIAS.LIST, [
+        ids.material_id,
+        ids.patio_id,
+        limit,
+      ]);
+
+      return result.rows.map((transferencia) => ({
+        ...transferencia,
+        cantidad: parseFloat(transferencia.cantidad),
+      }));
+    } catch (error) {
+      logger.error("Error listando transferencias:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Comprobar que una salida de un patio no toma stock reservado
+   * Bloquea con lockConReservas (las reservas vencidas se expiran en el
+   * mismo paso) y compara contra lo libre del material y del patio
+   * @param {Object} client - Cliente de la transacción
+   * @param {Object} patio - Patio de donde sale { id, nombre }
+   * @param {number|null} excluirPedidoId - Pedido cuyas reservas puede tomar
+   * @returns {Object} Stock total { cantidad_disponible, cantidad_reservada, cantidad_libre }
+   */
+  static async verificarSalida(
+    client,
+    materialId,
+    patio,
+    cantidad,
+    excluirPedidoId = null
+  ) {
+    const stockPorMaterial = await this.lockConReservas(
+      client,
+      [materialId],
+      excluirPedidoId
+    );
+    const total = stockPorMaterial.get(materialId);
+    if (!total) {
+      throw new NotFoundError("Registro de stock no encontrado");
+    }
+
+    const stockPatio = (
+      await this.getStockPorPatio(client, [materialId], excluirPedidoId)
+    ).get(patio.id);
+    const enPatio =
+      (stockPatio && stockPatio.materiales.get(materialId)) ||
+      this.calcularLibre(0);
+    const libre =
+      Math.round(Math.min(total.cantidad_libre, enPatio.cantidad_libre) * 100) /
+      100;
+
+    if (cantidad > libre) {
+      throw new BusinessLogicError(
+        `Stock insuficiente en ${patio.nombre}. Libre: ${libre}, requerido: ${cantidad}` +
+          (enPatio.cantidad_reservada
+            ? ` (${enPatio.cantidad_reservada} reservado para pedidos confirmados)`
+            : "")
+      );
+    }
+
+    return total;
+  }
+
+  /**
+   * Bloquear filas de stock (en orden de material) y calcular lo libre
+   * Las reservas vencidas se marcan como expiradas en el mismo paso
+   * @param {Object} client - Cliente de la transacción
+   * @param {number|null} excluirPedidoId - Pedido cuyas reservas no se descuentan
+   * @returns {Map} material_id → { cantidad_disponible, cantidad_reservada, cantidad_libre }
+   */
+  static async lockConReservas(client, materialIds, excluirPedidoId = null) {
+    const stockResult = await client.query(STOCK.LOCK_BY_MATERIALES, [
+      materialIds,
+    ]);
+
+    await client.query(RESERVAS.EXPIRE_BY_MATERIALES, [materialIds]);
+
+    const reservadoResult = await client.query(RESERVAS.TOTALS_BY_MATERIALES, [
+      materialIds,
+      excluirPedidoId,
+    ]);
+    const reservado = new Map(
+      reservadoResult.rows.map((row) => [
+        row.material_id,
+        parseFloat(row.cantidad_reservada),
+      ])
+    );
+
+    return new Map(
+      stockResult.rows.map((stock) => [
+        stock.material_id,
+        this.calcularLibre(
+          stock.cantidad_disponible,
+          reservado.get(stock.material_id)
+        ),
+      ])
+    );
+  }
+
+  /**
+   * Cerrar las reservas activas de un pedido (consumida o liberada)
+   * @param {Object} client - Cliente de la transacción
+   */
+  static async cerrarReservas(client, pedidoId, estado) {
+    const result = await client.query(RESERVAS.CLOSE_BY_PEDIDO, [
+      pedidoId,
+      estado,
+    ]);
+
+    return result.rows;
+  }
+
+  /**
+   * Obtener lo reservado (vigente) por material
+   * @param {Array|null} materialIds - Sin filtro devuelve todos los materiales
+   * @returns {Map} material_id → cantidad reservada
+   */
+  static async getReservado(materialIds = null) {
+    const result = materialIds
+      ? await query(RESERVAS.TOTALS_BY_MATERIALES, [materialIds, null])
+      : await query(RESERVAS.TOTALS);
+
+    return new Map(
+      result.rows.map((row) => [
+        row.material_id,
+        parseFloat(row.cantidad_reservada),
+      ])
+    );
+  }
+
+  /**
+   * Separar stock físico, reservado y libre
+   */
+  static calcularLibre(cantidadDisponible, cantidadReservada = 0) {
+    const disponible = parseFloat(cantidadDisponible) || 0;
+    const reservada = cantidadReservada || 0;
+
+    return {
+      cantidad_disponible: disponible,
+      cantidad_reservada: reservada,
+      cantidad_libre: Math.max(0, disponible - reservada),
+    };
+  }
+
   /**
    * Calcular nivel de stock
    */
@@ -323,9 +1306,15 @@ class Stock {
   }
 
   /**
-   * Obtener acción recomendada basada en nivel de stock
+   * Obtener acción recomendada
+   * Usa la proyección de consumo; sin consumo registrado recurre al nivel
    */
   static getRecommendedAction(stockItem) {
+    const accionProyectada = PronosticoStock.getAccion(stockItem.pronostico);
+    if (accionProyectada) {
+      return accionProyectada;
+    }
+
     switch (stockItem.nivel_stock) {
       case this.NIVELES_STOCK.CRITICO:
         return "URGENTE: Reabastecer inmediatamente";
@@ -338,19 +1327,6 @@ class Stock {
     }
   }
 
-  /**
-   * Estimar días restantes de stock (basado en consumo promedio)
-   */
-  static estimateDaysRemaining(stockItem) {
-    // Esta es una estimación básica
-    // En un sistema real, se calcularía basado en histórico de consumo
-    const consumoPromedioDiario = stockItem.cantidad_minima / 7; // Estimación simple
-
-    if (consumoPromedioDiario === 0) return null;
-
-    return Math.floor(stockItem.cantidad_disponible / consumoPromedioDiario);
-  }
-
   /**
    * Generar alertas basadas en cambios de stock
    */
@@ -410,6 +1386,22 @@ class Stock {
   static async getInventorySummary() {
     try {
       const inventory = await this.getInventoryWithAlerts();
+      const costosResult = await query(STOCK.LIST_COSTOS);
+      const costos = new Map(
+        costosResult.rows
+          .filter((row) => row.costo_promedio !== null)
+          .map((row) => [row.material_id, parseFloat(row.costo_promedio)])
+      );
+
+      // Valorización a costo de compra; sin compras registradas se usa el
+      // precio de venta como referencia
+      const valorCosto = inventory.reduce(
+        (total, item) =>
+          total +
+          item.cantidad_disponible *
+            (costos.get(item.material_id) ?? item.precio_por_unidad),
+        0
+      );
 
       const summary = {
         total_materiales: inventory.length,
@@ -422,11 +1414,18 @@ class Stock {
         stock_normal: inventory.filter(
           (item) => item.nivel_stock === this.NIVELES_STOCK.NORMAL
         ).length,
-        valor_total_inventario: inventory.reduce(
-          (total, item) =>
-            total + item.cantidad_disponible * item.precio_por_unidad,
-          0
-        ),
+        valor_total_inventario: Math.round(valorCosto * 100) / 100,
+        valor_venta_inventario:
+          Math.round(
+            inventory.reduce(
+              (total, item) =>
+                total + item.cantidad_disponible * item.precio_por_unidad,
+              0
+            ) * 100
+          ) / 100,
+        materiales_sin_costo: inventory
+          .filter((item) => !costos.has(item.material_id))
+          .map((item) => item.material),
         materiales_criticos: inventory
           .filter((item) => item.nivel_stock === this.NIVELES_STOCK.CRITICO)
           .map((item) => item.material),
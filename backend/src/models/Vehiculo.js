@@ -1,17 +1,27 @@
 const { query } = require("../config/database");
-const { VEHICULOS } = require("../config/queries");
+const { executeTransaction } = require("../utils/database");
+const {
+  VEHICULOS,
+  ASIGNACIONES,
+  MANTENIMIENTOS,
+} = require("../config/queries");
 const {
   validateId,
   validatePlate,
   validateVehicleCapacity,
   validateVehicleStatus,
-  validateCoordinates,
+  validateVehicleData,
+  sanitizeText,
 } = require("../utils/validation");
 const {
   ValidationError,
   NotFoundError,
   BusinessLogicError,
+  ConflictError,
 } = require("../middleware/errorHandler");
+const Usuario = require("./Usuario");
+const ReglaAsignacion = require("./ReglaAsignacion");
+const tiempoReal = require("../utils/tiempoReal");
 const logger = require("../utils/logger");
 
 class Vehiculo {
@@ -23,6 +33,30 @@ class Vehiculo {
     AVERIADO: "averiado",
   };
 
+  // Flujo de estados válido. A en_uso solo se llega por asignación (o
+  // al retomar, ya reparado, el pedido que seguía cargado); vuelve a
+  // disponible al entregar o cancelar el pedido. De mantenimiento no se
+  // sale mientras haya un servicio en curso: se completa o se cancela
+  static FLUJO_ESTADOS = {
+    [Vehiculo.ESTADOS.DISPONIBLE]: [
+      Vehiculo.ESTADOS.MANTENIMIENTO,
+      Vehiculo.ESTADOS.AVERIADO,
+    ],
+    [Vehiculo.ESTADOS.EN_USO]: [
+      Vehiculo.ESTADOS.DISPONIBLE,
+      Vehiculo.ESTADOS.AVERIADO,
+    ],
+    [Vehiculo.ESTADOS.MANTENIMIENTO]: [
+      Vehiculo.ESTADOS.DISPONIBLE,
+      Vehiculo.ESTADOS.AVERIADO,
+    ],
+    [Vehiculo.ESTADOS.AVERIADO]: [
+      Vehiculo.ESTADOS.MANTENIMIENTO,
+      Vehiculo.ESTADOS.DISPONIBLE,
+      Vehiculo.ESTADOS.EN_USO,
+    ],
+  };
+
   // Reglas del sistema experto para asignación
   static REGLAS_ASIGNACION = {
     // Regla 1: Asignar vehículo con capacidad óptima (no demasiado grande ni pequeño)
@@ -31,12 +65,15 @@ class Vehiculo {
     PROXIMIDAD_GEOGRAFICA: "proximidad_geografica",
     // Regla 3: Considerar estado del vehículo y disponibilidad
     DISPONIBILIDAD: "disponibilidad",
-    // Regla 4: Balancear uso entre vehículos
+    // Regla 4: Balancear uso entre vehículos (viajes y km recientes)
     BALANCE_USO: "balance_uso",
+    // Regla 5: Preferir el vehículo más pequeño que cubre el volumen
+    MENOR_CAPACIDAD: "menor_capacidad",
   };
 
   /**
    * Obtener todos los vehículos con información de estado
+   * (los retirados no se listan)
    */
   static async findAll() {
     try {
@@ -76,7 +113,248 @@ class Vehiculo {
   }
 
   /**
-   * Obtener vehículos disponibles por capacidad (usa función PostgreSQL optimizada)
+   * Registrar vehículo nuevo (queda disponible y sin conductor)
+   * @param {Object} vehicleData - { placa, marca, modelo, capacidad_m3 }
+   */
+  static async create(vehicleData) {
+    logger.info("Registrando vehículo:", { placa: vehicleData.placa });
+
+    try {
+      const validation = validateVehicleData(vehicleData);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de vehículo inválidos",
+          validation.errors
+        );
+      }
+
+      const validData = validation.validData;
+
+      const result = await query(VEHICULOS.CREATE, [
+        validData.placa,
+        validData.marca,
+        validData.modelo,
+        validData.capacidad_m3,
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("Ya existe un vehículo con esa placa");
+      }
+      logger.error("Error registrando vehículo:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar placa, marca, modelo o capacidad (solo los campos enviados)
+   * La capacidad no cambia mientras el vehículo lleva un pedido
+   */
+  static async update(id, updateData) {
+    logger.info("Actualizando vehículo:", { id });
+
+    try {
+      const existing = await this.findById(id);
+      if (!existing || !existing.activo) {
+        throw new NotFoundError("Vehículo no encontrado");
+      }
+
+      const validation = validateVehicleData(updateData, true);
+      if (!validation.isValid) {
+        throw new ValidationError(
+          "Datos de vehículo inválidos",
+          validation.errors
+        );
+      }
+
+      const datos = { ...existing, ...validation.validData };
+
+      return await executeTransaction(async (client) => {
+        await client.query(VEHICULOS.LOCK_BY_ID, [existing.id]);
+
+        if (
+          validation.validData.capacidad_m3 !== undefined &&
+          validation.validData.capacidad_m3 !==
+            parseFloat(existing.capacidad_m3)
+        ) {
+          const asignaciones = await client.query(
+            VEHICULOS.COUNT_ACTIVE_ASSIGNMENTS,
+            [existing.id]
+          );
+          if (parseInt(asignaciones.rows[0].activas) > 0) {
+            throw new BusinessLogicError(
+              `El vehículo ${existing.placa} tiene un pedido asignado; cambie la capacidad cuando quede libre`
+            );
+          }
+        }
+
+        const result = await client.query(VEHICULOS.UPDATE, [
+          existing.id,
+          datos.placa,
+          datos.marca,
+          datos.modelo,
+          datos.capacidad_m3,
+        ]);
+
+        return result.rows[0];
+      });
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("Ya existe un vehículo con esa placa");
+      }
+      logger.error("Error actualizando vehículo:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Retirar vehículo de la flota
+   * No se borra: conserva asignaciones e historial. Se desvincula el
+   * conductor y se cancelan sus mantenimientos pendientes. Con un
+   * pedido asignado no se puede retirar.
+   */
+  static async retirar(id, motivo) {
+    logger.info("Retirando vehículo:", { id });
+
+    try {
+      const idValidation = validateId(id, "ID de vehículo");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de vehículo inválido");
+      }
+
+      return await executeTransaction(async (client) => {
+        const lock = await client.query(VEHICULOS.LOCK_BY_ID, [
+          idValidation.value,
+        ]);
+        if (!lock.rows.length) {
+          throw new NotFoundError("Vehículo no encontrado");
+        }
+
+        const vehiculo = lock.rows[0];
+        if (!vehiculo.activo) {
+          throw new BusinessLogicError(
+            `El vehículo ${vehiculo.placa} ya está retirado`
+          );
+        }
+
+        const asignaciones = await client.query(
+          VEHICULOS.COUNT_ACTIVE_ASSIGNMENTS,
+          [vehiculo.id]
+        );
+        if (parseInt(asignaciones.rows[0].activas) > 0) {
+          throw new BusinessLogicError(
+            `El vehículo ${vehiculo.placa} tiene un pedido asignado`
+          );
+        }
+
+        await client.query(MANTENIMIENTOS.CANCEL_BY_VEHICULO, [vehiculo.id]);
+
+        const result = await client.query(VEHICULOS.RETIRE, [
+          vehiculo.id,
+          sanitizeText(motivo || "") || null,
+        ]);
+
+        logger.info("Vehículo retirado:", {
+          id: vehiculo.id,
+          placa: vehiculo.placa,
+        });
+
+        return result.rows[0];
+      });
+    } catch (error) {
+      logger.error("Error retirando vehículo:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener vehículo vinculado a un conductor
+   */
+  static async findByConductor(userId) {
+    try {
+      const idValidation = validateId(userId, "ID de conductor");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de conductor inválido");
+      }
+
+      const result = await query(VEHICULOS.FIND_BY_CONDUCTOR, [
+        idValidation.value,
+      ]);
+
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      logger.error("Error buscando vehículo del conductor:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Vincular (o desvincular con null) un conductor al vehículo
+   */
+  static async assignConductor(id, conductorId) {
+    logger.info("Vinculando conductor a vehículo:", { id, conductorId });
+
+    try {
+      const idValidation = validateId(id, "ID de vehículo");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de vehículo inválido");
+      }
+
+      const vehiculo = await this.findById(idValidation.value);
+      if (!vehiculo) {
+        throw new NotFoundError("Vehículo no encontrado");
+      }
+      if (!vehiculo.activo) {
+        throw new BusinessLogicError(
+          `El vehículo ${vehiculo.placa} está retirado`
+        );
+      }
+
+      let conductorValue = null;
+
+      if (conductorId !== null && conductorId !== undefined) {
+        const conductorValidation = validateId(conductorId, "ID de conductor");
+        if (!conductorValidation.isValid) {
+          throw new ValidationError("ID de conductor inválido", [
+            { field: "conductor_id", message: conductorValidation.message },
+          ]);
+        }
+
+        const conductor = await Usuario.findById(conductorValidation.value);
+        if (!conductor || conductor.rol !== "conductor") {
+          throw new BusinessLogicError(
+            "El usuario indicado no es un conductor activo"
+          );
+        }
+
+        const vehiculoActual = await this.findByConductor(
+          conductorValidation.value
+        );
+        if (vehiculoActual && vehiculoActual.id !== vehiculo.id) {
+          throw new BusinessLogicError(
+            `El conductor ya está vinculado al vehículo ${vehiculoActual.placa}`
+          );
+        }
+
+        conductorValue = conductorValidation.value;
+      }
+
+      const result = await query(VEHICULOS.ASSIGN_CONDUCTOR, [
+        idValidation.value,
+        conductorValue,
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error("Error vinculando conductor:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener vehículos disponibles por capacidad
+   * Excluye retirados y los que tienen un mantenimiento en curso o vencido
    */
   static async findAvailableByCapacity(capacidadMinima = 0) {
     try {
@@ -85,7 +363,6 @@ class Vehiculo {
         throw new ValidationError("Capacidad mínima inválida");
       }
 
-      // Usar función PostgreSQL optimizada
       const result = await query(VEHICULOS.GET_AVAILABLE_BY_CAPACITY, [
         capacityValidation.value,
       ]);
@@ -125,7 +402,60 @@ class Vehiculo {
   }
 
   /**
-   * Sistema experto: Asignar vehículo óptimo para un pedido
+   * Obtener asignaciones activas (vehículo con pedido en curso)
+   */
+  static async findActiveAssignments() {
+    try {
+      const result = await query(ASIGNACIONES.LIST_ACTIVE);
+
+      return result.rows;
+    } catch (error) {
+      logger.error("Error obteniendo asignaciones activas:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener vehículos candidatos para un volumen, con su última ubicación
+   * (la consulta de disponibles no devuelve coordenadas)
+   */
+  static async findCandidatos(capacidadMinima = 0) {
+    try {
+      const vehiculosDisponibles =
+        await this.findAvailableByCapacity(capacidadMinima);
+
+      if (vehiculosDisponibles.length === 0) {
+        return [];
+      }
+
+      const ids = vehiculosDisponibles.map((v) => v.vehiculo_id || v.id);
+      const ubicaciones = await query(VEHICULOS.LIST_LOCATIONS_BY_IDS, [ids]);
+      const ubicacionPorId = new Map(ubicaciones.rows.map((u) => [u.id, u]));
+
+      return vehiculosDisponibles.map((vehiculo) => {
+        const vehiculoId = vehiculo.vehiculo_id || vehiculo.id;
+        const ubicacion = ubicacionPorId.get(vehiculoId) || {};
+
+        return {
+          ...vehiculo,
+          vehiculo_id: vehiculoId,
+          capacidad: parseFloat(vehiculo.capacidad ?? vehiculo.capacidad_m3),
+          conductor_id: ubicacion.conductor_id || null,
+          ubicacion_actual_lat: ubicacion.ubicacion_actual_lat || null,
+          ubicacion_actual_lng: ubicacion.ubicacion_actual_lng || null,
+          ultima_ubicacion: ubicacion.ultima_ubicacion || null,
+        };
+      });
+    } catch (error) {
+      logger.error("Error obteniendo vehículos candidatos:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Sistema experto: Evaluar vehículos disponibles para un pedido
+   * Devuelve todos los candidatos ordenados por puntuación (el primero es el recomendado)
+   * @param {Object} pedidoData - Pedido con cantidad (volumen total) y destino
    */
   static async asignarVehiculoAutomatico(pedidoData) {
     logger.info("Sistema experto: Asignando vehículo automático", {
@@ -134,26 +464,21 @@ class Vehiculo {
     });
 
     try {
-      // REGLA 1: Obtener vehículos con capacidad suficiente
-      const vehiculosDisponibles = await this.findAvailableByCapacity(
-        pedidoData.cantidad
-      );
+      // REGLA 1: Obtener vehículos con capacidad suficiente y
+      // REGLA 2: Aplicar sistema experto de decisión (reglas configuradas en BD)
+      const candidatos = await this.evaluarParaPedido(pedidoData);
 
-      if (vehiculosDisponibles.length === 0) {
+      if (candidatos.length === 0) {
         throw new BusinessLogicError(
           `No hay vehículos disponibles con capacidad suficiente (${pedidoData.cantidad} m³)`
         );
       }
 
       logger.info(
-        `Encontrados ${vehiculosDisponibles.length} vehículos con capacidad suficiente`
+        `Evaluados ${candidatos.length} vehículos con capacidad suficiente`
       );
 
-      // REGLA 2: Aplicar sistema experto de decisión
-      const vehiculoSeleccionado = this.aplicarReglasSeleccion(
-        vehiculosDisponibles,
-        pedidoData
-      );
+      const vehiculoSeleccionado = candidatos[0];
 
       // REGLA 3: Calcular tiempo estimado con factores externos
       const tiempoEstimado = this.calcularTiempoEstimado(
@@ -161,17 +486,20 @@ class Vehiculo {
         pedidoData
       );
 
-      logger.info("Vehículo asignado por sistema experto:", {
+      logger.info("Vehículo recomendado por sistema experto:", {
         vehiculo_id: vehiculoSeleccionado.vehiculo_id,
         placa: vehiculoSeleccionado.placa,
         capacidad: vehiculoSeleccionado.capacidad,
+        puntuacion: vehiculoSeleccionado.puntuacion,
         razon: vehiculoSeleccionado.razon_seleccion,
       });
 
       return {
         vehiculo_asignado: vehiculoSeleccionado,
+        candidatos,
         tiempo_estimado_minutos: tiempoEstimado,
         justificacion: vehiculoSeleccionado.razon_seleccion,
+        puntuacion: vehiculoSeleccionado.puntuacion,
         reglas_aplicadas: vehiculoSeleccionado.reglas_aplicadas,
       };
     } catch (error) {
@@ -182,76 +510,264 @@ class Vehiculo {
 
   /**
    * Aplicar reglas de selección del sistema experto
+   * Devuelve solo el vehículo con mayor puntuación
    */
   static aplicarReglasSeleccion(vehiculosDisponibles, pedidoData) {
+    return this.evaluarCandidatos(vehiculosDisponibles, pedidoData)[0];
+  }
+
+  /**
+   * Evaluar candidatos para un pedido con la configuración de reglas vigente
+   * @param {Object} pedidoData - Pedido con cantidad (volumen total) y destino
+   * @param {Object} opciones - { configuracion?, vehiculos? } para simular o evaluar una lista dada
+   * @returns {Array} Vehículos ordenados por puntuación descendente
+   */
+  static async evaluarParaPedido(pedidoData, opciones = {}) {
+    const configuracion =
+      opciones.configuracion || (await ReglaAsignacion.getConfiguracion());
+    const vehiculos =
+      opciones.vehiculos || (await this.findCandidatos(pedidoData.cantidad));
+
+    if (vehiculos.length === 0) {
+      return [];
+    }
+
+    // El balance de uso necesita viajes y km recientes de cada vehículo
+    const balance = configuracion[this.REGLAS_ASIGNACION.BALANCE_USO];
+    let candidatos = vehiculos;
+    if (balance && balance.activa) {
+      const usoPorVehiculo = await this.getUsoReciente(
+        vehiculos.map((v) => v.vehiculo_id || v.id),
+        balance.parametros
+      );
+      candidatos = vehiculos.map((vehiculo) => ({
+        ...vehiculo,
+        uso_reciente: usoPorVehiculo.get(vehiculo.vehiculo_id || vehiculo.id),
+      }));
+    }
+
+    return this.evaluarCandidatos(candidatos, pedidoData, configuracion);
+  }
+
+  /**
+   * Viajes y km estimados por vehículo en los últimos N días
+   * Los km se estiman ida y vuelta entre el patio de origen (o la planta,
+   * si el viaje no tiene patio) y el destino del pedido
+   * @returns {Map} vehiculo_id → { viajes, km }
+   */
+  static async getUsoReciente(vehiculoIds, parametros) {
+    try {
+      const result = await query(VEHICULOS.GET_RECENT_TRIPS, [
+        vehiculoIds,
+        Math.max(1, Math.round(parametros.dias)),
+      ]);
+
+      const uso = new Map(vehiculoIds.map((id) => [id, { viajes: 0, km: 0 }]));
+
+      result.rows.forEach((viaje) => {
+        const registro = uso.get(viaje.vehiculo_id);
+        if (!registro) return;
+
+        registro.viajes += 1;
+        if (viaje.direccion_lat && viaje.direccion_lng) {
+          registro.km +=
+            2 *
+            this.calculateDistance(
+              viaje.patio_lat ?? parametros.planta_lat,
+              viaje.patio_lng ?? parametros.planta_lng,
+              viaje.direccion_lat,
+              viaje.direccion_lng
+            );
+        }
+      });
+
+      uso.forEach((registro) => {
+        registro.km = Math.round(registro.km * 10) / 10;
+      });
+
+      return uso;
+    } catch (error) {
+      logger.error(
+        "Error obteniendo uso reciente de vehículos:",
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluar cada vehículo con las reglas del sistema experto
+   * Cada regla aplicada queda registrada como
+   * { regla, descripcion, puntos_base, peso, puntos } (puntos = puntos_base × peso)
+   * @param {Object} configuracion - Reglas { codigo: { activa, peso, parametros } }
+   * @returns {Array} Vehículos ordenados por puntuación descendente
+   */
+  static evaluarCandidatos(
+    vehiculosDisponibles,
+    pedidoData,
+    configuracion = ReglaAsignacion.getConfiguracionPorDefecto()
+  ) {
+    const REGLAS = this.REGLAS_ASIGNACION;
+    const reglaActiva = (regla) =>
+      configuracion[regla] && configuracion[regla].activa;
+    const parametrosDe = (regla) => configuracion[regla].parametros;
+
+    const aplicarRegla = (vehiculo, regla, puntosBase, descripcion) => {
+      const peso = configuracion[regla].peso;
+      const puntos = Math.round(puntosBase * peso * 100) / 100;
+
+      vehiculo.puntuacion =
+        Math.round((vehiculo.puntuacion + puntos) * 100) / 100;
+      vehiculo.reglas_aplicadas.push({
+        regla,
+        descripcion,
+        puntos_base: puntosBase,
+        peso,
+        puntos,
+      });
+    };
+
     let vehiculosEvaluados = vehiculosDisponibles.map((vehiculo) => ({
       ...vehiculo,
+      capacidad: parseFloat(vehiculo.capacidad ?? vehiculo.capacidad_m3),
       puntuacion: 0,
       reglas_aplicadas: [],
       razon_seleccion: "",
     }));
 
     // REGLA 1: Capacidad óptima (no desperdiciar capacidad ni usar vehículo muy justo)
-    vehiculosEvaluados = vehiculosEvaluados.map((vehiculo) => {
-      const ratio_utilizacion = pedidoData.cantidad / vehiculo.capacidad;
-
-      if (ratio_utilizacion >= 0.7 && ratio_utilizacion <= 0.95) {
-        // Utilización óptima (70-95%)
-        vehiculo.puntuacion += 10;
-        vehiculo.reglas_aplicadas.push("Utilización óptima de capacidad");
-      } else if (ratio_utilizacion >= 0.5) {
-        // Utilización aceptable (50-70%)
-        vehiculo.puntuacion += 7;
-        vehiculo.reglas_aplicadas.push("Utilización aceptable de capacidad");
-      } else if (ratio_utilizacion >= 0.3) {
-        // Utilización baja pero funcional (30-50%)
-        vehiculo.puntuacion += 4;
-        vehiculo.reglas_aplicadas.push("Utilización baja de capacidad");
-      } else {
-        // Utilización muy baja (<30%)
-        vehiculo.puntuacion += 1;
-        vehiculo.reglas_aplicadas.push("Sobredimensionado para el pedido");
-      }
+    if (reglaActiva(REGLAS.CAPACIDAD_OPTIMA)) {
+      const p = parametrosDe(REGLAS.CAPACIDAD_OPTIMA);
 
-      return vehiculo;
-    });
+      vehiculosEvaluados = vehiculosEvaluados.map((vehiculo) => {
+        const ratio_utilizacion = pedidoData.cantidad / vehiculo.capacidad;
+        const regla = REGLAS.CAPACIDAD_OPTIMA;
+
+        if (
+          ratio_utilizacion >= p.optimo_min &&
+          ratio_utilizacion <= p.optimo_max
+        ) {
+          // Utilización óptima (por defecto 70-95%)
+          aplicarRegla(
+            vehiculo,
+            regla,
+            p.puntos_optimo,
+            "Utilización óptima de capacidad"
+          );
+        } else if (ratio_utilizacion >= p.aceptable_min) {
+          // Utilización aceptable (por defecto 50-70%)
+          aplicarRegla(
+            vehiculo,
+            regla,
+            p.puntos_aceptable,
+            "Utilización aceptable de capacidad"
+          );
+        } else if (ratio_utilizacion >= p.bajo_min) {
+          // Utilización baja pero funcional (por defecto 30-50%)
+          aplicarRegla(
+            vehiculo,
+            regla,
+            p.puntos_bajo,
+            "Utilización baja de capacidad"
+          );
+        } else {
+          // Utilización muy baja
+          aplicarRegla(
+            vehiculo,
+            regla,
+            p.puntos_sobredimensionado,
+            "Sobredimensionado para el pedido"
+          );
+        }
+
+        return vehiculo;
+      });
+    }
 
     // REGLA 2: Preferir vehículos más pequeños cuando múltiples opciones
-    const capacidadMinima = Math.min(
-      ...vehiculosEvaluados.map((v) => v.capacidad)
-    );
-    vehiculosEvaluados = vehiculosEvaluados.map((vehiculo) => {
-      if (vehiculo.capacidad === capacidadMinima) {
-        vehiculo.puntuacion += 5;
-        vehiculo.reglas_aplicadas.push(
-          "Vehículo de menor capacidad disponible"
-        );
-      }
-      return vehiculo;
-    });
+    if (reglaActiva(REGLAS.MENOR_CAPACIDAD)) {
+      const p = parametrosDe(REGLAS.MENOR_CAPACIDAD);
+      const capacidadMinima = Math.min(
+        ...vehiculosEvaluados.map((v) => v.capacidad)
+      );
 
-    // REGLA 3: Considerar proximidad geográfica (si hay coordenadas)
-    if (pedidoData.direccion_lat && pedidoData.direccion_lng) {
       vehiculosEvaluados = vehiculosEvaluados.map((vehiculo) => {
-        if (vehiculo.ubicacion_actual_lat && vehiculo.ubicacion_actual_lng) {
-          const distancia = this.calculateDistance(
-            vehiculo.ubicacion_actual_lat,
-            vehiculo.ubicacion_actual_lng,
+        if (vehiculo.capacidad === capacidadMinima) {
+          aplicarRegla(
+            vehiculo,
+            REGLAS.MENOR_CAPACIDAD,
+            p.puntos,
+            "Vehículo de menor capacidad disponible"
+          );
+        }
+        return vehiculo;
+      });
+    }
+
+    // REGLA 3: Considerar proximidad geográfica (si hay coordenadas)
+    if (
+      reglaActiva(REGLAS.PROXIMIDAD_GEOGRAFICA) &&
+      pedidoData.direccion_lat &&
+      pedidoData.direccion_lng
+    ) {
+      const p = parametrosDe(REGLAS.PROXIMIDAD_GEOGRAFICA);
+
+      // Con patio de origen el recorrido es vehículo → patio → destino
+      const patio = pedidoData.patio;
+      const distanciaPatioDestino = patio
+        ? this.calculateDistance(
+            patio.lat,
+            patio.lng,
             pedidoData.direccion_lat,
             pedidoData.direccion_lng
-          );
+          )
+        : 0;
+      const referencia = patio ? "el recorrido por el patio" : "el destino";
 
-          if (distancia < 5) {
-            // Menos de 5 km
-            vehiculo.puntuacion += 8;
-            vehiculo.reglas_aplicadas.push("Muy cerca del destino");
-          } else if (distancia < 15) {
-            // Menos de 15 km
-            vehiculo.puntuacion += 5;
-            vehiculo.reglas_aplicadas.push("Relativamente cerca del destino");
+      vehiculosEvaluados = vehiculosEvaluados.map((vehiculo) => {
+        if (vehiculo.ubicacion_actual_lat && vehiculo.ubicacion_actual_lng) {
+          const regla = REGLAS.PROXIMIDAD_GEOGRAFICA;
+          let distancia;
+          if (patio) {
+            const distanciaPatio = this.calculateDistance(
+              vehiculo.ubicacion_actual_lat,
+              vehiculo.ubicacion_actual_lng,
+              patio.lat,
+              patio.lng
+            );
+            vehiculo.distancia_patio_km = Math.round(distanciaPatio * 10) / 10;
+            distancia = distanciaPatio + distanciaPatioDestino;
+          } else {
+            distancia = this.calculateDistance(
+              vehiculo.ubicacion_actual_lat,
+              vehiculo.ubicacion_actual_lng,
+              pedidoData.direccion_lat,
+              pedidoData.direccion_lng
+            );
+          }
+          vehiculo.distancia_km = Math.round(distancia * 10) / 10;
+
+          if (distancia < p.cerca_km) {
+            aplicarRegla(
+              vehiculo,
+              regla,
+              p.puntos_cerca,
+              `Muy cerca para ${referencia}`
+            );
+          } else if (distancia < p.medio_km) {
+            aplicarRegla(
+              vehiculo,
+              regla,
+              p.puntos_medio,
+              `Relativamente cerca para ${referencia}`
+            );
           } else {
-            vehiculo.puntuacion += 2;
-            vehiculo.reglas_aplicadas.push("Distancia considerable al destino");
+            aplicarRegla(
+              vehiculo,
+              regla,
+              p.puntos_lejos,
+              `Distancia considerable para ${referencia}`
+            );
           }
         }
         return vehiculo;
@@ -259,36 +775,81 @@ class Vehiculo {
     }
 
     // REGLA 4: Factor tiempo (preferir vehículos con ubicación actualizada recientemente)
-    const ahora = new Date();
-    vehiculosEvaluados = vehiculosEvaluados.map((vehiculo) => {
-      if (vehiculo.ultima_ubicacion) {
-        const minutosSinActualizar =
-          (ahora - new Date(vehiculo.ultima_ubicacion)) / (1000 * 60);
-
-        if (minutosSinActualizar < 30) {
-          vehiculo.puntuacion += 3;
-          vehiculo.reglas_aplicadas.push("Ubicación recientemente actualizada");
-        } else if (minutosSinActualizar < 120) {
-          vehiculo.puntuacion += 1;
-          vehiculo.reglas_aplicadas.push(
-            "Ubicación actualizada en las últimas 2 horas"
+    if (reglaActiva(REGLAS.DISPONIBILIDAD)) {
+      const p = parametrosDe(REGLAS.DISPONIBILIDAD);
+      const ahora = new Date();
+
+      vehiculosEvaluados = vehiculosEvaluados.map((vehiculo) => {
+        if (vehiculo.ultima_ubicacion) {
+          const regla = REGLAS.DISPONIBILIDAD;
+          const minutosSinActualizar =
+            (ahora - new Date(vehiculo.ultima_ubicacion)) / (1000 * 60);
+
+          if (minutosSinActualizar < p.reciente_minutos) {
+            aplicarRegla(
+              vehiculo,
+              regla,
+              p.puntos_reciente,
+              "Ubicación recientemente actualizada"
+            );
+          } else if (minutosSinActualizar < p.aceptable_minutos) {
+            aplicarRegla(
+              vehiculo,
+              regla,
+              p.puntos_aceptable,
+              `Ubicación actualizada hace menos de ${p.aceptable_minutos} minutos`
+            );
+          }
+        }
+        return vehiculo;
+      });
+    }
+
+    // REGLA 5: Balance de uso (menos viajes y km recientes suman más puntos)
+    if (reglaActiva(REGLAS.BALANCE_USO)) {
+      const p = parametrosDe(REGLAS.BALANCE_USO);
+      const conUso = vehiculosEvaluados.filter((v) => v.uso_reciente);
+      const maxViajes = Math.max(
+        0,
+        ...conUso.map((v) => v.uso_reciente.viajes)
+      );
+      const maxKm = Math.max(0, ...conUso.map((v) => v.uso_reciente.km));
+
+      vehiculosEvaluados = vehiculosEvaluados.map((vehiculo) => {
+        if (vehiculo.uso_reciente) {
+          const { viajes, km } = vehiculo.uso_reciente;
+          const uso =
+            (maxViajes > 0 ? (viajes / maxViajes) * p.factor_viajes : 0) +
+            (maxKm > 0 ? (km / maxKm) * p.factor_km : 0);
+          const factorTotal = p.factor_viajes + p.factor_km || 1;
+          const puntosBase =
+            Math.round(p.puntos_max * (1 - uso / factorTotal) * 100) / 100;
+
+          aplicarRegla(
+            vehiculo,
+            REGLAS.BALANCE_USO,
+            puntosBase,
+            `Uso reciente: ${viajes} viajes, ${km} km en ${p.dias} días`
           );
         }
-      }
-      return vehiculo;
-    });
+        return vehiculo;
+      });
+    }
 
-    // Seleccionar vehículo con mayor puntuación
-    vehiculosEvaluados.sort((a, b) => b.puntuacion - a.puntuacion);
-    const vehiculoSeleccionado = vehiculosEvaluados[0];
+    // Ordenar por puntuación; a igual puntuación, el de menor capacidad
+    vehiculosEvaluados.sort(
+      (a, b) => b.puntuacion - a.puntuacion || a.capacidad - b.capacidad
+    );
 
     // Generar justificación
-    vehiculoSeleccionado.razon_seleccion = this.generarJustificacion(
-      vehiculoSeleccionado,
-      pedidoData
-    );
+    vehiculosEvaluados.forEach((vehiculo) => {
+      vehiculo.razon_seleccion = this.generarJustificacion(
+        vehiculo,
+        pedidoData
+      );
+    });
 
-    return vehiculoSeleccionado;
+    return vehiculosEvaluados;
   }
 
   /**
@@ -334,10 +895,17 @@ class Vehiculo {
   }
 
   /**
-   * Actualizar estado del vehículo
+   * Actualizar estado del vehículo respetando FLUJO_ESTADOS
+   * La avería se reporta con Asignacion.reportarAveria, que libera los
+   * pedidos del vehículo en la misma transacción.
+   * @param {Object} contexto - { userId, motivo? }
    */
-  static async updateStatus(id, nuevoEstado) {
-    logger.info("Actualizando estado de vehículo:", { id, nuevoEstado });
+  static async updateStatus(id, nuevoEstado, contexto = {}) {
+    logger.info("Actualizando estado de vehículo:", {
+      id,
+      nuevoEstado,
+      userId: contexto.userId,
+    });
 
     try {
       const idValidation = validateId(id, "ID de vehículo");
@@ -353,27 +921,51 @@ class Vehiculo {
         ]);
       }
 
-      // Verificar que el vehículo existe
-      const vehiculo = await this.findById(idValidation.value);
-      if (!vehiculo) {
-        throw new NotFoundError("Vehículo no encontrado");
+      const estadoNuevo = statusValidation.value;
+
+      if (estadoNuevo === this.ESTADOS.AVERIADO) {
+        throw new BusinessLogicError(
+          "La avería se reporta con su propio flujo para liberar los pedidos del vehículo"
+        );
       }
 
-      // Actualizar estado
-      const result = await query(VEHICULOS.UPDATE_STATUS, [
-        idValidation.value,
-        statusValidation.value,
-      ]);
+      const resultado = await executeTransaction(async (client) => {
+        const { vehiculo } = await this.lockParaCambioEstado(
+          client,
+          idValidation.value,
+          estadoNuevo
+        );
 
-      const updatedVehiculo = result.rows[0];
+        const result = await client.query(VEHICULOS.UPDATE_STATUS, [
+          vehiculo.id,
+          estadoNuevo,
+        ]);
+
+        const evento = await this.registrarEvento(
+          client,
+          vehiculo.id,
+          vehiculo.estado,
+          estadoNuevo,
+          {
+            userId: contexto.userId,
+            motivo: sanitizeText(contexto.motivo || "") || null,
+          }
+        );
+
+        return {
+          ...result.rows[0],
+          estado_anterior: vehiculo.estado,
+          evento,
+        };
+      });
 
       logger.info("Estado de vehículo actualizado:", {
-        id: updatedVehiculo.id,
-        estadoAnterior: vehiculo.estado,
-        estadoNuevo: updatedVehiculo.estado,
+        id: resultado.id,
+        estadoAnterior: resultado.estado_anterior,
+        estadoNuevo: resultado.estado,
       });
 
-      return updatedVehiculo;
+      return resultado;
     } catch (error) {
       logger.error("Error actualizando estado de vehículo:", error.message);
       throw error;
@@ -381,45 +973,191 @@ class Vehiculo {
   }
 
   /**
-   * Actualizar ubicación GPS del vehículo
+   * Marcar el vehículo averiado dentro de la transacción del reporte
+   * Si ya estaba averiado no se repite el evento: el reporte se acepta
+   * para retomar los pedidos que le hayan quedado.
+   * @param {Object} contexto - { userId, motivo? }
+   * @returns {Object} Vehículo con estado_anterior, evento y asignaciones activas
    */
-  static async updateLocation(id, lat, lng) {
-    try {
-      const idValidation = validateId(id, "ID de vehículo");
-      const coordsValidation = validateCoordinates(lat, lng);
+  static async marcarAveriado(client, vehiculoId, contexto = {}) {
+    const { vehiculo, asignaciones } = await this.lockParaCambioEstado(
+      client,
+      vehiculoId,
+      this.ESTADOS.AVERIADO
+    );
 
-      if (!idValidation.isValid) {
-        throw new ValidationError("ID de vehículo inválido");
+    if (vehiculo.estado === this.ESTADOS.AVERIADO) {
+      return {
+        id: vehiculo.id,
+        placa: vehiculo.placa,
+        estado: vehiculo.estado,
+        estado_anterior: vehiculo.estado,
+        evento: null,
+        asignaciones,
+      };
+    }
+
+    const result = await client.query(VEHICULOS.UPDATE_STATUS, [
+      vehiculo.id,
+      this.ESTADOS.AVERIADO,
+    ]);
+
+    const evento = await this.registrarEvento(
+      client,
+      vehiculo.id,
+      vehiculo.estado,
+      this.ESTADOS.AVERIADO,
+      {
+        userId: contexto.userId,
+        motivo: sanitizeText(contexto.motivo || "") || null,
       }
+    );
 
-      if (!coordsValidation.isValid) {
-        throw new ValidationError("Coordenadas inválidas", [
-          { field: "coordenadas", message: coordsValidation.message },
-        ]);
+    return {
+      ...result.rows[0],
+      estado_anterior: vehiculo.estado,
+      evento,
+      asignaciones,
+    };
+  }
+
+  /**
+   * Bloquear el vehículo y validar el cambio de estado
+   * Con la fila bloqueada ninguna asignación puede tomar el vehículo
+   * hasta terminar la transacción.
+   * @returns {Object} { vehiculo, asignaciones } con las asignaciones activas
+   */
+  static async lockParaCambioEstado(client, vehiculoId, estadoNuevo) {
+    const vehiculoResult = await client.query(VEHICULOS.LOCK_BY_ID, [
+      vehiculoId,
+    ]);
+    const vehiculo = vehiculoResult.rows[0];
+
+    if (!vehiculo) {
+      throw new NotFoundError("Vehículo no encontrado");
+    }
+    if (!vehiculo.activo) {
+      throw new BusinessLogicError(
+        `El vehículo ${vehiculo.placa} está retirado`
+      );
+    }
+
+    const repiteAveria =
+      vehiculo.estado === this.ESTADOS.AVERIADO &&
+      estadoNuevo === this.ESTADOS.AVERIADO;
+
+    if (
+      !repiteAveria &&
+      !this.isValidTransition(vehiculo.estado, estadoNuevo)
+    ) {
+      const permitidos = this.getNextValidStates(vehiculo.estado);
+      throw new BusinessLogicError(
+        `No se puede pasar el vehículo ${vehiculo.placa} de ${vehiculo.estado} a ${estadoNuevo}` +
+          (permitidos.length ? ` (permitidos: ${permitidos.join(", ")})` : "")
+      );
+    }
+
+    if (vehiculo.estado === this.ESTADOS.MANTENIMIENTO) {
+      const enCurso = await client.query(
+        MANTENIMIENTOS.FIND_EN_CURSO_BY_VEHICULO,
+        [vehiculo.id]
+      );
+      if (enCurso.rows.length) {
+        throw new BusinessLogicError(
+          `El vehículo ${vehiculo.placa} tiene en curso el mantenimiento "${enCurso.rows[0].tipo_servicio}"; sale de mantenimiento al completarlo o cancelarlo`
+        );
       }
+    }
 
-      const result = await query(VEHICULOS.UPDATE_LOCATION, [
-        idValidation.value,
-        coordsValidation.value.lat,
-        coordsValidation.value.lng,
-      ]);
+    const asignaciones = await client.query(
+      ASIGNACIONES.LIST_ACTIVE_BY_VEHICULO,
+      [vehiculo.id]
+    );
 
-      const updatedVehiculo = result.rows[0];
+    if (estadoNuevo === this.ESTADOS.DISPONIBLE && asignaciones.rows.length) {
+      throw new BusinessLogicError(
+        `El vehículo ${vehiculo.placa} tiene asignado el pedido ${asignaciones.rows[0].codigo_seguimiento}; se libera al entregarlo, cancelarlo o transbordar su carga`
+      );
+    }
 
-      logger.debug("Ubicación de vehículo actualizada:", {
-        id: updatedVehiculo.id,
-        placa: updatedVehiculo.placa,
-        lat: updatedVehiculo.ubicacion_actual_lat,
-        lng: updatedVehiculo.ubicacion_actual_lng,
-      });
+    if (estadoNuevo === this.ESTADOS.EN_USO && !asignaciones.rows.length) {
+      throw new BusinessLogicError(
+        `El vehículo ${vehiculo.placa} pasa a en_uso al asignarle un pedido`
+      );
+    }
+
+    return { vehiculo, asignaciones: asignaciones.rows };
+  }
+
+  /**
+   * Registrar cambio de estado en el historial del vehículo
+   * (dentro de la transacción que hace el cambio)
+   * @param {Object} contexto - { userId?, pedidoId?, motivo? }
+   */
+  static async registrarEvento(
+    client,
+    vehiculoId,
+    estadoAnterior,
+    estadoNuevo,
+    contexto = {}
+  ) {
+    const result = await client.query(VEHICULOS.CREATE_EVENTO, [
+      vehiculoId,
+      estadoAnterior,
+      estadoNuevo,
+      contexto.userId || null,
+      contexto.pedidoId || null,
+      contexto.motivo || null,
+    ]);
+
+    tiempoReal.publicarAlConfirmar(client, tiempoReal.TIPOS.ESTADO_VEHICULO, {
+      vehiculo_id: vehiculoId,
+      estado_anterior: estadoAnterior,
+      estado_nuevo: estadoNuevo,
+      pedido_id: contexto.pedidoId || null,
+      motivo: contexto.motivo || null,
+    });
+
+    return result.rows[0];
+  }
 
-      return updatedVehiculo;
+  /**
+   * Historial de estados del vehículo (más reciente primero)
+   */
+  static async findHistorial(vehiculoId, limit = 50) {
+    try {
+      const idValidation = validateId(vehiculoId, "ID de vehículo");
+      if (!idValidation.isValid) {
+        throw new ValidationError("ID de vehículo inválido");
+      }
+
+      const result = await query(VEHICULOS.LIST_EVENTOS, [
+        idValidation.value,
+        limit,
+      ]);
+
+      return result.rows;
     } catch (error) {
-      logger.error("Error actualizando ubicación:", error.message);
+      logger.error("Error obteniendo historial de vehículo:", error.message);
       throw error;
     }
   }
 
+  /**
+   * Validar transición de estado
+   */
+  static isValidTransition(estadoActual, estadoNuevo) {
+    const transicionesPermitidas = this.FLUJO_ESTADOS[estadoActual] || [];
+    return transicionesPermitidas.includes(estadoNuevo);
+  }
+
+  /**
+   * Obtener próximos estados válidos
+   */
+  static getNextValidStates(estadoActual) {
+    return this.FLUJO_ESTADOS[estadoActual] || [];
+  }
+
   /**
    * Calcular distancia entre dos puntos (Haversine)
    */
@@ -483,6 +1221,7 @@ class Vehiculo {
     if (vehiculo.reglas_aplicadas.length > 0) {
       justificacion += `. Factores: ${vehiculo.reglas_aplicadas
         .slice(0, 2)
+        .map((r) => r.descripcion)
         .join(", ")}`;
     }
 
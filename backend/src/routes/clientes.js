@@ -0,0 +1,81 @@
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const {
+  getClientes,
+  getClienteById,
+  updateCliente,
+  desactivarCliente,
+  getCredito,
+  updateCredito,
+} = require("../controllers/clientesController");
+
+// Middlewares
+const {
+  authenticateToken,
+  requireAdmin,
+  requireAdminOrStaff,
+  logAuthenticatedAccess,
+} = require("../middleware/authentication");
+
+const { addResponseHelpers } = require("../utils/responseHelper");
+
+// Agregar helpers de respuesta
+router.use(addResponseHelpers);
+
+// Todas las rutas de clientes requieren autenticación
+router.use(authenticateToken);
+router.use(logAuthenticatedAccess);
+
+// Todas las rutas requieren rol administrativo
+router.use(requireAdminOrStaff);
+
+/**
+ * @route   GET /api/clientes
+ * @desc    Listar y buscar clientes (nombre, empresa, NIT o teléfono)
+ * @access  Private (Admin/Administrativo)
+ * @query   ?busqueda=&tipo_cliente=&activo=true|false&page=&limit=
+ */
+router.get("/", getClientes);
+
+/**
+ * @route   GET /api/clientes/:id
+ * @desc    Ficha del cliente con totales, historial de pedidos y crédito
+ * @access  Private (Admin/Administrativo)
+ * @query   ?page=&limit= - paginan el historial de pedidos
+ */
+router.get("/:id", getClienteById);
+
+/**
+ * @route   PUT /api/clientes/:id
+ * @desc    Editar tipo de cliente, dirección, ciudad, empresa o NIT
+ * @access  Private (Admin/Administrativo)
+ * @body    { tipo_cliente?, direccion?, ciudad?, empresa?, nit?, radio_geocerca_m? } - radio de la geocerca en sus obras (null: por defecto)
+ */
+router.put("/:id", updateCliente);
+
+/**
+ * @route   POST /api/clientes/:id/desactivar
+ * @desc    Desactivar cliente sin pedidos en curso (no inicia sesión ni recibe pedidos)
+ * @access  Private (Admin)
+ * @body    { motivo }
+ */
+router.post("/:id/desactivar", requireAdmin, desactivarCliente);
+
+/**
+ * @route   GET /api/clientes/:id/credito
+ * @desc    Límite, exposición (facturas impagas + pedidos activos) y disponible
+ * @access  Private (Admin/Administrativo)
+ */
+router.get("/:id/credito", getCredito);
+
+/**
+ * @route   PUT /api/clientes/:id/credito
+ * @desc    Configurar límite de crédito, plazo de pago y política de exceso
+ * @access  Private (Admin)
+ * @body    { limite_credito?, plazo_pago_dias?, exceso_credito?: bloquear|marcar }
+ */
+router.put("/:id/credito", requireAdmin, updateCredito);
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const {
+  getProveedores,
+  getProveedorById,
+  createProveedor,
+  updateProveedor,
+  getOrdenes,
+  getOrdenById,
+  createOrden,
+  recibirOrden,
+  cancelarOrden,
+} = require("../controllers/comprasController");
+
+// Middlewares
+const {
+  authenticateToken,
+  requireAdminOrStaff,
+  logAuthenticatedAccess,
+} = require("../middleware/authentication");
+
+const { addResponseHelpers } = require("../utils/responseHelper");
+
+// Agregar helpers de respuesta
+router.use(addResponseHelpers);
+
+// Todas las rutas de compras requieren autenticación
+router.use(authenticateToken);
+router.use(logAuthenticatedAccess);
+
+// Todas las rutas requieren rol administrativo
+router.use(requireAdminOrStaff);
+
+/**
+ * @route   GET /api/compras/proveedores
+ * @desc    Listar proveedores (canteras y transportistas)
+ * @access  Private (Admin/Administrativo)
+ * @query   ?activo=true&tipo=cantera|transporte|otro
+ */
+router.get("/proveedores", getProveedores);
+
+/**
+ * @route   POST /api/compras/proveedores
+ * @desc    Crear proveedor
+ * @access  Private (Admin/Administrativo)
+ * @body    { nombre, tipo?, nit?, telefono?, email?, direccion? }
+ */
+router.post("/proveedores", createProveedor);
+
+/**
+ * @route   GET /api/compras/proveedores/:id
+ * @desc    Obtener proveedor por ID
+ * @access  Private (Admin/Administrativo)
+ */
+router.get("/proveedores/:id", getProveedorById);
+
+/**
+ * @route   PUT /api/compras/proveedores/:id
+ * @desc    Actualizar proveedor (o desactivarlo con activo: false)
+ * @access  Private (Admin/Administrativo)
+ * @body    { nombre?, tipo?, nit?, telefono?, email?, direccion?, activo? }
+ */
+router.put("/proveedores/:id", updateProveedor);
+
+/**
+ * @route   GET /api/compras/ordenes
+ * @desc    Listar órdenes de compra
+ * @access  Private (Admin/Administrativo)
+ * @query   ?estado=pendiente|parcial|recibida|cancelada&proveedor_id=
+ */
+router.get("/ordenes", getOrdenes);
+
+/**
+ * @route   POST /api/compras/ordenes
+ * @desc    Crear orden de compra con líneas por material
+ * @access  Private (Admin/Administrativo)
+ * @body    { proveedor_id, transportista_id?, costo_flete?, fecha_esperada?, observaciones?, detalles: [{ material_id, cantidad, costo_unitario }] }
+ */
+router.post("/ordenes", createOrden);
+
+/**
+ * @route   GET /api/compras/ordenes/:id
+ * @desc    Obtener orden con líneas, costo puesto por m³ y recepciones
+ * @access  Private (Admin/Administrativo)
+ */
+router.get("/ordenes/:id", getOrdenById);
+
+/**
+ * @route   POST /api/compras/ordenes/:id/recepciones
+ * @desc    Registrar recepción parcial o completa (ingresa stock a costo puesto)
+ * @access  Private (Admin/Administrativo)
+ * @body    { lineas?: [{ material_id, cantidad }], patio_id?, nota? } - sin líneas se recibe todo lo pendiente; sin patio entra al principal
+ */
+router.post("/ordenes/:id/recepciones", recibirOrden);
+
+/**
+ * @route   PUT /api/compras/ordenes/:id/cancelar
+ * @desc    Cancelar orden de compra (lo ya recibido queda en stock)
+ * @access  Private (Admin/Administrativo)
+ */
+router.put("/ordenes/:id/cancelar", cancelarOrden);
+
+module.exports = router;
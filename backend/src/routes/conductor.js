@@ -0,0 +1,124 @@
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const {
+  getMiVehiculo,
+  getPedidosAsignados,
+  marcarCargado,
+  iniciarTransito,
+  registrarEntrega,
+  actualizarMiUbicacion,
+  registrarMisPosiciones,
+} = require("../controllers/conductorController");
+
+// Middlewares
+const {
+  authenticateToken,
+  logAuthenticatedAccess,
+} = require("../middleware/authentication");
+
+const {
+  requireAssignedVehicle,
+  requireConductorPermission,
+  requireAssignedPedido,
+} = require("../middleware/conductorAuth");
+
+const { logPedidoAccess } = require("../middleware/pedidoAuth");
+
+const { addResponseHelpers } = require("../utils/responseHelper");
+
+// Agregar helpers de respuesta
+router.use(addResponseHelpers);
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+router.use(logAuthenticatedAccess);
+
+// Todas las rutas requieren conductor con vehículo vinculado
+router.use(requireAssignedVehicle);
+
+/**
+ * @route   GET /api/conductor/vehiculo
+ * @desc    Obtener vehículo vinculado al conductor
+ * @access  Private (Conductor)
+ */
+router.get("/vehiculo", getMiVehiculo);
+
+/**
+ * @route   GET /api/conductor/pedidos
+ * @desc    Listar pedidos asignados al vehículo del conductor
+ * @access  Private (Conductor)
+ * @query   ?incluir_entregados=true
+ */
+router.get(
+  "/pedidos",
+  requireConductorPermission("canViewAssignedOrders"),
+  getPedidosAsignados
+);
+
+/**
+ * @route   PUT /api/conductor/pedidos/:id/cargado
+ * @desc    Marcar pedido como cargado en planta
+ * @access  Private (Conductor del vehículo asignado)
+ */
+router.put(
+  "/pedidos/:id/cargado",
+  requireConductorPermission("canReportDelivery"),
+  requireAssignedPedido,
+  logPedidoAccess("driver_loaded"),
+  marcarCargado
+);
+
+/**
+ * @route   PUT /api/conductor/pedidos/:id/en-transito
+ * @desc    Iniciar traslado del pedido
+ * @access  Private (Conductor del vehículo asignado)
+ */
+router.put(
+  "/pedidos/:id/en-transito",
+  requireConductorPermission("canReportDelivery"),
+  requireAssignedPedido,
+  logPedidoAccess("driver_in_transit"),
+  iniciarTransito
+);
+
+/**
+ * @route   PUT /api/conductor/pedidos/:id/entregado
+ * @desc    Registrar entrega con comprobante
+ * @access  Private (Conductor del vehículo asignado)
+ * @body    { receptor_nombre, receptor_documento?, evidencia_url?, observaciones?, lat?, lng? }
+ */
+router.put(
+  "/pedidos/:id/entregado",
+  requireConductorPermission("canReportDelivery"),
+  requireAssignedPedido,
+  logPedidoAccess("driver_delivered"),
+  registrarEntrega
+);
+
+/**
+ * @route   PUT /api/conductor/ubicacion
+ * @desc    Reportar ubicación GPS del vehículo del conductor
+ * @access  Private (Conductor)
+ * @body    { lat, lng, velocidad_kmh?, rumbo?, registrado_en? }
+ */
+router.put(
+  "/ubicacion",
+  requireConductorPermission("canUpdateLocation"),
+  actualizarMiUbicacion
+);
+
+/**
+ * @route   POST /api/conductor/ubicaciones
+ * @desc    Enviar en lote posiciones acumuladas sin señal
+ * @access  Private (Conductor)
+ * @body    { puntos: [{ lat, lng, registrado_en, velocidad_kmh?, rumbo? }] }
+ */
+router.post(
+  "/ubicaciones",
+  requireConductorPermission("canUpdateLocation"),
+  registrarMisPosiciones
+);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const {
+  createCotizacion,
+  getCotizaciones,
+  getCotizacionById,
+  aceptarCotizacion,
+  rechazarCotizacion,
+} = require("../controllers/cotizacionesController");
+
+// Middlewares
+const {
+  authenticateToken,
+  logAuthenticatedAccess,
+} = require("../middleware/authentication");
+
+// Mismo control de acceso que pedidos: el cliente solo opera lo suyo
+const {
+  requirePedidoOwnership,
+  requireClientForOrder,
+} = require("../middleware/pedidoAuth");
+
+const { addResponseHelpers } = require("../utils/responseHelper");
+
+// Agregar helpers de respuesta
+router.use(addResponseHelpers);
+
+// Todas las rutas de cotizaciones requieren autenticación
+router.use(authenticateToken);
+router.use(logAuthenticatedAccess);
+
+/**
+ * @route   POST /api/cotizaciones
+ * @desc    Crear cotización (precios, descuentos y flete; no reserva stock)
+ * @access  Private (Cliente) / Private (Admin/Administrativo para otros clientes)
+ * @body    { detalles: [{ material_id, cantidad }], direccion_entrega, direccion_lat?, direccion_lng?, telefono_contacto?, fecha_entrega_solicitada?, observaciones?, patio_id?, vigencia_dias?, cliente_id? }
+ */
+router.post("/", requireClientForOrder, createCotizacion);
+
+/**
+ * @route   GET /api/cotizaciones
+ * @desc    Listar cotizaciones (el cliente solo ve las suyas)
+ * @access  Private (Cliente / Admin/Administrativo)
+ * @query   ?estado=vigente|aceptada|rechazada|vencida&cliente_id=&limit=&offset=
+ */
+router.get("/", requirePedidoOwnership, getCotizaciones);
+
+/**
+ * @route   GET /api/cotizaciones/:id
+ * @desc    Obtener cotización con sus líneas
+ * @access  Private (Cliente dueño / Admin/Administrativo)
+ */
+router.get("/:id", requirePedidoOwnership, getCotizacionById);
+
+/**
+ * @route   POST /api/cotizaciones/:id/aceptar
+ * @desc    Aceptar cotización vigente: crea el pedido con los precios cotizados
+ * @access  Private (Cliente dueño / Admin/Administrativo)
+ * @body    { telefono_contacto?, fecha_entrega_solicitada?, observaciones?, autorizar_exceso_credito? } - el motivo de exceso solo lo envía un administrador
+ */
+router.post("/:id/aceptar", requirePedidoOwnership, aceptarCotizacion);
+
+/**
+ * @route   POST /api/cotizaciones/:id/rechazar
+ * @desc    Rechazar cotización vigente
+ * @access  Private (Cliente dueño / Admin/Administrativo)
+ */
+router.post("/:id/rechazar", requirePedidoOwnership, rechazarCotizacion);
+
+module.exports = router;
@@ -81,7 +81,7 @@ router.get("/", requireAuth, (req, res) => {
     cliente: "/api/dashboard/cliente",
     administrativo: "/api/dashboard/administrativo",
     administrador: "/api/dashboard/admin",
-    conductor: "/api/dashboard/administrativo", // Los conductores ven dashboard administrativo
+    conductor: "/api/conductor/pedidos", // Los conductores ven su hoja de ruta
   };
 
   const redirectUrl = redirects[rol];
@@ -0,0 +1,99 @@
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const {
+  getFacturas,
+  getPedidosPorFacturar,
+  createFactura,
+  getFacturaById,
+  registrarPago,
+  anularFactura,
+  getSaldosClientes,
+  getAntiguedad,
+} = require("../controllers/facturasController");
+
+// Middlewares
+const {
+  authenticateToken,
+  requireAdmin,
+  requireAdminOrStaff,
+  logAuthenticatedAccess,
+} = require("../middleware/authentication");
+
+const { addResponseHelpers } = require("../utils/responseHelper");
+
+// Agregar helpers de respuesta
+router.use(addResponseHelpers);
+
+// Todas las rutas de facturación requieren autenticación
+router.use(authenticateToken);
+router.use(logAuthenticatedAccess);
+
+// Todas las rutas requieren rol administrativo
+router.use(requireAdminOrStaff);
+
+/**
+ * @route   GET /api/facturas
+ * @desc    Listar facturas con saldo y vencimiento
+ * @access  Private (Admin/Administrativo)
+ * @query   ?cliente_id=&estado=pendiente|parcial|pagada|anulada&vencida=true&limit=&offset=
+ */
+router.get("/", getFacturas);
+
+/**
+ * @route   POST /api/facturas
+ * @desc    Emitir factura de pedidos entregados (uno, varios o todos los del cliente)
+ * @access  Private (Admin/Administrativo)
+ * @body    { pedido_ids?: [], cliente_id?, plazo_dias?, observaciones? }
+ */
+router.post("/", createFactura);
+
+/**
+ * @route   GET /api/facturas/por-facturar
+ * @desc    Pedidos entregados sin factura
+ * @access  Private (Admin/Administrativo)
+ * @query   ?cliente_id=
+ */
+router.get("/por-facturar", getPedidosPorFacturar);
+
+/**
+ * @route   GET /api/facturas/saldos
+ * @desc    Saldo por cliente: facturado, pagado, por cobrar y vencido
+ * @access  Private (Admin/Administrativo)
+ * @query   ?cliente_id=&con_saldo=true
+ */
+router.get("/saldos", getSaldosClientes);
+
+/**
+ * @route   GET /api/facturas/antiguedad
+ * @desc    Antigüedad de cuentas por cobrar (corriente, 1-30, 31-60, 61-90, +90 días)
+ * @access  Private (Admin/Administrativo)
+ * @query   ?fecha_corte=YYYY-MM-DD
+ */
+router.get("/antiguedad", getAntiguedad);
+
+/**
+ * @route   GET /api/facturas/:id
+ * @desc    Obtener factura con sus pedidos y pagos
+ * @access  Private (Admin/Administrativo)
+ */
+router.get("/:id", getFacturaById);
+
+/**
+ * @route   POST /api/facturas/:id/pagos
+ * @desc    Registrar pago total o parcial
+ * @access  Private (Admin/Administrativo)
+ * @body    { monto, metodo: efectivo|transferencia|qr, referencia?, fecha_pago?, observaciones? }
+ */
+router.post("/:id/pagos", registrarPago);
+
+/**
+ * @route   POST /api/facturas/:id/anular
+ * @desc    Anular factura sin pagos (sus pedidos vuelven a quedar por facturar)
+ * @access  Private (Solo Admin)
+ * @body    { motivo }
+ */
+router.post("/:id/anular", requireAdmin, anularFactura);
+
+module.exports = router;
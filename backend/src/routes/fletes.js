@@ -0,0 +1,82 @@
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const {
+  getZonas,
+  createZona,
+  updateZona,
+  getTarifas,
+  createTarifa,
+  updateTarifa,
+} = require("../controllers/fletesController");
+
+// Middlewares
+const {
+  authenticateToken,
+  requireAdmin,
+  requireAdminOrStaff,
+  logAuthenticatedAccess,
+} = require("../middleware/authentication");
+
+const { addResponseHelpers } = require("../utils/responseHelper");
+
+// Agregar helpers de respuesta
+router.use(addResponseHelpers);
+
+// Todas las rutas de fletes requieren autenticación
+router.use(authenticateToken);
+router.use(logAuthenticatedAccess);
+
+// Todas las rutas requieren rol administrativo
+router.use(requireAdminOrStaff);
+
+/**
+ * @route   GET /api/fletes/zonas
+ * @desc    Listar zonas de flete (mayor prioridad primero)
+ * @access  Private (Admin/Administrativo)
+ * @query   ?activa=true
+ */
+router.get("/zonas", getZonas);
+
+/**
+ * @route   POST /api/fletes/zonas
+ * @desc    Crear zona de flete por polígono o por nombre de distrito
+ * @access  Private (Solo Admin)
+ * @body    { nombre, poligono?: [[lat, lng], ...], palabras_clave?: [], recargo_fijo?, prioridad? }
+ */
+router.post("/zonas", requireAdmin, createZona);
+
+/**
+ * @route   PUT /api/fletes/zonas/:id
+ * @desc    Actualizar zona de flete
+ * @access  Private (Solo Admin)
+ * @body    { nombre?, poligono?, palabras_clave?, recargo_fijo?, prioridad?, activa? }
+ */
+router.put("/zonas/:id", requireAdmin, updateZona);
+
+/**
+ * @route   GET /api/fletes/tarifas
+ * @desc    Listar tarifas por km según tamaño de vehículo
+ * @access  Private (Admin/Administrativo)
+ * @query   ?activa=true
+ */
+router.get("/tarifas", getTarifas);
+
+/**
+ * @route   POST /api/fletes/tarifas
+ * @desc    Crear tarifa de flete
+ * @access  Private (Solo Admin)
+ * @body    { nombre, capacidad_m3, tarifa_km, cargo_minimo? }
+ */
+router.post("/tarifas", requireAdmin, createTarifa);
+
+/**
+ * @route   PUT /api/fletes/tarifas/:id
+ * @desc    Actualizar tarifa de flete
+ * @access  Private (Solo Admin)
+ * @body    { nombre?, capacidad_m3?, tarifa_km?, cargo_minimo?, activa? }
+ */
+router.put("/tarifas/:id", requireAdmin, updateTarifa);
+
+module.exports = router;
@@ -9,6 +9,8 @@ const {
   updateMaterial,
   deactivateMaterial,
   getMaterialStats,
+  getPrecios,
+  createPrecio,
 } = require("../controllers/materialesController");
 
 // Middlewares
@@ -64,10 +66,26 @@ router.post("/", requireAdmin, createMaterial);
  * @route   PUT /api/materiales/:id
  * @desc    Actualizar material existente
  * @access  Private (Admin/Administrativo)
- * @body    { nombre?, descripcion?, precio_por_unidad? }
+ * @body    { nombre?, descripcion?, precio_por_unidad? } - el precio queda versionado en la lista general
  */
 router.put("/:id", updateMaterial);
 
+/**
+ * @route   GET /api/materiales/:id/precios
+ * @desc    Historial de precios del material (vigentes, programados e históricos)
+ * @access  Private (Admin/Administrativo)
+ * @query   ?lista_id=
+ */
+router.get("/:id/precios", getPrecios);
+
+/**
+ * @route   POST /api/materiales/:id/precios
+ * @desc    Registrar nueva versión de precio (puede programarse a futuro)
+ * @access  Private (Solo Admin)
+ * @body    { precio, lista_id?, vigente_desde?, motivo? } - sin lista va a la general
+ */
+router.post("/:id/precios", requireAdmin, createPrecio);
+
 /**
  * @route   DELETE /api/materiales/:id
  * @desc    Desactivar material (soft delete)
@@ -0,0 +1,70 @@
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const {
+  getPatios,
+  getPatioById,
+  createPatio,
+  updatePatio,
+  getStockPatio,
+} = require("../controllers/patiosController");
+
+// Middlewares
+const {
+  authenticateToken,
+  requireAdminOrStaff,
+  logAuthenticatedAccess,
+} = require("../middleware/authentication");
+
+const { addResponseHelpers } = require("../utils/responseHelper");
+
+// Agregar helpers de respuesta
+router.use(addResponseHelpers);
+
+// Todas las rutas de patios requieren autenticación
+router.use(authenticateToken);
+router.use(logAuthenticatedAccess);
+
+// Todas las rutas requieren rol administrativo
+router.use(requireAdminOrStaff);
+
+/**
+ * @route   GET /api/patios
+ * @desc    Listar patios (el principal primero)
+ * @access  Private (Admin/Administrativo)
+ * @query   ?activo=true
+ */
+router.get("/", getPatios);
+
+/**
+ * @route   POST /api/patios
+ * @desc    Crear patio
+ * @access  Private (Admin/Administrativo)
+ * @body    { nombre, direccion?, lat, lng, radio_geocerca_m? } - sin radio se usa el de Geocerca por defecto
+ */
+router.post("/", createPatio);
+
+/**
+ * @route   GET /api/patios/:id
+ * @desc    Obtener patio por ID
+ * @access  Private (Admin/Administrativo)
+ */
+router.get("/:id", getPatioById);
+
+/**
+ * @route   PUT /api/patios/:id
+ * @desc    Actualizar patio (el principal no puede desactivarse)
+ * @access  Private (Admin/Administrativo)
+ * @body    { nombre?, direccion?, lat?, lng?, activo?, radio_geocerca_m? } - null vuelve al radio por defecto
+ */
+router.put("/:id", updatePatio);
+
+/**
+ * @route   GET /api/patios/:id/stock
+ * @desc    Stock del patio con lo reservado y lo libre por material
+ * @access  Private (Admin/Administrativo)
+ */
+router.get("/:id/stock", getStockPatio);
+
+module.exports = router;
@@ -4,13 +4,18 @@ const router = express.Router();
 // Controllers
 const {
   createPedido,
+  cotizarPedido,
   getMisPedidos,
   trackPedido,
+  streamSeguimiento,
+  getHistorialPedido,
   getAllPedidos,
   changeEstado,
+  cancelarPedido,
   confirmarPedido,
   getEstadisticas,
   asignarVehiculo,
+  transbordarPedido,
 } = require("../controllers/pedidosController");
 
 // Middlewares de autenticación
@@ -43,11 +48,25 @@ router.use(addResponseHelpers);
  */
 router.get("/seguimiento/:codigo", allowPublicTracking, trackPedido);
 
+/**
+ * @route   GET /api/pedidos/seguimiento/:codigo/stream
+ * @desc    Seguimiento en tiempo real (Server-Sent Events): "estado" del pedido, "ubicacion" del camión en camino y "geocerca" al llegar o salir del destino
+ * @access  Private (Cliente dueño del pedido) / Private (Admin/Administrativo)
+ * @query   ?token= (JWT, para EventSource que no envía el header Authorization)
+ */
+router.get(
+  "/seguimiento/:codigo/stream",
+  authenticateToken,
+  logAuthenticatedAccess,
+  requirePedidoOwnership,
+  streamSeguimiento
+);
+
 /**
  * @route   POST /api/pedidos
  * @desc    Crear nuevo pedido
- * @access  Private (Cliente) / Private (Admin para otros clientes)
- * @body    { material_id, cantidad, direccion_entrega, telefono_contacto?, fecha_entrega_solicitada?, observaciones? }
+ * @access  Private (Cliente) / Private (Admin/Administrativo para otros clientes)
+ * @body    { cliente_id? (solo personal), detalles: [{ material_id, cantidad }], direccion_entrega, telefono_contacto?, fecha_entrega_solicitada?, observaciones?, patio_id?, autorizar_exceso_credito? } - sin patio sale del más cercano con stock; el motivo de exceso de crédito solo lo envía un administrador
  */
 router.post(
   "/",
@@ -58,6 +77,21 @@ router.post(
   createPedido
 );
 
+/**
+ * @route   POST /api/pedidos/cotizar
+ * @desc    Cotizar pedido (precios, flete y total) sin crear nada
+ * @access  Private (Cliente) / Private (Admin/Administrativo para otros clientes)
+ * @body    Igual que POST /api/pedidos - con direccion_lat/lng se incluye el flete
+ */
+router.post(
+  "/cotizar",
+  authenticateToken,
+  logAuthenticatedAccess,
+  requireClientForOrder,
+  logPedidoAccess("quote"),
+  cotizarPedido
+);
+
 /**
  * @route   GET /api/pedidos/mis-pedidos
  * @desc    Obtener pedidos del cliente autenticado
@@ -102,11 +136,25 @@ router.get(
   getAllPedidos
 );
 
+/**
+ * @route   GET /api/pedidos/:id/historial
+ * @desc    Historial de estados del pedido (quién, cuándo y por qué)
+ * @access  Private (Cliente dueño) / Private (Admin/Administrativo)
+ */
+router.get(
+  "/:id/historial",
+  authenticateToken,
+  logAuthenticatedAccess,
+  requireSpecificPedidoAccess,
+  logPedidoAccess("view_history"),
+  getHistorialPedido
+);
+
 /**
  * @route   PUT /api/pedidos/:id/estado
  * @desc    Cambiar estado de pedido
  * @access  Private (Admin/Administrativo)
- * @body    { nuevo_estado }
+ * @body    { nuevo_estado, motivo? }
  */
 router.put(
   "/:id/estado",
@@ -117,6 +165,21 @@ router.put(
   changeEstado
 );
 
+/**
+ * @route   POST /api/pedidos/:id/cancelar
+ * @desc    Cancelar pedido (devuelve stock y libera vehículo si corresponde)
+ * @access  Private (Cliente dueño, hasta el estado límite) / Private (Admin/Administrativo)
+ * @body    { motivo }
+ */
+router.post(
+  "/:id/cancelar",
+  authenticateToken,
+  logAuthenticatedAccess,
+  requireSpecificPedidoAccess,
+  logPedidoAccess("cancel"),
+  cancelarPedido
+);
+
 /**
  * @route   PUT /api/pedidos/:id/confirmar
  * @desc    Confirmar pedido y reducir stock
@@ -133,7 +196,7 @@ router.put(
 
 /**
  * @route   PUT /api/pedidos/:id/asignar-vehiculo
- * @desc    Asignar vehículo a pedido (sistema experto básico)
+ * @desc    Asignar vehículo a pedido (manual o por sistema experto)
  * @access  Private (Admin/Administrativo)
  * @body    { vehiculo_id? } - Opcional, si no se proporciona se asigna automáticamente
  */
@@ -146,4 +209,19 @@ router.put(
   asignarVehiculo
 );
 
+/**
+ * @route   POST /api/pedidos/:id/transbordo
+ * @desc    Pasar la carga de un pedido retenido en un vehículo averiado a otro disponible
+ * @access  Private (Admin/Administrativo)
+ * @body    { vehiculo_id, motivo? }
+ */
+router.post(
+  "/:id/transbordo",
+  authenticateToken,
+  logAuthenticatedAccess,
+  requireStaffForStatusChange,
+  logPedidoAccess("transfer_load"),
+  transbordarPedido
+);
+
 module.exports = router;
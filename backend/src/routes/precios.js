@@ -0,0 +1,81 @@
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const {
+  getListas,
+  createLista,
+  updateLista,
+  getDescuentos,
+  createDescuento,
+  deactivateDescuento,
+} = require("../controllers/preciosController");
+
+// Middlewares
+const {
+  authenticateToken,
+  requireAdmin,
+  requireAdminOrStaff,
+  logAuthenticatedAccess,
+} = require("../middleware/authentication");
+
+const { addResponseHelpers } = require("../utils/responseHelper");
+
+// Agregar helpers de respuesta
+router.use(addResponseHelpers);
+
+// Todas las rutas de precios requieren autenticación
+router.use(authenticateToken);
+router.use(logAuthenticatedAccess);
+
+// Todas las rutas requieren rol administrativo
+router.use(requireAdminOrStaff);
+
+/**
+ * @route   GET /api/precios/listas
+ * @desc    Listar listas de precios (la general primero)
+ * @access  Private (Admin/Administrativo)
+ * @query   ?activa=true
+ */
+router.get("/listas", getListas);
+
+/**
+ * @route   POST /api/precios/listas
+ * @desc    Crear lista de precios para un tipo de cliente
+ * @access  Private (Solo Admin)
+ * @body    { nombre, tipo_cliente, descripcion? }
+ */
+router.post("/listas", requireAdmin, createLista);
+
+/**
+ * @route   PUT /api/precios/listas/:id
+ * @desc    Actualizar lista de precios (la general no puede desactivarse)
+ * @access  Private (Solo Admin)
+ * @body    { nombre?, descripcion?, activa? }
+ */
+router.put("/listas/:id", requireAdmin, updateLista);
+
+/**
+ * @route   GET /api/precios/listas/:id/descuentos
+ * @desc    Descuentos por volumen de la lista
+ * @access  Private (Admin/Administrativo)
+ * @query   ?activo=true
+ */
+router.get("/listas/:id/descuentos", getDescuentos);
+
+/**
+ * @route   POST /api/precios/listas/:id/descuentos
+ * @desc    Agregar tramo de descuento por volumen
+ * @access  Private (Solo Admin)
+ * @body    { material_id?, cantidad_minima, porcentaje } - sin material aplica a todos
+ */
+router.post("/listas/:id/descuentos", requireAdmin, createDescuento);
+
+/**
+ * @route   DELETE /api/precios/descuentos/:id
+ * @desc    Desactivar tramo de descuento
+ * @access  Private (Solo Admin)
+ */
+router.delete("/descuentos/:id", requireAdmin, deactivateDescuento);
+
+module.exports = router;
@@ -10,6 +10,16 @@ const {
   checkStockAvailability,
   getInventorySummary,
   incrementStock,
+  registrarMerma,
+  getMovimientos,
+  getForecast,
+  getReposiciones,
+  generarReposiciones,
+  aprobarReposicion,
+  rechazarReposicion,
+  updateParametrosReposicion,
+  createTransferencia,
+  getTransferencias,
 } = require("../controllers/stockController");
 
 // Middlewares
@@ -33,7 +43,7 @@ router.use(requireAdminOrStaff);
 
 /**
  * @route   GET /api/stock
- * @desc    Listar inventario completo con alertas
+ * @desc    Listar inventario completo con alertas (disponible, reservado y libre)
  * @access  Private (Admin/Administrativo)
  */
 router.get("/", getInventario);
@@ -45,11 +55,66 @@ router.get("/", getInventario);
  */
 router.get("/alerts", getStockAlerts);
 
+/**
+ * @route   GET /api/stock/forecast
+ * @desc    Pronóstico de agotamiento por consumo real y reposición sugerida
+ * @access  Private (Admin/Administrativo)
+ * @query   ?dias_historial=56
+ */
+router.get("/forecast", getForecast);
+
+/**
+ * @route   GET /api/stock/reposiciones
+ * @desc    Listar propuestas de reposición
+ * @access  Private (Admin/Administrativo)
+ * @query   ?estado=pendiente|aprobada|rechazada|atendida&limit=
+ */
+router.get("/reposiciones", getReposiciones);
+
+/**
+ * @route   POST /api/stock/reposiciones/generar
+ * @desc    Revisar inventario y generar propuestas para materiales bajo su mínimo
+ * @access  Private (Admin/Administrativo)
+ */
+router.post("/reposiciones/generar", generarReposiciones);
+
+/**
+ * @route   PUT /api/stock/reposiciones/:id/aprobar
+ * @desc    Aprobar propuesta de reposición (opcionalmente ajustando la cantidad)
+ * @access  Private (Admin/Administrativo)
+ * @body    { cantidad?, nota? }
+ */
+router.put("/reposiciones/:id/aprobar", aprobarReposicion);
+
+/**
+ * @route   PUT /api/stock/reposiciones/:id/rechazar
+ * @desc    Rechazar propuesta de reposición
+ * @access  Private (Admin/Administrativo)
+ * @body    { motivo }
+ */
+router.put("/reposiciones/:id/rechazar", rechazarReposicion);
+
+/**
+ * @route   GET /api/stock/transferencias
+ * @desc    Listar transferencias de stock entre patios
+ * @access  Private (Admin/Administrativo)
+ * @query   ?material_id=&patio_id=&limit=
+ */
+router.get("/transferencias", getTransferencias);
+
+/**
+ * @route   POST /api/stock/transferencias
+ * @desc    Transferir stock entre patios (salida y entrada pareadas en el kardex)
+ * @access  Private (Admin/Administrativo)
+ * @body    { material_id, origen_patio_id, destino_patio_id, cantidad, nota? }
+ */
+router.post("/transferencias", createTransferencia);
+
 /**
  * @route   PUT /api/stock/:material_id
- * @desc    Actualizar cantidad de stock
+ * @desc    Ajustar cantidad de stock (requiere motivo, queda en el kardex)
  * @access  Private (Admin/Administrativo)
- * @body    { cantidad_disponible }
+ * @body    { cantidad_disponible, motivo, patio_id? } - sin patio se ajusta el principal
  */
 router.put("/:material_id", updateStock);
 
@@ -62,7 +127,7 @@ router.get("/summary", getInventorySummary);
 
 /**
  * @route   GET /api/stock/:material_id
- * @desc    Obtener stock específico de un material
+ * @desc    Obtener stock específico de un material (con su detalle por patio)
  * @access  Private (Admin/Administrativo)
  */
 router.get("/:material_id", getStockByMaterial);
@@ -79,8 +144,32 @@ router.post("/check-availability", checkStockAvailability);
  * @route   POST /api/stock/:material_id/increment
  * @desc    Incrementar stock (entrada de materiales)
  * @access  Private (Admin/Administrativo)
- * @body    { cantidad }
+ * @body    { cantidad, nota?, patio_id? } - sin patio entra al principal
  */
 router.post("/:material_id/increment", incrementStock);
 
+/**
+ * @route   POST /api/stock/:material_id/merma
+ * @desc    Registrar merma (pérdida de material)
+ * @access  Private (Admin/Administrativo)
+ * @body    { cantidad, motivo, patio_id? } - sin patio sale del principal
+ */
+router.post("/:material_id/merma", registrarMerma);
+
+/**
+ * @route   PUT /api/stock/:material_id/reposicion
+ * @desc    Configurar nivel objetivo y días de reposición del material
+ * @access  Private (Admin/Administrativo)
+ * @body    { nivel_objetivo?, dias_reposicion? } - null restablece el valor por defecto
+ */
+router.put("/:material_id/reposicion", updateParametrosReposicion);
+
+/**
+ * @route   GET /api/stock/:material_id/movimientos
+ * @desc    Kardex de movimientos del material
+ * @access  Private (Admin/Administrativo)
+ * @query   ?desde=YYYY-MM-DD&hasta=YYYY-MM-DD&tipo=entrada|salida_pedido|ajuste|merma|devolucion|transferencia&limit=
+ */
+router.get("/:material_id/movimientos", getMovimientos);
+
 module.exports = router;
@@ -4,17 +4,34 @@ const router = express.Router();
 // Controllers
 const {
   getVehiculos,
+  streamFlota,
   getFleetStats,
+  createVehiculo,
+  updateVehiculo,
+  retirarVehiculo,
+  getMantenimientos,
+  createMantenimiento,
+  completarMantenimiento,
+  cancelarMantenimiento,
   cambiarEstado,
+  getHistorialVehiculo,
+  getVisitasVehiculo,
   actualizarUbicacion,
+  registrarPosiciones,
+  getRecorrido,
+  asignarConductor,
   getVehiculosDisponibles,
   asignarVehiculoAutomatico,
+  getReglasAsignacion,
+  actualizarReglaAsignacion,
+  simularAsignacion,
   getDashboardFlota,
 } = require("../controllers/vehiculosController");
 
 // Middlewares
 const {
   authenticateToken,
+  requireAdmin,
   requireAdminOrStaff,
   logAuthenticatedAccess,
 } = require("../middleware/authentication");
@@ -38,6 +55,22 @@ router.use(requireAdminOrStaff);
  */
 router.get("/", getVehiculos);
 
+/**
+ * @route   GET /api/vehiculos/stream
+ * @desc    Flota en tiempo real (Server-Sent Events): "flota" inicial, luego "ubicacion", "estado" y "geocerca"
+ * @access  Private (Admin/Administrativo)
+ * @query   ?token= (JWT, para EventSource que no envía el header Authorization)
+ */
+router.get("/stream", streamFlota);
+
+/**
+ * @route   POST /api/vehiculos
+ * @desc    Registrar vehículo (queda disponible y sin conductor)
+ * @access  Private (Admin/Administrativo)
+ * @body    { placa, marca, modelo, capacidad_m3 }
+ */
+router.post("/", createVehiculo);
+
 /**
  * @route   GET /api/vehiculos/estadisticas
  * @desc    Obtener estadísticas de la flota
@@ -52,22 +85,141 @@ router.get("/estadisticas", getFleetStats);
  */
 router.get("/dashboard", getDashboardFlota);
 
+/**
+ * @route   GET /api/vehiculos/reglas
+ * @desc    Listar reglas del sistema experto (peso y parámetros)
+ * @access  Private (Admin/Administrativo)
+ */
+router.get("/reglas", getReglasAsignacion);
+
+/**
+ * @route   POST /api/vehiculos/reglas/simular
+ * @desc    Simular puntuación de un pedido con un borrador de reglas
+ * @access  Private (Admin/Administrativo)
+ * @body    { pedido_id, reglas: { codigo: { activa?, peso?, parametros? } } }
+ */
+router.post("/reglas/simular", simularAsignacion);
+
+/**
+ * @route   PUT /api/vehiculos/reglas/:codigo
+ * @desc    Actualizar peso, estado o parámetros de una regla
+ * @access  Private (Solo Admin)
+ * @body    { activa?, peso?, parametros? }
+ */
+router.put("/reglas/:codigo", requireAdmin, actualizarReglaAsignacion);
+
+/**
+ * @route   PUT /api/vehiculos/:id
+ * @desc    Editar placa, marca, modelo o capacidad
+ * @access  Private (Admin/Administrativo)
+ * @body    { placa?, marca?, modelo?, capacidad_m3? }
+ */
+router.put("/:id", updateVehiculo);
+
+/**
+ * @route   DELETE /api/vehiculos/:id
+ * @desc    Retirar vehículo de la flota (se conserva su historial)
+ * @access  Private (Solo Admin)
+ * @body    { motivo? }
+ */
+router.delete("/:id", requireAdmin, retirarVehiculo);
+
+/**
+ * @route   GET /api/vehiculos/:id/mantenimientos
+ * @desc    Historial de mantenimientos del vehículo
+ * @access  Private (Admin/Administrativo)
+ * @query   ?estado=programado|en_curso|completado|cancelado&limit=
+ */
+router.get("/:id/mantenimientos", getMantenimientos);
+
+/**
+ * @route   POST /api/vehiculos/:id/mantenimientos
+ * @desc    Programar mantenimiento o registrar uno ya realizado
+ * @access  Private (Admin/Administrativo)
+ * @body    { tipo_servicio, fecha_programada?, fecha_realizada?, odometro_km?, costo?, proxima_fecha?, observaciones? }
+ */
+router.post("/:id/mantenimientos", createMantenimiento);
+
+/**
+ * @route   POST /api/vehiculos/:id/mantenimientos/:mantenimientoId/completar
+ * @desc    Completar mantenimiento; con proxima_fecha se programa el siguiente
+ * @access  Private (Admin/Administrativo)
+ * @body    { fecha_realizada?, odometro_km?, costo?, proxima_fecha?, observaciones? }
+ */
+router.post(
+  "/:id/mantenimientos/:mantenimientoId/completar",
+  completarMantenimiento
+);
+
+/**
+ * @route   POST /api/vehiculos/:id/mantenimientos/:mantenimientoId/cancelar
+ * @desc    Cancelar mantenimiento pendiente
+ * @access  Private (Admin/Administrativo)
+ * @body    { motivo? }
+ */
+router.post(
+  "/:id/mantenimientos/:mantenimientoId/cancelar",
+  cancelarMantenimiento
+);
+
 /**
  * @route   PUT /api/vehiculos/:id/estado
- * @desc    Cambiar estado de vehículo
+ * @desc    Cambiar estado de vehículo (según transiciones permitidas);
+ *          averiado reasigna los pedidos sin cargar y deja los cargados
+ *          a la espera de transbordo
  * @access  Private (Admin/Administrativo)
- * @body    { nuevo_estado }
+ * @body    { nuevo_estado, motivo? }
  */
 router.put("/:id/estado", cambiarEstado);
 
+/**
+ * @route   GET /api/vehiculos/:id/historial
+ * @desc    Historial de estados del vehículo (quién, cuándo y por qué)
+ * @access  Private (Admin/Administrativo)
+ * @query   ?limit=
+ */
+router.get("/:id/historial", getHistorialVehiculo);
+
+/**
+ * @route   GET /api/vehiculos/:id/visitas
+ * @desc    Llegadas y salidas del vehículo en patios y destinos, con permanencia
+ * @access  Private (Admin/Administrativo)
+ * @query   ?limit=
+ */
+router.get("/:id/visitas", getVisitasVehiculo);
+
 /**
  * @route   PUT /api/vehiculos/:id/ubicacion
- * @desc    Actualizar ubicación GPS de vehículo
+ * @desc    Actualizar ubicación GPS de vehículo (detecta llegadas y salidas de patios y destinos)
  * @access  Private (Admin/Administrativo)
- * @body    { lat, lng }
+ * @body    { lat, lng, velocidad_kmh?, rumbo?, registrado_en? }
  */
 router.put("/:id/ubicacion", actualizarUbicacion);
 
+/**
+ * @route   POST /api/vehiculos/:id/posiciones
+ * @desc    Registrar en lote posiciones acumuladas sin señal
+ * @access  Private (Admin/Administrativo)
+ * @body    { puntos: [{ lat, lng, registrado_en, velocidad_kmh?, rumbo? }] }
+ */
+router.post("/:id/posiciones", registrarPosiciones);
+
+/**
+ * @route   GET /api/vehiculos/:id/recorrido
+ * @desc    Recorrido del vehículo como GeoJSON LineString con km totales
+ * @access  Private (Admin/Administrativo)
+ * @query   ?desde=&hasta= (por defecto últimas 24 horas)
+ */
+router.get("/:id/recorrido", getRecorrido);
+
+/**
+ * @route   PUT /api/vehiculos/:id/conductor
+ * @desc    Vincular (o desvincular) conductor al vehículo
+ * @access  Private (Admin/Administrativo)
+ * @body    { conductor_id } - null para desvincular
+ */
+router.put("/:id/conductor", asignarConductor);
+
 /**
  * @route   GET /api/vehiculos/disponibles/:capacidad
  * @desc    Obtener vehículos disponibles por capacidad mínima
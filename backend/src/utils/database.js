@@ -3,10 +3,17 @@ const logger = require("./logger");
 
 /**
  * Ejecutar transacción con rollback automático en caso de error
+ * Dentro del callback, client.alConfirmar(accion) deja una acción para
+ * después del COMMIT
  */
 const executeTransaction = async (transactionCallback) => {
   const client = await pool.connect();
 
+  // Acciones que solo deben ocurrir si la transacción se confirma
+  // (por ejemplo avisos en tiempo real)
+  const accionesAlConfirmar = [];
+  client.alConfirmar = (accion) => accionesAlConfirmar.push(accion);
+
   try {
     await client.query("BEGIN");
 
@@ -16,12 +23,25 @@ const executeTransaction = async (transactionCallback) => {
     await client.query("COMMIT");
 
     logger.info("Transacción completada exitosamente");
+
+    for (const accion of accionesAlConfirmar) {
+      try {
+        accion();
+      } catch (error) {
+        logger.error(
+          "Error en acción posterior a la transacción:",
+          error.message
+        );
+      }
+    }
+
     return result;
   } catch (error) {
     await client.query("ROLLBACK");
     logger.error("Transacción revertida debido a error:", error.message);
     throw error;
   } finally {
+    delete client.alConfirmar;
     client.release();
   }
 };
@@ -0,0 +1,135 @@
+const { EventEmitter } = require("events");
+const logger = require("./logger");
+
+/**
+ * Cambios en tiempo real (Server-Sent Events)
+ * Bus en memoria del proceso: los modelos publican los cambios cuando su
+ * transacción se confirma y cada conexión SSE reenvía los que le tocan.
+ * Con varias instancias del backend cada una solo ve sus propios cambios.
+ */
+
+const TIPOS = {
+  UBICACION_VEHICULO: "vehiculo_ubicacion",
+  ESTADO_VEHICULO: "vehiculo_estado",
+  ESTADO_PEDIDO: "pedido_estado",
+  GEOCERCA: "vehiculo_geocerca",
+};
+
+// Comentario periódico para que proxies y navegador no corten la conexión
+const LATIDO_MS = parseInt(process.env.SSE_LATIDO_MS, 10) || 25000;
+
+// Espera sugerida al navegador antes de reconectar
+const REINTENTO_MS = 5000;
+
+const bus = new EventEmitter();
+// Una suscripción por conexión abierta
+bus.setMaxListeners(0);
+
+let conexiones = 0;
+
+/**
+ * Publicar un cambio a todas las conexiones abiertas
+ */
+const publicar = (tipo, datos) => {
+  bus.emit("cambio", { tipo, datos, fecha: new Date().toISOString() });
+};
+
+/**
+ * Publicar un cambio hecho dentro de una transacción: sale recién al
+ * confirmarse (si se revierte no se avisa nada)
+ */
+const publicarAlConfirmar = (client, tipo, datos) => {
+  if (client && client.alConfirmar) {
+    client.alConfirmar(() => publicar(tipo, datos));
+  } else {
+    publicar(tipo, datos);
+  }
+};
+
+/**
+ * Suscribirse a los cambios publicados
+ * @returns {Function} cancelar la suscripción
+ */
+const suscribir = (alCambiar) => {
+  bus.on("cambio", alCambiar);
+  return () => bus.off("cambio", alCambiar);
+};
+
+/**
+ * Abrir un stream SSE en la respuesta y suscribirlo a los cambios
+ * Se cierra cuando el cliente se desconecta o vence su token (el
+ * navegador reconecta y vuelve a autenticarse).
+ * @param {Function} alCambiar - async (cambio, enviar) decide qué reenviar
+ * @returns {Function} enviar(evento, datos)
+ */
+const abrirStream = (req, res, alCambiar) => {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Sin buffer en nginx
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${REINTENTO_MS}\n\n`);
+
+  let ultimoId = 0;
+  const enviar = (evento, datos) => {
+    ultimoId += 1;
+    res.write(
+      `id: ${ultimoId}\nevent: ${evento}\ndata: ${JSON.stringify(datos)}\n\n`
+    );
+  };
+
+  const cancelar = suscribir((cambio) => {
+    Promise.resolve(alCambiar(cambio, enviar)).catch((error) => {
+      logger.error("Error enviando cambio en tiempo real:", error.message);
+    });
+  });
+
+  const latido = setInterval(() => res.write(": latido\n\n"), LATIDO_MS);
+
+  const vencimiento = req.tokenExpira
+    ? setTimeout(
+        () => res.end(),
+        Math.max(0, req.tokenExpira * 1000 - Date.now())
+      )
+    : null;
+
+  conexiones += 1;
+
+  logger.debug("Stream en tiempo real abierto:", {
+    userId: req.user && req.user.id,
+    path: req.path,
+    conexiones,
+  });
+
+  res.on("close", () => {
+    clearInterval(latido);
+    clearTimeout(vencimiento);
+    cancelar();
+    conexiones -= 1;
+
+    logger.debug("Stream en tiempo real cerrado:", {
+      userId: req.user && req.user.id,
+      conexiones,
+    });
+  });
+
+  return enviar;
+};
+
+/**
+ * Cantidad de streams abiertos (monitoreo)
+ */
+const contarConexiones = () => conexiones;
+
+module.exports = {
+  TIPOS,
+  publicar,
+  publicarAlConfirmar,
+  suscribir,
+  abrirStream,
+  contarConexiones,
+};
@@ -1,5 +1,8 @@
 const validator = require("validator");
 
+// Tipos de proveedor (debe coincidir con CHECK de BD)
+const TIPOS_PROVEEDOR = ["cantera", "transporte", "otro"];
+
 /**
  * Validar email
  */
@@ -150,6 +153,41 @@ const validateQuantity = (cantidad) => {
   return { isValid: true, value: roundedQuantity };
 };
 
+/**
+ * Validar cantidad de inventario (saldo o movimiento)
+ * Sin el tope de 1000 m³ de validateQuantity, que es por pedido: un patio
+ * guarda y mueve más que eso. El límite es el de la columna DECIMAL(10,2).
+ * @param {Object} opciones - { permitirCero } para saldos que pueden quedar en 0
+ */
+const validateStockQuantity = (cantidad, { permitirCero = false } = {}) => {
+  if (cantidad === undefined || cantidad === null || cantidad === "") {
+    return { isValid: false, message: "Cantidad es requerida" };
+  }
+
+  const numCantidad = parseFloat(cantidad);
+
+  if (isNaN(numCantidad)) {
+    return { isValid: false, message: "Cantidad debe ser un número" };
+  }
+
+  if (numCantidad < 0 || (numCantidad === 0 && !permitirCero)) {
+    return {
+      isValid: false,
+      message: permitirCero
+        ? "Cantidad no puede ser negativa"
+        : "Cantidad debe ser mayor a 0",
+    };
+  }
+
+  const roundedQuantity = Math.round(numCantidad * 100) / 100;
+
+  if (roundedQuantity > 99999999.99) {
+    return { isValid: false, message: "Cantidad fuera de rango" };
+  }
+
+  return { isValid: true, value: roundedQuantity };
+};
+
 /**
  * Validar precio
  */
@@ -242,6 +280,25 @@ const validateCoordinates = (lat, lng) => {
   };
 };
 
+/**
+ * Validar radio de geocerca en metros (null: usar el radio por defecto)
+ */
+const validateGeofenceRadius = (radio) => {
+  if (radio === null || radio === "") {
+    return { isValid: true, value: null };
+  }
+
+  const numRadio = Number(radio);
+  if (!Number.isInteger(numRadio) || numRadio < 20 || numRadio > 5000) {
+    return {
+      isValid: false,
+      message: "Radio de geocerca inválido (entero de 20 a 5000 metros)",
+    };
+  }
+
+  return { isValid: true, value: numRadio };
+};
+
 /**
  * Validar fecha de entrega
  */
@@ -277,6 +334,39 @@ const validateDeliveryDate = (fecha) => {
   return { isValid: true, value: deliveryDate.toISOString().split("T")[0] };
 };
 
+/**
+ * Validar rango de fechas opcional (filtros de consultas)
+ * Devuelve fechas YYYY-MM-DD o null si no se enviaron
+ */
+const validateDateRange = (desde, hasta) => {
+  const errors = [];
+  const value = { desde: null, hasta: null };
+
+  [
+    ["desde", desde],
+    ["hasta", hasta],
+  ].forEach(([field, fecha]) => {
+    if (!fecha) return;
+
+    const date = new Date(fecha);
+    if (isNaN(date.getTime())) {
+      errors.push({ field, message: `Fecha ${field} inválida` });
+      return;
+    }
+
+    value[field] = date.toISOString().split("T")[0];
+  });
+
+  if (value.desde && value.hasta && value.desde > value.hasta) {
+    errors.push({
+      field: "desde",
+      message: "La fecha desde no puede ser posterior a hasta",
+    });
+  }
+
+  return { isValid: errors.length === 0, errors, value };
+};
+
 /**
  * Validar placa de vehículo boliviano
  */
@@ -400,6 +490,108 @@ const validateUserRegistration = (userData) => {
   };
 };
 
+/**
+ * Validar líneas de pedido
+ * Acepta { detalles: [{ material_id, cantidad }] } o el formato de una sola
+ * línea { material_id, cantidad }
+ */
+const validateOrderLines = (orderData) => {
+  const errors = [];
+
+  const lineas =
+    orderData.detalles !== undefined
+      ? orderData.detalles
+      : [{ material_id: orderData.material_id, cantidad: orderData.cantidad }];
+
+  if (!Array.isArray(lineas) || lineas.length === 0) {
+    return {
+      isValid: false,
+      errors: [
+        {
+          field: "detalles",
+          message: "El pedido debe tener al menos un material",
+        },
+      ],
+    };
+  }
+
+  if (lineas.length > 20) {
+    return {
+      isValid: false,
+      errors: [
+        { field: "detalles", message: "Máximo 20 materiales por pedido" },
+      ],
+    };
+  }
+
+  // Con formato de una sola línea se mantienen los nombres de campo originales
+  const prefijo = (index, campo) =>
+    orderData.detalles !== undefined ? `detalles[${index}].${campo}` : campo;
+
+  const validLines = [];
+  const materialesVistos = new Set();
+
+  lineas.forEach((linea, index) => {
+    if (
+      !linea ||
+      !linea.material_id ||
+      !Number.isInteger(Number(linea.material_id))
+    ) {
+      errors.push({
+        field: prefijo(index, "material_id"),
+        message: "ID de material inválido",
+      });
+      return;
+    }
+
+    const materialId = parseInt(linea.material_id);
+
+    if (materialesVistos.has(materialId)) {
+      errors.push({
+        field: prefijo(index, "material_id"),
+        message: "Material repetido en el pedido, sume las cantidades",
+      });
+      return;
+    }
+    materialesVistos.add(materialId);
+
+    const quantityValidation = validateQuantity(linea.cantidad);
+    if (!quantityValidation.isValid) {
+      errors.push({
+        field: prefijo(index, "cantidad"),
+        message: quantityValidation.message,
+      });
+      return;
+    }
+
+    validLines.push({
+      material_id: materialId,
+      cantidad: quantityValidation.value,
+    });
+  });
+
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
+  // El volumen total debe caber en los límites de un pedido
+  const volumenTotal = validLines.reduce((sum, l) => sum + l.cantidad, 0);
+  const totalValidation = validateQuantity(volumenTotal);
+  if (!totalValidation.isValid) {
+    return {
+      isValid: false,
+      errors: [
+        {
+          field: "detalles",
+          message: `Volumen total inválido: ${totalValidation.message}`,
+        },
+      ],
+    };
+  }
+
+  return { isValid: true, errors: [], value: validLines };
+};
+
 /**
  * Validar datos de pedido
  */
@@ -407,22 +599,12 @@ const validateOrderData = (orderData) => {
   const errors = [];
   const validData = {};
 
-  // Material ID
-  if (
-    !orderData.material_id ||
-    !Number.isInteger(Number(orderData.material_id))
-  ) {
-    errors.push({ field: "material_id", message: "ID de material inválido" });
-  } else {
-    validData.material_id = parseInt(orderData.material_id);
-  }
-
-  // Cantidad
-  const quantityValidation = validateQuantity(orderData.cantidad);
-  if (!quantityValidation.isValid) {
-    errors.push({ field: "cantidad", message: quantityValidation.message });
+  // Líneas del pedido (material + cantidad)
+  const linesValidation = validateOrderLines(orderData);
+  if (!linesValidation.isValid) {
+    errors.push(...linesValidation.errors);
   } else {
-    validData.cantidad = quantityValidation.value;
+    validData.detalles = linesValidation.value;
   }
 
   // Dirección
@@ -472,6 +654,20 @@ const validateOrderData = (orderData) => {
     validData.fecha_entrega_solicitada = dateValidation.value;
   }
 
+  // Patio de origen (opcional: sin él se elige el más cercano con stock)
+  if (
+    orderData.patio_id !== undefined &&
+    orderData.patio_id !== null &&
+    orderData.patio_id !== ""
+  ) {
+    const patioValidation = validateId(orderData.patio_id, "ID de patio");
+    if (!patioValidation.isValid) {
+      errors.push({ field: "patio_id", message: patioValidation.message });
+    } else {
+      validData.patio_id = patioValidation.value;
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -480,38 +676,1515 @@ const validateOrderData = (orderData) => {
 };
 
 /**
- * Sanitizar texto (prevenir XSS básico)
+ * Validar comprobante de entrega reportado por el conductor
  */
-const sanitizeText = (text) => {
-  if (!text || typeof text !== "string") return text;
+const validateDeliveryProof = (proofData) => {
+  const errors = [];
+  const validData = {};
 
-  return text
-    .trim()
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#x27;")
-    .replace(/\//g, "&#x2F;");
+  // Nombre de quien recibe (requerido)
+  const receptor =
+    typeof proofData.receptor_nombre === "string"
+      ? proofData.receptor_nombre.trim()
+      : "";
+  if (receptor.length < 2 || receptor.length > 100) {
+    errors.push({
+      field: "receptor_nombre",
+      message: "Nombre de quien recibe es requerido (2 a 100 caracteres)",
+    });
+  } else {
+    validData.receptor_nombre = sanitizeText(receptor);
+  }
+
+  // Documento de quien recibe (opcional)
+  if (proofData.receptor_documento) {
+    const documento = String(proofData.receptor_documento).trim();
+    if (!/^[A-Za-z0-9\-]{4,20}$/.test(documento)) {
+      errors.push({
+        field: "receptor_documento",
+        message: "Documento inválido (4 a 20 caracteres alfanuméricos)",
+      });
+    } else {
+      validData.receptor_documento = documento.toUpperCase();
+    }
+  } else {
+    validData.receptor_documento = null;
+  }
+
+  // URL de foto/firma de evidencia (opcional)
+  if (proofData.evidencia_url) {
+    if (
+      typeof proofData.evidencia_url !== "string" ||
+      proofData.evidencia_url.length > 500 ||
+      !validator.isURL(proofData.evidencia_url, { require_protocol: true })
+    ) {
+      errors.push({
+        field: "evidencia_url",
+        message: "URL de evidencia inválida",
+      });
+    } else {
+      validData.evidencia_url = proofData.evidencia_url;
+    }
+  } else {
+    validData.evidencia_url = null;
+  }
+
+  // Coordenadas del punto de entrega (opcionales)
+  const coordsValidation = validateCoordinates(proofData.lat, proofData.lng);
+  if (!coordsValidation.isValid) {
+    errors.push({ field: "coordenadas", message: coordsValidation.message });
+  } else {
+    validData.lat = coordsValidation.value.lat;
+    validData.lng = coordsValidation.value.lng;
+  }
+
+  validData.observaciones = sanitizeText(proofData.observaciones) || null;
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
 };
 
 /**
- * Validar ID numérico
+ * Validar datos de proveedor
+ * @param {boolean} parcial - En actualizaciones solo se validan los campos enviados
  */
-const validateId = (id, fieldName = "ID") => {
-  if (!id) {
-    return { isValid: false, message: `${fieldName} es requerido` };
+const validateSupplierData = (supplierData, parcial = false) => {
+  const errors = [];
+  const validData = {};
+
+  if (!parcial || supplierData.nombre !== undefined) {
+    const nombre =
+      typeof supplierData.nombre === "string" ? supplierData.nombre.trim() : "";
+    if (nombre.length < 2 || nombre.length > 150) {
+      errors.push({
+        field: "nombre",
+        message: "Nombre del proveedor requerido (2 a 150 caracteres)",
+      });
+    } else {
+      validData.nombre = sanitizeText(nombre);
+    }
   }
 
-  const numId = parseInt(id);
+  if (supplierData.tipo !== undefined) {
+    if (!TIPOS_PROVEEDOR.includes(supplierData.tipo)) {
+      errors.push({
+        field: "tipo",
+        message: `Tipo debe ser uno de: ${TIPOS_PROVEEDOR.join(", ")}`,
+      });
+    } else {
+      validData.tipo = supplierData.tipo;
+    }
+  }
 
-  if (isNaN(numId) || numId <= 0) {
+  if (supplierData.nit !== undefined && supplierData.nit !== null) {
+    const nit = String(supplierData.nit).trim();
+    if (!/^[0-9]{5,15}$/.test(nit)) {
+      errors.push({ field: "nit", message: "NIT debe tener 5 a 15 dígitos" });
+    } else {
+      validData.nit = nit;
+    }
+  }
+
+  if (supplierData.telefono !== undefined) {
+    const phoneValidation = validatePhone(supplierData.telefono);
+    if (!phoneValidation.isValid) {
+      errors.push({ field: "telefono", message: phoneValidation.message });
+    } else {
+      validData.telefono = phoneValidation.value;
+    }
+  }
+
+  if (supplierData.email !== undefined && supplierData.email !== null) {
+    const emailValidation = validateEmail(supplierData.email);
+    if (!emailValidation.isValid) {
+      errors.push({ field: "email", message: emailValidation.message });
+    } else {
+      validData.email = emailValidation.value;
+    }
+  }
+
+  if (supplierData.direccion !== undefined) {
+    validData.direccion = sanitizeText(supplierData.direccion) || null;
+  }
+
+  if (supplierData.activo !== undefined) {
+    if (typeof supplierData.activo !== "boolean") {
+      errors.push({ field: "activo", message: "activo debe ser booleano" });
+    } else {
+      validData.activo = supplierData.activo;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar orden de compra
+ * { proveedor_id, transportista_id?, costo_flete?, fecha_esperada?,
+ *   observaciones?, detalles: [{ material_id, cantidad, costo_unitario }] }
+ */
+const validatePurchaseOrderData = (orderData) => {
+  const errors = [];
+  const validData = {
+    transportista_id: null,
+    costo_flete: 0,
+    fecha_esperada: null,
+    observaciones: sanitizeText(orderData.observaciones) || null,
+    detalles: [],
+  };
+
+  const proveedorValidation = validateId(orderData.proveedor_id, "Proveedor");
+  if (!proveedorValidation.isValid) {
+    errors.push({
+      field: "proveedor_id",
+      message: proveedorValidation.message,
+    });
+  } else {
+    validData.proveedor_id = proveedorValidation.value;
+  }
+
+  if (orderData.transportista_id) {
+    const transportistaValidation = validateId(
+      orderData.transportista_id,
+      "Transportista"
+    );
+    if (!transportistaValidation.isValid) {
+      errors.push({
+        field: "transportista_id",
+        message: transportistaValidation.message,
+      });
+    } else {
+      validData.transportista_id = transportistaValidation.value;
+    }
+  }
+
+  if (orderData.costo_flete !== undefined && orderData.costo_flete !== null) {
+    const flete = parseFloat(orderData.costo_flete);
+    if (isNaN(flete) || flete < 0) {
+      errors.push({
+        field: "costo_flete",
+        message: "Costo de flete debe ser un número mayor o igual a 0",
+      });
+    } else {
+      validData.costo_flete = Math.round(flete * 100) / 100;
+    }
+  }
+
+  if (orderData.fecha_esperada) {
+    const fecha = new Date(orderData.fecha_esperada);
+    if (isNaN(fecha.getTime())) {
+      errors.push({ field: "fecha_esperada", message: "Fecha inválida" });
+    } else {
+      validData.fecha_esperada = fecha.toISOString().split("T")[0];
+    }
+  }
+
+  const lineas = orderData.detalles;
+  if (!Array.isArray(lineas) || lineas.length === 0) {
+    errors.push({
+      field: "detalles",
+      message: "La orden debe tener al menos un material",
+    });
+    return { isValid: false, errors, validData };
+  }
+
+  const materialesVistos = new Set();
+  lineas.forEach((linea, index) => {
+    const materialValidation = validateId(
+      linea && linea.material_id,
+      "ID de material"
+    );
+    if (!materialValidation.isValid) {
+      errors.push({
+        field: `detalles[${index}].material_id`,
+        message: materialValidation.message,
+      });
+      return;
+    }
+
+    if (materialesVistos.has(materialValidation.value)) {
+      errors.push({
+        field: `detalles[${index}].material_id`,
+        message: "Material repetido en la orden, sume las cantidades",
+      });
+      return;
+    }
+    materialesVistos.add(materialValidation.value);
+
+    const quantityValidation = validateQuantity(linea.cantidad);
+    if (!quantityValidation.isValid) {
+      errors.push({
+        field: `detalles[${index}].cantidad`,
+        message: quantityValidation.message,
+      });
+      return;
+    }
+
+    const costValidation = validatePrice(linea.costo_unitario);
+    if (!costValidation.isValid) {
+      errors.push({
+        field: `detalles[${index}].costo_unitario`,
+        message: costValidation.message,
+      });
+      return;
+    }
+
+    validData.detalles.push({
+      material_id: materialValidation.value,
+      cantidad: quantityValidation.value,
+      costo_unitario: costValidation.value,
+    });
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar datos de patio (punto de extracción / acopio)
+ * @param {boolean} parcial - En actualizaciones solo se validan los campos enviados
+ */
+const validateYardData = (yardData, parcial = false) => {
+  const errors = [];
+  const validData = {};
+
+  if (!parcial || yardData.nombre !== undefined) {
+    const nombre =
+      typeof yardData.nombre === "string" ? yardData.nombre.trim() : "";
+    if (nombre.length < 2 || nombre.length > 100) {
+      errors.push({
+        field: "nombre",
+        message: "Nombre del patio requerido (2 a 100 caracteres)",
+      });
+    } else {
+      validData.nombre = sanitizeText(nombre);
+    }
+  }
+
+  if (yardData.direccion !== undefined) {
+    validData.direccion = sanitizeText(yardData.direccion) || null;
+  }
+
+  if (!parcial || yardData.lat !== undefined || yardData.lng !== undefined) {
+    const coordsValidation = validateCoordinates(yardData.lat, yardData.lng);
+    if (!coordsValidation.isValid) {
+      errors.push({ field: "coordenadas", message: coordsValidation.message });
+    } else if (coordsValidation.value.lat === null) {
+      errors.push({
+        field: "coordenadas",
+        message: "Latitud y longitud del patio son requeridas",
+      });
+    } else {
+      validData.lat = coordsValidation.value.lat;
+      validData.lng = coordsValidation.value.lng;
+    }
+  }
+
+  if (yardData.radio_geocerca_m !== undefined) {
+    const radioValidation = validateGeofenceRadius(yardData.radio_geocerca_m);
+    if (!radioValidation.isValid) {
+      errors.push({
+        field: "radio_geocerca_m",
+        message: radioValidation.message,
+      });
+    } else {
+      validData.radio_geocerca_m = radioValidation.value;
+    }
+  }
+
+  if (yardData.activo !== undefined) {
+    if (typeof yardData.activo !== "boolean") {
+      errors.push({ field: "activo", message: "activo debe ser booleano" });
+    } else {
+      validData.activo = yardData.activo;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar cambios a una regla del sistema experto de asignación
+ * @param {Object} ruleData - { activa?, peso?, parametros? }
+ * @param {Array} parametrosPermitidos - Nombres de parámetros que acepta la regla
+ */
+const validateAssignmentRule = (ruleData, parametrosPermitidos = []) => {
+  const errors = [];
+  const validData = {};
+
+  if (!ruleData || typeof ruleData !== "object") {
     return {
       isValid: false,
-      message: `${fieldName} debe ser un número positivo`,
+      errors: [{ field: "regla", message: "Datos de regla requeridos" }],
+      validData,
     };
   }
 
-  return { isValid: true, value: numId };
+  // Regla activa (opcional)
+  if (ruleData.activa !== undefined) {
+    if (typeof ruleData.activa !== "boolean") {
+      errors.push({ field: "activa", message: "activa debe ser true o false" });
+    } else {
+      validData.activa = ruleData.activa;
+    }
+  }
+
+  // Peso multiplicador de los puntos de la regla (opcional)
+  if (ruleData.peso !== undefined) {
+    const peso = parseFloat(ruleData.peso);
+    if (isNaN(peso) || peso < 0 || peso > 10) {
+      errors.push({ field: "peso", message: "Peso debe estar entre 0 y 10" });
+    } else {
+      validData.peso = peso;
+    }
+  }
+
+  // Parámetros numéricos de la regla (opcional)
+  if (ruleData.parametros !== undefined) {
+    if (
+      !ruleData.parametros ||
+      typeof ruleData.parametros !== "object" ||
+      Array.isArray(ruleData.parametros)
+    ) {
+      errors.push({
+        field: "parametros",
+        message: "parametros debe ser un objeto",
+      });
+    } else {
+      validData.parametros = {};
+
+      Object.entries(ruleData.parametros).forEach(([nombre, valor]) => {
+        const numValor = parseFloat(valor);
+
+        if (!parametrosPermitidos.includes(nombre)) {
+          errors.push({
+            field: `parametros.${nombre}`,
+            message: "Parámetro no reconocido para esta regla",
+          });
+        } else if (!Number.isFinite(numValor)) {
+          errors.push({
+            field: `parametros.${nombre}`,
+            message: "El parámetro debe ser numérico",
+          });
+        } else if (numValor < 0 && !/_(lat|lng)$/.test(nombre)) {
+          errors.push({
+            field: `parametros.${nombre}`,
+            message: "El parámetro no puede ser negativo",
+          });
+        } else {
+          validData.parametros[nombre] = numValor;
+        }
+      });
+    }
+  }
+
+  if (Object.keys(validData).length === 0 && errors.length === 0) {
+    errors.push({
+      field: "regla",
+      message: "Debe enviar activa, peso o parametros",
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Sanitizar texto (prevenir XSS básico)
+ */
+const sanitizeText = (text) => {
+  if (!text || typeof text !== "string") return text;
+
+  return text
+    .trim()
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#x27;")
+    .replace(/\//g, "&#x2F;");
+};
+
+/**
+ * Validar ID numérico
+ */
+const validateId = (id, fieldName = "ID") => {
+  if (!id) {
+    return { isValid: false, message: `${fieldName} es requerido` };
+  }
+
+  const numId = parseInt(id);
+
+  if (isNaN(numId) || numId <= 0) {
+    return {
+      isValid: false,
+      message: `${fieldName} debe ser un número positivo`,
+    };
+  }
+
+  return { isValid: true, value: numId };
+};
+
+/**
+ * Validar datos de lista de precios
+ * @param {boolean} parcial - true en actualizaciones (solo campos enviados)
+ */
+const validatePriceListData = (listData, parcial = false) => {
+  const errors = [];
+  const validData = {};
+
+  if (!parcial || listData.nombre !== undefined) {
+    const nombre =
+      typeof listData.nombre === "string" ? listData.nombre.trim() : "";
+    if (nombre.length < 2 || nombre.length > 100) {
+      errors.push({
+        field: "nombre",
+        message: "Nombre de la lista requerido (2 a 100 caracteres)",
+      });
+    } else {
+      validData.nombre = sanitizeText(nombre);
+    }
+  }
+
+  // El tipo de cliente no cambia una vez creada la lista
+  if (!parcial) {
+    const tipo =
+      typeof listData.tipo_cliente === "string"
+        ? listData.tipo_cliente.trim().toLowerCase()
+        : "";
+    if (!/^[a-z_]{3,30}$/.test(tipo)) {
+      errors.push({
+        field: "tipo_cliente",
+        message:
+          "Tipo de cliente requerido (3 a 30 letras minúsculas o guion bajo)",
+      });
+    } else {
+      validData.tipo_cliente = tipo;
+    }
+  }
+
+  if (listData.descripcion !== undefined) {
+    validData.descripcion = sanitizeText(listData.descripcion) || null;
+  }
+
+  if (listData.activa !== undefined) {
+    if (typeof listData.activa !== "boolean") {
+      errors.push({ field: "activa", message: "activa debe ser booleano" });
+    } else {
+      validData.activa = listData.activa;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar nueva versión de precio de un material
+ * La vigencia puede programarse a futuro pero no en el pasado
+ */
+const validatePriceVersionData = (priceData) => {
+  const errors = [];
+  const validData = {};
+
+  const priceValidation = validatePrice(priceData.precio);
+  if (!priceValidation.isValid) {
+    errors.push({ field: "precio", message: priceValidation.message });
+  } else {
+    validData.precio = priceValidation.value;
+  }
+
+  if (priceData.lista_id !== undefined && priceData.lista_id !== null) {
+    const listaValidation = validateId(priceData.lista_id, "ID de lista");
+    if (!listaValidation.isValid) {
+      errors.push({ field: "lista_id", message: listaValidation.message });
+    } else {
+      validData.lista_id = listaValidation.value;
+    }
+  }
+
+  if (priceData.vigente_desde) {
+    const fecha = new Date(priceData.vigente_desde);
+    if (isNaN(fecha.getTime())) {
+      errors.push({
+        field: "vigente_desde",
+        message: "Fecha de vigencia inválida",
+      });
+    } else if (fecha.getTime() < Date.now() - 60 * 1000) {
+      errors.push({
+        field: "vigente_desde",
+        message: "La vigencia no puede ser anterior a la fecha actual",
+      });
+    } else {
+      validData.vigente_desde = fecha;
+    }
+  }
+
+  if (priceData.motivo !== undefined && priceData.motivo !== null) {
+    const motivo =
+      typeof priceData.motivo === "string" ? priceData.motivo.trim() : "";
+    if (motivo.length > 500) {
+      errors.push({
+        field: "motivo",
+        message: "Motivo demasiado largo (máximo 500)",
+      });
+    } else {
+      validData.motivo = sanitizeText(motivo) || null;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar tramo de descuento por volumen
+ */
+const validateVolumeDiscountData = (discountData) => {
+  const errors = [];
+  const validData = {};
+
+  if (
+    discountData.material_id !== undefined &&
+    discountData.material_id !== null
+  ) {
+    const materialValidation = validateId(
+      discountData.material_id,
+      "ID de material"
+    );
+    if (!materialValidation.isValid) {
+      errors.push({
+        field: "material_id",
+        message: materialValidation.message,
+      });
+    } else {
+      validData.material_id = materialValidation.value;
+    }
+  }
+
+  const cantidadMinima = parseFloat(discountData.cantidad_minima);
+  if (isNaN(cantidadMinima) || cantidadMinima <= 0) {
+    errors.push({
+      field: "cantidad_minima",
+      message: "Cantidad mínima debe ser un número mayor a 0",
+    });
+  } else {
+    validData.cantidad_minima = Math.round(cantidadMinima * 100) / 100;
+  }
+
+  const porcentaje = parseFloat(discountData.porcentaje);
+  if (isNaN(porcentaje) || porcentaje <= 0 || porcentaje >= 100) {
+    errors.push({
+      field: "porcentaje",
+      message: "Porcentaje de descuento debe estar entre 0 y 100",
+    });
+  } else {
+    validData.porcentaje = Math.round(porcentaje * 100) / 100;
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar zona de flete
+ * Una zona se reconoce por polígono ([[lat, lng], ...], al menos 3 puntos)
+ * o por palabras clave del distrito en la dirección
+ * @param {boolean} parcial - true en actualizaciones (solo campos enviados)
+ */
+const validateFreightZoneData = (zoneData, parcial = false) => {
+  const errors = [];
+  const validData = {};
+
+  if (!parcial || zoneData.nombre !== undefined) {
+    const nombre =
+      typeof zoneData.nombre === "string" ? zoneData.nombre.trim() : "";
+    if (nombre.length < 2 || nombre.length > 100) {
+      errors.push({
+        field: "nombre",
+        message: "Nombre de la zona requerido (2 a 100 caracteres)",
+      });
+    } else {
+      validData.nombre = sanitizeText(nombre);
+    }
+  }
+
+  if (zoneData.poligono !== undefined && zoneData.poligono !== null) {
+    const puntos = Array.isArray(zoneData.poligono) ? zoneData.poligono : [];
+    const validos = puntos.every(
+      (punto) =>
+        Array.isArray(punto) &&
+        punto.length === 2 &&
+        validateCoordinates(punto[0], punto[1]).isValid
+    );
+    if (puntos.length < 3 || !validos) {
+      errors.push({
+        field: "poligono",
+        message: "Polígono debe tener al menos 3 puntos [lat, lng] válidos",
+      });
+    } else {
+      validData.poligono = puntos.map(([lat, lng]) => [
+        parseFloat(lat),
+        parseFloat(lng),
+      ]);
+    }
+  } else if (zoneData.poligono === null) {
+    validData.poligono = null;
+  }
+
+  if (
+    zoneData.palabras_clave !== undefined &&
+    zoneData.palabras_clave !== null
+  ) {
+    const palabras = Array.isArray(zoneData.palabras_clave)
+      ? zoneData.palabras_clave
+          .filter((palabra) => typeof palabra === "string")
+          .map((palabra) => palabra.trim().toLowerCase())
+          .filter((palabra) => palabra.length >= 3)
+      : [];
+    if (!palabras.length) {
+      errors.push({
+        field: "palabras_clave",
+        message:
+          "Palabras clave debe ser una lista de textos (mínimo 3 letras)",
+      });
+    } else {
+      validData.palabras_clave = palabras.map((palabra) =>
+        sanitizeText(palabra)
+      );
+    }
+  } else if (zoneData.palabras_clave === null) {
+    validData.palabras_clave = null;
+  }
+
+  if (!parcial && !validData.poligono && !validData.palabras_clave) {
+    errors.push({
+      field: "poligono",
+      message: "La zona requiere un polígono o palabras clave",
+    });
+  }
+
+  if (zoneData.recargo_fijo !== undefined) {
+    const recargo = parseFloat(zoneData.recargo_fijo);
+    if (isNaN(recargo) || recargo < 0) {
+      errors.push({
+        field: "recargo_fijo",
+        message: "Recargo fijo debe ser un número mayor o igual a 0",
+      });
+    } else {
+      validData.recargo_fijo = Math.round(recargo * 100) / 100;
+    }
+  }
+
+  if (zoneData.prioridad !== undefined) {
+    const prioridad = Number(zoneData.prioridad);
+    if (!Number.isInteger(prioridad)) {
+      errors.push({
+        field: "prioridad",
+        message: "Prioridad debe ser un número entero",
+      });
+    } else {
+      validData.prioridad = prioridad;
+    }
+  }
+
+  if (zoneData.activa !== undefined) {
+    if (typeof zoneData.activa !== "boolean") {
+      errors.push({ field: "activa", message: "activa debe ser booleano" });
+    } else {
+      validData.activa = zoneData.activa;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar tarifa de flete por tamaño de vehículo
+ * @param {boolean} parcial - true en actualizaciones (solo campos enviados)
+ */
+const validateFreightRateData = (rateData, parcial = false) => {
+  const errors = [];
+  const validData = {};
+
+  if (!parcial || rateData.nombre !== undefined) {
+    const nombre =
+      typeof rateData.nombre === "string" ? rateData.nombre.trim() : "";
+    if (nombre.length < 2 || nombre.length > 100) {
+      errors.push({
+        field: "nombre",
+        message: "Nombre de la tarifa requerido (2 a 100 caracteres)",
+      });
+    } else {
+      validData.nombre = sanitizeText(nombre);
+    }
+  }
+
+  if (!parcial || rateData.capacidad_m3 !== undefined) {
+    const capacityValidation = validateVehicleCapacity(rateData.capacidad_m3);
+    if (!capacityValidation.isValid) {
+      errors.push({
+        field: "capacidad_m3",
+        message: capacityValidation.message,
+      });
+    } else {
+      validData.capacidad_m3 = capacityValidation.value;
+    }
+  }
+
+  if (!parcial || rateData.tarifa_km !== undefined) {
+    const tarifaValidation = validatePrice(rateData.tarifa_km);
+    if (!tarifaValidation.isValid) {
+      errors.push({ field: "tarifa_km", message: tarifaValidation.message });
+    } else {
+      validData.tarifa_km = tarifaValidation.value;
+    }
+  }
+
+  if (rateData.cargo_minimo !== undefined) {
+    const cargo = parseFloat(rateData.cargo_minimo);
+    if (isNaN(cargo) || cargo < 0) {
+      errors.push({
+        field: "cargo_minimo",
+        message: "Cargo mínimo debe ser un número mayor o igual a 0",
+      });
+    } else {
+      validData.cargo_minimo = Math.round(cargo * 100) / 100;
+    }
+  }
+
+  if (rateData.activa !== undefined) {
+    if (typeof rateData.activa !== "boolean") {
+      errors.push({ field: "activa", message: "activa debe ser booleano" });
+    } else {
+      validData.activa = rateData.activa;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar datos de cotización
+ * Mismos campos que un pedido más los días de vigencia (1 a 90)
+ */
+const validateQuoteData = (quoteData) => {
+  const orderValidation = validateOrderData(quoteData);
+  const errors = [...orderValidation.errors];
+  const validData = { ...orderValidation.validData };
+
+  if (
+    quoteData.vigencia_dias !== undefined &&
+    quoteData.vigencia_dias !== null &&
+    quoteData.vigencia_dias !== ""
+  ) {
+    const dias = Number(quoteData.vigencia_dias);
+    if (!Number.isInteger(dias) || dias < 1 || dias > 90) {
+      errors.push({
+        field: "vigencia_dias",
+        message: "Vigencia debe ser un número entero de 1 a 90 días",
+      });
+    } else {
+      validData.vigencia_dias = dias;
+    }
+  }
+
+  if (quoteData.observaciones) {
+    validData.observaciones = sanitizeText(String(quoteData.observaciones));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar generación de factura
+ * Se factura una lista de pedidos de un mismo cliente (pedido_ids) o
+ * todos los entregados sin facturar de un cliente (cliente_id)
+ */
+const validateInvoiceData = (invoiceData) => {
+  const errors = [];
+  const validData = {};
+
+  if (invoiceData.pedido_ids !== undefined) {
+    const ids = Array.isArray(invoiceData.pedido_ids)
+      ? invoiceData.pedido_ids.map((id) => validateId(id, "ID de pedido"))
+      : [];
+    if (!ids.length || ids.some((id) => !id.isValid)) {
+      errors.push({
+        field: "pedido_ids",
+        message: "pedido_ids debe ser una lista de IDs de pedido válidos",
+      });
+    } else {
+      validData.pedido_ids = [...new Set(ids.map((id) => id.value))];
+    }
+  } else if (invoiceData.cliente_id !== undefined) {
+    const clienteValidation = validateId(
+      invoiceData.cliente_id,
+      "ID de cliente"
+    );
+    if (!clienteValidation.isValid) {
+      errors.push({ field: "cliente_id", message: clienteValidation.message });
+    } else {
+      validData.cliente_id = clienteValidation.value;
+    }
+  } else {
+    errors.push({
+      field: "pedido_ids",
+      message: "Indique pedido_ids o cliente_id para agrupar sus pedidos",
+    });
+  }
+
+  if (
+    invoiceData.plazo_dias !== undefined &&
+    invoiceData.plazo_dias !== null &&
+    invoiceData.plazo_dias !== ""
+  ) {
+    const plazo = Number(invoiceData.plazo_dias);
+    if (!Number.isInteger(plazo) || plazo < 0 || plazo > 180) {
+      errors.push({
+        field: "plazo_dias",
+        message: "Plazo de pago debe ser un número entero de 0 a 180 días",
+      });
+    } else {
+      validData.plazo_dias = plazo;
+    }
+  }
+
+  if (invoiceData.observaciones) {
+    validData.observaciones = sanitizeText(String(invoiceData.observaciones));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar pago de factura
+ */
+const validatePaymentData = (paymentData) => {
+  const errors = [];
+  const validData = {};
+
+  const monto = parseFloat(paymentData.monto);
+  if (isNaN(monto) || monto <= 0) {
+    errors.push({ field: "monto", message: "Monto debe ser mayor a 0" });
+  } else {
+    validData.monto = Math.round(monto * 100) / 100;
+  }
+
+  const metodos = ["efectivo", "transferencia", "qr"];
+  if (!metodos.includes(paymentData.metodo)) {
+    errors.push({
+      field: "metodo",
+      message: `Método de pago debe ser: ${metodos.join(", ")}`,
+    });
+  } else {
+    validData.metodo = paymentData.metodo;
+  }
+
+  if (paymentData.referencia) {
+    const referencia = String(paymentData.referencia).trim();
+    if (referencia.length > 100) {
+      errors.push({
+        field: "referencia",
+        message: "Referencia máxima: 100 caracteres",
+      });
+    } else {
+      validData.referencia = sanitizeText(referencia);
+    }
+  } else if (paymentData.metodo === "transferencia") {
+    errors.push({
+      field: "referencia",
+      message: "Referencia requerida para transferencias",
+    });
+  }
+
+  if (paymentData.fecha_pago) {
+    const fecha = new Date(paymentData.fecha_pago);
+    const hoy = new Date();
+    hoy.setHours(23, 59, 59, 999);
+
+    if (isNaN(fecha.getTime())) {
+      errors.push({ field: "fecha_pago", message: "Fecha de pago inválida" });
+    } else if (fecha > hoy) {
+      errors.push({
+        field: "fecha_pago",
+        message: "Fecha de pago no puede ser futura",
+      });
+    } else {
+      validData.fecha_pago = fecha.toISOString().split("T")[0];
+    }
+  }
+
+  if (paymentData.observaciones) {
+    validData.observaciones = sanitizeText(String(paymentData.observaciones));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar condiciones de crédito de un cliente
+ * limite_credito null quita el control de crédito; plazo_pago_dias null
+ * usa el plazo por defecto de facturación
+ */
+const validateCreditData = (creditData) => {
+  const errors = [];
+  const validData = {};
+
+  if (creditData.limite_credito !== undefined) {
+    if (creditData.limite_credito === null) {
+      validData.limite_credito = null;
+    } else {
+      const limite = parseFloat(creditData.limite_credito);
+      if (isNaN(limite) || limite < 0) {
+        errors.push({
+          field: "limite_credito",
+          message: "Límite de crédito debe ser mayor o igual a 0 (o null)",
+        });
+      } else {
+        validData.limite_credito = Math.round(limite * 100) / 100;
+      }
+    }
+  }
+
+  if (creditData.plazo_pago_dias !== undefined) {
+    if (creditData.plazo_pago_dias === null) {
+      validData.plazo_pago_dias = null;
+    } else {
+      const plazo = Number(creditData.plazo_pago_dias);
+      if (!Number.isInteger(plazo) || plazo < 0 || plazo > 180) {
+        errors.push({
+          field: "plazo_pago_dias",
+          message: "Plazo de pago debe ser un número entero de 0 a 180 días",
+        });
+      } else {
+        validData.plazo_pago_dias = plazo;
+      }
+    }
+  }
+
+  if (creditData.exceso_credito !== undefined) {
+    if (!["bloquear", "marcar"].includes(creditData.exceso_credito)) {
+      errors.push({
+        field: "exceso_credito",
+        message: "exceso_credito debe ser: bloquear, marcar",
+      });
+    } else {
+      validData.exceso_credito = creditData.exceso_credito;
+    }
+  }
+
+  if (!errors.length && !Object.keys(validData).length) {
+    errors.push({
+      field: "general",
+      message:
+        "Indique limite_credito, plazo_pago_dias o exceso_credito para actualizar",
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar datos de perfil de cliente (solo los campos enviados)
+ * empresa, direccion y nit aceptan null para borrarlos
+ */
+const validateClientData = (clientData) => {
+  const errors = [];
+  const validData = {};
+
+  if (clientData.empresa !== undefined) {
+    validData.empresa = sanitizeText(clientData.empresa) || null;
+  }
+
+  if (clientData.direccion !== undefined) {
+    if (clientData.direccion === null || clientData.direccion === "") {
+      validData.direccion = null;
+    } else {
+      const addressValidation = validateAddress(clientData.direccion);
+      if (!addressValidation.isValid) {
+        errors.push({ field: "direccion", message: addressValidation.message });
+      } else {
+        validData.direccion = sanitizeText(addressValidation.value);
+      }
+    }
+  }
+
+  if (clientData.ciudad !== undefined) {
+    const ciudad =
+      typeof clientData.ciudad === "string" ? clientData.ciudad.trim() : "";
+    if (ciudad.length < 2 || ciudad.length > 100) {
+      errors.push({
+        field: "ciudad",
+        message: "Ciudad requerida (2 a 100 caracteres)",
+      });
+    } else {
+      validData.ciudad = sanitizeText(ciudad);
+    }
+  }
+
+  if (clientData.tipo_cliente !== undefined) {
+    const tipo =
+      typeof clientData.tipo_cliente === "string"
+        ? clientData.tipo_cliente.trim().toLowerCase()
+        : "";
+    if (!/^[a-z_]{3,30}$/.test(tipo)) {
+      errors.push({
+        field: "tipo_cliente",
+        message:
+          "Tipo de cliente requerido (3 a 30 letras minúsculas o guion bajo)",
+      });
+    } else {
+      validData.tipo_cliente = tipo;
+    }
+  }
+
+  if (clientData.nit !== undefined) {
+    if (clientData.nit === null || clientData.nit === "") {
+      validData.nit = null;
+    } else {
+      const nit = String(clientData.nit).trim();
+      if (!/^[0-9]{5,15}$/.test(nit)) {
+        errors.push({ field: "nit", message: "NIT debe tener 5 a 15 dígitos" });
+      } else {
+        validData.nit = nit;
+      }
+    }
+  }
+
+  if (clientData.radio_geocerca_m !== undefined) {
+    const radioValidation = validateGeofenceRadius(clientData.radio_geocerca_m);
+    if (!radioValidation.isValid) {
+      errors.push({
+        field: "radio_geocerca_m",
+        message: radioValidation.message,
+      });
+    } else {
+      validData.radio_geocerca_m = radioValidation.value;
+    }
+  }
+
+  if (!errors.length && !Object.keys(validData).length) {
+    errors.push({
+      field: "general",
+      message:
+        "Indique empresa, direccion, ciudad, tipo_cliente, nit o radio_geocerca_m para actualizar",
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar datos de vehículo
+ * @param {boolean} parcial - En actualizaciones solo se validan los campos enviados
+ */
+const validateVehicleData = (vehicleData, parcial = false) => {
+  const errors = [];
+  const validData = {};
+
+  if (!parcial || vehicleData.placa !== undefined) {
+    const plateValidation = validatePlate(vehicleData.placa);
+    if (!plateValidation.isValid) {
+      errors.push({ field: "placa", message: plateValidation.message });
+    } else {
+      validData.placa = plateValidation.value;
+    }
+  }
+
+  for (const campo of ["marca", "modelo"]) {
+    if (!parcial || vehicleData[campo] !== undefined) {
+      const valor =
+        typeof vehicleData[campo] === "string" ? vehicleData[campo].trim() : "";
+      if (valor.length < 1 || valor.length > 50) {
+        errors.push({
+          field: campo,
+          message: `${campo === "marca" ? "Marca" : "Modelo"} requerido (1 a 50 caracteres)`,
+        });
+      } else {
+        validData[campo] = sanitizeText(valor);
+      }
+    }
+  }
+
+  if (!parcial || vehicleData.capacidad_m3 !== undefined) {
+    const capacityValidation = validateVehicleCapacity(
+      vehicleData.capacidad_m3
+    );
+    if (!capacityValidation.isValid) {
+      errors.push({
+        field: "capacidad_m3",
+        message: capacityValidation.message,
+      });
+    } else {
+      validData.capacidad_m3 = capacityValidation.value;
+    }
+  }
+
+  if (parcial && !errors.length && !Object.keys(validData).length) {
+    errors.push({
+      field: "general",
+      message: "Indique placa, marca, modelo o capacidad_m3 para actualizar",
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar mantenimiento de vehículo
+ * Al registrarlo: tipo_servicio y fecha_programada; con fecha_realizada
+ * queda como servicio ya hecho. Al completarlo (completar = true) solo
+ * se validan los datos del servicio realizado.
+ */
+const validateMaintenanceData = (maintenanceData, completar = false) => {
+  const errors = [];
+  const validData = {};
+
+  const hoy = new Date();
+  hoy.setHours(23, 59, 59, 999);
+
+  const leerFecha = (campo, mensaje) => {
+    const fecha = new Date(maintenanceData[campo]);
+    if (isNaN(fecha.getTime())) {
+      errors.push({ field: campo, message: mensaje });
+      return null;
+    }
+    return fecha;
+  };
+
+  if (!completar) {
+    const tipo =
+      typeof maintenanceData.tipo_servicio === "string"
+        ? maintenanceData.tipo_servicio.trim()
+        : "";
+    if (tipo.length < 3 || tipo.length > 100) {
+      errors.push({
+        field: "tipo_servicio",
+        message: "Tipo de servicio requerido (3 a 100 caracteres)",
+      });
+    } else {
+      validData.tipo_servicio = sanitizeText(tipo);
+    }
+  }
+
+  if (maintenanceData.fecha_realizada) {
+    const fecha = leerFecha("fecha_realizada", "Fecha realizada inválida");
+    if (fecha && fecha > hoy) {
+      errors.push({
+        field: "fecha_realizada",
+        message: "Fecha realizada no puede ser futura",
+      });
+    } else if (fecha) {
+      validData.fecha_realizada = fecha.toISOString().split("T")[0];
+    }
+  } else if (completar) {
+    // Completar sin fecha: se hizo hoy
+    validData.fecha_realizada = new Date().toISOString().split("T")[0];
+  }
+
+  if (!completar) {
+    if (maintenanceData.fecha_programada) {
+      const fecha = leerFecha("fecha_programada", "Fecha programada inválida");
+      if (fecha) {
+        validData.fecha_programada = fecha.toISOString().split("T")[0];
+      }
+    } else if (validData.fecha_realizada) {
+      validData.fecha_programada = validData.fecha_realizada;
+    } else {
+      errors.push({
+        field: "fecha_programada",
+        message: "Fecha programada requerida (o fecha_realizada si ya se hizo)",
+      });
+    }
+  }
+
+  if (
+    maintenanceData.odometro_km !== undefined &&
+    maintenanceData.odometro_km !== null
+  ) {
+    const odometro = Number(maintenanceData.odometro_km);
+    if (!Number.isInteger(odometro) || odometro < 0) {
+      errors.push({
+        field: "odometro_km",
+        message: "Odómetro debe ser un número entero de km mayor o igual a 0",
+      });
+    } else {
+      validData.odometro_km = odometro;
+    }
+  }
+
+  if (maintenanceData.costo !== undefined && maintenanceData.costo !== null) {
+    const costo = parseFloat(maintenanceData.costo);
+    if (isNaN(costo) || costo < 0) {
+      errors.push({
+        field: "costo",
+        message: "Costo debe ser mayor o igual a 0",
+      });
+    } else {
+      validData.costo = Math.round(costo * 100) / 100;
+    }
+  }
+
+  if (maintenanceData.proxima_fecha) {
+    const fecha = leerFecha("proxima_fecha", "Próxima fecha inválida");
+    const base = validData.fecha_realizada || validData.fecha_programada;
+    if (fecha && base && fecha.toISOString().split("T")[0] <= base) {
+      errors.push({
+        field: "proxima_fecha",
+        message: "La próxima fecha debe ser posterior al servicio",
+      });
+    } else if (fecha) {
+      validData.proxima_fecha = fecha.toISOString().split("T")[0];
+    }
+  }
+
+  if (maintenanceData.observaciones) {
+    validData.observaciones = sanitizeText(
+      String(maintenanceData.observaciones)
+    );
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData,
+  };
+};
+
+/**
+ * Validar posiciones GPS: un punto suelto o { puntos: [...] } en lote
+ * Un punto suelto sin registrado_en se toma como recibido ahora; en un
+ * lote cada punto trae su hora y no se repiten (con la misma hora solo
+ * se guardaría uno). Se tolera un pequeño adelanto del reloj del dispositivo.
+ * @param {number} maxPuntos - Tamaño máximo del lote
+ */
+const validatePositionData = (positionData, maxPuntos = 500) => {
+  const esLote = positionData.puntos !== undefined;
+  const puntos = esLote ? positionData.puntos : [positionData];
+
+  if (!Array.isArray(puntos) || puntos.length === 0) {
+    return {
+      isValid: false,
+      errors: [{ field: "puntos", message: "Debe enviar al menos un punto" }],
+    };
+  }
+
+  if (puntos.length > maxPuntos) {
+    return {
+      isValid: false,
+      errors: [
+        {
+          field: "puntos",
+          message: `Máximo ${maxPuntos} puntos por lote, envíe el resto en otro`,
+        },
+      ],
+    };
+  }
+
+  // Con un solo punto se mantienen los nombres de campo originales
+  const prefijo = (index, campo) =>
+    esLote ? `puntos[${index}].${campo}` : campo;
+
+  const errors = [];
+  const validPoints = [];
+  const ahora = Date.now();
+  const margenFuturoMs = 5 * 60 * 1000;
+
+  puntos.forEach((punto, index) => {
+    if (!punto || punto.lat === undefined || punto.lng === undefined) {
+      errors.push({
+        field: prefijo(index, "coordenadas"),
+        message: "Latitud y longitud requeridas",
+      });
+      return;
+    }
+
+    const coordsValidation = validateCoordinates(punto.lat, punto.lng);
+    if (!coordsValidation.isValid || coordsValidation.value.lat === null) {
+      errors.push({
+        field: prefijo(index, "coordenadas"),
+        message: coordsValidation.message || "Latitud y longitud requeridas",
+      });
+      return;
+    }
+
+    const valido = {
+      lat: coordsValidation.value.lat,
+      lng: coordsValidation.value.lng,
+      velocidad_kmh: null,
+      rumbo: null,
+      registrado_en: new Date(ahora).toISOString(),
+    };
+
+    if (punto.velocidad_kmh !== undefined && punto.velocidad_kmh !== null) {
+      const velocidad = parseFloat(punto.velocidad_kmh);
+      if (isNaN(velocidad) || velocidad < 0 || velocidad > 300) {
+        errors.push({
+          field: prefijo(index, "velocidad_kmh"),
+          message: "Velocidad inválida (0 a 300 km/h)",
+        });
+        return;
+      }
+      valido.velocidad_kmh = Math.round(velocidad * 100) / 100;
+    }
+
+    if (punto.rumbo !== undefined && punto.rumbo !== null) {
+      const rumbo = parseFloat(punto.rumbo);
+      if (isNaN(rumbo) || rumbo < 0 || rumbo > 360) {
+        errors.push({
+          field: prefijo(index, "rumbo"),
+          message: "Rumbo inválido (0 a 360 grados)",
+        });
+        return;
+      }
+      valido.rumbo = (Math.round(rumbo * 100) / 100) % 360;
+    }
+
+    if (punto.registrado_en) {
+      const fecha = new Date(punto.registrado_en);
+      if (isNaN(fecha.getTime())) {
+        errors.push({
+          field: prefijo(index, "registrado_en"),
+          message: "Fecha de registro inválida",
+        });
+        return;
+      }
+      if (fecha.getTime() > ahora + margenFuturoMs) {
+        errors.push({
+          field: prefijo(index, "registrado_en"),
+          message: "Fecha de registro no puede ser futura",
+        });
+        return;
+      }
+      valido.registrado_en = fecha.toISOString();
+    } else if (puntos.length > 1) {
+      // Sin hora todos tendrían la misma y el lote guardaría uno solo
+      errors.push({
+        field: prefijo(index, "registrado_en"),
+        message: "Cada punto del lote requiere su fecha de registro",
+      });
+      return;
+    }
+
+    const repetido = validPoints.find(
+      (anterior) => anterior.registrado_en === valido.registrado_en
+    );
+    if (repetido) {
+      errors.push({
+        field: prefijo(index, "registrado_en"),
+        message: "Fecha de registro repetida en el lote",
+      });
+      return;
+    }
+
+    validPoints.push(valido);
+  });
+
+  // En orden cronológico: el último define la ubicación actual
+  validPoints.sort((a, b) => a.registrado_en.localeCompare(b.registrado_en));
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validData: { puntos: validPoints },
+  };
+};
+
+/**
+ * Validar rango de fecha y hora (a diferencia de validateDateRange
+ * conserva la hora; una fecha sola en hasta incluye todo ese día)
+ */
+const validateTimestampRange = (desde, hasta) => {
+  const errors = [];
+  const value = { desde: null, hasta: null };
+
+  [
+    ["desde", desde],
+    ["hasta", hasta],
+  ].forEach(([field, fecha]) => {
+    if (!fecha) return;
+
+    // Solo fecha: día completo en hora local, como CURRENT_TIMESTAMP
+    const soloFecha = /^\d{4}-\d{2}-\d{2}$/.test(fecha);
+    const date = new Date(soloFecha ? `${fecha}T00:00:00` : fecha);
+    if (isNaN(date.getTime())) {
+      errors.push({ field, message: `Fecha ${field} inválida` });
+      return;
+    }
+
+    if (soloFecha && field === "hasta") {
+      date.setHours(23, 59, 59, 999);
+    }
+
+    value[field] = date;
+  });
+
+  if (value.desde && value.hasta && value.desde > value.hasta) {
+    errors.push({
+      field: "desde",
+      message: "La fecha desde no puede ser posterior a hasta",
+    });
+  }
+
+  return { isValid: errors.length === 0, errors, value };
 };
 
 module.exports = {
@@ -524,10 +2197,13 @@ module.exports = {
 
   // Validaciones de negocio
   validateQuantity,
+  validateStockQuantity,
   validatePrice,
   validateAddress,
   validateCoordinates,
+  validateGeofenceRadius,
   validateDeliveryDate,
+  validateDateRange,
 
   // Validaciones de vehículos
   validatePlate,
@@ -536,7 +2212,27 @@ module.exports = {
 
   // Validaciones compuestas
   validateUserRegistration,
+  validateOrderLines,
   validateOrderData,
+  validateDeliveryProof,
+  validateAssignmentRule,
+  validateSupplierData,
+  validatePurchaseOrderData,
+  validateYardData,
+  validatePriceListData,
+  validatePriceVersionData,
+  validateVolumeDiscountData,
+  validateFreightZoneData,
+  validateFreightRateData,
+  validateQuoteData,
+  validateInvoiceData,
+  validatePaymentData,
+  validateCreditData,
+  validateClientData,
+  validateVehicleData,
+  validateMaintenanceData,
+  validatePositionData,
+  validateTimestampRange,
 
   // Utilidades
   sanitizeText,
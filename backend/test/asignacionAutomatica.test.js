@@ -0,0 +1,224 @@
+/**
+ * Pruebas del sistema experto de asignación de vehículos (sin base de datos)
+ * Pedido, patio, candidatos y la asignación se simulan sobre sus modelos.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  BusinessLogicError,
+  ConflictError,
+} = require("../src/middleware/errorHandler");
+const Asignacion = require("../src/models/Asignacion");
+const Pedido = require("../src/models/Pedido");
+const Patio = require("../src/models/Patio");
+const Vehiculo = require("../src/models/Vehiculo");
+const ReglaAsignacion = require("../src/models/ReglaAsignacion");
+
+const PATIO = { id: 1, nombre: "Patio Central", lat: -17.39, lng: -66.15 };
+
+const CANDIDATOS = [
+  { vehiculo_id: 3, placa: "GRANDE", capacidad_m3: "30.00" },
+  { vehiculo_id: 2, placa: "MEDIANO", capacidad_m3: "15.00" },
+  { vehiculo_id: 1, placa: "CHICO", capacidad_m3: "10.00" },
+];
+
+// Pedido de 8 m³ repartidos en dos líneas
+const PEDIDO = {
+  id: 10,
+  codigo_seguimiento: "PED-10",
+  estado: "confirmado",
+  detalles: [{ cantidad: "5.00" }, { cantidad: "3.00" }],
+};
+
+const puntosPorRegla = (vehiculo) =>
+  Object.fromEntries(
+    vehiculo.reglas_aplicadas.map((regla) => [regla.regla, regla.puntos])
+  );
+
+describe("Puntuación de candidatos", () => {
+  test("la capacidad que mejor se aprovecha gana y el desglose suma la puntuación", () => {
+    const ranking = Vehiculo.evaluarCandidatos(CANDIDATOS, { cantidad: 8 });
+
+    assert.deepEqual(
+      ranking.map((v) => [v.placa, v.puntuacion]),
+      [
+        ["CHICO", 15],
+        ["MEDIANO", 7],
+        ["GRANDE", 1],
+      ]
+    );
+    assert.deepEqual(puntosPorRegla(ranking[0]), {
+      capacidad_optima: 10,
+      menor_capacidad: 5,
+    });
+    ranking.forEach((vehiculo) =>
+      assert.equal(
+        vehiculo.reglas_aplicadas.reduce((suma, r) => suma + r.puntos, 0),
+        vehiculo.puntuacion
+      )
+    );
+  });
+
+  test("con patio de origen la cercanía se mide por el recorrido vehículo → patio → destino", () => {
+    const [vehiculo] = Vehiculo.evaluarCandidatos(
+      [
+        {
+          ...CANDIDATOS[2],
+          ubicacion_actual_lat: -17.39,
+          ubicacion_actual_lng: -66.15,
+        },
+      ],
+      {
+        cantidad: 8,
+        direccion_lat: -17.42,
+        direccion_lng: -66.15,
+        patio: PATIO,
+      }
+    );
+
+    assert.equal(vehiculo.distancia_patio_km, 0);
+    assert.equal(vehiculo.distancia_km, 3.3);
+    assert.equal(puntosPorRegla(vehiculo).proximidad_geografica, 8);
+  });
+
+  test("una ubicación reciente suma más que una vieja", () => {
+    const hace = (minutos) => new Date(Date.now() - minutos * 60000);
+    const ranking = Vehiculo.evaluarCandidatos(
+      [
+        { ...CANDIDATOS[2], ultima_ubicacion: hace(10) },
+        { ...CANDIDATOS[2], vehiculo_id: 4, ultima_ubicacion: hace(60) },
+        { ...CANDIDATOS[2], vehiculo_id: 5, ultima_ubicacion: hace(600) },
+      ],
+      { cantidad: 8 }
+    );
+
+    assert.deepEqual(
+      ranking.map((v) => puntosPorRegla(v).disponibilidad),
+      [3, 1, undefined]
+    );
+  });
+});
+
+describe("Motor de asignación", () => {
+  beforeEach(() => {
+    mock.method(Pedido, "findById", async () => PEDIDO);
+    mock.method(Patio, "findByPedido", async () => PATIO);
+    mock.method(ReglaAsignacion, "getConfiguracion", async () =>
+      ReglaAsignacion.getConfiguracionPorDefecto()
+    );
+    mock.method(Vehiculo, "findCandidatos", async () => CANDIDATOS);
+    mock.method(
+      Vehiculo,
+      "getUsoReciente",
+      async (ids) => new Map(ids.map((id) => [id, { viajes: 0, km: 0 }]))
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const asignado = (vehiculoId) => ({
+    id: 10,
+    codigo_seguimiento: "PED-10",
+    estado: "asignado",
+    asignacion: { id: 7, vehiculo_id: vehiculoId },
+  });
+
+  test("el automático asigna el mejor puntuado con su desglose y alternativas", async () => {
+    const assignVehicle = mock.method(
+      Pedido,
+      "assignVehicle",
+      async (pedidoId, vehiculoId) => asignado(vehiculoId)
+    );
+
+    const resultado = await Asignacion.asignar(10, { userId: 1 });
+
+    assert.equal(resultado.vehiculo_asignado.placa, "CHICO");
+    assert.equal(resultado.sistema_experto.modo, "automatico");
+    assert.equal(resultado.sistema_experto.puntuacion, 21);
+    assert.deepEqual(
+      resultado.sistema_experto.alternativas.map((v) => v.placa),
+      ["MEDIANO", "GRANDE"]
+    );
+    assert.equal(resultado.sistema_experto.eficiencia_uso, 80);
+
+    // El desglose se guarda junto con la asignación
+    const [, vehiculoId, , evaluacion] = assignVehicle.mock.calls[0].arguments;
+    assert.equal(vehiculoId, 1);
+    assert.equal(evaluacion.modo, "automatico");
+    assert.equal(evaluacion.puntuacion, 21);
+    assert.equal(evaluacion.reglas_aplicadas.length, 3);
+  });
+
+  test("si otro pedido tomó el vehículo pasa al siguiente candidato", async () => {
+    const assignVehicle = mock.method(
+      Pedido,
+      "assignVehicle",
+      async (pedidoId, vehiculoId) => {
+        if (vehiculoId === 1) {
+          throw new ConflictError("Vehículo no disponible");
+        }
+        return asignado(vehiculoId);
+      }
+    );
+
+    const resultado = await Asignacion.asignar(10, { userId: 1 });
+
+    assert.equal(resultado.vehiculo_asignado.placa, "MEDIANO");
+    assert.equal(assignVehicle.mock.callCount(), 2);
+  });
+
+  test("la elección manual se respeta y se informa frente al resto", async () => {
+    mock.method(Vehiculo, "findById", async () => ({
+      id: 3,
+      placa: "GRANDE",
+      estado: "disponible",
+      capacidad_m3: "30.00",
+    }));
+    mock.method(Pedido, "assignVehicle", async (pedidoId, vehiculoId) =>
+      asignado(vehiculoId)
+    );
+
+    const resultado = await Asignacion.asignar(10, {
+      vehiculoId: 3,
+      userId: 1,
+    });
+
+    assert.equal(resultado.vehiculo_asignado.placa, "GRANDE");
+    assert.equal(resultado.sistema_experto.modo, "manual");
+    assert.equal(resultado.sistema_experto.alternativas[0].placa, "CHICO");
+  });
+
+  test("en manual un vehículo tomado no se cambia por otro", async () => {
+    mock.method(Vehiculo, "findById", async () => ({
+      id: 3,
+      estado: "disponible",
+      capacidad_m3: "30.00",
+    }));
+    const assignVehicle = mock.method(Pedido, "assignVehicle", async () => {
+      throw new ConflictError("Vehículo no disponible");
+    });
+
+    await assert.rejects(
+      Asignacion.asignar(10, { vehiculoId: 3, userId: 1 }),
+      ConflictError
+    );
+    assert.equal(assignVehicle.mock.callCount(), 1);
+  });
+
+  test("sin candidatos con capacidad no se asigna nada", async () => {
+    mock.method(Vehiculo, "findCandidatos", async () => []);
+    const assignVehicle = mock.method(Pedido, "assignVehicle", async () => {});
+
+    await assert.rejects(
+      Asignacion.asignar(10, { userId: 1 }),
+      (error) =>
+        error instanceof BusinessLogicError && /8 m³/.test(error.message)
+    );
+    assert.equal(assignVehicle.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Pruebas de cancelación de pedidos por el cliente y por el personal
+ * (sin base de datos)
+ * La transacción se simula con un cliente que responde por consulta; las
+ * reservas y los movimientos de stock, sobre el modelo Stock.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { pool } = require("../src/config/database");
+const {
+  PEDIDOS,
+  STOCK,
+  ASIGNACIONES,
+  VEHICULOS,
+  EVENTOS,
+} = require("../src/config/queries");
+const { BusinessLogicError } = require("../src/middleware/errorHandler");
+const { cancelarPedido } = require("../src/controllers/pedidosController");
+const Pedido = require("../src/models/Pedido");
+const Patio = require("../src/models/Patio");
+const Stock = require("../src/models/Stock");
+const { crearCliente } = require("./helpers/clienteTransaccion");
+
+const DETALLES = [
+  { material_id: 5, material_nombre: "Arena fina", cantidad: "6.00" },
+  { material_id: 6, material_nombre: "Grava 3/4", cantidad: "4.00" },
+];
+
+/**
+ * Pedido 10 en el estado dado, con sus dos líneas y el vehículo 3 si ya
+ * estaba asignado. Devuelve las consultas de la transacción.
+ */
+const prepararPedido = (estado) => {
+  const client = crearCliente(
+    new Map([
+      [PEDIDOS.LOCK_BY_ID, [{ id: 10, estado }]],
+      [
+        PEDIDOS.CANCEL,
+        [{ id: 10, codigo_seguimiento: "PED-10", estado: "cancelado" }],
+      ],
+      [
+        STOCK.RESTORE_STOCK,
+        ([materialId]) => [
+          { material_id: materialId, cantidad_disponible: "50.00" },
+        ],
+      ],
+      [
+        ASIGNACIONES.RELEASE_BY_PEDIDO,
+        estado === "asignado" ? [{ pedido_id: 10, vehiculo_id: 3 }] : [],
+      ],
+      [VEHICULOS.RELEASE_IF_IDLE, [{ id: 3, placa: "ABC123" }]],
+    ])
+  );
+
+  mock.method(Pedido, "findById", async () => ({
+    id: 10,
+    codigo_seguimiento: "PED-10",
+    estado,
+  }));
+  mock.method(Pedido, "findDetalles", async () => DETALLES);
+  mock.method(Patio, "findByPedido", async () => ({
+    id: 1,
+    nombre: "Patio Central",
+  }));
+  mock.method(Stock, "cerrarReservas", async () =>
+    estado === "pendiente" ? [{ id: 1 }, { id: 2 }] : []
+  );
+  mock.method(Stock, "ajustarStockPatio", async () => 20);
+  mock.method(Stock, "registrarMovimiento", async () => ({}));
+  const connect = mock.method(pool, "connect", async () => client);
+
+  return {
+    connect,
+    consultas: client.consultas,
+    parametrosDe: client.parametrosDe,
+  };
+};
+
+describe("Ventana de cancelación del cliente", () => {
+  test("por defecto el cliente cancela solo antes de asignar vehículo", () => {
+    assert.equal(Pedido.canClientCancel("pendiente"), true);
+    assert.equal(Pedido.canClientCancel("confirmado"), true);
+    assert.equal(Pedido.canClientCancel("asignado"), false);
+    assert.equal(Pedido.canClientCancel("en_transito"), false);
+    assert.equal(Pedido.canClientCancel("entregado"), false);
+  });
+
+  test("el límite configurado amplía o acorta la ventana", () => {
+    const limite = Pedido.ESTADO_LIMITE_CANCELACION_CLIENTE;
+
+    try {
+      Pedido.ESTADO_LIMITE_CANCELACION_CLIENTE = "asignado";
+      assert.equal(Pedido.canClientCancel("asignado"), true);
+
+      Pedido.ESTADO_LIMITE_CANCELACION_CLIENTE = "pendiente";
+      assert.equal(Pedido.canClientCancel("confirmado"), false);
+    } finally {
+      Pedido.ESTADO_LIMITE_CANCELACION_CLIENTE = limite;
+    }
+  });
+});
+
+describe("Cancelación con restitución de stock", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("el cliente fuera de la ventana no llega a abrir la transacción", async () => {
+    const { connect } = prepararPedido("asignado");
+
+    await assert.rejects(
+      Pedido.cancel(10, 8, { esCliente: true, motivo: "Ya no lo necesito" }),
+      (error) =>
+        error instanceof BusinessLogicError &&
+        /ya no puede cancelarse en línea/.test(error.message)
+    );
+    assert.equal(connect.mock.callCount(), 0);
+  });
+
+  test("un pedido confirmado devuelve cada línea al stock y al patio", async () => {
+    const { consultas, parametrosDe } = prepararPedido("confirmado");
+
+    const pedido = await Pedido.cancel(10, 8, {
+      esCliente: true,
+      motivo: "Obra suspendida",
+      requestId: "req-1",
+    });
+
+    assert.deepEqual(parametrosDe(STOCK.RESTORE_STOCK), [
+      [5, "6.00", 8],
+      [6, "4.00", 8],
+    ]);
+    assert.deepEqual(
+      pedido.stock_restituido.map((s) => s.cantidad_restituida),
+      [6, 4]
+    );
+    assert.deepEqual(
+      Stock.registrarMovimiento.mock.calls.map(
+        (llamada) => llamada.arguments[1].tipo
+      ),
+      ["devolucion", "devolucion"]
+    );
+    assert.deepEqual(parametrosDe(EVENTOS.CREATE)[0], [
+      10,
+      "confirmado",
+      "cancelado",
+      8,
+      "Obra suspendida",
+      "req-1",
+    ]);
+    assert.ok(
+      consultas().lastIndexOf(STOCK.RESTORE_STOCK) <
+        consultas().indexOf("COMMIT")
+    );
+  });
+
+  test("un pedido pendiente solo libera sus reservas", async () => {
+    const { parametrosDe } = prepararPedido("pendiente");
+
+    const pedido = await Pedido.cancel(10, 8, { esCliente: true });
+
+    assert.equal(pedido.reservas_liberadas, 2);
+    assert.deepEqual(pedido.stock_restituido, []);
+    assert.deepEqual(parametrosDe(STOCK.RESTORE_STOCK), []);
+    assert.equal(Pedido.findDetalles.mock.callCount(), 0);
+  });
+
+  test("el personal cancela un pedido asignado y libera el vehículo", async () => {
+    const { consultas } = prepararPedido("asignado");
+
+    const pedido = await Pedido.cancel(10, 1, { motivo: "Camino cerrado" });
+
+    assert.equal(pedido.vehiculo_liberado.placa, "ABC123");
+    assert.equal(pedido.stock_restituido.length, 2);
+    assert.ok(
+      consultas().indexOf(ASIGNACIONES.RELEASE_BY_PEDIDO) <
+        consultas().indexOf("COMMIT")
+    );
+  });
+});
+
+describe("Ruta de cancelación", () => {
+  afterEach(() => mock.restoreAll());
+
+  /**
+   * Ejecutar el controlador y devolver la respuesta enviada
+   */
+  const ejecutar = (req) =>
+    new Promise((resolve, reject) => {
+      const res = {
+        statusCode: 200,
+        status(codigo) {
+          this.statusCode = codigo;
+          return this;
+        },
+        json(body) {
+          resolve({ status: this.statusCode, body });
+          return this;
+        },
+      };
+      cancelarPedido(req, res, (error) =>
+        error ? reject(error) : resolve(null)
+      );
+    });
+
+  test("sin un motivo válido no se cancela", async () => {
+    const cancel = mock.method(Pedido, "cancel", async () => ({}));
+
+    const { status } = await ejecutar({
+      params: { id: "10" },
+      body: { motivo: " no " },
+      user: { id: 8, rol: "cliente" },
+    });
+
+    assert.equal(status, 400);
+    assert.equal(cancel.mock.callCount(), 0);
+  });
+
+  test("fuera de la ventana el cliente recibe un error de negocio", async () => {
+    prepararPedido("asignado");
+
+    const { status, body } = await ejecutar({
+      params: { id: "10" },
+      body: { motivo: "Ya no lo necesito" },
+      user: { id: 8, rol: "cliente" },
+    });
+
+    assert.equal(status, 422);
+    assert.match(body.error.message, /Comuníquese con administración/);
+  });
+
+  test("al cliente solo se le informa si hubo restitución", async () => {
+    prepararPedido("confirmado");
+
+    const { status, body } = await ejecutar({
+      params: { id: "10" },
+      body: { motivo: "Obra suspendida" },
+      user: { id: 8, rol: "cliente" },
+      requestId: "req-2",
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.estado, "cancelado");
+    assert.equal(body.data.stock_restituido, true);
+    assert.equal(body.data.vehiculo_liberado, false);
+  });
+});
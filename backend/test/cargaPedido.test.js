@@ -0,0 +1,132 @@
+/**
+ * Pruebas de la carga del pedido en el vehículo (sin base de datos)
+ * La transacción se simula con un cliente que responde por consulta.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { pool } = require("../src/config/database");
+const { PEDIDOS, VEHICULOS, EVENTOS } = require("../src/config/queries");
+const {
+  BusinessLogicError,
+  ConflictError,
+} = require("../src/middleware/errorHandler");
+const Pedido = require("../src/models/Pedido");
+const { crearCliente } = require("./helpers/clienteTransaccion");
+
+/**
+ * Pedido 10 asignado al vehículo 3; bloqueado puede cambiar lo leído
+ * dentro de la transacción
+ */
+const prepararCarga = ({ vehiculo = "en_uso", bloqueado = {} } = {}) => {
+  const client = crearCliente(
+    new Map([
+      [
+        PEDIDOS.LOCK_BY_ID,
+        [
+          {
+            id: 10,
+            estado: "asignado",
+            vehiculo_id: 3,
+            fecha_carga: null,
+            ...bloqueado,
+          },
+        ],
+      ],
+      [VEHICULOS.LOCK_BY_ID, [{ id: 3, placa: "ABC123", estado: vehiculo }]],
+      [
+        PEDIDOS.MARK_LOADED,
+        [
+          {
+            id: 10,
+            codigo_seguimiento: "PED-10",
+            estado: "asignado",
+            fecha_carga: "2026-03-01T10:00:00.000Z",
+          },
+        ],
+      ],
+    ])
+  );
+  mock.method(Pedido, "findById", async () => ({
+    id: 10,
+    codigo_seguimiento: "PED-10",
+    estado: "asignado",
+    vehiculo_id: 3,
+    fecha_carga: null,
+  }));
+  mock.method(pool, "connect", async () => client);
+
+  return client;
+};
+
+describe("Carga del pedido", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("la carga bloquea pedido y vehículo y queda en el historial", async () => {
+    const client = prepararCarga();
+
+    const pedido = await Pedido.markLoaded(10, 7, { requestId: "req-1" });
+
+    assert.equal(pedido.fecha_carga, "2026-03-01T10:00:00.000Z");
+    const consultas = client.consultas();
+    assert.ok(
+      consultas.indexOf(PEDIDOS.LOCK_BY_ID) <
+        consultas.indexOf(VEHICULOS.LOCK_BY_ID)
+    );
+    assert.ok(consultas.indexOf(EVENTOS.CREATE) < consultas.indexOf("COMMIT"));
+    assert.deepEqual(client.parametros(EVENTOS.CREATE), [
+      10,
+      "asignado",
+      "asignado",
+      7,
+      "Material cargado en ABC123",
+      "req-1",
+    ]);
+  });
+
+  test("sin usuario se registra con el motivo recibido", async () => {
+    const client = prepararCarga();
+
+    await Pedido.markLoaded(10, null, {
+      motivo: "Geocerca: salida de Patio Central (ABC123)",
+    });
+
+    const [, , , usuario, motivo] = client.parametros(EVENTOS.CREATE);
+    assert.equal(usuario, null);
+    assert.equal(motivo, "Geocerca: salida de Patio Central (ABC123)");
+  });
+
+  test("en un vehículo averiado no se carga", async () => {
+    const client = prepararCarga({ vehiculo: "averiado" });
+
+    await assert.rejects(
+      Pedido.markLoaded(10, 7),
+      (error) =>
+        error instanceof BusinessLogicError && /averiado/.test(error.message)
+    );
+    assert.ok(!client.consultas().includes(PEDIDOS.MARK_LOADED));
+    assert.ok(client.consultas().includes("ROLLBACK"));
+  });
+
+  test("una carga ya registrada no se repite", async () => {
+    const client = prepararCarga({
+      bloqueado: { fecha_carga: "2026-03-01T09:00:00.000Z" },
+    });
+
+    await assert.rejects(
+      Pedido.markLoaded(10, 7),
+      /El pedido ya fue marcado como cargado/
+    );
+    assert.ok(!client.consultas().includes(EVENTOS.CREATE));
+  });
+
+  test("si el pedido cambió de estado al bloquearlo no se carga", async () => {
+    prepararCarga({ bloqueado: { estado: "en_transito" } });
+
+    await assert.rejects(Pedido.markLoaded(10, 7), ConflictError);
+  });
+});
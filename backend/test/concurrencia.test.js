@@ -0,0 +1,1119 @@
+/**
+ * Pruebas de concurrencia contra PostgreSQL local
+ * Requiere la base con el esquema y las migraciones aplicadas (variables DB_*).
+ * Si no hay conexión, las pruebas se omiten; con DB_PRUEBAS_OBLIGATORIA=1
+ * (CI con base) la falta de conexión hace fallar la suite.
+ *
+ * Preparar una base de pruebas:
+ *   createdb agregados_zambrana_test
+ *   psql -v ON_ERROR_STOP=1 -d agregados_zambrana_test -f <esquema base>
+ *   for f in database/migrations/0*.sql; do
+ *     psql -v ON_ERROR_STOP=1 -d agregados_zambrana_test -f "$f"
+ *   done
+ * El esquema base es el del sistema en producción (usuarios, clientes,
+ * materiales, stock, vehiculos, pedidos, vista_pedidos_completa), con el
+ * patio principal y la lista de precios general que crean las migraciones.
+ *
+ * Ejecutar: DB_NAME=agregados_zambrana_test DB_USER=... DB_PASSWORD=... \
+ *           npm run test:concurrencia   (npm test también la incluye)
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { pool, query } = require("../src/config/database");
+const Pedido = require("../src/models/Pedido");
+const Stock = require("../src/models/Stock");
+const ReposicionStock = require("../src/models/ReposicionStock");
+const Cotizacion = require("../src/models/Cotizacion");
+const Factura = require("../src/models/Factura");
+const Cliente = require("../src/models/Cliente");
+const Vehiculo = require("../src/models/Vehiculo");
+const MantenimientoVehiculo = require("../src/models/MantenimientoVehiculo");
+const Asignacion = require("../src/models/Asignacion");
+const PosicionVehiculo = require("../src/models/PosicionVehiculo");
+const Geocerca = require("../src/models/Geocerca");
+const { executeTransaction } = require("../src/utils/database");
+const tiempoReal = require("../src/utils/tiempoReal");
+
+const SUFIJO = `${process.pid}_${Date.now()}`;
+const DIRECCION = "Av. Blanco Galindo Km 5, Cochabamba";
+
+const fixtures = {
+  disponible: false,
+  adminId: null,
+  clienteUsuarioId: null,
+  clienteId: null,
+  materialId: null,
+  patioPrincipalId: null,
+  patioId: null,
+  pedidoIds: [],
+  vehiculoIds: [],
+};
+
+/**
+ * Crear usuario de prueba
+ */
+const crearUsuario = async (rol) => {
+  const result = await query(
+    `INSERT INTO usuarios (email, password, rol, nombre, apellido, telefono)
+     VALUES ($1, 'sin_login', $2, 'Prueba', 'Concurrencia', '70000000')
+     RETURNING id`,
+    [`concurrencia_${rol}_${SUFIJO}@prueba.local`, rol]
+  );
+  return result.rows[0].id;
+};
+
+/**
+ * Fijar stock del material de prueba (todo en el patio principal)
+ */
+const fijarStock = async (cantidad) => {
+  await query(`DELETE FROM stock_patios WHERE material_id = $1`, [
+    fixtures.materialId,
+  ]);
+  await query(
+    `INSERT INTO stock_patios (patio_id, material_id, cantidad_disponible)
+     VALUES ($1, $2, $3)`,
+    [fixtures.patioPrincipalId, fixtures.materialId, cantidad]
+  );
+
+  const result = await query(
+    `UPDATE stock SET cantidad_disponible = $2 WHERE material_id = $1`,
+    [fixtures.materialId, cantidad]
+  );
+
+  if (result.rowCount === 0) {
+    await query(
+      `INSERT INTO stock (material_id, cantidad_disponible, cantidad_minima)
+       VALUES ($1, $2, 0)`,
+      [fixtures.materialId, cantidad]
+    );
+  }
+};
+
+/**
+ * Leer stock actual del material de prueba
+ */
+const leerStock = async () => {
+  const result = await query(
+    `SELECT cantidad_disponible FROM stock WHERE material_id = $1`,
+    [fixtures.materialId]
+  );
+  return parseFloat(result.rows[0].cantidad_disponible);
+};
+
+/**
+ * Leer stock del material de prueba en un patio
+ */
+const leerStockPatio = async (patioId) => {
+  const result = await query(
+    `SELECT cantidad_disponible FROM stock_patios
+     WHERE patio_id = $1 AND material_id = $2`,
+    [patioId, fixtures.materialId]
+  );
+  return result.rows.length
+    ? parseFloat(result.rows[0].cantidad_disponible)
+    : 0;
+};
+
+/**
+ * Crear pedido pendiente del material de prueba
+ */
+const crearPedido = async (cantidad) => {
+  const pedido = await Pedido.create(
+    {
+      detalles: [{ material_id: fixtures.materialId, cantidad }],
+      direccion_entrega: DIRECCION,
+    },
+    fixtures.clienteId,
+    { userId: fixtures.clienteUsuarioId }
+  );
+  fixtures.pedidoIds.push(pedido.id);
+  return pedido;
+};
+
+/**
+ * Separar resultados de Promise.allSettled
+ */
+const contarResultados = (resultados) => ({
+  exitosos: resultados.filter((r) => r.status === "fulfilled"),
+  fallidos: resultados.filter((r) => r.status === "rejected"),
+});
+
+describe("Concurrencia de stock y pedidos", () => {
+  before(async () => {
+    try {
+      await query("SELECT 1");
+    } catch (error) {
+      if (process.env.DB_PRUEBAS_OBLIGATORIA === "1") {
+        throw error;
+      }
+      return; // Sin base de datos local: las pruebas se omiten
+    }
+
+    fixtures.adminId = await crearUsuario("administrador");
+    fixtures.clienteUsuarioId = await crearUsuario("cliente");
+
+    const cliente = await query(
+      `INSERT INTO clientes (usuario_id, empresa, direccion, ciudad, tipo_cliente)
+       VALUES ($1, $2, $3, 'Cochabamba', 'particular')
+       RETURNING id`,
+      [fixtures.clienteUsuarioId, `Prueba ${SUFIJO}`, DIRECCION]
+    );
+    fixtures.clienteId = cliente.rows[0].id;
+
+    const material = await query(
+      `INSERT INTO materiales (nombre, descripcion, unidad_medida, precio_por_unidad)
+       VALUES ($1, 'Material de pruebas de concurrencia', 'm³', 100)
+       RETURNING id`,
+      [`Arena prueba ${SUFIJO}`]
+    );
+    fixtures.materialId = material.rows[0].id;
+
+    await query(
+      `INSERT INTO material_precios (lista_id, material_id, precio)
+       SELECT id, $1, 100 FROM listas_precios WHERE tipo_cliente IS NULL`,
+      [fixtures.materialId]
+    );
+
+    const principal = await query(`SELECT id FROM patios WHERE principal`);
+    fixtures.patioPrincipalId = principal.rows[0].id;
+
+    const patio = await query(
+      `INSERT INTO patios (nombre, lat, lng)
+       VALUES ($1, -17.41, -66.16)
+       RETURNING id`,
+      [`Patio prueba ${SUFIJO}`]
+    );
+    fixtures.patioId = patio.rows[0].id;
+
+    fixtures.disponible = true;
+  });
+
+  after(async () => {
+    try {
+      if (fixtures.disponible) {
+        await query(
+          `UPDATE pedidos SET factura_id = NULL WHERE cliente_id = $1`,
+          [fixtures.clienteId]
+        );
+        await query(
+          `DELETE FROM pagos WHERE factura_id IN
+             (SELECT id FROM facturas WHERE cliente_id = $1)`,
+          [fixtures.clienteId]
+        );
+        await query(`DELETE FROM facturas WHERE cliente_id = $1`, [
+          fixtures.clienteId,
+        ]);
+        // Cotización y pedido se referencian entre sí
+        await query(
+          `UPDATE cotizaciones SET pedido_id = NULL WHERE cliente_id = $1`,
+          [fixtures.clienteId]
+        );
+        await query(
+          `DELETE FROM credito_autorizaciones WHERE cliente_id = $1`,
+          [fixtures.clienteId]
+        );
+        if (fixtures.pedidoIds.length) {
+          await query(
+            `DELETE FROM pedido_asignaciones WHERE pedido_id = ANY($1::int[])`,
+            [fixtures.pedidoIds]
+          );
+          await query(
+            `DELETE FROM stock_reservas WHERE pedido_id = ANY($1::int[])`,
+            [fixtures.pedidoIds]
+          );
+          await query(`DELETE FROM pedidos WHERE id = ANY($1::int[])`, [
+            fixtures.pedidoIds,
+          ]);
+        }
+        await query(`DELETE FROM cotizaciones WHERE cliente_id = $1`, [
+          fixtures.clienteId,
+        ]);
+        await query(
+          `DELETE FROM propuestas_reposicion WHERE material_id = $1`,
+          [fixtures.materialId]
+        );
+        await query(`DELETE FROM stock_movimientos WHERE material_id = $1`, [
+          fixtures.materialId,
+        ]);
+        await query(`DELETE FROM transferencias_stock WHERE material_id = $1`, [
+          fixtures.materialId,
+        ]);
+        await query(`DELETE FROM material_precios WHERE material_id = $1`, [
+          fixtures.materialId,
+        ]);
+        await query(`DELETE FROM stock_patios WHERE material_id = $1`, [
+          fixtures.materialId,
+        ]);
+        await query(`DELETE FROM stock WHERE material_id = $1`, [
+          fixtures.materialId,
+        ]);
+        await query(`DELETE FROM materiales WHERE id = $1`, [
+          fixtures.materialId,
+        ]);
+        if (fixtures.vehiculoIds.length) {
+          await query(
+            `DELETE FROM vehiculo_posiciones WHERE vehiculo_id = ANY($1::int[])`,
+            [fixtures.vehiculoIds]
+          );
+          await query(
+            `DELETE FROM vehiculo_mantenimientos WHERE vehiculo_id = ANY($1::int[])`,
+            [fixtures.vehiculoIds]
+          );
+          await query(`DELETE FROM vehiculos WHERE id = ANY($1::int[])`, [
+            fixtures.vehiculoIds,
+          ]);
+        }
+        await query(`DELETE FROM patios WHERE id = $1`, [fixtures.patioId]);
+        await query(`DELETE FROM clientes WHERE id = $1`, [fixtures.clienteId]);
+        await query(
+          `DELETE FROM vehiculo_eventos WHERE usuario_id = ANY($1::int[])`,
+          [[fixtures.adminId, fixtures.clienteUsuarioId]]
+        );
+        await query(`DELETE FROM usuarios WHERE id = ANY($1::int[])`, [
+          [fixtures.adminId, fixtures.clienteUsuarioId],
+        ]);
+      }
+    } finally {
+      await pool.end();
+    }
+  });
+
+  test("confirmaciones paralelas no venden más stock del disponible", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    // Se reservan 6 pedidos de 3 m³ y luego el stock baja a 10 m³,
+    // que alcanzan para 3; se intentan confirmar los 6
+    await fijarStock(18);
+    const pedidos = [];
+    for (let i = 0; i < 6; i++) {
+      pedidos.push(await crearPedido(3));
+    }
+    await fijarStock(10);
+
+    const resultados = await Promise.allSettled(
+      pedidos.map((pedido) => Pedido.confirm(pedido.id, fixtures.adminId))
+    );
+    const { exitosos, fallidos } = contarResultados(resultados);
+
+    assert.equal(exitosos.length, 3);
+    assert.equal(fallidos.length, 3);
+    fallidos.forEach((r) =>
+      assert.match(r.reason.message, /Stock insuficiente/)
+    );
+    assert.equal(await leerStock(), 1);
+
+    // Los pedidos rechazados siguen pendientes
+    for (const pedido of pedidos) {
+      const actual = await Pedido.findById(pedido.id);
+      const confirmado = exitosos.some((r) => r.value.pedido.id === pedido.id);
+      assert.equal(
+        actual.estado,
+        confirmado ? Pedido.ESTADOS.CONFIRMADO : Pedido.ESTADOS.PENDIENTE
+      );
+
+      // Cancelar los pendientes libera su reserva para las demás pruebas
+      if (!confirmado) {
+        await Pedido.cancel(pedido.id, fixtures.adminId, { motivo: "Prueba" });
+      }
+    }
+
+    const stock = await Stock.findByMaterial(fixtures.materialId);
+    assert.equal(stock.cantidad_reservada, 0);
+  });
+
+  test("pedidos creados en paralelo no reservan más que el stock libre", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    // 10 m³ libres alcanzan para 2 reservas de 4 m³
+    await fijarStock(10);
+
+    const resultados = await Promise.allSettled(
+      Array.from({ length: 5 }, () => crearPedido(4))
+    );
+    const { exitosos, fallidos } = contarResultados(resultados);
+
+    assert.equal(exitosos.length, 2);
+    fallidos.forEach((r) =>
+      assert.match(r.reason.message, /Stock insuficiente/)
+    );
+
+    const stock = await Stock.findByMaterial(fixtures.materialId);
+    assert.equal(stock.cantidad_disponible, 10);
+    assert.equal(stock.cantidad_reservada, 8);
+    assert.equal(stock.cantidad_libre, 2);
+
+    for (const r of exitosos) {
+      await Pedido.cancel(r.value.id, fixtures.adminId, { motivo: "Prueba" });
+    }
+  });
+
+  test("el mismo pedido confirmado en paralelo descuenta stock una sola vez", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    await fijarStock(20);
+    const pedido = await crearPedido(4);
+
+    const resultados = await Promise.allSettled(
+      Array.from({ length: 5 }, () =>
+        Pedido.confirm(pedido.id, fixtures.adminId)
+      )
+    );
+    const { exitosos } = contarResultados(resultados);
+
+    assert.equal(exitosos.length, 1);
+    assert.equal(await leerStock(), 16);
+
+    const historial = await Pedido.findHistorial(pedido.id);
+    assert.equal(
+      historial.filter((e) => e.estado_nuevo === Pedido.ESTADOS.CONFIRMADO)
+        .length,
+      1
+    );
+  });
+
+  test("cancelaciones paralelas devuelven el stock una sola vez", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    await fijarStock(12);
+    const pedido = await crearPedido(5);
+    await Pedido.confirm(pedido.id, fixtures.adminId);
+    assert.equal(await leerStock(), 7);
+
+    const resultados = await Promise.allSettled(
+      Array.from({ length: 4 }, () =>
+        Pedido.cancel(pedido.id, fixtures.adminId, { motivo: "Prueba" })
+      )
+    );
+    const { exitosos } = contarResultados(resultados);
+
+    assert.equal(exitosos.length, 1);
+    assert.equal(await leerStock(), 12);
+  });
+
+  test("entradas de stock simultáneas no se pisan entre sí", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    await fijarStock(50);
+
+    await Promise.all(
+      Array.from({ length: 10 }, () =>
+        Stock.increaseStock(fixtures.materialId, 2, fixtures.adminId)
+      )
+    );
+
+    assert.equal(await leerStock(), 70);
+
+    // Cada entrada queda en el kardex con su saldo correlativo
+    const { movimientos } = await Stock.findMovimientos(fixtures.materialId, {
+      tipo: Stock.TIPOS_MOVIMIENTO.ENTRADA,
+    });
+    const saldos = movimientos
+      .slice(0, 10)
+      .map((movimiento) => movimiento.saldo)
+      .sort((a, b) => a - b);
+    assert.deepEqual(
+      saldos,
+      Array.from({ length: 10 }, (_, i) => 52 + i * 2)
+    );
+  });
+
+  test("revisiones de reposición paralelas dejan una sola propuesta abierta", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    await fijarStock(5);
+    await query(
+      `UPDATE stock SET cantidad_minima = 20 WHERE material_id = $1`,
+      [fixtures.materialId]
+    );
+
+    try {
+      const resultados = await Promise.all(
+        Array.from({ length: 5 }, () =>
+          Stock.evaluarReposicion([fixtures.materialId])
+        )
+      );
+
+      const creadas = resultados.flatMap((r) => r.creadas);
+      assert.equal(creadas.length, 1);
+      // Sin consumo ni objetivo configurado: llegar al doble del mínimo
+      assert.equal(creadas[0].cantidad_sugerida, 35);
+
+      const abiertas = await ReposicionStock.getAbiertas();
+      assert.equal(abiertas.get(fixtures.materialId).id, creadas[0].id);
+    } finally {
+      await query(
+        `UPDATE stock SET cantidad_minima = 0 WHERE material_id = $1`,
+        [fixtures.materialId]
+      );
+      await query(`DELETE FROM propuestas_reposicion WHERE material_id = $1`, [
+        fixtures.materialId,
+      ]);
+    }
+  });
+
+  test("transferencias paralelas no dejan en negativo el patio de origen", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    await fijarStock(10);
+
+    const resultados = await Promise.allSettled(
+      Array.from({ length: 5 }, () =>
+        Stock.transferir(
+          fixtures.materialId,
+          {
+            origen_patio_id: fixtures.patioPrincipalId,
+            destino_patio_id: fixtures.patioId,
+            cantidad: 3,
+          },
+          fixtures.adminId
+        )
+      )
+    );
+    const { exitosos, fallidos } = contarResultados(resultados);
+
+    assert.equal(exitosos.length, 3);
+    fallidos.forEach((r) =>
+      assert.match(r.reason.message, /Stock insuficiente/)
+    );
+
+    // El total no cambia: solo se mueve entre patios
+    assert.equal(await leerStock(), 10);
+    assert.equal(await leerStockPatio(fixtures.patioPrincipalId), 1);
+    assert.equal(await leerStockPatio(fixtures.patioId), 9);
+  });
+
+  test("mermas y ajustes paralelos no toman el stock reservado por pedidos", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    // 10 m³ con 6 reservados: quedan 4 libres para salidas manuales
+    await fijarStock(10);
+    const pedido = await crearPedido(6);
+
+    const resultados = await Promise.allSettled(
+      Array.from({ length: 3 }, () =>
+        Stock.registrarMerma(
+          fixtures.materialId,
+          3,
+          fixtures.adminId,
+          "Material mojado"
+        )
+      )
+    );
+    const { exitosos, fallidos } = contarResultados(resultados);
+
+    assert.equal(exitosos.length, 1);
+    fallidos.forEach((r) => assert.match(r.reason.message, /reservado/));
+    assert.equal(await leerStock(), 7);
+
+    await assert.rejects(
+      Stock.updateQuantity(fixtures.materialId, 0, fixtures.adminId, "Conteo"),
+      /Stock insuficiente/
+    );
+
+    // Sin la reserva el saldo puede quedar en cero y superar los 1000 m³
+    await Pedido.cancel(pedido.id, fixtures.adminId, { motivo: "Prueba" });
+    await Stock.updateQuantity(
+      fixtures.materialId,
+      0,
+      fixtures.adminId,
+      "Conteo"
+    );
+    assert.equal(await leerStock(), 0);
+
+    await Stock.increaseStock(fixtures.materialId, 1500, fixtures.adminId);
+    assert.equal(await leerStock(), 1500);
+    assert.equal(await leerStockPatio(fixtures.patioPrincipalId), 1500);
+
+    await Stock.transferir(
+      fixtures.materialId,
+      {
+        origen_patio_id: fixtures.patioPrincipalId,
+        destino_patio_id: fixtures.patioId,
+        cantidad: 1200,
+      },
+      fixtures.adminId
+    );
+    assert.equal(await leerStockPatio(fixtures.patioPrincipalId), 300);
+    assert.equal(await leerStockPatio(fixtures.patioId), 1200);
+  });
+
+  test("la misma cotización aceptada en paralelo crea un solo pedido", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    await fijarStock(20);
+    const cotizacion = await Cotizacion.create(
+      {
+        detalles: [{ material_id: fixtures.materialId, cantidad: 4 }],
+        direccion_entrega: DIRECCION,
+      },
+      fixtures.clienteId,
+      fixtures.clienteUsuarioId
+    );
+
+    const resultados = await Promise.allSettled(
+      Array.from({ length: 5 }, () =>
+        Cotizacion.aceptar(cotizacion.id, {}, { userId: fixtures.adminId })
+      )
+    );
+    const { exitosos, fallidos } = contarResultados(resultados);
+    exitosos.forEach((r) => fixtures.pedidoIds.push(r.value.pedido.id));
+
+    assert.equal(exitosos.length, 1);
+    fallidos.forEach((r) =>
+      assert.match(r.reason.message, /no (está vigente|puede aceptarse)/)
+    );
+
+    // El pedido conserva el precio cotizado y reserva una sola vez
+    const { pedido } = exitosos[0].value;
+    assert.equal(parseFloat(pedido.precio_total), cotizacion.precio_total);
+    const stock = await Stock.findByMaterial(fixtures.materialId);
+    assert.equal(stock.cantidad_reservada, 4);
+
+    const aceptada = await Cotizacion.findById(cotizacion.id);
+    assert.equal(aceptada.estado, Cotizacion.ESTADOS.ACEPTADA);
+    assert.equal(aceptada.pedido.id, pedido.id);
+
+    await Pedido.cancel(pedido.id, fixtures.adminId, { motivo: "Prueba" });
+  });
+
+  test("pagos paralelos no superan el saldo de la factura", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    // Pedido de 4 m³ a 100 Bs entregado y facturado por 400 Bs
+    await fijarStock(20);
+    const pedido = await crearPedido(4);
+    await query(`UPDATE pedidos SET estado = 'entregado' WHERE id = $1`, [
+      pedido.id,
+    ]);
+    await query(`DELETE FROM stock_reservas WHERE pedido_id = $1`, [pedido.id]);
+
+    // Facturar el mismo pedido en paralelo genera una sola factura
+    const emisiones = await Promise.allSettled(
+      Array.from({ length: 3 }, () =>
+        Factura.create({ pedido_ids: [pedido.id] }, fixtures.adminId)
+      )
+    );
+    const emitidas = contarResultados(emisiones).exitosos;
+    assert.equal(emitidas.length, 1);
+
+    const factura = emitidas[0].value;
+    assert.equal(factura.total, 400);
+
+    // 5 pagos de 150 Bs: entran 2 (300) y el saldo de 100 rechaza el resto
+    const resultados = await Promise.allSettled(
+      Array.from({ length: 5 }, () =>
+        Factura.registrarPago(
+          factura.id,
+          { monto: 150, metodo: "efectivo" },
+          fixtures.adminId
+        )
+      )
+    );
+    const { exitosos, fallidos } = contarResultados(resultados);
+
+    assert.equal(exitosos.length, 2);
+    fallidos.forEach((r) => assert.match(r.reason.message, /supera el saldo/));
+
+    const actual = await Factura.findById(factura.id);
+    assert.equal(actual.monto_pagado, 300);
+    assert.equal(actual.saldo, 100);
+    assert.equal(actual.estado, Factura.ESTADOS.PARCIAL);
+    assert.equal(actual.pagos.length, 2);
+  });
+
+  test("pedidos paralelos no superan el límite de crédito", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    // Límite con 500 Bs libres sobre lo que el cliente ya debe
+    const inicial = await Cliente.getCredito(fixtures.clienteId);
+    await Cliente.updateCredito(fixtures.clienteId, {
+      limite_credito: inicial.exposicion + 500,
+      exceso_credito: "bloquear",
+    });
+
+    try {
+      await fijarStock(100);
+
+      // 5 pedidos de 2 m³ a 100 Bs (200 Bs): entran 2 (400) y el resto no cabe
+      const resultados = await Promise.allSettled(
+        Array.from({ length: 5 }, () => crearPedido(2))
+      );
+      const { exitosos, fallidos } = contarResultados(resultados);
+
+      assert.equal(exitosos.length, 2);
+      fallidos.forEach((r) =>
+        assert.match(r.reason.message, /Límite de crédito excedido/)
+      );
+
+      const credito = await Cliente.getCredito(fixtures.clienteId);
+      assert.equal(credito.exposicion, inicial.exposicion + 400);
+      assert.equal(credito.disponible, 100);
+
+      // Un administrador puede autorizar el exceso y queda registrado
+      const autorizado = await Pedido.create(
+        {
+          detalles: [{ material_id: fixtures.materialId, cantidad: 2 }],
+          direccion_entrega: DIRECCION,
+        },
+        fixtures.clienteId,
+        {
+          userId: fixtures.adminId,
+          autorizacionCredito: {
+            userId: fixtures.adminId,
+            motivo: "Prueba",
+          },
+        }
+      );
+      fixtures.pedidoIds.push(autorizado.id);
+
+      assert.equal(autorizado.credito.excede, true);
+      assert.equal(autorizado.credito.autorizado, true);
+
+      const autorizaciones = await Cliente.findAutorizacionesCredito(
+        fixtures.clienteId
+      );
+      assert.equal(autorizaciones.length, 1);
+      assert.equal(autorizaciones[0].pedido_id, autorizado.id);
+    } finally {
+      await Cliente.updateCredito(fixtures.clienteId, { limite_credito: null });
+    }
+  });
+
+  test("desactivar un cliente mientras pide no deja pedidos en curso", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    await fijarStock(100);
+
+    // Partir sin pedidos en curso para que la desactivación pueda entrar
+    const enCursoAntes = await query(
+      `SELECT id FROM pedidos WHERE cliente_id = $1
+         AND estado IN ('pendiente', 'confirmado', 'asignado', 'en_transito')`,
+      [fixtures.clienteId]
+    );
+    for (const { id } of enCursoAntes.rows) {
+      await Pedido.cancel(id, fixtures.adminId, { motivo: "Prueba" });
+    }
+
+    const [desactivacion, ...pedidos] = await Promise.allSettled([
+      Cliente.desactivar(
+        fixtures.clienteId,
+        "Prueba de concurrencia",
+        fixtures.adminId
+      ),
+      ...Array.from({ length: 3 }, () => crearPedido(1)),
+    ]);
+
+    const cliente = await Cliente.findById(fixtures.clienteId);
+    const enCurso = await query(
+      `SELECT COUNT(*) as total FROM pedidos WHERE cliente_id = $1
+         AND estado IN ('pendiente', 'confirmado', 'asignado', 'en_transito')`,
+      [fixtures.clienteId]
+    );
+    const exitosos = contarResultados(pedidos).exitosos.length;
+
+    // O se desactivó antes que los pedidos, o los pedidos la impidieron
+    if (desactivacion.status === "fulfilled") {
+      assert.equal(cliente.activo, false);
+      assert.equal(parseInt(enCurso.rows[0].total), 0);
+      contarResultados(pedidos).fallidos.forEach((r) =>
+        assert.match(r.reason.message, /desactivado/)
+      );
+    } else {
+      assert.match(desactivacion.reason.message, /pedidos en curso/);
+      assert.equal(cliente.activo, true);
+      assert.equal(parseInt(enCurso.rows[0].total), exitosos);
+    }
+  });
+
+  test("un servicio vencido se inicia una sola vez y bloquea el vehículo", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    // Placa ABC123 única para esta corrida
+    const letras = String.fromCharCode(
+      65 + (process.pid % 26),
+      65 + (Date.now() % 26),
+      90
+    );
+    const vehiculo = await Vehiculo.create({
+      placa: `${letras}${String(process.pid % 1000).padStart(3, "0")}`,
+      marca: "Prueba",
+      modelo: "Concurrencia",
+      capacidad_m3: 49,
+    });
+    fixtures.vehiculoIds.push(vehiculo.id);
+
+    const hoy = new Date().toISOString().split("T")[0];
+    const { mantenimiento } = await MantenimientoVehiculo.create(
+      vehiculo.id,
+      { tipo_servicio: "Cambio de aceite", fecha_programada: hoy },
+      fixtures.adminId
+    );
+
+    // create ya lo inició; revisiones paralelas no lo vuelven a iniciar
+    assert.equal(mantenimiento.estado, MantenimientoVehiculo.ESTADOS.EN_CURSO);
+    const inicios = await Promise.all(
+      Array.from({ length: 3 }, () =>
+        MantenimientoVehiculo.iniciarProgramados()
+      )
+    );
+    inicios.forEach((iniciados) =>
+      assert.ok(!iniciados.some((m) => m.vehiculo_id === vehiculo.id))
+    );
+
+    const disponibles = await Vehiculo.findAvailableByCapacity(49);
+    assert.ok(!disponibles.some((v) => v.vehiculo_id === vehiculo.id));
+
+    const enTaller = await Vehiculo.findById(vehiculo.id);
+    assert.equal(enTaller.estado, Vehiculo.ESTADOS.MANTENIMIENTO);
+
+    // Al completarlo vuelve a la flota disponible
+    const completado = await MantenimientoVehiculo.completar(
+      vehiculo.id,
+      mantenimiento.id,
+      { odometro_km: 120000, costo: 350 },
+      fixtures.adminId
+    );
+    assert.equal(completado.vehiculo_estado, Vehiculo.ESTADOS.DISPONIBLE);
+
+    const libres = await Vehiculo.findAvailableByCapacity(49);
+    assert.ok(libres.some((v) => v.vehiculo_id === vehiculo.id));
+  });
+
+  test("una avería durante la asignación no deja el pedido en el vehículo averiado", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    await fijarStock(100);
+    const pedido = await crearPedido(48);
+    await Pedido.confirm(pedido.id, fixtures.adminId);
+
+    const letras = String.fromCharCode(
+      65 + (process.pid % 26),
+      65 + ((Date.now() + 7) % 26),
+      89
+    );
+    const vehiculo = await Vehiculo.create({
+      placa: `${letras}${String(process.pid % 1000).padStart(3, "0")}`,
+      marca: "Prueba",
+      modelo: "Averia",
+      capacidad_m3: 49,
+    });
+    fixtures.vehiculoIds.push(vehiculo.id);
+
+    // Asignación y reporte de avería compiten por el mismo vehículo
+    const [asignacion, averia] = await Promise.allSettled([
+      Pedido.assignVehicle(pedido.id, vehiculo.id, fixtures.adminId),
+      Asignacion.reportarAveria(vehiculo.id, {
+        userId: fixtures.adminId,
+        motivo: "Falla de frenos",
+      }),
+    ]);
+
+    assert.equal(averia.status, "fulfilled");
+    if (asignacion.status === "rejected") {
+      assert.match(asignacion.reason.message, /no disponible/);
+    } else {
+      // Llegó antes la asignación: la avería tuvo que reasignar el pedido
+      assert.equal(averia.value.reasignaciones.length, 1);
+    }
+
+    const averiado = await Vehiculo.findById(vehiculo.id);
+    assert.equal(averiado.estado, Vehiculo.ESTADOS.AVERIADO);
+
+    const activas = await query(
+      `SELECT COUNT(*) as total FROM pedido_asignaciones
+       WHERE vehiculo_id = $1 AND liberado_en IS NULL`,
+      [vehiculo.id]
+    );
+    assert.equal(parseInt(activas.rows[0].total), 0);
+
+    const actual = await Pedido.findById(pedido.id);
+    assert.notEqual(actual.vehiculo_id, vehiculo.id);
+
+    // Sin pedidos encima puede volver a la flota; el historial guarda quién y por qué
+    await Vehiculo.updateStatus(vehiculo.id, Vehiculo.ESTADOS.DISPONIBLE, {
+      userId: fixtures.adminId,
+      motivo: "Reparado",
+    });
+    const historial = await Vehiculo.findHistorial(vehiculo.id);
+    assert.equal(historial[0].estado_nuevo, Vehiculo.ESTADOS.DISPONIBLE);
+    assert.ok(
+      historial.some(
+        (evento) =>
+          evento.estado_nuevo === Vehiculo.ESTADOS.AVERIADO &&
+          evento.usuario_id === fixtures.adminId &&
+          evento.motivo === "Falla de frenos"
+      )
+    );
+
+    if (Pedido.canBeCanceled(actual.estado)) {
+      await Pedido.cancel(pedido.id, fixtures.adminId, { motivo: "Prueba" });
+    }
+  });
+
+  test("la carga a bordo de un vehículo averiado no se vuelve a despachar", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    await fijarStock(100);
+    const pedido = await crearPedido(30);
+    await Pedido.confirm(pedido.id, fixtures.adminId);
+
+    const crearCamion = async (letra) => {
+      const letras = String.fromCharCode(
+        65 + (process.pid % 26),
+        65 + ((Date.now() + 11) % 26),
+        letra
+      );
+      const vehiculo = await Vehiculo.create({
+        placa: `${letras}${String(process.pid % 1000).padStart(3, "0")}`,
+        marca: "Prueba",
+        modelo: "Transbordo",
+        capacidad_m3: 31,
+      });
+      fixtures.vehiculoIds.push(vehiculo.id);
+      return vehiculo;
+    };
+
+    const averiado = await crearCamion(84);
+    await Pedido.assignVehicle(pedido.id, averiado.id, fixtures.adminId);
+    await query(
+      `UPDATE pedidos SET fecha_carga = CURRENT_TIMESTAMP WHERE id = $1`,
+      [pedido.id]
+    );
+
+    const stockAntes = await leerStock();
+    const { reasignaciones } = await Asignacion.reportarAveria(averiado.id, {
+      userId: fixtures.adminId,
+      motivo: "Falla de motor",
+    });
+
+    assert.equal(reasignaciones.length, 1);
+    assert.equal(reasignaciones[0].reasignado, false);
+    assert.equal(reasignaciones[0].requiere_transbordo, true);
+
+    const retenido = await Pedido.findById(pedido.id);
+    assert.equal(retenido.vehiculo_id, averiado.id);
+    assert.equal(retenido.estado, Pedido.ESTADOS.ASIGNADO);
+    assert.equal(await leerStock(), stockAntes);
+
+    // Con la carga encima no vuelve a la flota
+    await assert.rejects(
+      Vehiculo.updateStatus(averiado.id, Vehiculo.ESTADOS.DISPONIBLE, {
+        userId: fixtures.adminId,
+      }),
+      /transbordar/
+    );
+
+    const reemplazo = await crearCamion(85);
+    const transbordo = await Pedido.transbordar(
+      pedido.id,
+      reemplazo.id,
+      fixtures.adminId
+    );
+    assert.equal(transbordo.vehiculo_id, reemplazo.id);
+    assert.ok(transbordo.fecha_carga);
+    assert.equal(transbordo.estado, Pedido.ESTADOS.ASIGNADO);
+
+    await Vehiculo.updateStatus(averiado.id, Vehiculo.ESTADOS.DISPONIBLE, {
+      userId: fixtures.adminId,
+      motivo: "Reparado",
+    });
+
+    const historial = await Pedido.findHistorial(pedido.id);
+    assert.ok(historial.some((evento) => /transbordada/.test(evento.motivo)));
+
+    await Pedido.cancel(pedido.id, fixtures.adminId, { motivo: "Prueba" });
+  });
+
+  test("un lote GPS reenviado en paralelo no duplica puntos ni retrocede la ubicación", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    const letras = String.fromCharCode(
+      65 + (process.pid % 26),
+      65 + ((Date.now() + 13) % 26),
+      88
+    );
+    const vehiculo = await Vehiculo.create({
+      placa: `${letras}${String(process.pid % 1000).padStart(3, "0")}`,
+      marca: "Prueba",
+      modelo: "GPS",
+      capacidad_m3: 12,
+    });
+    fixtures.vehiculoIds.push(vehiculo.id);
+
+    // Dos tramos de 10 puntos, uno por minuto, hacia el norte
+    const inicio = Date.now() - 60 * 60 * 1000;
+    const tramo = (desdeMinuto) =>
+      Array.from({ length: 10 }, (_, i) => ({
+        lat: -17.4 + (desdeMinuto + i) * 0.001,
+        lng: -66.15,
+        velocidad_kmh: 30,
+        rumbo: 0,
+        registrado_en: new Date(
+          inicio + (desdeMinuto + i) * 60 * 1000
+        ).toISOString(),
+      }));
+    const reciente = tramo(10);
+    const antiguo = tramo(0);
+
+    // El dispositivo reintenta el lote reciente mientras llega uno atrasado
+    const resultados = await Promise.all([
+      PosicionVehiculo.registrar(vehiculo.id, { puntos: reciente }, null),
+      PosicionVehiculo.registrar(vehiculo.id, { puntos: reciente }, null),
+      PosicionVehiculo.registrar(vehiculo.id, { puntos: antiguo }, null),
+    ]);
+
+    const guardados = resultados.reduce((total, r) => total + r.guardados, 0);
+    assert.equal(guardados, 20);
+
+    const actual = await Vehiculo.findById(vehiculo.id);
+    assert.equal(
+      parseFloat(actual.ubicacion_actual_lat),
+      reciente[reciente.length - 1].lat
+    );
+
+    const recorrido = await PosicionVehiculo.findRecorrido(vehiculo.id, {
+      desde: new Date(inicio - 60 * 1000).toISOString(),
+    });
+    assert.equal(recorrido.geometry.type, "LineString");
+    assert.equal(recorrido.properties.puntos, 20);
+    assert.deepEqual(recorrido.geometry.coordinates[0], [
+      antiguo[0].lng,
+      antiguo[0].lat,
+    ]);
+    // 19 tramos de 0,001° de latitud ≈ 2,1 km
+    assert.ok(Math.abs(recorrido.properties.distancia_km - 2.11) < 0.05);
+  });
+
+  test("un recorrido GPS reenviado en paralelo marca una sola llegada y entrega el pedido", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    await fijarStock(100);
+    const pedido = await crearPedido(5);
+    await Pedido.confirm(pedido.id, fixtures.adminId);
+
+    const origen = await query(`SELECT lat, lng FROM patios WHERE id = $1`, [
+      fixtures.patioPrincipalId,
+    ]);
+    const patio = {
+      lat: parseFloat(origen.rows[0].lat),
+      lng: parseFloat(origen.rows[0].lng),
+    };
+    // Obra a unos 7 km del patio principal, lejos del patio de prueba
+    const destino = { lat: patio.lat - 0.05, lng: patio.lng - 0.05 };
+    await query(
+      `UPDATE pedidos SET direccion_lat = $2, direccion_lng = $3 WHERE id = $1`,
+      [pedido.id, destino.lat, destino.lng]
+    );
+
+    const letras = String.fromCharCode(
+      65 + (process.pid % 26),
+      65 + ((Date.now() + 17) % 26),
+      87
+    );
+    const vehiculo = await Vehiculo.create({
+      placa: `${letras}${String(process.pid % 1000).padStart(3, "0")}`,
+      marca: "Prueba",
+      modelo: "Geocerca",
+      capacidad_m3: 12,
+    });
+    fixtures.vehiculoIds.push(vehiculo.id);
+    await Pedido.assignVehicle(pedido.id, vehiculo.id, fixtures.adminId);
+
+    // Sale del patio sin marcar carga ni tránsito, llega a la obra en el
+    // minuto 10 y se detecta su salida en el 16, sin registrar la entrega
+    const inicio = Date.now() - 30 * 60 * 1000;
+    const punto = (minuto, lugar, desvioLat = 0) => ({
+      lat: lugar.lat + desvioLat,
+      lng: lugar.lng,
+      registrado_en: new Date(inicio + minuto * 60 * 1000).toISOString(),
+    });
+    const recorrido = [
+      punto(0, patio),
+      punto(1, patio, 0.02),
+      punto(10, destino),
+      punto(12, destino),
+      punto(15, destino),
+      punto(16, destino, -0.02),
+    ];
+
+    const resultados = await Promise.all([
+      PosicionVehiculo.registrar(vehiculo.id, { puntos: recorrido }, null),
+      PosicionVehiculo.registrar(vehiculo.id, { puntos: recorrido }, null),
+    ]);
+
+    const llegadas = resultados.reduce(
+      (total, r) => total + (r.geocercas ? r.geocercas.llegadas : 0),
+      0
+    );
+    assert.equal(llegadas, 2);
+
+    const { visitas } = await Geocerca.findVisitas(vehiculo.id);
+    assert.equal(visitas.length, 2);
+    const enObra = visitas.find((visita) => visita.tipo === "destino");
+    assert.equal(enObra.pedido.id, pedido.id);
+    assert.equal(enObra.permanencia_segundos, 6 * 60);
+
+    const actual = await Pedido.findById(pedido.id);
+    assert.equal(actual.estado, Pedido.ESTADOS.ENTREGADO);
+    assert.ok(actual.fecha_carga);
+
+    const historial = await Pedido.findHistorial(pedido.id);
+    assert.deepEqual(
+      historial
+        .map((evento) => evento.estado_nuevo)
+        .filter((estado) =>
+          [Pedido.ESTADOS.EN_TRANSITO, Pedido.ESTADOS.ENTREGADO].includes(
+            estado
+          )
+        ),
+      [Pedido.ESTADOS.EN_TRANSITO, Pedido.ESTADOS.ENTREGADO]
+    );
+
+    const liberado = await Vehiculo.findById(vehiculo.id);
+    assert.equal(liberado.estado, Vehiculo.ESTADOS.DISPONIBLE);
+  });
+
+  test("los cambios en tiempo real salen solo de transacciones confirmadas", async (t) => {
+    if (!fixtures.disponible) return t.skip("PostgreSQL local no disponible");
+
+    await fijarStock(100);
+    const pedido = await crearPedido(5);
+
+    const cambios = [];
+    const cancelar = tiempoReal.suscribir((cambio) => {
+      if (cambio.datos.pedido_id === pedido.id) cambios.push(cambio);
+    });
+
+    try {
+      // Una transacción revertida no avisa nada
+      await assert.rejects(
+        executeTransaction(async (client) => {
+          tiempoReal.publicarAlConfirmar(
+            client,
+            tiempoReal.TIPOS.ESTADO_PEDIDO,
+            { pedido_id: pedido.id, estado_nuevo: "revertido" }
+          );
+          throw new Error("Revertir");
+        })
+      );
+      assert.equal(cambios.length, 0);
+
+      // De dos confirmaciones en paralelo solo se publica la que quedó
+      await Promise.allSettled([
+        Pedido.confirm(pedido.id, fixtures.adminId),
+        Pedido.confirm(pedido.id, fixtures.adminId),
+      ]);
+
+      assert.deepEqual(
+        cambios.map((cambio) => [cambio.tipo, cambio.datos.estado_nuevo]),
+        [[tiempoReal.TIPOS.ESTADO_PEDIDO, "confirmado"]]
+      );
+    } finally {
+      cancelar();
+      await Pedido.cancel(pedido.id, fixtures.adminId, { motivo: "Prueba" });
+    }
+  });
+});
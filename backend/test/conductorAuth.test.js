@@ -0,0 +1,113 @@
+/**
+ * Pruebas de los middlewares de conductor (sin base de datos)
+ * Vehículo y pedido se simulan sobre los modelos.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  requireAssignedVehicle,
+  requireConductorPermission,
+  requireAssignedPedido,
+} = require("../src/middleware/conductorAuth");
+const {
+  AuthorizationError,
+  AuthenticationError,
+} = require("../src/middleware/errorHandler");
+const Vehiculo = require("../src/models/Vehiculo");
+const Pedido = require("../src/models/Pedido");
+
+/**
+ * Ejecutar un middleware y devolver lo que recibe next
+ */
+const ejecutar = (middleware, req) =>
+  new Promise((resolve) => {
+    middleware(req, {}, (error) => resolve(error || null));
+  });
+
+describe("Middlewares de conductor", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("sin usuario responde 401", async () => {
+    const error = await ejecutar(requireAssignedVehicle, {});
+    assert.ok(error instanceof AuthenticationError);
+  });
+
+  test("un usuario que no es conductor recibe 403", async () => {
+    const error = await ejecutar(requireAssignedVehicle, {
+      user: { id: 1, rol: "cliente" },
+    });
+    assert.ok(error instanceof AuthorizationError);
+    assert.equal(error.statusCode, 403);
+  });
+
+  test("un conductor sin vehículo vinculado recibe 403", async () => {
+    mock.method(Vehiculo, "findByConductor", async () => null);
+
+    const error = await ejecutar(requireAssignedVehicle, {
+      user: { id: 7, rol: "conductor" },
+    });
+    assert.ok(error instanceof AuthorizationError);
+  });
+
+  test("el conductor con vehículo queda con req.vehiculo", async () => {
+    mock.method(Vehiculo, "findByConductor", async () => ({ id: 3 }));
+
+    const req = { user: { id: 7, rol: "conductor" } };
+    const error = await ejecutar(requireAssignedVehicle, req);
+    assert.equal(error, null);
+    assert.deepEqual(req.vehiculo, { id: 3 });
+  });
+
+  test("un permiso que el conductor no tiene recibe 403", async () => {
+    const error = await ejecutar(requireConductorPermission("canManageStock"), {
+      user: { id: 7, rol: "conductor" },
+    });
+    assert.ok(error instanceof AuthorizationError);
+  });
+
+  test("sin ID de pedido recibe 403", async () => {
+    const error = await ejecutar(requireAssignedPedido, {
+      params: {},
+      user: { id: 7 },
+      vehiculo: { id: 3 },
+    });
+    assert.ok(error instanceof AuthorizationError);
+  });
+
+  test("un pedido de otro vehículo recibe 403", async () => {
+    mock.method(Pedido, "findById", async () => ({ id: 10, vehiculo_id: 4 }));
+
+    const error = await ejecutar(requireAssignedPedido, {
+      params: { id: "10" },
+      user: { id: 7 },
+      vehiculo: { id: 3 },
+    });
+    assert.ok(error instanceof AuthorizationError);
+  });
+
+  test("un pedido inexistente recibe 403", async () => {
+    mock.method(Pedido, "findById", async () => null);
+
+    const error = await ejecutar(requireAssignedPedido, {
+      params: { id: "10" },
+      user: { id: 7 },
+      vehiculo: { id: 3 },
+    });
+    assert.ok(error instanceof AuthorizationError);
+  });
+
+  test("el pedido del propio vehículo queda con req.pedido", async () => {
+    const pedido = { id: 10, vehiculo_id: 3 };
+    mock.method(Pedido, "findById", async () => pedido);
+
+    const req = { params: { id: "10" }, user: { id: 7 }, vehiculo: { id: 3 } };
+    const error = await ejecutar(requireAssignedPedido, req);
+    assert.equal(error, null);
+    assert.equal(req.pedido, pedido);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Pruebas de detección de zona de flete (sin base de datos)
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const Flete = require("../src/models/Flete");
+
+// Cuadrado de 0.1° alrededor del centro y una "L" que deja fuera su esquina
+const CENTRO = [
+  [-17.35, -66.2],
+  [-17.35, -66.1],
+  [-17.45, -66.1],
+  [-17.45, -66.2],
+];
+const ELE = [
+  [-17.3, -66.3],
+  [-17.3, -66.2],
+  [-17.4, -66.2],
+  [-17.4, -66.0],
+  [-17.5, -66.0],
+  [-17.5, -66.3],
+];
+
+describe("Punto dentro de polígono", () => {
+  test("un punto interior está dentro y uno exterior no", () => {
+    assert.equal(Flete.contienePunto(CENTRO, -17.4, -66.15), true);
+    assert.equal(Flete.contienePunto(CENTRO, -17.4, -66.25), false);
+    assert.equal(Flete.contienePunto(CENTRO, -17.5, -66.15), false);
+  });
+
+  test("el hueco de un polígono cóncavo queda fuera", () => {
+    assert.equal(Flete.contienePunto(ELE, -17.35, -66.1), false);
+    assert.equal(Flete.contienePunto(ELE, -17.45, -66.1), true);
+    assert.equal(Flete.contienePunto(ELE, -17.35, -66.25), true);
+  });
+});
+
+describe("Zona del destino", () => {
+  const zonas = [
+    { id: 1, nombre: "Centro", poligono: CENTRO, palabras_clave: ["centro"] },
+    {
+      id: 2,
+      nombre: "Sur",
+      poligono: ELE,
+      palabras_clave: ["sur", "jaihuayco"],
+    },
+    {
+      id: 3,
+      nombre: "Quillacollo",
+      poligono: null,
+      palabras_clave: ["quilla"],
+    },
+  ];
+
+  test("entre polígonos que contienen el punto gana el de mayor prioridad", () => {
+    assert.equal(Flete.detectarZona(zonas, -17.42, -66.15, null).id, 1);
+    assert.equal(Flete.detectarZona(zonas, -17.48, -66.05, null).id, 2);
+  });
+
+  test("el polígono manda sobre el distrito de la dirección", () => {
+    const zona = Flete.detectarZona(
+      zonas,
+      -17.42,
+      -66.15,
+      "Av. Quillacollo km 5"
+    );
+    assert.equal(zona.id, 1);
+  });
+
+  test("fuera de todo polígono se busca el distrito en la dirección", () => {
+    assert.equal(
+      Flete.detectarZona(zonas, -17.2, -66.5, "Calle 3, QUILLACOLLO").id,
+      3
+    );
+    assert.equal(
+      Flete.detectarZona(zonas, -17.2, -66.5, "Zona Jaihuayco, calle 7").id,
+      2
+    );
+  });
+
+  test("sin polígono ni distrito reconocido no hay zona", () => {
+    assert.equal(Flete.detectarZona(zonas, -17.2, -66.5, "Sacaba"), null);
+    assert.equal(Flete.detectarZona(zonas, -17.2, -66.5, ""), null);
+  });
+});
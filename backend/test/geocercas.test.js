@@ -0,0 +1,131 @@
+/**
+ * Pruebas de llegadas y salidas de geocercas (sin base de datos)
+ * La transacción se simula con un cliente que responde por consulta.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { pool } = require("../src/config/database");
+const { GEOCERCAS } = require("../src/config/queries");
+const Geocerca = require("../src/models/Geocerca");
+const { crearCliente } = require("./helpers/clienteTransaccion");
+
+const PATIO = { id: 1, nombre: "Patio Central", lat: "-17.39", lng: "-66.15" };
+
+// Metros por grado de latitud con el radio terrestre del cálculo de distancias
+const METROS_POR_GRADO = (6371000 * Math.PI) / 180;
+
+/**
+ * Posición a cierta distancia al norte del patio
+ */
+const aMetros = (metros, minuto) => ({
+  lat: parseFloat(PATIO.lat) + metros / METROS_POR_GRADO,
+  lng: parseFloat(PATIO.lng),
+  registrado_en: `2026-03-01T10:${String(minuto).padStart(2, "0")}:00.000Z`,
+});
+
+/**
+ * Conexión simulada: un vehículo sin pedidos, el patio con su radio y,
+ * opcionalmente, una visita abierta con el radio con el que se abrió
+ */
+const conectar = ({ radioPatio = 300, abierta = null } = {}) => {
+  const respuestas = new Map([
+    [GEOCERCAS.LOCK_VEHICULO, [{ id: 3, placa: "ABC123" }]],
+    [GEOCERCAS.LIST_PATIOS, [{ ...PATIO, radio_geocerca_m: radioPatio }]],
+    [GEOCERCAS.LIST_ABIERTAS, abierta ? [abierta] : []],
+    [
+      GEOCERCAS.ABRIR_VISITA,
+      ([, patioId, pedidoId, radioM, entradaEn]) => [
+        {
+          id: 20,
+          patio_id: patioId,
+          pedido_id: pedidoId,
+          radio_m: radioM,
+          entrada_en: entradaEn,
+        },
+      ],
+    ],
+    [
+      GEOCERCAS.CERRAR_VISITA,
+      ([id, salidaEn]) => [
+        { id, patio_id: 1, salida_en: salidaEn, permanencia_segundos: 600 },
+      ],
+    ],
+  ]);
+
+  const client = crearCliente(respuestas);
+  mock.method(pool, "connect", async () => client);
+
+  return client;
+};
+
+const visitaAbierta = (radioM) => ({
+  id: 10,
+  patio_id: 1,
+  pedido_id: null,
+  radio_m: radioM,
+  entrada_en: "2026-03-01T09:50:00.000Z",
+});
+
+describe("Geocercas de patio", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("la llegada se detecta dentro del radio", async () => {
+    conectar();
+
+    const fuera = await Geocerca.procesar(3, [aMetros(320, 1)]);
+    assert.equal(fuera.llegadas, 0);
+
+    const dentro = await Geocerca.procesar(3, [aMetros(250, 2)]);
+    assert.equal(dentro.llegadas, 1);
+    assert.equal(dentro.eventos[0].nombre, "Patio Central");
+  });
+
+  test("el ruido en el borde no cierra la visita", async () => {
+    const client = conectar({ abierta: visitaAbierta(300) });
+
+    // Fuera del radio pero dentro del margen de salida (360 m)
+    const resultado = await Geocerca.procesar(3, [
+      aMetros(320, 1),
+      aMetros(350, 2),
+    ]);
+    assert.equal(resultado.salidas, 0);
+    assert.ok(!client.consultas().includes(GEOCERCAS.CERRAR_VISITA));
+  });
+
+  test("pasado el margen se registra la salida con su permanencia", async () => {
+    conectar({ abierta: visitaAbierta(300) });
+
+    const resultado = await Geocerca.procesar(3, [
+      aMetros(350, 1),
+      aMetros(370, 2),
+    ]);
+    assert.equal(resultado.salidas, 1);
+    assert.equal(resultado.eventos[0].fecha, "2026-03-01T10:02:00.000Z");
+    assert.equal(resultado.eventos[0].permanencia_segundos, 600);
+  });
+
+  test("el margen usa el radio con el que se abrió la visita", async () => {
+    conectar({ radioPatio: 100, abierta: visitaAbierta(300) });
+
+    const resultado = await Geocerca.procesar(3, [aMetros(200, 1)]);
+    assert.equal(resultado.salidas, 0);
+  });
+
+  test("una salida seguida de un regreso abre otra visita", async () => {
+    conectar({ abierta: visitaAbierta(300) });
+
+    const resultado = await Geocerca.procesar(3, [
+      aMetros(400, 1),
+      aMetros(100, 2),
+    ]);
+    assert.deepEqual(
+      resultado.eventos.map((evento) => evento.evento),
+      ["salida", "llegada"]
+    );
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Cliente de transacción simulado para las pruebas sin base de datos
+ * Responde según la consulta recibida y guarda cada llamada para revisar
+ * qué se ejecutó y con qué parámetros. Sirve tanto pasado directo a un
+ * método que recibe el cliente como devuelto por un mock de pool.connect.
+ */
+
+/**
+ * @param {Map} respuestas - consulta → filas (o función de los parámetros)
+ * @param {Object} opciones - { falla: consulta que lanza un error }
+ */
+const crearCliente = (respuestas = new Map(), { falla = null } = {}) => {
+  const llamadas = [];
+
+  return {
+    consultas: () => llamadas.map(([sql]) => sql),
+    // Parámetros de la primera ejecución de la consulta
+    parametros: (sql) =>
+      (llamadas.find(([consulta]) => consulta === sql) || [])[1],
+    // Parámetros de todas las ejecuciones de la consulta
+    parametrosDe: (sql) =>
+      llamadas.filter(([consulta]) => consulta === sql).map(([, p]) => p),
+    alConfirmar: () => {},
+    release: () => {},
+    query: async (sql, params) => {
+      llamadas.push([sql, params]);
+      if (sql === falla) {
+        throw new Error("violación de restricción");
+      }
+
+      const respuesta = respuestas.get(sql);
+      const rows =
+        typeof respuesta === "function" ? respuesta(params) : respuesta || [];
+      return { rows, rowCount: rows.length };
+    },
+  };
+};
+
+module.exports = { crearCliente };
@@ -0,0 +1,206 @@
+/**
+ * Pruebas del historial de estados del pedido (sin base de datos)
+ * La transacción se simula con un cliente que responde por consulta y los
+ * controladores se llaman con req/res de prueba.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { pool } = require("../src/config/database");
+const { PEDIDOS, EVENTOS } = require("../src/config/queries");
+const {
+  getHistorialPedido,
+  trackPedido,
+} = require("../src/controllers/pedidosController");
+const Pedido = require("../src/models/Pedido");
+const { crearCliente } = require("./helpers/clienteTransaccion");
+
+const HISTORIAL = [
+  {
+    id: 1,
+    estado_anterior: null,
+    estado_nuevo: "pendiente",
+    usuario_id: 8,
+    usuario_nombre: "Ana",
+    usuario_apellido: "Rojas",
+    usuario_rol: "cliente",
+    motivo: null,
+    request_id: "req-a",
+    created_at: "2026-03-01T10:00:00.000Z",
+  },
+  {
+    id: 2,
+    estado_anterior: "pendiente",
+    estado_nuevo: "cancelado",
+    usuario_id: 1,
+    usuario_nombre: "Luis",
+    usuario_apellido: "Vargas",
+    usuario_rol: "administrativo",
+    motivo: "Cliente sin obra habilitada",
+    request_id: "req-b",
+    created_at: "2026-03-01T11:00:00.000Z",
+  },
+];
+
+/**
+ * Pedido 10 en el estado dado; el cambio devuelve el estado nuevo
+ */
+const respuestasPedido = (estado) =>
+  new Map([
+    [PEDIDOS.LOCK_BY_ID, [{ id: 10, estado }]],
+    [
+      PEDIDOS.UPDATE_STATUS,
+      ([, nuevoEstado]) => [{ id: 10, estado: nuevoEstado }],
+    ],
+  ]);
+
+/**
+ * Ejecutar un controlador y devolver la respuesta enviada
+ */
+const ejecutar = (controlador, req) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(codigo) {
+        this.statusCode = codigo;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    controlador(req, res, (error) => (error ? reject(error) : resolve(null)));
+  });
+
+describe("Registro de eventos", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("cada cambio de estado guarda quién, por qué y en qué petición", async () => {
+    const client = crearCliente(respuestasPedido("asignado"));
+    mock.method(Pedido, "findById", async () => ({
+      id: 10,
+      estado: "asignado",
+    }));
+    mock.method(pool, "connect", async () => client);
+
+    await Pedido.updateStatus(10, "en_transito", 1, {
+      motivo: "Salida del patio",
+      requestId: "req-1",
+    });
+
+    assert.deepEqual(client.parametros(EVENTOS.CREATE), [
+      10,
+      "asignado",
+      "en_transito",
+      1,
+      "Salida del patio",
+      "req-1",
+    ]);
+  });
+
+  test("si el evento no se guarda, el estado tampoco cambia", async () => {
+    const client = crearCliente(respuestasPedido("asignado"), {
+      falla: EVENTOS.CREATE,
+    });
+    mock.method(Pedido, "findById", async () => ({
+      id: 10,
+      estado: "asignado",
+    }));
+    mock.method(pool, "connect", async () => client);
+
+    await assert.rejects(
+      Pedido.updateStatus(10, "en_transito", 1),
+      /violación de restricción/
+    );
+    assert.ok(client.consultas().includes("ROLLBACK"));
+    assert.ok(!client.consultas().includes("COMMIT"));
+  });
+
+  test("el aviso en tiempo real espera a la confirmación", async () => {
+    const acciones = [];
+    const client = {
+      query: async () => ({ rows: [{ id: 1 }] }),
+      alConfirmar: (accion) => acciones.push(accion),
+    };
+
+    await Pedido.registrarEvento(client, 10, "pendiente", "confirmado", {
+      userId: 1,
+    });
+
+    assert.equal(acciones.length, 1);
+  });
+});
+
+describe("Consulta del historial", () => {
+  afterEach(() => mock.restoreAll());
+
+  const pedido = { id: 10, codigo_seguimiento: "PED-10", estado: "cancelado" };
+
+  test("el personal ve usuario y petición de cada evento", async () => {
+    mock.method(Pedido, "findById", async () => pedido);
+    mock.method(Pedido, "findHistorial", async () => HISTORIAL);
+
+    const { body } = await ejecutar(getHistorialPedido, {
+      params: { id: "10" },
+      user: { id: 1, rol: "administrativo" },
+    });
+
+    const [, cancelacion] = body.data.eventos;
+    assert.equal(cancelacion.motivo, "Cliente sin obra habilitada");
+    assert.deepEqual(cancelacion.usuario, {
+      id: 1,
+      nombre: "Luis Vargas",
+      rol: "administrativo",
+    });
+    assert.equal(cancelacion.request_id, "req-b");
+  });
+
+  test("el cliente ve estados y motivos sin datos de auditoría", async () => {
+    mock.method(Pedido, "findHistorial", async () => HISTORIAL);
+
+    const { body } = await ejecutar(getHistorialPedido, {
+      params: { id: "10" },
+      user: { id: 8, rol: "cliente" },
+      pedido,
+    });
+
+    assert.equal(body.data.eventos.length, 2);
+    body.data.eventos.forEach((evento) => {
+      assert.equal(evento.usuario, undefined);
+      assert.equal(evento.request_id, undefined);
+    });
+  });
+
+  test("el seguimiento público arma la línea de tiempo con el historial", async () => {
+    mock.method(Pedido, "findByTrackingCode", async () => ({
+      ...pedido,
+      unidad_medida: "m³",
+      detalles: [],
+    }));
+    mock.method(Pedido, "findHistorial", async () => HISTORIAL);
+    mock.method(Pedido, "findAsignacion", async () => null);
+
+    const { body } = await ejecutar(trackPedido, {
+      params: { codigo: "ped-10" },
+      ip: "127.0.0.1",
+    });
+
+    assert.deepEqual(body.data.linea_tiempo, [
+      {
+        estado: "pendiente",
+        descripcion: "Pedido recibido, esperando confirmación",
+        fecha: "2026-03-01T10:00:00.000Z",
+      },
+      {
+        estado: "cancelado",
+        descripcion: "Pedido cancelado",
+        fecha: "2026-03-01T11:00:00.000Z",
+      },
+    ]);
+  });
+});
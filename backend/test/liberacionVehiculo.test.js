@@ -0,0 +1,114 @@
+/**
+ * Pruebas de liberación del vehículo al cerrar un pedido (sin base de datos)
+ * La transacción se simula con un cliente que responde por consulta.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { pool } = require("../src/config/database");
+const { PEDIDOS, ASIGNACIONES, VEHICULOS } = require("../src/config/queries");
+const Pedido = require("../src/models/Pedido");
+const { crearCliente } = require("./helpers/clienteTransaccion");
+
+/**
+ * Pedido 10 en el vehículo 3; con otrosPedidos el vehículo sigue ocupado
+ */
+const respuestasLiberacion = ({ estado, otrosPedidos = false }) =>
+  new Map([
+    [PEDIDOS.LOCK_BY_ID, [{ id: 10, estado, vehiculo_id: 3 }]],
+    [
+      PEDIDOS.UPDATE_STATUS,
+      ([id, nuevoEstado]) => [{ id, estado: nuevoEstado }],
+    ],
+    [
+      ASIGNACIONES.RELEASE_BY_PEDIDO,
+      [{ id: 1, pedido_id: 10, vehiculo_id: 3 }],
+    ],
+    [
+      VEHICULOS.RELEASE_IF_IDLE,
+      otrosPedidos ? [] : [{ id: 3, placa: "ABC123", estado: "disponible" }],
+    ],
+  ]);
+
+describe("Liberación del vehículo", () => {
+  test("sin otros pedidos el vehículo vuelve a disponible con su evento", async () => {
+    const client = crearCliente(respuestasLiberacion({ estado: "entregado" }));
+
+    const vehiculo = await Pedido.releaseVehicle(client, 10, "entregado", 1);
+
+    assert.equal(vehiculo.placa, "ABC123");
+    assert.deepEqual(client.parametros(ASIGNACIONES.RELEASE_BY_PEDIDO), [
+      10,
+      "entregado",
+    ]);
+    assert.deepEqual(client.parametros(VEHICULOS.CREATE_EVENTO), [
+      3,
+      "en_uso",
+      "disponible",
+      1,
+      10,
+      "Pedido entregado",
+    ]);
+  });
+
+  test("con otro pedido asignado el vehículo sigue en uso", async () => {
+    const client = crearCliente(
+      respuestasLiberacion({ estado: "entregado", otrosPedidos: true })
+    );
+
+    const vehiculo = await Pedido.releaseVehicle(client, 10, "entregado", 1);
+
+    assert.equal(vehiculo, null);
+    assert.ok(client.consultas().includes(ASIGNACIONES.RELEASE_BY_PEDIDO));
+    assert.ok(!client.consultas().includes(VEHICULOS.CREATE_EVENTO));
+  });
+});
+
+describe("Cambio de estado del pedido", () => {
+  afterEach(() => mock.restoreAll());
+
+  const cambiarEstado = async (estadoActual, nuevoEstado) => {
+    const client = crearCliente(respuestasLiberacion({ estado: estadoActual }));
+    mock.method(Pedido, "findById", async () => ({
+      id: 10,
+      estado: estadoActual,
+      vehiculo_id: 3,
+    }));
+    mock.method(pool, "connect", async () => client);
+
+    const pedido = await Pedido.updateStatus(10, nuevoEstado, 1);
+    return { pedido, client };
+  };
+
+  test("al entregar se libera el vehículo en la misma transacción", async () => {
+    const { pedido, client } = await cambiarEstado("en_transito", "entregado");
+
+    assert.equal(pedido.estado, "entregado");
+    assert.equal(pedido.vehiculo_liberado.placa, "ABC123");
+
+    const consultas = client.consultas();
+    assert.ok(
+      consultas.indexOf(ASIGNACIONES.RELEASE_BY_PEDIDO) <
+        consultas.indexOf("COMMIT")
+    );
+  });
+
+  test("un estado intermedio no toca el vehículo", async () => {
+    const { pedido, client } = await cambiarEstado("asignado", "en_transito");
+
+    assert.equal(pedido.estado, "en_transito");
+    assert.equal(pedido.vehiculo_liberado, undefined);
+    assert.ok(!client.consultas().includes(ASIGNACIONES.RELEASE_BY_PEDIDO));
+  });
+
+  test("un pedido entregado ya no cambia de estado", async () => {
+    await assert.rejects(
+      cambiarEstado("entregado", "en_transito"),
+      /Transición de estado inválida: entregado → en_transito/
+    );
+  });
+});
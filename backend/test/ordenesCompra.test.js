@@ -0,0 +1,25 @@
+/**
+ * Pruebas del costo puesto de órdenes de compra (sin base de datos)
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const OrdenCompra = require("../src/models/OrdenCompra");
+
+describe("Costo puesto de órdenes de compra", () => {
+  test("el flete se prorratea sobre el total ordenado", () => {
+    const detalles = [{ cantidad: "20" }, { cantidad: "10" }];
+
+    assert.equal(OrdenCompra.calcularFletePorUnidad("100", detalles), 3.33);
+    assert.equal(OrdenCompra.calcularFletePorUnidad(100, []), 0);
+  });
+
+  test("el costo puesto suma material y flete redondeado", () => {
+    assert.equal(OrdenCompra.calcularCostoPuesto("45.5", 3.33), 48.83);
+    assert.equal(OrdenCompra.calcularCostoPuesto("0.1", 0.2), 0.3);
+  });
+});
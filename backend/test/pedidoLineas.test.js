@@ -0,0 +1,187 @@
+/**
+ * Pruebas de pedidos con varias líneas (sin base de datos)
+ * Cliente y materiales se simulan sobre el pool; precios, patio, flete y
+ * crédito sobre sus modelos.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { pool } = require("../src/config/database");
+const { CLIENTES, MATERIALES } = require("../src/config/queries");
+const { validateOrderLines } = require("../src/utils/validation");
+const Pedido = require("../src/models/Pedido");
+const ListaPrecio = require("../src/models/ListaPrecio");
+const Stock = require("../src/models/Stock");
+const Flete = require("../src/models/Flete");
+const Cliente = require("../src/models/Cliente");
+
+const MATERIALES_ACTIVOS = new Map([
+  [5, { id: 5, nombre: "Arena fina", unidad_medida: "m³", activo: true }],
+  [6, { id: 6, nombre: "Grava 3/4", unidad_medida: "m³", activo: true }],
+]);
+
+const PRECIOS = new Map([
+  [
+    5,
+    {
+      lista_precio_id: 2,
+      precio_lista: 90,
+      descuento_porcentaje: 5,
+      precio_unitario: 85.5,
+    },
+  ],
+  [
+    6,
+    {
+      lista_precio_id: 2,
+      precio_lista: 80,
+      descuento_porcentaje: 0,
+      precio_unitario: 80,
+    },
+  ],
+]);
+
+describe("Líneas del pedido", () => {
+  test("cada material es una línea con su cantidad", () => {
+    const validation = validateOrderLines({
+      detalles: [
+        { material_id: "5", cantidad: "12.5" },
+        { material_id: 6, cantidad: 7.5 },
+      ],
+    });
+
+    assert.equal(validation.isValid, true);
+    assert.deepEqual(validation.value, [
+      { material_id: 5, cantidad: 12.5 },
+      { material_id: 6, cantidad: 7.5 },
+    ]);
+  });
+
+  test("el formato de una sola línea sigue aceptándose", () => {
+    const validation = validateOrderLines({ material_id: 5, cantidad: 3 });
+
+    assert.deepEqual(validation.value, [{ material_id: 5, cantidad: 3 }]);
+  });
+
+  test("un material repetido se rechaza en su línea", () => {
+    const validation = validateOrderLines({
+      detalles: [
+        { material_id: 5, cantidad: 2 },
+        { material_id: 5, cantidad: 3 },
+      ],
+    });
+
+    assert.equal(validation.isValid, false);
+    assert.equal(validation.errors[0].field, "detalles[1].material_id");
+  });
+
+  test("el volumen total tiene el mismo tope que un pedido", () => {
+    const validation = validateOrderLines({
+      detalles: [
+        { material_id: 5, cantidad: 600 },
+        { material_id: 6, cantidad: 600 },
+      ],
+    });
+
+    assert.equal(validation.isValid, false);
+    assert.match(validation.errors[0].message, /^Volumen total inválido/);
+  });
+
+  test("el volumen suma las líneas leídas de la base", () => {
+    assert.equal(
+      Pedido.getVolumenTotal({
+        detalles: [{ cantidad: "12.50" }, { cantidad: "7.25" }],
+      }),
+      19.75
+    );
+    assert.equal(Pedido.getVolumenTotal({ cantidad: "4.00" }), 4);
+  });
+});
+
+describe("Totales de un pedido con varias líneas", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("subtotales por línea, volumen sumado y flete sobre el total", async () => {
+    mock.method(pool, "query", async (sql, params) => {
+      if (sql === CLIENTES.FIND_BY_ID) {
+        return { rows: [{ id: 4, activo: true, tipo_cliente: "empresa" }] };
+      }
+      if (sql === MATERIALES.FIND_BY_ID) {
+        const material = MATERIALES_ACTIVOS.get(params[0]);
+        return { rows: material ? [material] : [] };
+      }
+      return { rows: [] };
+    });
+    mock.method(ListaPrecio, "cotizar", async () => ({
+      lista: { id: 2, nombre: "Constructoras", tipo_cliente: "empresa" },
+      precios: PRECIOS,
+    }));
+    const sugerirPatio = mock.method(Stock, "sugerirPatio", async () => ({
+      patio: { id: 1, nombre: "Patio Central" },
+      stock_suficiente: true,
+    }));
+    const calcularFlete = mock.method(Flete, "calcular", async () => ({
+      costo_total: 150,
+    }));
+    mock.method(Cliente, "getCredito", async () => ({ disponible: 2000 }));
+
+    const cotizacion = await Pedido.cotizar(
+      {
+        detalles: [
+          { material_id: 5, cantidad: 12.5 },
+          { material_id: 6, cantidad: 7.5 },
+        ],
+        direccion_entrega: "Av. Blanco Galindo km 4, Cochabamba",
+      },
+      4
+    );
+
+    assert.deepEqual(
+      cotizacion.detalles.map((linea) => [
+        linea.material_nombre,
+        linea.subtotal,
+      ]),
+      [
+        ["Arena fina", 1068.75],
+        ["Grava 3/4", 600],
+      ]
+    );
+    assert.equal(cotizacion.cantidad_total, 20);
+    assert.equal(cotizacion.subtotal_materiales, 1668.75);
+    assert.equal(cotizacion.precio_total, 1818.75);
+    assert.deepEqual(cotizacion.credito, { disponible: 2000, alcanza: true });
+
+    // El patio debe cubrir todas las líneas y el flete se tarifa por el total
+    assert.equal(sugerirPatio.mock.calls[0].arguments[0].length, 2);
+    assert.equal(calcularFlete.mock.calls[0].arguments[0].cantidad, 20);
+  });
+
+  test("un material inactivo en cualquier línea corta la cotización", async () => {
+    mock.method(pool, "query", async (sql, params) => ({
+      rows:
+        sql === CLIENTES.FIND_BY_ID
+          ? [{ id: 4, activo: true, tipo_cliente: null }]
+          : params[0] === 5
+            ? [MATERIALES_ACTIVOS.get(5)]
+            : [],
+    }));
+
+    await assert.rejects(
+      Pedido.cotizar(
+        {
+          detalles: [
+            { material_id: 5, cantidad: 2 },
+            { material_id: 9, cantidad: 2 },
+          ],
+          direccion_entrega: "Av. Blanco Galindo km 4, Cochabamba",
+        },
+        4
+      ),
+      /Material 9 no encontrado/
+    );
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Pruebas de posiciones GPS (sin base de datos)
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validatePositionData } = require("../src/utils/validation");
+const PosicionVehiculo = require("../src/models/PosicionVehiculo");
+
+const punto = (minuto, extra = {}) => ({
+  lat: -17.39,
+  lng: -66.15,
+  registrado_en: `2026-03-01T10:${String(minuto).padStart(2, "0")}:00.000Z`,
+  ...extra,
+});
+
+describe("Validación de posiciones GPS", () => {
+  test("un punto suelto sin hora se toma como recibido ahora", () => {
+    const antes = Date.now();
+    const validation = validatePositionData({ lat: -17.39, lng: -66.15 });
+
+    assert.equal(validation.isValid, true);
+    const [valido] = validation.validData.puntos;
+    assert.ok(Date.parse(valido.registrado_en) >= antes);
+  });
+
+  test("en un lote cada punto requiere su hora", () => {
+    const validation = validatePositionData({
+      puntos: [
+        punto(1),
+        { lat: -17.4, lng: -66.16 },
+        { lat: -17.41, lng: -66.17 },
+      ],
+    });
+
+    assert.equal(validation.isValid, false);
+    assert.deepEqual(
+      validation.errors.map((error) => error.field),
+      ["puntos[1].registrado_en", "puntos[2].registrado_en"]
+    );
+  });
+
+  test("un lote con la misma hora repetida se rechaza", () => {
+    const validation = validatePositionData({
+      puntos: [punto(1), punto(2), punto(1, { lat: -17.5 })],
+    });
+
+    assert.equal(validation.isValid, false);
+    assert.equal(validation.errors[0].field, "puntos[2].registrado_en");
+  });
+
+  test("el lote queda en orden cronológico", () => {
+    const validation = validatePositionData({
+      puntos: [punto(5), punto(1), punto(3)],
+    });
+
+    assert.equal(validation.isValid, true);
+    assert.deepEqual(
+      validation.validData.puntos.map((p) => p.registrado_en.slice(11, 16)),
+      ["10:01", "10:03", "10:05"]
+    );
+  });
+
+  test("una hora futura fuera del margen se rechaza", () => {
+    const futuro = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const validation = validatePositionData({
+      lat: -17.39,
+      lng: -66.15,
+      registrado_en: futuro,
+    });
+
+    assert.equal(validation.isValid, false);
+    assert.equal(validation.errors[0].field, "registrado_en");
+  });
+
+  test("un lote por encima del máximo se rechaza", () => {
+    const validation = validatePositionData(
+      { puntos: [punto(1), punto(2), punto(3)] },
+      2
+    );
+
+    assert.equal(validation.isValid, false);
+    assert.equal(validation.errors[0].field, "puntos");
+  });
+});
+
+describe("Depuración de posiciones", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    PosicionVehiculo.ultimaDepuracion = 0;
+  });
+
+  test("un fallo de la depuración no se propaga", async () => {
+    mock.method(PosicionVehiculo, "depurar", async () => {
+      throw new Error("sin conexión");
+    });
+
+    assert.equal(await PosicionVehiculo.depurarSiCorresponde(), null);
+  });
+
+  test("dentro del intervalo no vuelve a depurar", async () => {
+    const depurar = mock.method(PosicionVehiculo, "depurar", async () => ({
+      vencidas: 0,
+      resumidas: 0,
+      conservadas: 0,
+    }));
+
+    await PosicionVehiculo.depurarSiCorresponde();
+    await PosicionVehiculo.depurarSiCorresponde();
+    assert.equal(depurar.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Pruebas de cotización con listas de precios y descuentos por volumen
+ * (sin base de datos)
+ * Las listas se simulan sobre el modelo y los precios sobre el pool.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { pool } = require("../src/config/database");
+const { PRECIOS } = require("../src/config/queries");
+const { BusinessLogicError } = require("../src/middleware/errorHandler");
+const ListaPrecio = require("../src/models/ListaPrecio");
+
+const GENERAL = { id: 1, nombre: "General", tipo_cliente: null };
+const CONSTRUCTORA = {
+  id: 2,
+  nombre: "Constructoras",
+  tipo_cliente: "empresa",
+};
+
+// Arena (5) en ambas listas, grava (6) solo en la general
+const PRECIOS_VIGENTES = [
+  { lista_id: 1, material_id: 5, precio: "100.00" },
+  { lista_id: 2, material_id: 5, precio: "90.00" },
+  { lista_id: 1, material_id: 6, precio: "80.00" },
+];
+
+const DESCUENTOS = [
+  { lista_id: 2, material_id: 5, cantidad_minima: "10", porcentaje: "5" },
+  { lista_id: 2, material_id: 5, cantidad_minima: "50", porcentaje: "12" },
+  { lista_id: 2, material_id: null, cantidad_minima: "20", porcentaje: "8" },
+  { lista_id: 1, material_id: null, cantidad_minima: "30", porcentaje: "3" },
+];
+
+describe("Cotización de pedidos", () => {
+  beforeEach(() => {
+    mock.method(ListaPrecio, "getGeneral", async () => GENERAL);
+    mock.method(ListaPrecio, "getParaTipoCliente", async (tipoCliente) =>
+      tipoCliente === "empresa" ? CONSTRUCTORA : GENERAL
+    );
+    mock.method(pool, "query", async (sql) => ({
+      rows:
+        sql === PRECIOS.VIGENTES_BY_MATERIALES
+          ? PRECIOS_VIGENTES
+          : sql === PRECIOS.DESCUENTOS_APLICABLES
+            ? DESCUENTOS
+            : [],
+    }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const cotizar = async (material_id, cantidad, tipoCliente = "empresa") => {
+    const { precios } = await ListaPrecio.cotizar(
+      [{ material_id, cantidad }],
+      tipoCliente
+    );
+    return precios.get(material_id);
+  };
+
+  test("bajo el primer tramo se cobra el precio de lista", async () => {
+    const precio = await cotizar(5, 8);
+
+    assert.equal(precio.lista_precio_id, 2);
+    assert.equal(precio.descuento_porcentaje, 0);
+    assert.equal(precio.precio_unitario, 90);
+  });
+
+  test("cada tramo alcanzado aplica su descuento", async () => {
+    assert.equal((await cotizar(5, 10)).precio_unitario, 85.5);
+    assert.equal((await cotizar(5, 50)).precio_unitario, 79.2);
+  });
+
+  test("entre tramos del material y de la lista gana el mayor", async () => {
+    const precio = await cotizar(5, 25);
+
+    assert.equal(precio.descuento_porcentaje, 8);
+    assert.equal(precio.precio_unitario, 82.8);
+  });
+
+  test("sin precio en su lista usa la general con los tramos de la general", async () => {
+    const precio = await cotizar(6, 40);
+
+    assert.equal(precio.lista_precio_id, 1);
+    assert.equal(precio.lista_nombre, "General");
+    assert.equal(precio.descuento_porcentaje, 3);
+    assert.equal(precio.precio_unitario, 77.6);
+  });
+
+  test("un cliente sin lista propia cotiza con la general", async () => {
+    const { lista, precios } = await ListaPrecio.cotizar(
+      [{ material_id: 5, cantidad: 30 }],
+      "particular"
+    );
+
+    assert.equal(lista.id, 1);
+    assert.equal(ListaPrecio.getGeneral.mock.callCount(), 0);
+    assert.equal(precios.get(5).precio_unitario, 97);
+  });
+
+  test("un material sin precio vigente en ninguna lista se rechaza", async () => {
+    await assert.rejects(
+      ListaPrecio.cotizar(
+        [{ material_id: 7, cantidad: 5, material_nombre: "Piedra" }],
+        "empresa"
+      ),
+      (error) =>
+        error instanceof BusinessLogicError &&
+        error.message === "Piedra no tiene precio vigente"
+    );
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Pruebas del pronóstico de stock por consumo (sin base de datos)
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { pool } = require("../src/config/database");
+const { STOCK } = require("../src/config/queries");
+const PronosticoStock = require("../src/models/PronosticoStock");
+
+const DIAS = PronosticoStock.DIAS_HISTORIAL;
+
+/**
+ * Fecha local dentro de n días
+ */
+const enDias = (n) => {
+  const fecha = new Date();
+  fecha.setHours(0, 0, 0, 0);
+  fecha.setDate(fecha.getDate() + n);
+  return PronosticoStock.formatFecha(fecha);
+};
+
+describe("Pronóstico de stock", () => {
+  test("con consumo parejo proyecta agotamiento, reorden y reposición", () => {
+    const serie = new Array(DIAS).fill(2);
+
+    const pronostico = PronosticoStock.proyectar(
+      { cantidad_libre: "20", cantidad_minima: "10" },
+      serie,
+      DIAS
+    );
+
+    assert.equal(pronostico.consumo_promedio_diario, 2);
+    assert.ok(
+      Object.values(pronostico.factores_dia_semana).every(
+        (factor) => factor === 1
+      )
+    );
+    assert.equal(pronostico.fecha_punto_reorden, enDias(5));
+    assert.equal(pronostico.dias_restantes, 9);
+    assert.equal(pronostico.fecha_agotamiento, enDias(10));
+    // 17 días de reposición + cobertura a 2 m³/día, más el mínimo, menos lo libre
+    assert.equal(pronostico.cantidad_sugerida_reposicion, 24);
+  });
+
+  test("el consumo se reparte según el día de la semana", () => {
+    // Solo se despacha el mismo día de la semana que ayer
+    const serie = Array.from({ length: DIAS }, (_, i) =>
+      i % 7 === 0 ? 14 : 0
+    );
+
+    const pronostico = PronosticoStock.proyectar(
+      { cantidad_libre: "15", cantidad_minima: "0" },
+      serie,
+      DIAS
+    );
+
+    assert.equal(pronostico.consumo_promedio_diario, 2);
+    assert.deepEqual(
+      Object.values(pronostico.factores_dia_semana).sort((a, b) => a - b),
+      [0, 0, 0, 0, 0, 0, 7]
+    );
+    // El día 6 baja a 1 y recién el día 13 se agota
+    assert.equal(pronostico.dias_restantes, 12);
+  });
+
+  test("sin consumo no hay proyección ni acción", () => {
+    const pronostico = PronosticoStock.proyectar(
+      { cantidad_libre: "5", cantidad_minima: "10" },
+      new Array(DIAS).fill(0),
+      DIAS
+    );
+
+    assert.equal(pronostico.dias_restantes, null);
+    assert.equal(pronostico.cantidad_sugerida_reposicion, 0);
+    assert.equal(PronosticoStock.getAccion(pronostico), null);
+  });
+
+  test("la acción sigue los días que quedan y el punto de reorden", () => {
+    const base = {
+      consumo_promedio_diario: 2,
+      cantidad_sugerida_reposicion: 30,
+      dias_restantes: null,
+      fecha_punto_reorden: null,
+    };
+
+    assert.match(
+      PronosticoStock.getAccion({ ...base, dias_restantes: 2 }),
+      /^URGENTE: .*se agota en 2 días, sugerido 30/
+    );
+    assert.match(
+      PronosticoStock.getAccion({
+        ...base,
+        dias_restantes: 20,
+        fecha_punto_reorden: enDias(2),
+      }),
+      /^ATENCIÓN: .*sugerido 30/
+    );
+    assert.equal(
+      PronosticoStock.getAccion({
+        ...base,
+        dias_restantes: 20,
+        fecha_punto_reorden: enDias(10),
+      }),
+      "Stock suficiente para 20 días"
+    );
+    assert.equal(
+      PronosticoStock.getAccion(base),
+      `Stock suficiente para más de ${PronosticoStock.HORIZONTE_DIAS} días`
+    );
+  });
+});
+
+describe("Consumo diario", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("las salidas del kardex se ubican por días hacia atrás", async () => {
+    const consulta = mock.method(pool, "query", async (sql) => ({
+      rows:
+        sql === STOCK.CONSUMO_DIARIO
+          ? [
+              { material_id: 5, dias_atras: 1, cantidad: "6.00" },
+              { material_id: 5, dias_atras: 3, cantidad: "2.50" },
+            ]
+          : [],
+    }));
+
+    const consumo = await PronosticoStock.getConsumoDiario([5, 6], 4);
+
+    assert.deepEqual(consumo.get(5), [6, 0, 2.5, 0]);
+    assert.equal(consumo.get(6), undefined);
+    assert.deepEqual(consulta.mock.calls[0].arguments[1], [4, [5, 6]]);
+  });
+});
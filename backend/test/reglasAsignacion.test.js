@@ -0,0 +1,256 @@
+/**
+ * Pruebas de reglas y pesos configurables de asignación (sin base de datos)
+ * Las reglas guardadas y los viajes recientes se simulan sobre el pool.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { pool } = require("../src/config/database");
+const { REGLAS_ASIGNACION, VEHICULOS } = require("../src/config/queries");
+const { ValidationError } = require("../src/middleware/errorHandler");
+const ReglaAsignacion = require("../src/models/ReglaAsignacion");
+const Asignacion = require("../src/models/Asignacion");
+const Pedido = require("../src/models/Pedido");
+const Patio = require("../src/models/Patio");
+const Vehiculo = require("../src/models/Vehiculo");
+
+const CANDIDATOS = [
+  { vehiculo_id: 1, placa: "CHICO", capacidad_m3: "10.00" },
+  { vehiculo_id: 2, placa: "MEDIANO", capacidad_m3: "15.00" },
+  { vehiculo_id: 3, placa: "GRANDE", capacidad_m3: "30.00" },
+];
+
+/**
+ * Configuración por defecto con cambios por regla
+ */
+const configuracionCon = (cambios) => {
+  const configuracion = ReglaAsignacion.getConfiguracionPorDefecto();
+  Object.entries(cambios).forEach(([codigo, regla]) => {
+    configuracion[codigo] = { ...configuracion[codigo], ...regla };
+  });
+  return configuracion;
+};
+
+const puntosDe = (vehiculo, regla) =>
+  (vehiculo.reglas_aplicadas.find((r) => r.regla === regla) || {}).puntos;
+
+describe("Configuración de reglas", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("lo guardado reemplaza el peso y completa los parámetros por defecto", async () => {
+    mock.method(pool, "query", async (sql) => ({
+      rows:
+        sql === REGLAS_ASIGNACION.LIST_ALL
+          ? [
+              {
+                codigo: "proximidad_geografica",
+                activa: true,
+                peso: "2.50",
+                parametros: { cerca_km: 3 },
+              },
+              {
+                codigo: "balance_uso",
+                activa: false,
+                peso: "1.00",
+                parametros: {},
+              },
+            ]
+          : [],
+    }));
+
+    const configuracion = await ReglaAsignacion.getConfiguracion();
+
+    assert.equal(configuracion.proximidad_geografica.peso, 2.5);
+    assert.equal(configuracion.proximidad_geografica.parametros.cerca_km, 3);
+    assert.equal(configuracion.proximidad_geografica.parametros.medio_km, 15);
+    assert.equal(configuracion.balance_uso.activa, false);
+    assert.deepEqual(
+      configuracion.capacidad_optima,
+      ReglaAsignacion.DEFAULTS.capacidad_optima
+    );
+  });
+
+  test("un borrador se valida por regla y no toca la configuración base", () => {
+    const base = ReglaAsignacion.getConfiguracionPorDefecto();
+
+    const borrador = ReglaAsignacion.aplicarBorrador(base, {
+      capacidad_optima: { peso: 2, parametros: { puntos_optimo: 12 } },
+    });
+
+    assert.equal(borrador.capacidad_optima.peso, 2);
+    assert.equal(borrador.capacidad_optima.parametros.puntos_optimo, 12);
+    assert.equal(borrador.capacidad_optima.parametros.puntos_bajo, 4);
+    assert.equal(base.capacidad_optima.peso, 1);
+    assert.equal(
+      ReglaAsignacion.DEFAULTS.capacidad_optima.parametros.puntos_optimo,
+      10
+    );
+  });
+
+  test("los errores del borrador indican la regla y el campo", () => {
+    assert.throws(
+      () =>
+        ReglaAsignacion.aplicarBorrador(
+          ReglaAsignacion.getConfiguracionPorDefecto(),
+          {
+            capacidad_optima: { peso: 11 },
+            disponibilidad: { parametros: { inventado: 1 } },
+            reparto_por_turno: { peso: 1 },
+          }
+        ),
+      (error) =>
+        error instanceof ValidationError &&
+        error.errors.map((e) => e.field).join() ===
+          "reglas.capacidad_optima.peso,reglas.disponibilidad.parametros.inventado,reglas.reparto_por_turno.codigo"
+    );
+  });
+});
+
+describe("Pesos de las reglas", () => {
+  test("el peso multiplica los puntos base de la regla", () => {
+    const [vehiculo] = Vehiculo.evaluarCandidatos(
+      CANDIDATOS,
+      { cantidad: 8 },
+      configuracionCon({ capacidad_optima: { peso: 2 } })
+    );
+
+    const regla = vehiculo.reglas_aplicadas.find(
+      (r) => r.regla === "capacidad_optima"
+    );
+    assert.deepEqual(
+      {
+        puntos_base: regla.puntos_base,
+        peso: regla.peso,
+        puntos: regla.puntos,
+      },
+      { puntos_base: 10, peso: 2, puntos: 20 }
+    );
+    assert.equal(vehiculo.puntuacion, 25);
+  });
+
+  test("una regla inactiva no suma", () => {
+    const ranking = Vehiculo.evaluarCandidatos(
+      CANDIDATOS,
+      { cantidad: 8 },
+      configuracionCon({ menor_capacidad: { activa: false } })
+    );
+
+    assert.equal(ranking[0].puntuacion, 10);
+    assert.ok(
+      ranking.every((v) => puntosDe(v, "menor_capacidad") === undefined)
+    );
+  });
+
+  test("el balance de uso favorece al vehículo con menos viajes y km", () => {
+    const ranking = Vehiculo.evaluarCandidatos(
+      [
+        { ...CANDIDATOS[0], uso_reciente: { viajes: 4, km: 100 } },
+        {
+          ...CANDIDATOS[0],
+          vehiculo_id: 4,
+          uso_reciente: { viajes: 2, km: 50 },
+        },
+        {
+          ...CANDIDATOS[0],
+          vehiculo_id: 5,
+          uso_reciente: { viajes: 0, km: 0 },
+        },
+      ],
+      { cantidad: 8 }
+    );
+
+    assert.deepEqual(
+      ranking.map((v) => [v.vehiculo_id, puntosDe(v, "balance_uso")]),
+      [
+        [5, 6],
+        [4, 3],
+        [1, 0],
+      ]
+    );
+  });
+});
+
+describe("Uso reciente de vehículos", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("cuenta viajes y km de ida y vuelta desde el patio o la planta", async () => {
+    const { parametros } = ReglaAsignacion.DEFAULTS.balance_uso;
+    const consulta = mock.method(pool, "query", async (sql) => ({
+      rows:
+        sql === VEHICULOS.GET_RECENT_TRIPS
+          ? [
+              {
+                vehiculo_id: 1,
+                direccion_lat: -17.42,
+                direccion_lng: -66.15,
+                patio_lat: -17.39,
+                patio_lng: -66.15,
+              },
+              { vehiculo_id: 1, direccion_lat: null, direccion_lng: null },
+              {
+                vehiculo_id: 2,
+                direccion_lat: parametros.planta_lat,
+                direccion_lng: parametros.planta_lng,
+                patio_lat: null,
+                patio_lng: null,
+              },
+            ]
+          : [],
+    }));
+
+    const uso = await Vehiculo.getUsoReciente([1, 2, 3], {
+      ...parametros,
+      dias: 0.4,
+    });
+
+    assert.deepEqual(uso.get(1), { viajes: 2, km: 6.7 });
+    assert.deepEqual(uso.get(2), { viajes: 1, km: 0 });
+    assert.deepEqual(uso.get(3), { viajes: 0, km: 0 });
+    assert.deepEqual(consulta.mock.calls[0].arguments[1], [[1, 2, 3], 1]);
+  });
+});
+
+describe("Simulación de reglas", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("compara la selección vigente con la del borrador sin asignar", async () => {
+    mock.method(Pedido, "findById", async () => ({
+      id: 10,
+      codigo_seguimiento: "PED-10",
+      estado: "pendiente",
+      detalles: [{ cantidad: "8.00" }],
+    }));
+    mock.method(Patio, "findByPedido", async () => ({
+      id: 1,
+      nombre: "Patio Central",
+    }));
+    mock.method(ReglaAsignacion, "getConfiguracion", async () =>
+      ReglaAsignacion.getConfiguracionPorDefecto()
+    );
+    mock.method(Vehiculo, "findCandidatos", async () => CANDIDATOS);
+    mock.method(
+      Vehiculo,
+      "getUsoReciente",
+      async () =>
+        new Map([
+          [1, { viajes: 6, km: 120 }],
+          [2, { viajes: 5, km: 100 }],
+          [3, { viajes: 0, km: 0 }],
+        ])
+    );
+    const assignVehicle = mock.method(Pedido, "assignVehicle", async () => {});
+
+    const simulacion = await Asignacion.simular(10, {
+      balance_uso: { peso: 5 },
+    });
+
+    assert.equal(simulacion.ranking_actual[0].placa, "CHICO");
+    assert.equal(simulacion.ranking_simulado[0].placa, "GRANDE");
+    assert.equal(simulacion.cambia_seleccion, true);
+    assert.equal(assignVehicle.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Pruebas de la cantidad sugerida en propuestas de reposición (sin base de datos)
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const ReposicionStock = require("../src/models/ReposicionStock");
+
+describe("Cantidad a reponer", () => {
+  const item = {
+    cantidad_libre: "12",
+    cantidad_minima: "10",
+    pronostico: { consumo_promedio_diario: 2 },
+  };
+
+  test("sin nivel objetivo usa el mínimo más la cobertura", () => {
+    const cantidad = ReposicionStock.calcularCantidad(item);
+
+    // max(20, 10 + 2 × 14) = 38; + 2 × 3 días - 12 libres
+    assert.equal(cantidad.nivel_objetivo, 38);
+    assert.equal(cantidad.cantidad_sugerida, 32);
+  });
+
+  test("sin consumo el objetivo es al menos el doble del mínimo", () => {
+    const cantidad = ReposicionStock.calcularCantidad({
+      cantidad_libre: "5",
+      cantidad_minima: "10",
+    });
+
+    assert.equal(cantidad.nivel_objetivo, 20);
+    assert.equal(cantidad.cantidad_sugerida, 15);
+  });
+
+  test("respeta el nivel objetivo y los días configurados", () => {
+    const cantidad = ReposicionStock.calcularCantidad(item, {
+      nivel_objetivo: "50",
+      dias_reposicion: 5,
+    });
+
+    assert.equal(cantidad.nivel_objetivo, 50);
+    assert.equal(cantidad.cantidad_sugerida, 48);
+  });
+
+  test("descuenta lo que ya viene en camino sin quedar negativa", () => {
+    assert.equal(
+      ReposicionStock.calcularCantidad(item, {}, 20.5).cantidad_sugerida,
+      12
+    );
+    assert.equal(
+      ReposicionStock.calcularCantidad(item, {}, 100).cantidad_sugerida,
+      0
+    );
+  });
+});
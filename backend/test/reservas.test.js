@@ -0,0 +1,210 @@
+/**
+ * Pruebas de reservas de stock al crear y confirmar pedidos (sin base de datos)
+ * La transacción se simula con un cliente que responde por consulta.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { pool } = require("../src/config/database");
+const { PEDIDOS, STOCK, RESERVAS, PATIOS } = require("../src/config/queries");
+const { BusinessLogicError } = require("../src/middleware/errorHandler");
+const Stock = require("../src/models/Stock");
+const Pedido = require("../src/models/Pedido");
+const Patio = require("../src/models/Patio");
+const { crearCliente } = require("./helpers/clienteTransaccion");
+
+const PATIO = { id: 1, nombre: "Patio Central" };
+
+const LINEAS = [
+  {
+    material_id: 5,
+    material_nombre: "Arena fina",
+    unidad_medida: "m³",
+    cantidad: 6,
+  },
+];
+
+/**
+ * Cliente con 10 m³ del material 5, todos en el patio central
+ * @param {Object} opciones - { reservado, enPatio, reservaPropia }
+ */
+const clienteConStock = ({
+  reservado = 0,
+  enPatio = 10,
+  reservaPropia = 0,
+}) => {
+  const respuestas = new Map([
+    [PEDIDOS.LOCK_BY_ID, [{ id: 10, estado: "pendiente" }]],
+    [STOCK.LOCK_BY_MATERIALES, [{ material_id: 5, cantidad_disponible: "10" }]],
+    [
+      RESERVAS.TOTALS_BY_MATERIALES,
+      reservado
+        ? [{ material_id: 5, cantidad_reservada: String(reservado) }]
+        : [],
+    ],
+    [
+      PATIOS.STOCK_BY_MATERIALES,
+      [
+        {
+          patio_id: PATIO.id,
+          patio: PATIO.nombre,
+          lat: "-17.39",
+          lng: "-66.15",
+          activo: true,
+          material_id: 5,
+          cantidad_disponible: String(enPatio),
+          cantidad_reservada: String(reservado),
+        },
+      ],
+    ],
+    [
+      RESERVAS.CREATE,
+      ([pedidoId, materialId, cantidad]) => [
+        { id: 1, pedido_id: pedidoId, material_id: materialId, cantidad },
+      ],
+    ],
+    [
+      RESERVAS.LIST_ACTIVE_BY_PEDIDO,
+      reservaPropia
+        ? [{ id: 1, material_id: 5, cantidad: String(reservaPropia) }]
+        : [],
+    ],
+    [
+      STOCK.REDUCE_STOCK,
+      ([materialId, cantidad]) => [
+        { material_id: materialId, cantidad_disponible: 10 - cantidad },
+      ],
+    ],
+    [PEDIDOS.UPDATE_STATUS, ([id, estado]) => [{ id, estado }]],
+  ]);
+
+  return crearCliente(respuestas);
+};
+
+describe("Reserva al crear el pedido", () => {
+  test("cada línea queda reservada en el patio con el vencimiento configurado", async () => {
+    const client = clienteConStock({ reservado: 2 });
+
+    const reservas = await Stock.reservar(client, 10, LINEAS, PATIO);
+
+    assert.equal(reservas.length, 1);
+    assert.deepEqual(client.parametros(RESERVAS.CREATE), [
+      10,
+      5,
+      6,
+      Stock.RESERVA_TTL_MINUTOS,
+      PATIO.id,
+    ]);
+  });
+
+  test("lo reservado por otros pedidos no se vuelve a prometer", async () => {
+    const client = clienteConStock({ reservado: 6 });
+
+    await assert.rejects(
+      Stock.reservar(client, 10, LINEAS, PATIO),
+      (error) =>
+        error instanceof BusinessLogicError &&
+        /Libre: 4 m³, requerido: 6/.test(error.message)
+    );
+    assert.ok(!client.consultas().includes(RESERVAS.CREATE));
+  });
+
+  test("el total no basta si el patio de origen no tiene lo libre", async () => {
+    const client = clienteConStock({ enPatio: 3 });
+
+    await assert.rejects(
+      Stock.reservar(client, 10, LINEAS, PATIO),
+      /Stock insuficiente de Arena fina en Patio Central/
+    );
+  });
+
+  test("las reservas vencidas se expiran antes de sumar lo reservado", async () => {
+    const client = clienteConStock({ reservado: 4 });
+
+    const stock = await Stock.lockConReservas(client, [5], 10);
+
+    assert.deepEqual(stock.get(5), {
+      cantidad_disponible: 10,
+      cantidad_reservada: 4,
+      cantidad_libre: 6,
+    });
+    const consultas = client.consultas();
+    assert.ok(
+      consultas.indexOf(RESERVAS.EXPIRE_BY_MATERIALES) <
+        consultas.indexOf(RESERVAS.TOTALS_BY_MATERIALES)
+    );
+    assert.deepEqual(client.parametros(RESERVAS.TOTALS_BY_MATERIALES), [
+      [5],
+      10,
+    ]);
+  });
+
+  test("lo libre nunca es negativo", () => {
+    assert.deepEqual(Stock.calcularLibre("3.50", 5), {
+      cantidad_disponible: 3.5,
+      cantidad_reservada: 5,
+      cantidad_libre: 0,
+    });
+  });
+});
+
+describe("Confirmación con reserva", () => {
+  afterEach(() => mock.restoreAll());
+
+  const confirmar = async (opciones) => {
+    const client = clienteConStock(opciones);
+    mock.method(Pedido, "findById", async () => ({
+      id: 10,
+      codigo_seguimiento: "PED-10",
+      estado: "pendiente",
+    }));
+    mock.method(Pedido, "findDetalles", async () => [
+      { material_id: 5, material_nombre: "Arena fina", cantidad: "6.00" },
+    ]);
+    mock.method(Patio, "findByPedido", async () => PATIO);
+    mock.method(Stock, "ajustarStockPatio", async () => 4);
+    mock.method(Stock, "registrarMovimiento", async () => ({}));
+    mock.method(Stock, "revisarReposicion", async () => {});
+    mock.method(pool, "connect", async () => client);
+
+    return { client, resultado: await Pedido.confirm(10, 1) };
+  };
+
+  test("la reserva vigente se convierte en descuento", async () => {
+    // Los otros pedidos reservaron 4; los 6 restantes son de este pedido
+    const { client, resultado } = await confirmar({
+      reservado: 4,
+      reservaPropia: 6,
+    });
+
+    assert.equal(resultado.pedido.estado, "confirmado");
+    assert.deepEqual(client.parametros(STOCK.REDUCE_STOCK), [5, "6.00", 1]);
+    assert.deepEqual(client.parametros(RESERVAS.CLOSE_BY_PEDIDO), [
+      10,
+      "consumida",
+    ]);
+    assert.equal(client.parametros(RESERVAS.TOTALS_BY_MATERIALES)[1], 10);
+  });
+
+  test("con la reserva vencida compite por lo que quedó libre", async () => {
+    // Sin reserva propia necesita 6 libres de los 10 y hay 6
+    const { client } = await confirmar({ reservado: 4 });
+
+    assert.ok(client.consultas().includes(STOCK.REDUCE_STOCK));
+    assert.deepEqual(client.parametros(RESERVAS.CLOSE_BY_PEDIDO), [
+      10,
+      "consumida",
+    ]);
+  });
+
+  test("si otros reservaron lo que quedó, no se confirma", async () => {
+    await assert.rejects(
+      confirmar({ reservado: 8 }),
+      /Stock insuficiente de Arena fina en Patio Central para confirmar/
+    );
+  });
+});
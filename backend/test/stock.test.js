@@ -0,0 +1,125 @@
+/**
+ * Pruebas de salidas de stock frente a las reservas (sin base de datos)
+ * La transacción se simula con un cliente que responde por consulta.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { STOCK, RESERVAS, PATIOS } = require("../src/config/queries");
+const {
+  validateQuantity,
+  validateStockQuantity,
+} = require("../src/utils/validation");
+const {
+  BusinessLogicError,
+  NotFoundError,
+} = require("../src/middleware/errorHandler");
+const Stock = require("../src/models/Stock");
+const { crearCliente } = require("./helpers/clienteTransaccion");
+
+const PATIO = { id: 1, nombre: "Patio Central" };
+
+/**
+ * Cliente con 10 m³ del material 5 en el patio central
+ * @param {number} reservado - Reservado por pedidos en ese patio
+ */
+const clienteConStock = (reservado) => {
+  const respuestas = new Map([
+    [STOCK.LOCK_BY_MATERIALES, [{ material_id: 5, cantidad_disponible: "10" }]],
+    [
+      RESERVAS.TOTALS_BY_MATERIALES,
+      reservado
+        ? [{ material_id: 5, cantidad_reservada: String(reservado) }]
+        : [],
+    ],
+    [
+      PATIOS.STOCK_BY_MATERIALES,
+      [
+        {
+          patio_id: 1,
+          patio: PATIO.nombre,
+          lat: "-17.39",
+          lng: "-66.15",
+          activo: true,
+          material_id: 5,
+          cantidad_disponible: "10",
+          cantidad_reservada: String(reservado),
+        },
+      ],
+    ],
+  ]);
+
+  return crearCliente(respuestas);
+};
+
+describe("Salidas de stock", () => {
+  test("una salida dentro de lo libre pasa y bloquea con las reservas", async () => {
+    const client = clienteConStock(6);
+
+    const total = await Stock.verificarSalida(client, 5, PATIO, 4);
+    assert.equal(total.cantidad_libre, 4);
+    assert.ok(client.consultas().includes(RESERVAS.EXPIRE_BY_MATERIALES));
+  });
+
+  test("una salida que toma lo reservado se rechaza", async () => {
+    await assert.rejects(
+      Stock.verificarSalida(clienteConStock(6), 5, PATIO, 4.5),
+      (error) =>
+        error instanceof BusinessLogicError &&
+        /Libre: 4, requerido: 4.5 \(6 reservado/.test(error.message)
+    );
+  });
+
+  test("sin reservas se puede sacar todo lo del patio", async () => {
+    const total = await Stock.verificarSalida(clienteConStock(0), 5, PATIO, 10);
+    assert.equal(total.cantidad_disponible, 10);
+  });
+
+  test("un patio sin el material no tiene nada libre", async () => {
+    await assert.rejects(
+      Stock.verificarSalida(
+        clienteConStock(0),
+        5,
+        { id: 2, nombre: "Norte" },
+        1
+      ),
+      /Libre: 0/
+    );
+  });
+
+  test("un material sin registro de stock responde no encontrado", async () => {
+    await assert.rejects(
+      Stock.verificarSalida(clienteConStock(0), 6, PATIO, 1),
+      NotFoundError
+    );
+  });
+});
+
+describe("Cantidades de inventario", () => {
+  test("los movimientos no tienen el tope de 1000 m³ de los pedidos", () => {
+    assert.equal(validateQuantity(1500).isValid, false);
+    assert.deepEqual(validateStockQuantity(1500), {
+      isValid: true,
+      value: 1500,
+    });
+  });
+
+  test("un saldo puede quedar en cero, un movimiento no", () => {
+    assert.equal(validateStockQuantity(0).isValid, false);
+    assert.equal(validateStockQuantity(0, { permitirCero: true }).value, 0);
+    assert.equal(
+      validateStockQuantity(-1, { permitirCero: true }).isValid,
+      false
+    );
+  });
+
+  test("redondea a dos decimales y respeta el límite de la columna", () => {
+    assert.equal(validateStockQuantity("2.345").value, 2.35);
+    assert.equal(validateStockQuantity(100000000).isValid, false);
+    assert.equal(validateStockQuantity("abc").isValid, false);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Pruebas de estados de vehículos y avería (sin base de datos)
+ * La transacción se simula con un cliente que responde por consulta.
+ *
+ * Ejecutar: npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  VEHICULOS,
+  MANTENIMIENTOS,
+  ASIGNACIONES,
+  PEDIDOS,
+  EVENTOS,
+} = require("../src/config/queries");
+const { BusinessLogicError } = require("../src/middleware/errorHandler");
+const Vehiculo = require("../src/models/Vehiculo");
+const Pedido = require("../src/models/Pedido");
+const { crearCliente } = require("./helpers/clienteTransaccion");
+
+const vehiculoEn = (estado) => ({
+  id: 3,
+  placa: "ABC123",
+  estado,
+  activo: true,
+  capacidad_m3: 20,
+});
+
+const asignacionActiva = {
+  id: 1,
+  pedido_id: 10,
+  vehiculo_id: 3,
+  codigo_seguimiento: "PED-10",
+  pedido_estado: "asignado",
+};
+
+describe("Flujo de estados de vehículos", () => {
+  test("a en_uso no se pasa a mano desde disponible", () => {
+    assert.equal(Vehiculo.isValidTransition("disponible", "en_uso"), false);
+    assert.equal(Vehiculo.isValidTransition("disponible", "averiado"), true);
+  });
+
+  test("reparado, el vehículo puede retomar el viaje con su carga", async () => {
+    const client = crearCliente(
+      new Map([
+        [VEHICULOS.LOCK_BY_ID, [vehiculoEn("averiado")]],
+        [ASIGNACIONES.LIST_ACTIVE_BY_VEHICULO, [asignacionActiva]],
+      ])
+    );
+
+    const { vehiculo } = await Vehiculo.lockParaCambioEstado(
+      client,
+      3,
+      "en_uso"
+    );
+    assert.equal(vehiculo.estado, "averiado");
+  });
+
+  test("sin pedido asignado no pasa a en_uso", async () => {
+    const client = crearCliente(
+      new Map([[VEHICULOS.LOCK_BY_ID, [vehiculoEn("averiado")]]])
+    );
+
+    await assert.rejects(
+      Vehiculo.lockParaCambioEstado(client, 3, "en_uso"),
+      (error) =>
+        error instanceof BusinessLogicError && /asignarle/.test(error.message)
+    );
+  });
+
+  test("no sale de mantenimiento con un servicio en curso", async () => {
+    const client = crearCliente(
+      new Map([
+        [VEHICULOS.LOCK_BY_ID, [vehiculoEn("mantenimiento")]],
+        [
+          MANTENIMIENTOS.FIND_EN_CURSO_BY_VEHICULO,
+          [{ id: 5, tipo_servicio: "frenos" }],
+        ],
+      ])
+    );
+
+    await assert.rejects(
+      Vehiculo.lockParaCambioEstado(client, 3, "disponible"),
+      (error) =>
+        error instanceof BusinessLogicError && /frenos/.test(error.message)
+    );
+  });
+
+  test("con el mantenimiento cerrado vuelve a disponible", async () => {
+    const client = crearCliente(
+      new Map([[VEHICULOS.LOCK_BY_ID, [vehiculoEn("mantenimiento")]]])
+    );
+
+    const { asignaciones } = await Vehiculo.lockParaCambioEstado(
+      client,
+      3,
+      "disponible"
+    );
+    assert.deepEqual(asignaciones, []);
+  });
+
+  test("la avería no pasa por el cambio de estado simple", async () => {
+    await assert.rejects(
+      Vehiculo.updateStatus(3, "averiado", { userId: 1 }),
+      BusinessLogicError
+    );
+  });
+});
+
+describe("Avería de vehículo", () => {
+  test("un vehículo ya averiado se reporta de nuevo sin repetir el evento", async () => {
+    const client = crearCliente(
+      new Map([
+        [VEHICULOS.LOCK_BY_ID, [vehiculoEn("averiado")]],
+        [ASIGNACIONES.LIST_ACTIVE_BY_VEHICULO, [asignacionActiva]],
+      ])
+    );
+
+    const resultado = await Vehiculo.marcarAveriado(client, 3, { userId: 1 });
+    assert.equal(resultado.evento, null);
+    assert.equal(resultado.asignaciones.length, 1);
+    assert.ok(!client.consultas().includes(VEHICULOS.UPDATE_STATUS));
+  });
+
+  test("un pedido sin cargar vuelve a confirmado para reasignarlo", async () => {
+    const client = crearCliente(
+      new Map([
+        [
+          PEDIDOS.LOCK_BY_ID,
+          [
+            {
+              id: 10,
+              codigo_seguimiento: "PED-10",
+              estado: "asignado",
+              vehiculo_id: 3,
+              fecha_carga: null,
+            },
+          ],
+        ],
+        [
+          PEDIDOS.UNASSIGN_VEHICLE,
+          [{ id: 10, codigo_seguimiento: "PED-10", estado: "confirmado" }],
+        ],
+      ])
+    );
+
+    const pedido = await Pedido.liberarPorAveria(
+      client,
+      10,
+      { id: 3, placa: "ABC123" },
+      { userId: 1 }
+    );
+    assert.equal(pedido.liberado, true);
+    assert.equal(pedido.estado, "confirmado");
+    assert.ok(client.consultas().includes(ASIGNACIONES.RELEASE_BY_PEDIDO));
+  });
+
+  test("un pedido en tránsito sigue en el vehículo y requiere transbordo", async () => {
+    const client = crearCliente(
+      new Map([
+        [
+          PEDIDOS.LOCK_BY_ID,
+          [
+            {
+              id: 10,
+              codigo_seguimiento: "PED-10",
+              estado: "en_transito",
+              vehiculo_id: 3,
+              fecha_carga: new Date(),
+            },
+          ],
+        ],
+      ])
+    );
+
+    const pedido = await Pedido.liberarPorAveria(
+      client,
+      10,
+      { id: 3, placa: "ABC123" },
+      { userId: 1 }
+    );
+    assert.equal(pedido.liberado, false);
+    assert.equal(pedido.requiere_transbordo, true);
+    assert.equal(pedido.estado, "en_transito");
+    assert.ok(!client.consultas().includes(PEDIDOS.UNASSIGN_VEHICLE));
+    assert.ok(!client.consultas().includes(ASIGNACIONES.RELEASE_BY_PEDIDO));
+    assert.ok(client.consultas().includes(EVENTOS.CREATE));
+  });
+
+  test("un pedido cargado en el patio tampoco vuelve a despacharse", async () => {
+    const client = crearCliente(
+      new Map([
+        [
+          PEDIDOS.LOCK_BY_ID,
+          [
+            {
+              id: 10,
+              codigo_seguimiento: "PED-10",
+              estado: "asignado",
+              vehiculo_id: 3,
+              fecha_carga: new Date(),
+            },
+          ],
+        ],
+      ])
+    );
+
+    const pedido = await Pedido.liberarPorAveria(
+      client,
+      10,
+      { id: 3, placa: "ABC123" },
+      { userId: 1, registrarRetencion: false }
+    );
+    assert.equal(pedido.requiere_transbordo, true);
+    assert.ok(!client.consultas().includes(EVENTOS.CREATE));
+  });
+
+  test("un pedido que ya no usa el vehículo se ignora", async () => {
+    const client = crearCliente(
+      new Map([
+        [
+          PEDIDOS.LOCK_BY_ID,
+          [{ id: 10, estado: "asignado", vehiculo_id: 4, fecha_carga: null }],
+        ],
+      ])
+    );
+
+    const pedido = await Pedido.liberarPorAveria(client, 10, {
+      id: 3,
+      placa: "ABC123",
+    });
+    assert.equal(pedido, null);
+  });
+});